@@ -17,6 +17,7 @@ import {
   Dimensions,
   Modal,
   Alert,
+  Linking,
 } from 'react-native';
 import { SafeAreaView, SafeAreaProvider } from 'react-native-safe-area-context';
 import BackgroundWrapper from './components/BackgroundWrapper';
@@ -30,6 +31,13 @@ import GameView from './components/views/GameView';
 import gameScriptService from './gameScriptService';
 import HamburgerMenu from './components/HamburgerMenu';
 import firebaseService from './firebase';
+import identityService from './identityService';
+import reminderService from './reminderService';
+import { CharacterTakenError, GameError } from './errors';
+import { isValidGameCode, isValidLocalHost, parseJoinLink } from './utils/inviteLinks';
+import { createLocalGuestTransport, createLocalHostTransport, getLocalHostAddress } from './localPlay/localNetwork';
+import { useGameSession } from './utils/gameSession';
+import { VIEWS, ViewType } from './constants/Views';
 import { useDynamicStyles } from './utils/styles';
 import { parseFormattedText } from './utils/textFormatting';
 import LobbyView from './components/views/LobbyView';
@@ -50,28 +58,17 @@ type GameScript = any;
 // CONSTANTS
 // ============================================================================
 
-const VIEWS = {
-  ONBOARDING: 'ONBOARDING',
-  HOME: 'HOME',
-  GAME_SELECTION: 'GAME_SELECTION',
-  LOBBY: 'LOBBY',
-  INTRODUCTION: 'INTRODUCTION',
-  GAME: 'GAME',
-  JOIN_GAME: 'JOIN_GAME',
-  MY_GAMES: 'MY_GAMES',
-};
-
 export default function App() {
   // ============================================================================
   // STATE MANAGEMENT
   // ============================================================================
   
   // Navigation state
-  const [view, setView] = useState(VIEWS.ONBOARDING);
+  const [view, setView] = useState<ViewType>(VIEWS.ONBOARDING);
   const [loading, setLoading] = useState(true);
   
   // User state
-  const [userId, setUserId] = useState(null);
+  const [userId, setUserId] = useState<string | null>(null);
   const [username, setUsername] = useState('');
   
   // Onboarding state
@@ -80,13 +77,15 @@ export default function App() {
   
   // Game loading state
   const [gameLoading, setGameLoading] = useState(false);
-  const [gameId, setGameId] = useState<string | null>(null);
   const [selectedGameScript, setSelectedGameScript] = useState<string | null>(null);
-  const [gameSubscription, setGameSubscription] = useState<(() => void) | null>(null);
-  const [gameData, setGameData] = useState<any>(null);
   const [selectedCharacter, setSelectedCharacter] = useState<any>(null);
   const [gameCode, setGameCode] = useState('');
+  const [localHostInput, setLocalHostInput] = useState(''); // Address of a game hosted on the local network
   const [joinInputError, setJoinInputError] = useState('');
+  // Join link waiting to be opened ({ gameId, characterName, localHost }), e.g. until onboarding is done
+  const [pendingJoinLink, setPendingJoinLink] = useState<any>(null);
+  // The game this device plays over the local network and the host's address ({ gameId, address })
+  const [localPlay, setLocalPlay] = useState<any>(null);
   
   // Available game scripts state
   const [availableGameScripts, setAvailableGameScripts] = useState<GameScript[]>([]);
@@ -95,10 +94,16 @@ export default function App() {
   const [myGamesData, setMyGamesData] = useState<any[]>([]);
   const [myGamesLoading, setMyGamesLoading] = useState(false);
   const [myGamesFilter, setMyGamesFilter] = useState('all');
+  const [myGamesCursor, setMyGamesCursor] = useState<any>(null); // Where the next page starts, or null
+  const [myGamesLoadingMore, setMyGamesLoadingMore] = useState(false);
+
+  // Invitations waiting for this user to accept or decline
+  const [pendingInvites, setPendingInvites] = useState<any[]>([]);
 
   // Host control modal states
   const [showPlayerScriptModal, setShowPlayerScriptModal] = useState(false);
   const [selectedPlayerForScript, setSelectedPlayerForScript] = useState<any>(null);
+  const [characterSecrets, setCharacterSecrets] = useState<any[]>([]); // Every player's, for the host
 
   // ScrollView refs for scroll to top functionality
   const gameScrollViewRef = useRef<ScrollView>(null);
@@ -121,18 +126,105 @@ export default function App() {
   // Get dynamic styles - this must be called every render
   const dynamicStyles = useDynamicStyles(textSize);
 
+  // The open game: its data, this player's place in it, and the subscription that keeps
+  // the view in step with its status and round
+  const { gameId, gameData, currentPlayer, isHost, openGame, closeGame } = useGameSession({
+    view,
+    setView,
+    onRemoved: () => {
+      Alert.alert('Removed from Game', 'The host has removed you from this game.');
+      goHome();
+    },
+  });
+
+  // Tell a player when hosting has been handed to them (by the host, or because the host left)
+  const hostingSeen = useRef<{ gameId: string | null; isHost: boolean }>({ gameId: null, isHost: false });
+  useEffect(() => {
+    if (!currentPlayer) {
+      return;
+    }
+    const seen = hostingSeen.current;
+    if (seen.gameId === gameId && !seen.isHost && isHost) {
+      Alert.alert("You're the host now", 'You can advance rounds, set ready states and view scripts for this game.');
+    }
+    hostingSeen.current = { gameId, isHost };
+  }, [gameId, currentPlayer, isHost]);
+
   // ============================================================================
   // INITIALIZATION
   // ============================================================================
   
+  // Set to the latest initializeApp on every render, so the effect can run it once on mount
+  const initializeAppRef = useRef<() => Promise<void>>();
+  useEffect(() => {
+    initializeAppRef.current?.();
+  }, []);
+
+  // Keep party reminders in step with the open game (schedule, character, status)
   useEffect(() => {
-    initializeApp();
+    if (gameData && userId) {
+      reminderService.syncGameReminders(gameData, userId);
+    }
+  }, [gameData, userId]);
+
+  // Watch for invitations to this user's games
+  useEffect(() => {
+    if (!userId) {
+      return undefined;
+    }
+    let unsubscribe: (() => void) | null = null;
+    let cancelled = false;
+    firebaseService.waitForReady()
+      .then(() => {
+        if (!cancelled) {
+          unsubscribe = firebaseService.subscribeToPendingInvites(userId, setPendingInvites);
+        }
+      })
+      .catch((error: any) => {
+        console.error('Error watching invitations:', error);
+      });
+    return () => {
+      cancelled = true;
+      unsubscribe && unsubscribe();
+    };
+  }, [userId]);
+
+  // Join links can launch the app or arrive while it's running
+  useEffect(() => {
+    const openJoinLink = (url: string | null) => {
+      const link = parseJoinLink(url);
+      if (link) {
+        setPendingJoinLink(link);
+      }
+    };
+    Linking.getInitialURL()
+      .then(openJoinLink)
+      .catch((error: any) => {
+        console.error('Error reading launch link:', error);
+      });
+    const subscription = Linking.addEventListener('url', ({ url }) => openJoinLink(url));
+    return () => subscription.remove();
   }, []);
 
+  // Join the linked game once the player has a username (new players onboard first).
+  // joinGameByCodeRef holds the latest joinGameByCode, so the link is only acted on once.
+  const joinGameByCodeRef = useRef<(code: string, characterName?: string | null, localHost?: string | null) => Promise<void>>();
+  useEffect(() => {
+    if (!pendingJoinLink || loading || !username) {
+      return;
+    }
+    setPendingJoinLink(null);
+    setGameCode(pendingJoinLink.gameId);
+    setLocalHostInput(pendingJoinLink.localHost || '');
+    setJoinInputError('');
+    setView(VIEWS.JOIN_GAME);
+    joinGameByCodeRef.current?.(pendingJoinLink.gameId, pendingJoinLink.characterName, pendingJoinLink.localHost);
+  }, [pendingJoinLink, loading, username]);
+
   const initializeApp = async () => {
     try {
-      // Load available game scripts
-      const scripts: any[] = gameScriptService.getAvailableScripts();
+      // Load available game scripts, including any installed on this device
+      const scripts: any[] = await gameScriptService.loadInstalledScripts();
       setAvailableGameScripts(scripts as any[]);
       
       // Load saved text size
@@ -150,29 +242,93 @@ export default function App() {
         setView(VIEWS.ONBOARDING);
       }
       
+      // Sign in for this device's stable user ID (separate from the display name)
+      identityService.getUserId()
+        .then(async (stableUserId: string) => {
+          setUserId(stableUserId);
+          await syncUserIdentity(stableUserId);
+          if (savedUsername) {
+            await resumeActiveGame(stableUserId);
+          }
+        })
+        .catch((error: any) => {
+          console.error('Error signing in:', error);
+        });
+      
       setLoading(false);
     } catch (error: any) {
       console.error('Error initializing app:', error);
       setLoading(false);
     }
   };
+  initializeAppRef.current = initializeApp;
+
+  // Put a returning player straight back into the game they were playing when the app
+  // closed - unless the app was opened from a join link, which takes priority
+  const resumeActiveGame = async (stableUserId: string) => {
+    try {
+      if (parseJoinLink(await Linking.getInitialURL())) {
+        return;
+      }
+      const activeGame = await firebaseService.findActiveGame(stableUserId);
+      if (activeGame) {
+        await handleGoToGame(activeGame);
+      }
+    } catch (error: any) {
+      console.error('Error resuming game:', error);
+    }
+  };
+
+  // Keep the profile in step with the display name, and move games recorded under the
+  // username (before stable user IDs existed) over to the stable ID the first time round
+  const syncUserIdentity = async (stableUserId: string) => {
+    if (!firebaseService.isReady()) {
+      await firebaseService.waitForReady();
+    }
+
+    const legacyUserId = await identityService.getPendingLegacyUserId();
+    if (legacyUserId) {
+      try {
+        await firebaseService.migrateLegacyUser(legacyUserId, stableUserId);
+      } catch (error: any) {
+        // Refused once the security rules are deployed; the profile saved below lets the next
+        // run of tools/migrateLegacyUsers.js move them
+        console.error('Error migrating legacy records:', error);
+      }
+    }
+    await identityService.markUserIdStored();
+
+    const savedUsername = await AsyncStorage.getItem('username');
+    if (savedUsername) {
+      await firebaseService.saveUserProfile(stableUserId, savedUsername);
+    }
+  };
 
   // ============================================================================
   // PLAYER SCRIPT FUNCTIONS
   // ============================================================================
   
-  // Show player script modal
-  const showPlayerScript = (player: any) => {
+  // Show player script modal (host only - other players only ever see their own script).
+  // Secret information comes from the character secrets, which only the host can list.
+  const showPlayerScript = async (player: any) => {
+    if (!isHost || !gameId) return;
     setSelectedPlayerForScript(player);
     setShowPlayerScriptModal(true);
+    try {
+      setCharacterSecrets(await firebaseService.listCharacterSecrets(gameId, userId));
+    } catch (error: any) {
+      console.error('Error loading character secrets:', error);
+    }
   };
 
   // Get player script for host
   const getPlayerScriptForHost = (playerId: string, round: number) => {
-    const player = gameData?.players?.find((p: any) => p.userId === playerId);
-    if (!player?.characterName) return null;
-    
-    return gameScriptService.getCharacterScript(gameData?.gameScriptId, player.characterName, round);
+    const secret = characterSecrets.find((s: any) => s.userId === playerId);
+    if (!isHost || !secret?.characterName) return null;
+
+    const script = gameScriptService.getPhaseScript(gameData, secret.characterName, round);
+    if (!script?.secretInformation) return script;
+    return { ...script, secretInformation: secret.secretInformation };
   };
 
   // ============================================================================
@@ -193,110 +349,91 @@ export default function App() {
       return;
     }
 
-    if (gameCode.trim().length !== 6) {
-      setJoinInputError('Game code must be 6 characters');
+    await joinGameByCode(gameCode.trim(), null, localHostInput.trim() || null);
+  };
+
+  // Join a game by its code, from the Join Game screen or a join link. A link can offer a
+  // character, which is claimed straight away if it's still free. Entering the code of a
+  // game you're already in takes you back to it. With localHost, the game is played through
+  // the host's device on the local network instead of Firestore.
+  const joinGameByCode = async (code: string, characterName: string | null = null, localHost: string | null = null) => {
+    const joinCode = code.toUpperCase();
+    if (!isValidGameCode(joinCode)) {
+      setJoinInputError('Game code must be 6 letters or numbers');
+      return;
+    }
+    if (localHost && !isValidLocalHost(localHost)) {
+      setJoinInputError("The host's address looks like 192.168.1.20:47469");
       return;
     }
 
     try {
       setGameLoading(true);
       setJoinInputError('');
-
-
+      const currentUserId = await identityService.getUserId();
+      if (localHost) {
+        await firebaseService.joinLocalGame(joinCode, currentUserId, username || 'Anonymous Player', createLocalGuestTransport(localHost));
+        setLocalPlay({ gameId: joinCode, address: localHost });
+      } else if (!firebaseService.isReady()) {
+        await firebaseService.waitForReady();
+      }
 
       // Check if the game exists
-      const gameData = await firebaseService.getGameData(gameCode);
+      const gameData = await firebaseService.getGameData(joinCode);
       if (!gameData) {
         setJoinInputError('Game not found. Please check the code.');
         return;
       }
 
-      // Check if game is in LOBBY state
-      if (gameData.status !== 'LOBBY') {
-        setJoinInputError('This game has already started. You cannot join now.');
-        return;
-      }
-
-      // Check if game is full
-      if (gameData.players && gameData.players.length >= gameData.maxPlayers) {
-        setJoinInputError('This game is full. Cannot join.');
+      // Players already in the game (which includes anyone who just joined locally) go back to where they were
+      if (gameData.players?.some((p: any) => p.userId === currentUserId)) {
+        await handleGoToGame({ gameId: joinCode, gameData });
         return;
       }
 
-      // Check if player is already in the game
-      const existingPlayer = gameData.players?.find((p: any) => p.userId === username);
-      if (existingPlayer) {
-        setJoinInputError('You are already in this game.');
-        return;
+      // Join the game - the service turns away blocked players, and games that are full or started
+      await firebaseService.joinGame(joinCode, currentUserId, username || 'Anonymous Player');
+
+      // Claim the character the invitation offered, if nobody has it yet
+      if (characterName && gameScriptService.getCharacterByName(gameData, characterName)) {
+        try {
+          await firebaseService.assignCharacter(joinCode, currentUserId, characterName);
+        } catch (error: any) {
+          Alert.alert(
+            error instanceof CharacterTakenError ? 'Character Taken' : 'Error',
+            `${error instanceof CharacterTakenError ? error.message : `Couldn't claim ${characterName}.`} Pick a character in the lobby.`
+          );
+        }
       }
 
-      // Join the game
-      const joinResult = await firebaseService.joinGame(gameCode, username || 'anonymous', username || 'Anonymous Player');
-
 
-      // Set the game data
-      setGameId(gameCode);
+      // Follow the game from here - the session moves us between lobby and game screens
       setSelectedGameScript(gameData.gameScriptId);
-
-      // Set up real-time subscription
-      const subscription = firebaseService.subscribeToGame(gameCode, (data: any) => {
-        setGameData(data);
-        
-        // Auto-navigate based on game status changes (for non-host players)
-        // Only auto-navigate if we're not already in the correct view
-        // AND if the player has a character assigned (except for character selection)
-        
-        // Check if current player has a character assigned
-        const currentPlayer = data?.players?.find((p: any) => p.userId === username);
-        const hasCharacter = currentPlayer && currentPlayer.characterName;
-        
-
-        
-        if (data?.status === 'IN_PROGRESS') {
-          // If game is in progress, navigate to appropriate view based on current round
-          if (data?.currentRound === 1 && view !== VIEWS.INTRODUCTION && hasCharacter) {
-            setView(VIEWS.INTRODUCTION);
-          } else if (data?.currentRound > 1 && view !== VIEWS.GAME && hasCharacter) {
-            setView(VIEWS.GAME);
-          }
-        } else if (data?.status === 'LOBBY' && view !== VIEWS.LOBBY && hasCharacter) {
-          // If game is back in lobby, navigate to lobby (only if player has character)
-          setView(VIEWS.LOBBY);
-        } else if ((data?.status === 'COMPLETED' || data?.currentRound === 7) && view !== VIEWS.GAME && hasCharacter) {
-          // If game is completed, navigate to game view (which shows end screen for round 7)
-          setView(VIEWS.GAME);
-        }
-        
-        // If player doesn't have a character, they should stay in LOBBY
-        if (!hasCharacter && view !== VIEWS.LOBBY) {
-          setView(VIEWS.LOBBY);
-        }
-      });
-      setGameSubscription(() => subscription);
-
-      // Navigate to lobby
-      setView(VIEWS.LOBBY);
+      openGame(joinCode, currentUserId, await firebaseService.getGameData(joinCode));
     } catch (error: any) {
       console.error('Error joining game:', error);
-      setJoinInputError(`Failed to join game: ${error.message || 'Unknown error'}`);
+      setJoinInputError(error instanceof GameError ? error.message : `Failed to join game: ${error.message || 'Unknown error'}`);
     } finally {
       setGameLoading(false);
     }
   };
+  joinGameByCodeRef.current = joinGameByCode;
 
   const myGames = async () => {
     setView(VIEWS.MY_GAMES);
     await loadMyGames();
   };
 
-  // Load user's games from Firebase
-  const loadMyGames = async () => {
-    if (!username) return;
-    
+  // Load the first page of the user's games for a filter (summaries only - a game's full
+  // data loads when it's opened)
+  const loadMyGames = async (filter = myGamesFilter) => {
     try {
       setMyGamesLoading(true);
-      const games = await firebaseService.getUserGames(username);
-      setMyGamesData(games || []);
+      const currentUserId = await identityService.getUserId();
+      const page = await firebaseService.getUserGameSummaries(currentUserId, { filter });
+      setMyGamesData(page.games);
+      setMyGamesCursor(page.nextCursor);
+      page.games.forEach((game: any) => reminderService.syncSummaryReminders(game, currentUserId));
     } catch (error: any) {
       console.error('Error loading my games:', error);
       Alert.alert('Error', 'Failed to load your games');
@@ -305,67 +442,42 @@ export default function App() {
     }
   };
 
+  // Add the next page of games to the list
+  const loadMoreGames = async () => {
+    if (!myGamesCursor || myGamesLoadingMore) return;
+    try {
+      setMyGamesLoadingMore(true);
+      const currentUserId = await identityService.getUserId();
+      const page = await firebaseService.getUserGameSummaries(currentUserId, { filter: myGamesFilter, cursor: myGamesCursor });
+      setMyGamesData(previous => [...previous, ...page.games]);
+      setMyGamesCursor(page.nextCursor);
+      page.games.forEach((game: any) => reminderService.syncSummaryReminders(game, currentUserId));
+    } catch (error: any) {
+      console.error('Error loading more games:', error);
+      Alert.alert('Error', 'Failed to load your games');
+    } finally {
+      setMyGamesLoadingMore(false);
+    }
+  };
+
+  // Each filter is its own query, so switching reloads from the first page
+  const changeMyGamesFilter = (filter: string) => {
+    setMyGamesFilter(filter);
+    loadMyGames(filter);
+  };
+
   // Handle going to a specific game
   const handleGoToGame = async (game: any) => {
     try {
-      setGameId(game.gameId);
-      setSelectedGameScript(game.gameData?.gameScriptId);
-      
-      // Get current game data
-      const currentGameData = await firebaseService.getGameData(game.gameId);
-      if (currentGameData) {
-        setGameData(currentGameData);
-        
-        // Set up real-time subscription
-        const subscription = firebaseService.subscribeToGame(game.gameId, (data: any) => {
-          setGameData(data);
-          
-          // Auto-navigate based on game status changes (for non-host players)
-          // Only auto-navigate if we're not already in the correct view
-          // AND if the player has a character assigned (except for character selection)
-          
-          // Check if current player has a character assigned
-          const currentPlayer = data?.players?.find((p: any) => p.userId === username);
-          const hasCharacter = currentPlayer && currentPlayer.characterName;
-          
-          if (data?.status === 'IN_PROGRESS') {
-            // If game is in progress, navigate to appropriate view based on current round
-            if (data?.currentRound === 1 && view !== VIEWS.INTRODUCTION && hasCharacter) {
-              setView(VIEWS.INTRODUCTION);
-            } else if (data?.currentRound >= 2 && view !== VIEWS.GAME && hasCharacter) {
-              setView(VIEWS.GAME);
-            }
-          } else if (data?.status === 'LOBBY' && view !== VIEWS.LOBBY && hasCharacter) {
-            // If game is back in lobby, navigate to lobby (only if player has character)
-            setView(VIEWS.LOBBY);
-          } else if ((data?.status === 'COMPLETED' || data?.currentRound === 7) && view !== VIEWS.GAME && hasCharacter) {
-            // If game is completed, navigate to game view (which shows end screen for round 7)
-            setView(VIEWS.GAME);
-          }
-          
-          // If player doesn't have a character, they should stay in LOBBY
-          if (!hasCharacter && view !== VIEWS.LOBBY) {
-            setView(VIEWS.LOBBY);
-          }
-        });
-        setGameSubscription(() => subscription);
-        
-        // Navigate based on game status
-        if (currentGameData.status === 'LOBBY') {
-          setView(VIEWS.LOBBY);
-        } else if (currentGameData.status === 'IN_PROGRESS') {
-          if (currentGameData.currentRound === 1) {
-            setView(VIEWS.INTRODUCTION);
-          } else {
-            setView(VIEWS.GAME);
-          }
-        } else {
-          setView(VIEWS.LOBBY); // Fallback
-        }
-      }
+      const currentUserId = await identityService.getUserId();
+
+      // Get current game data (this also checks the host still lets players back in)
+      const currentGameData = await firebaseService.rejoinGame(game.gameId, currentUserId);
+      setSelectedGameScript(currentGameData.gameScriptId);
+      openGame(game.gameId, currentUserId, currentGameData);
     } catch (error: any) {
       console.error('Error going to game:', error);
-      Alert.alert('Error', 'Failed to join game');
+      Alert.alert('Error', error instanceof GameError ? error.message : 'Failed to join game');
     }
   };
 
@@ -377,12 +489,50 @@ export default function App() {
     }
   };
 
+  // Accept an invitation, claiming the offered character, and open the game's lobby
+  const handleAcceptInvite = async (invite: any) => {
+    try {
+      setGameLoading(true);
+      const currentUserId = await identityService.getUserId();
+      try {
+        await firebaseService.acceptInvite(invite.inviteId, currentUserId, username);
+      } catch (error: any) {
+        if (!(error instanceof CharacterTakenError)) {
+          throw error;
+        }
+        // Joined, but someone else claimed the character first
+        Alert.alert('Character Taken', `${error.message} Pick another character in the lobby.`);
+      }
+      await handleGoToGame({ gameId: invite.gameId, gameData: { gameScriptId: invite.gameScriptId } });
+    } catch (error: any) {
+      console.error('Error accepting invitation:', error);
+      Alert.alert('Error', error.message || 'Failed to accept invitation');
+    } finally {
+      setGameLoading(false);
+    }
+  };
+
+  // Decline an invitation
+  const handleDeclineInvite = async (invite: any) => {
+    try {
+      const currentUserId = await identityService.getUserId();
+      await firebaseService.declineInvite(invite.inviteId, currentUserId);
+    } catch (error: any) {
+      console.error('Error declining invitation:', error);
+      Alert.alert('Error', 'Failed to decline invitation');
+    }
+  };
+
   // Handle deleting a game (host only)
   const handleDeleteGame = async (game: any) => {
     if (!game.gameId) return;
     
     try {
-      await firebaseService.softDeleteGame(game.gameId, username || 'anonymous');
+      const currentUserId = await identityService.getUserId();
+      await firebaseService.softDeleteGame(game.gameId, currentUserId);
+      reminderService.cancelGameReminders(game.gameId).catch((error: any) => {
+        console.error('Error cancelling party reminders:', error);
+      });
       Alert.alert('Success', 'Game deleted successfully');
       await loadMyGames(); // Refresh the list
     } catch (error: any) {
@@ -415,6 +565,13 @@ export default function App() {
       // Save username to AsyncStorage
       await AsyncStorage.setItem('username', input.trim());
       
+      // Update the display name on the profile - the user ID stays the same
+      if (userId && firebaseService.isReady()) {
+        firebaseService.saveUserProfile(userId, input.trim()).catch((error: any) => {
+          console.error('Error saving user profile:', error);
+        });
+      }
+      
       // Username is valid, save it and go to home
       setUsername(input.trim());
       setInput('');
@@ -440,11 +597,54 @@ export default function App() {
     }
   };
 
+  // Host the open game from this device over the party's Wi-Fi, for when there's no signal.
+  // Guests join with the address shown in the lobby, and the game is written back to
+  // Firestore whenever this device is online (see FirebaseService.startLocalHost).
+  const startLocalHost = async () => {
+    if (!gameId) return;
+    try {
+      const address = await getLocalHostAddress();
+      if (!address) {
+        Alert.alert('No Wi-Fi', "Connect to the party's Wi-Fi so guests can reach this phone.");
+        return;
+      }
+      const currentUserId = await identityService.getUserId();
+      const hostedGameId = gameId;
+      const state = await firebaseService.startLocalHost(hostedGameId, currentUserId, createLocalHostTransport((error: any) => {
+        Alert.alert('Wi-Fi Hosting Stopped', `Guests can't reach this phone: ${error.message}`);
+        stopLocalPlay(hostedGameId, currentUserId);
+      }));
+      setLocalPlay({ gameId: hostedGameId, address });
+      openGame(hostedGameId, currentUserId, state);
+    } catch (error: any) {
+      console.error('Error hosting on the local network:', error);
+      Alert.alert('Error', error.message || 'Failed to host on Wi-Fi');
+    }
+  };
+
+  // Stop playing over the local network (the host writes the game back to Firestore first)
+  // and follow the game through Firestore again
+  const stopLocalPlay = async (localGameId: string, playerUserId: string) => {
+    try {
+      await firebaseService.stopLocalSession();
+      setLocalPlay(null);
+      openGame(localGameId, playerUserId, await firebaseService.getGameData(localGameId));
+    } catch (error: any) {
+      console.error('Error stopping local play:', error);
+    }
+  };
+
+  // A guest's local game ends when they leave it; the host's carries on for their guests
   const goHome = () => {
+    if (localPlay && !isHost) {
+      firebaseService.stopLocalSession().catch((error: any) => {
+        console.error('Error leaving local game:', error);
+      });
+      setLocalPlay(null);
+    }
+    closeGame();
     setView(VIEWS.HOME);
-    setGameId(null);
     setSelectedGameScript(null);
-    setGameData(null);
     setSelectedCharacter(null);
     setGameCode('');
   };
@@ -494,6 +694,9 @@ export default function App() {
               gameLoading={gameLoading}
               dynamicStyles={dynamicStyles}
               onBackToOnboarding={onBackToOnboarding}
+              pendingInvites={pendingInvites}
+              onAcceptInvite={handleAcceptInvite}
+              onDeclineInvite={handleDeclineInvite}
             />
           )}
           
@@ -513,58 +716,17 @@ export default function App() {
                   }
                   
                   // Create the game in Firebase
+                  const currentUserId = await identityService.getUserId();
                   const newGameId = await firebaseService.createGame(
-                    username || 'anonymous', // Use username or fallback
+                    currentUserId,
                     username || 'Anonymous Player',
                     scriptId
                   );
                   
-                  // Set the game data
-                  setGameId(newGameId);
+                  // Follow the new game, starting in the lobby
                   setSelectedGameScript(scriptId);
-                  
-                  // Get the complete game data including players from Firebase
                   const completeGameData = await firebaseService.getGameData(newGameId);
-                  if (completeGameData) {
-                    setGameData(completeGameData);
-                  }
-                  
-                  // Set up proper real-time subscription using the service method
-                  const subscription = firebaseService.subscribeToGame(newGameId, (data: any) => {
-                    setGameData(data);
-                    
-                    // Auto-navigate based on game status changes (for non-host players)
-                    // Only auto-navigate if we're not already in the correct view
-                    // AND if the player has a character assigned (except for character selection)
-                    
-                    // Check if current player has a character assigned
-                    const currentPlayer = data?.players?.find((p: any) => p.userId === username);
-                    const hasCharacter = currentPlayer && currentPlayer.characterName;
-                    
-                    if (data?.status === 'IN_PROGRESS') {
-                      // If game is in progress, navigate to appropriate view based on current round
-                      if (data?.currentRound === 1 && view !== VIEWS.INTRODUCTION && hasCharacter) {
-                        setView(VIEWS.INTRODUCTION);
-                      } else if (data?.currentRound >= 2 && view !== VIEWS.GAME && hasCharacter) {
-                        setView(VIEWS.GAME);
-                      }
-                    } else if (data?.status === 'LOBBY' && view !== VIEWS.LOBBY && hasCharacter) {
-                      // If game is back in lobby, navigate to lobby (only if player has character)
-                      setView(VIEWS.LOBBY);
-                    } else if ((data?.status === 'COMPLETED' || data?.currentRound === 7) && view !== VIEWS.GAME && hasCharacter) {
-                      // If game is completed, navigate to game view (which shows end screen for round 7)
-                      setView(VIEWS.GAME);
-                    }
-                    
-                    // If player doesn't have a character, they should stay in LOBBY
-                    if (!hasCharacter && view !== VIEWS.LOBBY) {
-                      setView(VIEWS.LOBBY);
-                    }
-                  });
-                  setGameSubscription(() => subscription);
-                  
-                  // Navigate to lobby (not introduction)
-                  setView(VIEWS.LOBBY);
+                  openGame(newGameId, currentUserId, completeGameData);
                 } catch (error: any) {
                   console.error('Error launching game:', error);
                   // Show error to user instead of pretending it worked
@@ -573,6 +735,11 @@ export default function App() {
                   setGameLoading(false);
                 }
               }}
+              onInstallScript={async (url: string) => {
+                const script: any = await gameScriptService.downloadScriptBundle(url);
+                setAvailableGameScripts(gameScriptService.getAvailableScripts() as any[]);
+                Alert.alert('Mystery Added', `${script?.title || 'The mystery'} is ready to play.`);
+              }}
               gameLoading={gameLoading}
               dynamicStyles={dynamicStyles}
               containerOnLayout={() => {}}
@@ -583,35 +750,22 @@ export default function App() {
           
           
           {view === VIEWS.LOBBY && (() => {
-            // Helper: get current player
-            const getCurrentPlayer = () => {
-              if (!gameData?.players || !username) return null;
-              if (!Array.isArray(gameData.players)) return null;
-              return gameData.players.find((p: any) => p.userId === username);
-            };
-
-            // Helper: is host
-            const isHost = () => {
-              const player = getCurrentPlayer();
-              return player && player.isHost;
-            };
-
             // Helper: get available characters for virtuals
             const getAvailableCharactersForVirtuals = () => {
               if (!gameData || !gameData.players) return [];
               if (!Array.isArray(gameData.players)) return [];
               const assignedCharacters = gameData.players.filter((p: any) => p.characterName).map((p: any) => p.characterName);
-              return gameScriptService.getCharacters(gameData.gameScriptId).filter((character: any) => {
+              return gameScriptService.getCharacters(gameData).filter((character: any) => {
                 return !assignedCharacters.includes(character.characterName);
               });
             };
 
             // Helper: can start game
-            const minPlayers = gameScriptService.getGameScript(gameData?.gameScriptId)?.gameFlow?.minPlayers || 8;
-            const maxPlayers = gameScriptService.getGameScript(gameData?.gameScriptId)?.gameFlow?.maxPlayers || 8;
+            const minPlayers = gameScriptService.getGameScript(gameData)?.gameFlow?.minPlayers || 8;
+            const maxPlayers = gameScriptService.getGameScript(gameData)?.gameFlow?.maxPlayers || 8;
             const allPlayersJoined = gameData?.players?.length >= minPlayers;
             const allCharactersAssigned = gameData?.players?.every((p: any) => p.characterName);
-            const canStartGame = isHost() && allPlayersJoined && allCharactersAssigned;
+            const canStartGame = isHost && allPlayersJoined && allCharactersAssigned;
 
             // Copy game code
             const handleCopyGameCode = () => {
@@ -620,56 +774,6 @@ export default function App() {
                                 Alert.alert('Success', 'Game code copied to clipboard!');
             };
 
-            // Add virtual player
-            const handleAddVirtualPlayer = async (character: any) => {
-              if (!gameId) return;
-              try {
-                const charName = character.characterName || character.Character;
-                const userIdVirtual = `player_${charName.replace(/\W/g, '')}`;
-                const username = charName;
-                const joinResult = await firebaseService.joinGame(gameId, userIdVirtual, username);
-                
-                // Verify the player was actually added
-                const gameDataAfterJoin = await firebaseService.getGameData(gameId);
-                
-                // Check if the virtual player document actually exists
-                if (firebaseService.db) {
-                  try {
-                    const playerDoc = await firebaseService.db.collection('games').doc(gameId).collection('players').doc(userIdVirtual).get();
-                    if (!playerDoc.exists()) {
-                      // Try to manually create the player document to see what error we get
-                      try {
-                        const playerData = {
-                          userId: userIdVirtual,
-                          username: username,
-                          characterName: null,
-                          isHost: false,
-                          isSimulated: true,
-                          roundStates: {},
-                          accusations: { made: [], received: [] },
-                          joinedAt: Date.now(),
-                          leftAt: null,
-                          reconnectedAt: null,
-                          lastActiveAt: Date.now(),
-                          characterData: { isMurderer: false, secretInformation: null }
-                        };
-                        await firebaseService.db.collection('games').doc(gameId).collection('players').doc(userIdVirtual).set(playerData);
-                      } catch (manualError) {
-                        console.error('🔧 Error creating virtual player document:', manualError);
-                      }
-                    }
-                  } catch (error: any) {
-                    console.error('🔧 Error checking player document:', error);
-                  }
-                }
-                
-                await firebaseService.selectCharacter(gameId, userIdVirtual, charName);
-              } catch (error: any) {
-                console.error('Error adding virtual player:', error);
-                                  Alert.alert('Error', 'Failed to add virtual player: ' + (error.message || 'Unknown error'));
-              }
-            };
-
             // Start game
             const handleStartGame = async () => {
               if (!gameId) return;
@@ -693,13 +797,16 @@ export default function App() {
               <UnifiedLobbyView
                 gameId={gameId}
                 gameData={gameData}
-                userId={username || 'anonymous'}
+                userId={userId}
                 dynamicStyles={dynamicStyles}
-                isHost={isHost()}
+                isHost={isHost}
                 onCopyGameCode={handleCopyGameCode}
                 onStartGame={handleStartGame}
                 canStartGame={canStartGame}
                 onBackToHome={handleBackToHome}
+                localPlayAddress={localPlay?.gameId === gameId ? localPlay.address : null}
+                onStartLocalHost={startLocalHost}
+                onStopLocalHost={() => gameId && userId && stopLocalPlay(gameId, userId)}
                 scrollViewRef={lobbyScrollViewRef}
               />
             );
@@ -709,12 +816,13 @@ export default function App() {
             <IntroductionView
               gameId={gameId}
               gameData={gameData}
-              userId={username || 'anonymous'}
+              userId={userId}
               dynamicStyles={dynamicStyles}
               textSize={textSize}
               onAdvanceToNextRound={async () => {
                 try {
-                  await firebaseService.advanceRound(gameId);
+                  // Compare-and-set on the round on screen; if someone else already advanced it, that's fine
+                  await firebaseService.advanceRound(gameId, gameData?.currentRound ?? null);
                 } catch (error: any) {
                   console.error('🔧 Error advancing round:', error);
                   Alert.alert('Error', 'Failed to advance round: ' + (error.message || 'Unknown error'));
@@ -731,20 +839,19 @@ export default function App() {
             <GameView
               gameId={gameId}
               gameData={gameData}
-              userId={username || 'anonymous'}
+              userId={userId}
               dynamicStyles={dynamicStyles}
               textSize={textSize}
               onAdvanceToNextRound={async () => {
                 try {
-                  await firebaseService.advanceRound(gameId);
+                  // Compare-and-set on the round on screen; if someone else already advanced it, that's fine
+                  await firebaseService.advanceRound(gameId, gameData?.currentRound ?? null);
                 } catch (error: any) {
                   console.error('🔧 Error advancing round:', error);
                   Alert.alert('Error', 'Failed to advance round: ' + (error.message || 'Unknown error'));
                 }
               }}
-              onExitGame={() => {
-                setView(VIEWS.HOME);
-              }}
+              onExitGame={goHome}
               onShowPlayerScript={(player: any) => {
                 showPlayerScript(player);
               }}
@@ -756,6 +863,8 @@ export default function App() {
             <JoinGameView
               gameCode={gameCode}
               setGameCode={setGameCode}
+              localHost={localHostInput}
+              setLocalHost={setLocalHostInput}
               onJoin={handleJoinGame}
               onBack={() => setView(VIEWS.HOME)}
               gameLoading={gameLoading}
@@ -769,7 +878,10 @@ export default function App() {
               myGames={myGamesData}
               myGamesLoading={myGamesLoading}
               myGamesFilter={myGamesFilter}
-              setMyGamesFilter={setMyGamesFilter}
+              setMyGamesFilter={changeMyGamesFilter}
+              hasMoreGames={!!myGamesCursor}
+              loadingMoreGames={myGamesLoadingMore}
+              onLoadMore={loadMoreGames}
               onGo={handleGoToGame}
               onInvite={handleInviteToGame}
               onDelete={handleDeleteGame}
@@ -0,0 +1,631 @@
+/**
+ * @format
+ */
+
+import {beforeEach, describe, expect, it, jest} from '@jest/globals';
+import service from '../firebase';
+import {GameRepository} from '../storage/gameRepository';
+import {createMemoryAdapter} from '../storage/memoryAdapter';
+import gameScriptService from '../gameScriptService';
+import {CharacterOfferedError, CharacterTakenError} from '../errors';
+
+// Games keep a copy of their script version on the device
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  __esModule: true,
+  default: require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+}));
+
+const SCRIPT_ID = '1';
+
+// Let pending watcher notifications run
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('game lifecycle against the in-memory store', () => {
+  beforeEach(() => {
+    service.setStore(new GameRepository(createMemoryAdapter()));
+  });
+
+  it('plays a whole game from lobby to results', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const murderer = characters.find(character => character.isMurderer).characterName;
+
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    const userIds = characters.map((character, index) => (index === 0 ? 'host' : `user${index}`));
+    for (const userId of userIds.slice(1)) {
+      await service.joinGame(gameId, userId, userId);
+    }
+    for (const [index, userId] of userIds.entries()) {
+      await service.assignCharacter(gameId, userId, characters[index].characterName);
+    }
+
+    const updates = [];
+    const unsubscribe = service.subscribeToGame(gameId, data => updates.push(data));
+    await flush();
+
+    await service.startGame(gameId);
+    await service.updatePlayerReady(gameId, 'user1', true, 1);
+    let game = await service.getGameData(gameId);
+    expect(game.currentRound).toBe(1);
+    expect(game.players.find(player => player.userId === 'user1').roundStates[1].ready).toBe(true);
+
+    const accusationRound = gameScriptService.getGameFlow(SCRIPT_ID).accusationRound;
+    while (game.currentRound !== accusationRound) {
+      await service.advanceRound(gameId);
+      game = await service.getGameData(gameId);
+    }
+    await service.submitAccusation(gameId, 'user1', murderer);
+    await service.submitAccusation(gameId, 'user2', 'Nobody');
+    while (game.status !== 'COMPLETED') {
+      await service.advanceRound(gameId);
+      game = await service.getGameData(gameId);
+    }
+
+    expect(game.results.solvedBy).toContain('user1');
+    expect(game.results.solvedBy).not.toContain('user2');
+    expect(game.accusations.accusations.find(accusation => accusation.accuserId === 'user1').isCorrect).toBe(true);
+
+    await flush();
+    expect(updates[updates.length - 1].status).toBe('COMPLETED');
+    unsubscribe();
+
+    const userGames = await service.getUserGames('user1');
+    expect(userGames.map(userGame => userGame.gameId)).toEqual([gameId]);
+  });
+
+  it('lets only one player hold a character', async () => {
+    const [first, second] = gameScriptService.getCharacters(SCRIPT_ID);
+
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.joinGame(gameId, 'guest', 'Guest');
+    await service.assignCharacter(gameId, 'host', first.characterName);
+
+    await expect(service.assignCharacter(gameId, 'guest', first.characterName)).rejects.toBeInstanceOf(CharacterTakenError);
+
+    // Switching releases the old claim for someone else
+    await service.assignCharacter(gameId, 'host', second.characterName);
+    await service.assignCharacter(gameId, 'guest', first.characterName);
+    const game = await service.getGameData(gameId);
+    expect(game.players.find(player => player.userId === 'guest').characterName).toBe(first.characterName);
+  });
+
+  it('keeps who the murderer is out of the shared game until the end', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const murderer = characters.find(character => character.isMurderer).characterName;
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.joinGame(gameId, 'guest', 'Guest');
+    await service.assignCharacter(gameId, 'guest', murderer);
+
+    let game = await service.getGameData(gameId);
+    expect(game.players.find(player => player.userId === 'guest').characterData).toBeUndefined();
+    expect(await service.getCharacterSecret(gameId, 'guest')).toMatchObject({characterName: murderer, isMurderer: true});
+    expect(await service.getCharacterSecret(gameId, 'host')).toBeNull();
+    await expect(service.listCharacterSecrets(gameId, 'guest')).rejects.toMatchObject({code: 'NOT_HOST'});
+    expect(await service.listCharacterSecrets(gameId, 'host')).toHaveLength(1);
+
+    // Switching characters takes the secret with it
+    await service.assignCharacter(gameId, 'guest', characters.find(character => !character.isMurderer).characterName);
+    expect(await service.getCharacterSecret(gameId, 'guest')).toMatchObject({isMurderer: false});
+    await service.releaseCharacter(gameId, 'guest');
+    expect(await service.getCharacterSecret(gameId, 'guest')).toBeNull();
+
+    // Accusations are only marked right or wrong once the game is scored
+    await service.store.updateGame(gameId, {status: 'IN_PROGRESS', currentRound: 5.5});
+    await service.submitAccusation(gameId, 'guest', murderer);
+    game = await service.getGameData(gameId);
+    expect(game.accusations.accusations[0]).not.toHaveProperty('isCorrect');
+  });
+
+  it('follows a game from its snapshots, coalescing changes into one update', async () => {
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.joinGame(gameId, 'guest', 'Guest');
+    await service.joinGame(gameId, 'other', 'Other');
+
+    const updates = [];
+    const unsubscribe = service.subscribeToGame(gameId, data => updates.push(data));
+    // The snapshots arrive, then the coalesced update goes out on the next tick
+    await flush();
+    await flush();
+    expect(updates).toHaveLength(1);
+    expect(updates[0].players.map(player => player.userId)).toEqual(['host', 'guest', 'other']);
+
+    const getGame = jest.spyOn(service.store, 'getGame');
+    const listPlayers = jest.spyOn(service.store, 'listPlayers');
+    const batch = service.store.batch();
+    batch.updateGame(gameId, {currentRound: 1});
+    ['host', 'guest', 'other'].forEach(userId => batch.updatePlayer(gameId, userId, {roundStates: {1: {ready: true}}}));
+    await batch.commit();
+    await service.store.deletePlayer(gameId, 'other');
+    await flush();
+    await flush();
+
+    expect(updates).toHaveLength(2);
+    expect(updates[1].currentRound).toBe(1);
+    expect(updates[1].players.map(player => player.userId)).toEqual(['host', 'guest']);
+    expect(updates[1].players.every(player => player.roundStates[1].ready)).toBe(true);
+    expect(getGame).not.toHaveBeenCalled();
+    expect(listPlayers).not.toHaveBeenCalled();
+
+    unsubscribe();
+    await service.store.updateGame(gameId, {currentRound: 2});
+    await flush();
+    expect(updates).toHaveLength(2);
+  });
+
+  it('puts players back into the game they were playing', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    const userIds = characters.map((character, index) => (index === 0 ? 'host' : index === 1 ? 'guest' : `user${index}`));
+    for (const [index, userId] of userIds.entries()) {
+      await service.joinGame(gameId, userId, userId);
+      await service.assignCharacter(gameId, userId, characters[index].characterName);
+    }
+    expect(await service.findActiveGame('guest')).toBeNull();
+
+    await service.startGame(gameId);
+    await service.updatePlayerReady(gameId, 'guest', true, 1);
+    const active = await service.findActiveGame('guest');
+    expect(active.gameId).toBe(gameId);
+
+    const game = await service.rejoinGame(gameId, 'guest');
+    expect(game.currentRound).toBe(1);
+    expect(game.players.find(player => player.userId === 'guest').roundStates[1].ready).toBe(true);
+    await expect(service.rejoinGame(gameId, 'stranger')).rejects.toMatchObject({code: 'NOT_IN_GAME'});
+
+    // With rejoining turned off only the host can come back
+    await service.store.updateGame(gameId, {allowRejoin: false});
+    await expect(service.rejoinGame(gameId, 'guest')).rejects.toMatchObject({code: 'REJOIN_NOT_ALLOWED'});
+    // Not by entering the game code again either
+    await expect(service.joinGame(gameId, 'guest', 'guest')).rejects.toMatchObject({code: 'REJOIN_NOT_ALLOWED'});
+    expect(await service.findActiveGame('guest')).toBeNull();
+    expect((await service.rejoinGame(gameId, 'host')).gameId).toBe(gameId);
+  });
+
+  it('hands hosting over and names co-hosts', async () => {
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.joinGame(gameId, 'guest', 'Guest');
+    await service.joinGame(gameId, 'other', 'Other');
+
+    await expect(service.setCoHost(gameId, 'guest', 'other', true)).rejects.toMatchObject({code: 'NOT_HOST'});
+    await service.setCoHost(gameId, 'host', 'other', true);
+    expect((await service.store.getPlayer(gameId, 'other')).isCoHost).toBe(true);
+
+    await expect(service.transferHost(gameId, 'guest', 'other')).rejects.toMatchObject({code: 'NOT_HOST'});
+    await expect(service.transferHost(gameId, 'host', 'stranger')).rejects.toMatchObject({code: 'INVALID_HOST'});
+    await service.transferHost(gameId, 'host', 'other');
+
+    const game = await service.getGameData(gameId);
+    expect(game.hostUserId).toBe('other');
+    expect(game.players.find(player => player.userId === 'host').isHost).toBe(false);
+    expect(game.players.find(player => player.userId === 'other')).toMatchObject({isHost: true, isCoHost: false});
+    expect((await service.store.getUserGame('other', gameId)).role).toBe('host');
+    expect((await service.store.getUserGame('host', gameId)).role).toBe('player');
+  });
+
+  it('passes hosting to a co-host when the host goes quiet', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    const userIds = characters.map((character, index) => (index === 0 ? 'host' : `user${index}`));
+    for (const [index, userId] of userIds.entries()) {
+      await service.joinGame(gameId, userId, userId);
+      await service.assignCharacter(gameId, userId, characters[index].characterName);
+    }
+    await service.setCoHost(gameId, 'host', 'user2', true);
+    await service.startGame(gameId);
+
+    const start = Date.now();
+    expect(await service.checkHostFailover(gameId, start + 60 * 1000)).toBeNull();
+
+    // Ten minutes on, everyone but the host is still sending heartbeats
+    const later = start + 10 * 60 * 1000;
+    for (const userId of userIds.slice(1)) {
+      await service.store.updatePlayer(gameId, userId, {lastActiveAt: later - 1000});
+    }
+    expect(await service.checkHostFailover(gameId, later)).toBe('user2');
+    expect(await service.checkHostFailover(gameId, later)).toBeNull();
+
+    const game = await service.getGameData(gameId);
+    expect(game.hostUserId).toBe('user2');
+    expect(game.players.find(player => player.userId === 'host').isHost).toBe(false);
+
+    // With failover turned off the new host can stay away as long as they like
+    await service.setHostFailoverMinutes(gameId, 'user2', 0);
+    expect(await service.checkHostFailover(gameId, later + 60 * 60 * 1000)).toBeNull();
+  });
+
+  it('lets the host remove and block players', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.joinGame(gameId, 'stranger', 'Stranger');
+    await service.assignCharacter(gameId, 'stranger', characters[1].characterName);
+
+    await expect(service.kickPlayer(gameId, 'stranger', 'host')).rejects.toMatchObject({code: 'NOT_HOST'});
+    await service.kickPlayer(gameId, 'host', 'stranger', {block: true});
+    expect(await service.store.getPlayer(gameId, 'stranger')).toBeNull();
+    expect(await service.store.getUserGame('stranger', gameId)).toBeNull();
+    await expect(service.joinGame(gameId, 'stranger', 'Stranger')).rejects.toMatchObject({code: 'BLOCKED'});
+
+    // Their character is free again
+    await service.joinGame(gameId, 'friend', 'Friend');
+    await service.assignCharacter(gameId, 'friend', characters[1].characterName);
+
+    await service.unblockPlayer(gameId, 'host', 'stranger');
+    await service.joinGame(gameId, 'stranger', 'Stranger');
+    expect(await service.store.getPlayer(gameId, 'stranger')).not.toBeNull();
+  });
+
+  it('seats only as many players as the game has room for, however they arrive', async () => {
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    const {maxPlayers} = await service.store.getGame(gameId);
+    for (let index = 1; index < maxPlayers - 1; index++) {
+      await service.joinGame(gameId, `user${index}`, `User ${index}`);
+    }
+
+    // Two players going for the last place at once
+    const results = await Promise.allSettled([
+      service.joinGame(gameId, 'early', 'Early'),
+      service.joinGame(gameId, 'late', 'Late'),
+    ]);
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason).toMatchObject({code: 'GAME_FULL'});
+    expect((await service.store.getGame(gameId)).playerCount).toBe(maxPlayers);
+    expect(await service.store.listPlayers(gameId)).toHaveLength(maxPlayers);
+
+    // Leaving makes room again; games from before the count was kept count their players
+    await service.kickPlayer(gameId, 'host', 'early');
+    await service.store.updateGame(gameId, {playerCount: null});
+    await service.joinGame(gameId, 'late', 'Late');
+    expect((await service.store.getGame(gameId)).playerCount).toBe(maxPlayers);
+  });
+
+  it('keeps a removed player\'s character in the game once it has started', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    const userIds = characters.map((character, index) => (index === 0 ? 'host' : `user${index}`));
+    for (const [index, userId] of userIds.entries()) {
+      await service.joinGame(gameId, userId, userId);
+      await service.assignCharacter(gameId, userId, characters[index].characterName);
+    }
+    await service.startGame(gameId);
+    await service.updatePlayerReady(gameId, 'user1', true, 1);
+    await expect(service.joinGame(gameId, 'latecomer', 'Latecomer')).rejects.toMatchObject({code: 'GAME_STARTED'});
+
+    await service.kickPlayer(gameId, 'host', 'user1');
+    const game = await service.getGameData(gameId);
+    expect(game.players.some(player => player.userId === 'user1')).toBe(false);
+    const seat = game.players.find(player => player.characterName === characters[1].characterName);
+    expect(seat).toMatchObject({isVirtual: true, username: characters[1].characterName});
+    expect(seat.roundStates[1].ready).toBe(true);
+    // Not blocked, but the game has started
+    await expect(service.joinGame(gameId, 'user1', 'user1')).rejects.toMatchObject({code: 'GAME_STARTED'});
+  });
+
+  it('hands a character to a virtual player and then to a newcomer mid-game', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const characterName = characters[1].characterName;
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    const userIds = characters.map((character, index) => (index === 0 ? 'host' : `user${index}`));
+    for (const [index, userId] of userIds.entries()) {
+      await service.joinGame(gameId, userId, userId);
+      await service.assignCharacter(gameId, userId, characters[index].characterName);
+    }
+    await expect(service.reassignCharacter(gameId, 'host', characterName)).rejects.toMatchObject({code: 'NOT_IN_PROGRESS'});
+    await service.startGame(gameId);
+    await service.updatePlayerReady(gameId, 'user1', true, 1);
+
+    await expect(service.reassignCharacter(gameId, 'user2', characterName)).rejects.toMatchObject({code: 'NOT_HOST'});
+    const virtualId = await service.reassignCharacter(gameId, 'host', characterName);
+    let seat = await service.store.getPlayer(gameId, virtualId);
+    expect(seat).toMatchObject({characterName, isVirtual: true, username: characterName});
+    expect(seat.roundStates[1].ready).toBe(true);
+    expect(await service.store.getPlayer(gameId, 'user1')).toBeNull();
+    expect(await service.store.getUserGame('user1', gameId)).toBeNull();
+
+    await expect(service.reassignCharacter(gameId, 'host', characterName, {userId: 'user2', username: 'user2'})).rejects.toMatchObject({code: 'ALREADY_IN_GAME'});
+    expect(await service.reassignCharacter(gameId, 'host', characterName, {userId: 'newcomer', username: 'Newcomer'})).toBe('newcomer');
+    seat = await service.store.getPlayer(gameId, 'newcomer');
+    expect(seat).toMatchObject({characterName, isVirtual: false, username: 'Newcomer'});
+    expect(seat.roundStates[1].ready).toBe(true);
+    expect(await service.store.getPlayer(gameId, virtualId)).toBeNull();
+    expect(await service.getCharacterSecret(gameId, 'newcomer')).toMatchObject({characterName});
+    expect(await service.getCharacterSecret(gameId, virtualId)).toBeNull();
+    expect((await service.findActiveGame('newcomer')).gameId).toBe(gameId);
+  });
+
+  it('fills virtual seats in the lobby and plays them automatically', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.assignCharacter(gameId, 'host', characters[0].characterName);
+    const virtualIds = [];
+    for (const character of characters.slice(1)) {
+      virtualIds.push(await service.addVirtualPlayer(gameId, character.characterName));
+    }
+    await expect(service.addVirtualPlayer(gameId, characters[0].characterName)).rejects.toBeInstanceOf(CharacterTakenError);
+    expect((await service.listVirtualPlayers(gameId)).map(player => player.userId).sort()).toEqual([...virtualIds].sort());
+
+    // A real player takes one virtual seat over; another is removed and added back
+    await service.joinGame(gameId, 'guest', 'Guest');
+    await service.assignCharacter(gameId, 'guest', characters[1].characterName);
+    await service.removeVirtualPlayer(gameId, virtualIds[1]);
+    await expect(service.removeVirtualPlayer(gameId, 'guest')).rejects.toMatchObject({code: 'NOT_VIRTUAL'});
+    await service.addVirtualPlayer(gameId, characters[2].characterName);
+    expect(await service.listVirtualPlayers(gameId)).toHaveLength(characters.length - 2);
+
+    await service.startGame(gameId);
+    let game = await service.getGameData(gameId);
+    for (const player of game.players) {
+      expect([player.userId, player.roundStates[game.currentRound].ready]).toEqual([player.userId, player.isVirtual]);
+    }
+
+    // Virtual players accuse as soon as an accusation round starts
+    const accusationRound = gameScriptService.getAccusationRounds(SCRIPT_ID)[0];
+    while (game.currentRound !== accusationRound) {
+      await service.advanceRound(gameId);
+      game = await service.getGameData(gameId);
+    }
+    for (const player of game.players.filter(p => p.isVirtual)) {
+      expect(player.accusations.made.map(accusation => accusation.round)).toEqual([accusationRound]);
+    }
+    expect(game.players.find(player => player.userId === 'guest').accusations.made).toEqual([]);
+  });
+
+  it('advances a complete round once however many devices try', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    const userIds = characters.map((character, index) => (index === 0 ? 'host' : `user${index}`));
+    for (const [index, userId] of userIds.entries()) {
+      await service.joinGame(gameId, userId, userId);
+      await service.assignCharacter(gameId, userId, characters[index].characterName);
+    }
+    await service.startGame(gameId);
+    const round = (await service.getGameData(gameId)).currentRound;
+
+    // Off by default
+    expect(await service.startAutoAdvance(gameId, round)).toBe(false);
+    await expect(service.setAutoAdvanceRounds(gameId, 'user1', true)).rejects.toMatchObject({code: 'NOT_HOST'});
+    await service.setAutoAdvanceRounds(gameId, 'host', true);
+
+    const started = await Promise.all(userIds.map(() => service.startAutoAdvance(gameId, round)));
+    expect(started.filter(Boolean)).toHaveLength(1);
+    expect((await service.store.getGame(gameId)).autoAdvance).toMatchObject({round, status: 'COUNTING'});
+
+    const advanced = await Promise.all(userIds.map(() => service.completeAutoAdvance(gameId, round)));
+    expect(advanced.filter(Boolean)).toHaveLength(1);
+    const nextRound = gameScriptService.getNextRound(SCRIPT_ID, round);
+    expect((await service.store.getGame(gameId)).currentRound).toBe(nextRound);
+
+    // A cancelled countdown doesn't start again for that round
+    await service.startAutoAdvance(gameId, nextRound);
+    await expect(service.cancelAutoAdvance(gameId, 'user1', nextRound)).rejects.toMatchObject({code: 'NOT_HOST'});
+    await service.cancelAutoAdvance(gameId, 'host', nextRound);
+    expect(await service.startAutoAdvance(gameId, nextRound)).toBe(false);
+    expect(await service.completeAutoAdvance(gameId, nextRound)).toBe(false);
+    expect((await service.store.getGame(gameId)).currentRound).toBe(nextRound);
+  });
+
+  it('lets the countdown start again when advancing fails', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    const userIds = characters.map((character, index) => (index === 0 ? 'host' : `user${index}`));
+    for (const [index, userId] of userIds.entries()) {
+      await service.joinGame(gameId, userId, userId);
+      await service.assignCharacter(gameId, userId, characters[index].characterName);
+    }
+    await service.startGame(gameId);
+    const round = (await service.getGameData(gameId)).currentRound;
+    await service.setAutoAdvanceRounds(gameId, 'host', true);
+    await service.startAutoAdvance(gameId, round);
+
+    const advanceRound = jest.spyOn(service, 'advanceRound').mockRejectedValueOnce(new Error('Failed to advance round'));
+    await expect(service.completeAutoAdvance(gameId, round)).rejects.toThrow('Failed to advance round');
+    advanceRound.mockRestore();
+    expect((await service.store.getGame(gameId)).autoAdvance).toBeNull();
+
+    expect(await service.startAutoAdvance(gameId, round)).toBe(true);
+    expect(await service.completeAutoAdvance(gameId, round)).toBe(true);
+    expect((await service.store.getGame(gameId)).currentRound).toBe(gameScriptService.getNextRound(SCRIPT_ID, round));
+  });
+
+  it('advances each round once, even when asked twice', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    const userIds = characters.map((character, index) => (index === 0 ? 'host' : `user${index}`));
+    for (const [index, userId] of userIds.entries()) {
+      await service.joinGame(gameId, userId, userId);
+      await service.assignCharacter(gameId, userId, characters[index].characterName);
+    }
+    await service.startGame(gameId);
+    const firstRound = (await service.getGameData(gameId)).currentRound;
+    const secondRound = gameScriptService.getNextRound(SCRIPT_ID, firstRound);
+
+    // A double tap: both presses saw the first round
+    const results = await Promise.all([service.advanceRound(gameId, firstRound), service.advanceRound(gameId, firstRound)]);
+    expect(results).toEqual(expect.arrayContaining([
+      {advanced: true, round: secondRound},
+      {advanced: false, alreadyAdvanced: true, round: secondRound},
+    ]));
+    expect((await service.store.getGame(gameId)).currentRound).toBe(secondRound);
+
+    // Rounds like 5.5 are stored under their own key
+    const accusationRound = gameScriptService.getAccusationRounds(SCRIPT_ID)[0];
+    let game = await service.getGameData(gameId);
+    while (game.currentRound !== accusationRound) {
+      await service.advanceRound(gameId, game.currentRound);
+      game = await service.getGameData(gameId);
+    }
+    await service.updatePlayerReady(gameId, 'user1', true, accusationRound);
+    game = await service.getGameData(gameId);
+    expect(game.roundData[accusationRound]).toEqual({readyPlayers: []});
+    const player = game.players.find(p => p.userId === 'user1');
+    expect(player.roundStates[accusationRound]).toEqual({ready: true});
+    expect(player.roundStates[Math.floor(accusationRound)]).toEqual({ready: false, readyAt: null});
+  });
+
+  it('completes the game in the same write that moves it to the end', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    const userIds = characters.map((character, index) => (index === 0 ? 'host' : `user${index}`));
+    for (const [index, userId] of userIds.entries()) {
+      await service.joinGame(gameId, userId, userId);
+      await service.assignCharacter(gameId, userId, characters[index].characterName);
+    }
+    await service.startGame(gameId);
+
+    const endRound = gameScriptService.getPhases(SCRIPT_ID).slice(-1)[0].round;
+    let game = await service.getGameData(gameId);
+    while (gameScriptService.getNextRound(SCRIPT_ID, game.currentRound) !== endRound) {
+      await service.advanceRound(gameId, game.currentRound);
+      game = await service.getGameData(gameId);
+    }
+    const seen = [];
+    const stopWatching = service.store.watchGame(gameId, data => seen.push(data));
+    await service.advanceRound(gameId, game.currentRound);
+    await flush();
+    stopWatching();
+    expect(seen.filter(data => data.currentRound === endRound && data.status !== 'COMPLETED')).toEqual([]);
+    game = await service.getGameData(gameId);
+    expect(game.status).toBe('COMPLETED');
+    expect(game.results.accusationRound).toBeDefined();
+
+    // A game stuck on its end phase from before is finished rather than refused
+    await service.store.updateGame(gameId, {status: 'IN_PROGRESS', gameState: 'IN_PROGRESS'});
+    await expect(service.advanceRound(gameId, endRound)).resolves.toEqual({advanced: true, round: endRound});
+    expect((await service.store.getGame(gameId)).status).toBe('COMPLETED');
+  });
+
+  it('invites a player to a character', async () => {
+    const [first, second] = gameScriptService.getCharacters(SCRIPT_ID);
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.saveUserProfile('guest', 'Guest');
+    await service.saveUserProfile('other', 'Other');
+
+    const pending = [];
+    const unsubscribe = service.subscribeToPendingInvites('guest', invites => pending.push(invites));
+    const invite = await service.inviteToGame(gameId, 'guest', 'host', first.characterName);
+    await expect(service.inviteToGame(gameId, 'guest', 'guest', null)).rejects.toThrow(/Only the host/);
+    await expect(service.inviteToGame(gameId, 'other', 'host', first.characterName)).rejects.toThrow(/already been offered/);
+    await expect(service.inviteToGame(gameId, 'host', 'host', null)).rejects.toMatchObject({code: 'ALREADY_IN_GAME'});
+
+    // The offered character is held for the invitee
+    await service.joinGame(gameId, 'early', 'Early');
+    await expect(service.assignCharacter(gameId, 'early', first.characterName)).rejects.toBeInstanceOf(CharacterOfferedError);
+    await flush();
+    expect(pending[pending.length - 1].map(i => [i.inviteeUsername, i.characterName])).toEqual([['Guest', first.characterName]]);
+
+    const game = await service.acceptInvite(invite.inviteId, 'guest', 'Guest');
+    expect(game.players.find(player => player.userId === 'guest').characterName).toBe(first.characterName);
+    expect((await service.store.getInvite(invite.inviteId)).status).toBe('ACCEPTED');
+    await flush();
+    expect(pending[pending.length - 1]).toEqual([]);
+    unsubscribe();
+
+    // A declined invitation stays visible to the host, and frees its character
+    const declined = await service.inviteToGame(gameId, 'other', 'host', second.characterName);
+    await service.declineInvite(declined.inviteId, 'other');
+    const sent = await service.store.listInvites({where: [['gameId', '==', gameId]]});
+    expect(sent.map(i => i.status).sort()).toEqual(['ACCEPTED', 'DECLINED']);
+    expect(await service.store.getClaim(gameId, encodeURIComponent(second.characterName))).toBeNull();
+
+    // So does a withdrawn one, and re-inviting someone to another character
+    await service.inviteToGame(gameId, 'other', 'host', second.characterName);
+    const [, , third] = gameScriptService.getCharacters(SCRIPT_ID);
+    const reinvite = await service.inviteToGame(gameId, 'other', 'host', third.characterName);
+    expect(await service.store.getClaim(gameId, encodeURIComponent(second.characterName))).toBeNull();
+    await service.cancelInvite(reinvite.inviteId);
+    await service.assignCharacter(gameId, 'early', third.characterName);
+
+    // Characters held by real players can't be offered
+    await expect(service.inviteToGame(gameId, 'other', 'host', first.characterName)).rejects.toBeInstanceOf(CharacterTakenError);
+  });
+
+  it("pages My Games from the summaries on each player's game records", async () => {
+    const [first] = gameScriptService.getCharacters(SCRIPT_ID);
+    const lobby = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.joinGame(lobby, 'guest', 'Guest');
+    await service.assignCharacter(lobby, 'guest', first.characterName);
+    const joined = await service.createGame('other', 'Other', SCRIPT_ID);
+    await service.joinGame(joined, 'host', 'Host');
+    const scheduled = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.scheduleGame(scheduled, 5000);
+    // Most recently active first: scheduled, joined, lobby
+    for (const [index, gameId] of [lobby, joined, scheduled].entries()) {
+      await service.store.updateUserGame('host', gameId, {lastActiveAt: index + 1});
+    }
+
+    const getGameData = jest.spyOn(service, 'getGameData');
+    const firstPage = await service.getUserGameSummaries('host', {limit: 2});
+    expect(firstPage.games.map(game => game.gameId)).toEqual([scheduled, joined]);
+    expect(firstPage.games[0].summary).toMatchObject({status: 'LOBBY', playerCount: 1, scheduledAt: 5000, characterName: null});
+    const secondPage = await service.getUserGameSummaries('host', {limit: 2, cursor: firstPage.nextCursor});
+    expect(secondPage.games.map(game => game.gameId)).toEqual([lobby]);
+    expect(secondPage.nextCursor).toBeNull();
+    expect(getGameData).not.toHaveBeenCalled();
+    getGameData.mockRestore();
+
+    const [guestGame] = (await service.getUserGameSummaries('guest')).games;
+    expect(guestGame.summary).toMatchObject({title: gameScriptService.getGameScript(SCRIPT_ID).title, playerCount: 2, characterName: first.characterName});
+
+    const ids = async filter => (await service.getUserGameSummaries('host', {filter})).games.map(game => game.gameId);
+    expect(await ids('hosted')).toEqual([scheduled, lobby]);
+    expect(await ids('joined')).toEqual([joined]);
+    await service.store.updateGame(lobby, {status: 'COMPLETED'});
+    await service.refreshGameSummaries(lobby);
+    expect(await ids('completed')).toEqual([lobby]);
+    expect(await ids('active')).toEqual([scheduled, joined]);
+
+    // Records from before summaries get theirs filled in
+    await service.store.setUserGame('guest', lobby, {gameId: lobby, role: 'player', lastActiveAt: 1});
+    expect((await service.getUserGameSummaries('guest')).games[0].summary.status).toBe('COMPLETED');
+    expect((await service.store.getUserGame('guest', lobby)).summary.status).toBe('COMPLETED');
+  });
+
+  it('fills My Games pages past deleted games and games active at the same moment', async () => {
+    const gameIds = [];
+    for (let index = 0; index < 5; index++) {
+      gameIds.push(await service.createGame('host', 'Host', SCRIPT_ID));
+    }
+    for (const gameId of gameIds) {
+      await service.store.updateUserGame('host', gameId, {lastActiveAt: 1});
+    }
+    await service.softDeleteGame(gameIds[1], 'host');
+    await service.softDeleteGame(gameIds[3], 'host');
+    expect((await service.store.getUserGame('host', gameIds[1])).summary.status).toBe('DELETED');
+
+    const firstPage = await service.getUserGameSummaries('host', {limit: 2});
+    expect(firstPage.games).toHaveLength(2);
+    const secondPage = await service.getUserGameSummaries('host', {limit: 2, cursor: firstPage.nextCursor});
+    expect(secondPage.games).toHaveLength(1);
+    expect(secondPage.nextCursor).toBeNull();
+    const paged = [...firstPage.games, ...secondPage.games].map(game => game.gameId);
+    expect(paged.sort()).toEqual([gameIds[0], gameIds[2], gameIds[4]].sort());
+  });
+
+  it('averages game durations from times saved as numbers or as Timestamps', async () => {
+    const HOUR = 60 * 60 * 1000;
+    const timestamp = millis => ({toMillis: () => millis});
+    const recent = await service.createGame('host', 'Host', SCRIPT_ID);
+    const older = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.store.updateGame(recent, {gameState: 'COMPLETED', createdAt: 1000, completedAt: 1000 + HOUR});
+    await service.store.updateGame(older, {gameState: 'COMPLETED', createdAt: timestamp(0), completedAt: timestamp(3 * HOUR)});
+
+    const stats = await service.getUserGameStats('host');
+    expect(stats).toMatchObject({totalGames: 3, gamesHosted: 3, completedGames: 2, averageGameDuration: 2 * HOUR});
+  });
+
+  it('marks a deleted game deleted for every player in it', async () => {
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.joinGame(gameId, 'guest', 'Guest');
+    await service.addVirtualPlayer(gameId, gameScriptService.getCharacters(SCRIPT_ID)[0].characterName);
+
+    await expect(service.softDeleteGame(gameId, 'guest')).rejects.toThrow(/Only the host/);
+    await service.softDeleteGame(gameId, 'host');
+
+    const {deletedAt} = await service.store.getGame(gameId);
+    expect(deletedAt).toEqual(expect.any(Number));
+    for (const userId of ['host', 'guest']) {
+      expect(await service.store.getUserGame(userId, gameId)).toMatchObject({status: 'deleted', deletedAt});
+      expect(await service.getUserGames(userId)).toEqual([]);
+      expect((await service.getUserGameSummaries(userId)).games).toEqual([]);
+    }
+  });
+});
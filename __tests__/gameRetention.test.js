@@ -0,0 +1,90 @@
+/**
+ * @format
+ */
+
+import {beforeEach, describe, expect, it, jest} from '@jest/globals';
+import service from '../firebase';
+import {GameRepository} from '../storage/gameRepository';
+import {createMemoryAdapter} from '../storage/memoryAdapter';
+import {cleanupGames, resolveRetentionPolicy, RETENTION_REASONS} from '../storage/gameRetention';
+import gameScriptService from '../gameScriptService';
+
+// Games keep a copy of their script version on the device
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  __esModule: true,
+  default: require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+}));
+
+const SCRIPT_ID = '1';
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('game retention', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new GameRepository(createMemoryAdapter());
+    service.setStore(store);
+  });
+
+  it('archives abandoned lobbies and long-deleted games with everything kept for them', async () => {
+    const [first] = gameScriptService.getCharacters(SCRIPT_ID);
+    const abandoned = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.joinGame(abandoned, 'guest', 'Guest');
+    await service.assignCharacter(abandoned, 'guest', first.characterName);
+    await service.saveUserProfile('invitee', 'Invitee');
+    await service.inviteToGame(abandoned, 'invitee', 'host', null);
+    const busy = await service.createGame('host', 'Host', SCRIPT_ID);
+    const deleted = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.softDeleteGame(deleted, 'host');
+
+    const now = Date.now() + 40 * DAY;
+    // Someone joined this lobby a day ago, so it isn't abandoned
+    await service.joinGame(busy, 'late', 'Late');
+    await store.updatePlayer(busy, 'late', {joinedAt: now - DAY});
+
+    const {removed} = await service.cleanupOldGames({abandonedLobbyDays: 30, deletedGameDays: 30, now});
+    expect(removed).toEqual([
+      {gameId: deleted, reason: RETENTION_REASONS.DELETED},
+      {gameId: abandoned, reason: RETENTION_REASONS.ABANDONED_LOBBY},
+    ]);
+
+    expect(await store.getGame(abandoned)).toBeNull();
+    expect(await store.listPlayers(abandoned)).toEqual([]);
+    expect(await store.listClaims(abandoned)).toEqual([]);
+    expect(await store.listCharacterSecrets(abandoned)).toEqual([]);
+    expect(await store.listInvites({where: [['gameId', '==', abandoned]]})).toEqual([]);
+    expect(await store.getUserGame('guest', abandoned)).toBeNull();
+    const archived = await store.getArchivedGame(abandoned);
+    expect(archived.archiveReason).toBe(RETENTION_REASONS.ABANDONED_LOBBY);
+    expect(archived.players.map(player => player.userId)).toEqual(['host', 'guest']);
+    expect(await store.getArchivedGame(deleted)).not.toBeNull();
+
+    expect(await store.getGame(busy)).not.toBeNull();
+    expect(await store.getUserGame('host', busy)).not.toBeNull();
+  });
+
+  it('purges without archiving, and dates games deleted before deletedAt was saved', async () => {
+    const deleted = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.softDeleteGame(deleted, 'host');
+    const undated = await service.createGame('host', 'Host', SCRIPT_ID);
+    await store.updateGame(undated, {gameState: 'DELETED'});
+    const now = Date.now() + 10 * DAY;
+    const policy = {action: 'purge', deletedGameDays: 7, abandonedLobbyDays: 30, now};
+
+    const dryRun = await cleanupGames(store, {...policy, dryRun: true});
+    expect(dryRun).toEqual({removed: [{gameId: deleted, reason: RETENTION_REASONS.DELETED}], undated: [undated]});
+    expect(await store.getGame(deleted)).not.toBeNull();
+    expect((await store.getGame(undated)).deletedAt).toBeUndefined();
+
+    await cleanupGames(store, policy);
+    expect(await store.getGame(deleted)).toBeNull();
+    expect(await store.getArchivedGame(deleted)).toBeNull();
+    expect((await store.getGame(undated)).deletedAt).toBe(now);
+  });
+
+  it('turns down policies that make no sense', () => {
+    expect(() => resolveRetentionPolicy({action: 'shred'})).toThrow(/action/);
+    expect(() => resolveRetentionPolicy({abandonedLobbyDays: -1})).toThrow(/abandonedLobbyDays/);
+    expect(resolveRetentionPolicy({deletedGameDays: 0})).toMatchObject({abandonedLobbyDays: 30, deletedGameDays: 0, action: 'archive'});
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import gameScriptService from '../gameScriptService';
+
+const {PHASE_TYPES} = gameScriptService;
+
+describe('round engine', () => {
+  it('uses the default phase ladder when a script declares no phases', () => {
+    const gameFlow = gameScriptService.getGameFlow('1');
+    expect(gameFlow.roundOrder).toEqual([1, 2, 3, 4, 5, 5.25, 5.5, 6, 7]);
+    expect(gameFlow.accusationRound).toBe(5.5);
+    expect(gameFlow.endRound).toBe(7);
+  });
+
+  it('walks the phases in order', () => {
+    expect(gameScriptService.getFirstRound('1')).toBe(1);
+    expect(gameScriptService.getNextRound('1', 5)).toBe(5.25);
+    expect(gameScriptService.getNextRound('1', 5.25)).toBe(5.5);
+    expect(gameScriptService.getNextRound('1', 5.5)).toBe(6);
+    expect(gameScriptService.getNextRound('1', 7)).toBeNull();
+  });
+
+  it('parses phases declared by a script', () => {
+    const phases = gameScriptService.parsePhases({
+      phases: [
+        {round: 1, type: 'introduction', title: 'The Crime'},
+        {round: 2, type: 'accusation', title: 'First Vote'},
+        {round: 3, type: 'script', scriptRound: 6, fields: ['finalStatement', 'bogus']},
+        {round: 4, type: 'accusation', title: 'Final Vote'},
+        {round: 5, type: 'end'},
+      ],
+    });
+
+    expect(phases.map(phase => phase.round)).toEqual([1, 2, 3, 4, 5]);
+    expect(phases.filter(phase => phase.collectsAccusations).map(phase => phase.round)).toEqual([2, 4]);
+    expect(phases[2].fields).toEqual(['finalStatement']);
+    expect(phases[0].readyGated).toBe(true);
+    expect(phases[4].type).toBe(PHASE_TYPES.END);
+    expect(phases[4].readyGated).toBe(false);
+  });
+
+  it('limits the character script to the fields the phase shows', () => {
+    const characterName = gameScriptService.getCharacters('1')[0].characterName;
+    const introScript = gameScriptService.getPhaseScript('1', characterName, 2);
+    expect(introScript.introduction).toBeTruthy();
+    expect(introScript.story).toBeUndefined();
+    expect(gameScriptService.getPhaseScript('1', characterName, 5.5)).toBeNull();
+  });
+
+  it("shows every bundled character's script text in some phase", () => {
+    const shownFields = new Set(['introduction', 'secretInformation', 'story', 'accusation', 'rebuttal', 'finalStatement']);
+    gameScriptService.getAvailableScripts().forEach(({scriptId}) => {
+      const {phases} = gameScriptService.getGameFlow(scriptId);
+      gameScriptService.getCharacters(scriptId).forEach(character => {
+        Object.entries(character.scripts).forEach(([scriptRound, script]) => {
+          const fields = Object.keys(script).filter(field => shownFields.has(field) && script[field]);
+          const phaseFields = phases
+            .filter(phase => phase.scriptRound === Number(scriptRound))
+            .flatMap(phase => phase.fields);
+          fields.forEach(field => {
+            expect([scriptId, character.characterName, scriptRound, phaseFields.includes(field) ? field : null])
+              .toEqual([scriptId, character.characterName, scriptRound, field]);
+          });
+        });
+      });
+    });
+  });
+});
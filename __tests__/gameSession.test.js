@@ -0,0 +1,176 @@
+/**
+ * @format
+ */
+
+import React from 'react';
+import {beforeEach, describe, expect, it, jest} from '@jest/globals';
+import renderer, {act} from 'react-test-renderer';
+import service from '../firebase';
+import gameScriptService from '../gameScriptService';
+import {GameRepository} from '../storage/gameRepository';
+import {createMemoryAdapter} from '../storage/memoryAdapter';
+import {VIEWS} from '../constants/Views';
+import {isRoundComplete, routeForGame, useGameSession} from '../utils/gameSession';
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  __esModule: true,
+  default: require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+}));
+
+const SCRIPT_ID = '1';
+const {PHASE_TYPES} = gameScriptService;
+
+// Let pending watcher notifications run
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const game = (status, currentRound, characterName = 'Clef Hangar') => ({
+  gameScriptId: SCRIPT_ID,
+  status,
+  currentRound,
+  players: [{userId: 'me', isHost: false, characterName}],
+});
+
+describe('routeForGame', () => {
+  it('keeps players without a character in the lobby whatever the status', () => {
+    for (const status of ['LOBBY', 'IN_PROGRESS', 'COMPLETED']) {
+      expect(routeForGame(game(status, 1, null), 'me')).toBe(VIEWS.LOBBY);
+      expect(routeForGame(game(status, 1), 'someone-else')).toBe(VIEWS.LOBBY);
+    }
+  });
+
+  it('routes the lobby and finished games', () => {
+    expect(routeForGame(game('LOBBY', 0), 'me')).toBe(VIEWS.LOBBY);
+    expect(routeForGame(game('COMPLETED', 7), 'me')).toBe(VIEWS.GAME);
+  });
+
+  it('routes every round of a game in progress by its phase', () => {
+    const phases = gameScriptService.getPhases(SCRIPT_ID);
+    expect(phases.map(phase => phase.type)).toContain(PHASE_TYPES.INTRODUCTION);
+
+    for (const phase of phases) {
+      const expected = phase.type === PHASE_TYPES.INTRODUCTION ? VIEWS.INTRODUCTION : VIEWS.GAME;
+      expect([phase.round, routeForGame(game('IN_PROGRESS', phase.round), 'me')]).toEqual([phase.round, expected]);
+    }
+  });
+
+  it('leaves the view alone without game data or with an unknown status', () => {
+    expect(routeForGame(null, 'me')).toBeNull();
+    expect(routeForGame(game('DELETED', 3), 'me')).toBeNull();
+  });
+});
+
+describe('isRoundComplete', () => {
+  const players = (round, {ready = [], accused = []}) => [
+    {userId: 'me', roundStates: {[round]: {ready: ready.includes('me')}}, accusations: {made: accused.includes('me') ? [{round}] : []}},
+    {userId: 'you', roundStates: {[round]: {ready: ready.includes('you')}}, accusations: {made: accused.includes('you') ? [{round}] : []}},
+    {userId: 'virtual_1', isVirtual: true, roundStates: {}, accusations: {made: [{round}]}},
+  ];
+  const inRound = (round, state) => ({gameScriptId: SCRIPT_ID, status: 'IN_PROGRESS', currentRound: round, players: players(round, state)});
+
+  it('waits for every real player to be ready in a script round', () => {
+    expect(isRoundComplete(inRound(2, {ready: ['me']}))).toBe(false);
+    expect(isRoundComplete(inRound(2, {ready: ['me', 'you']}))).toBe(true);
+  });
+
+  it('waits for every accusation in round 5.5', () => {
+    expect(isRoundComplete(inRound(5.5, {ready: ['me', 'you'], accused: ['me']}))).toBe(false);
+    expect(isRoundComplete(inRound(5.5, {accused: ['me', 'you']}))).toBe(true);
+  });
+
+  it('never completes the end or a game that is not in progress', () => {
+    expect(isRoundComplete(inRound(7, {ready: ['me', 'you']}))).toBe(false);
+    expect(isRoundComplete({...inRound(2, {ready: ['me', 'you']}), status: 'COMPLETED'})).toBe(false);
+  });
+});
+
+describe('useGameSession', () => {
+  beforeEach(() => {
+    service.setStore(new GameRepository(createMemoryAdapter()));
+  });
+
+  // Render the hook with real view state so routing sees the screen actually showing
+  const renderSession = (onRemoved = undefined) => {
+    const result = {};
+    function Harness() {
+      const [view, setView] = React.useState(VIEWS.HOME);
+      result.view = view;
+      result.setView = setView;
+      result.session = useGameSession({view, setView, onRemoved});
+      return null;
+    }
+    let root;
+    act(() => {
+      root = renderer.create(<Harness />);
+    });
+    return {result, root};
+  };
+
+  it('follows the game through the lobby, introduction and rounds, and stops when closed', async () => {
+    const characters = gameScriptService.getCharacters(SCRIPT_ID);
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    const userIds = characters.map((character, index) => (index === 0 ? 'host' : `user${index}`));
+    for (const userId of userIds) {
+      await service.joinGame(gameId, userId, userId);
+    }
+
+    const {result, root} = renderSession();
+    await act(async () => {
+      result.session.openGame(gameId, 'user1', await service.getGameData(gameId));
+      await flush();
+    });
+    expect(result.view).toBe(VIEWS.LOBBY);
+    expect(result.session.currentPlayer.userId).toBe('user1');
+    expect(result.session.isHost).toBe(false);
+
+    await act(async () => {
+      for (const [index, userId] of userIds.entries()) {
+        await service.assignCharacter(gameId, userId, characters[index].characterName);
+      }
+      await service.startGame(gameId);
+      await flush();
+    });
+    expect(result.view).toBe(VIEWS.INTRODUCTION);
+
+    // A player who wandered off to another screen is brought back to the current round
+    act(() => result.setView(VIEWS.MY_GAMES));
+    await act(async () => {
+      await service.advanceRound(gameId);
+      await flush();
+    });
+    expect(result.view).toBe(VIEWS.GAME);
+    expect(result.session.gameData.currentRound).toBe(gameScriptService.getNextRound(SCRIPT_ID, gameScriptService.getFirstRound(SCRIPT_ID)));
+
+    act(() => {
+      result.session.closeGame();
+      result.setView(VIEWS.HOME);
+    });
+    await act(async () => {
+      await service.advanceRound(gameId);
+      await flush();
+    });
+    expect(result.view).toBe(VIEWS.HOME);
+    expect(result.session.gameData).toBeNull();
+    act(() => root.unmount());
+  });
+
+  it('closes the game when the host removes the player', async () => {
+    const gameId = await service.createGame('host', 'Host', SCRIPT_ID);
+    await service.joinGame(gameId, 'guest', 'Guest');
+    const onRemoved = jest.fn();
+
+    const {result, root} = renderSession(onRemoved);
+    await act(async () => {
+      result.session.openGame(gameId, 'guest', await service.getGameData(gameId));
+      await flush();
+    });
+    expect(result.session.gameId).toBe(gameId);
+
+    await act(async () => {
+      await service.kickPlayer(gameId, 'host', 'guest');
+      await flush();
+    });
+    expect(onRemoved).toHaveBeenCalledWith(gameId);
+    expect(result.session.gameId).toBeNull();
+    act(() => root.unmount());
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {buildJoinLink, isValidGameCode, isValidLocalHost, parseJoinLink} from '../utils/inviteLinks';
+
+describe('join links', () => {
+  it('round-trips game codes and character names', () => {
+    expect(buildJoinLink('ABC123')).toBe('murdermystery://join/ABC123');
+    const link = buildJoinLink('ABC123', "Madame d'Or & Co");
+    expect(link).toBe("murdermystery://join/ABC123?character=Madame%20d'Or%20%26%20Co");
+    expect(parseJoinLink(link)).toEqual({gameId: 'ABC123', characterName: "Madame d'Or & Co", localHost: null});
+    expect(parseJoinLink('murdermystery://join/abc123/')).toEqual({gameId: 'ABC123', characterName: null, localHost: null});
+    expect(parseJoinLink('murdermystery://join/ABC123?character=Clef+Hangar&utm=qr')).toEqual({gameId: 'ABC123', characterName: 'Clef Hangar', localHost: null});
+  });
+
+  it('carries the address of a game hosted on the local network', () => {
+    const link = buildJoinLink('ABC123', null, '192.168.1.20:47469');
+    expect(link).toBe('murdermystery://join/ABC123?host=192.168.1.20%3A47469');
+    expect(parseJoinLink(link)).toEqual({gameId: 'ABC123', characterName: null, localHost: '192.168.1.20:47469'});
+    expect(parseJoinLink('murdermystery://join/ABC123?host=192.168.1.20/evil')).toBeNull();
+    expect(isValidLocalHost('party-host.local')).toBe(true);
+    expect(isValidLocalHost('192.168.1.20:')).toBe(false);
+  });
+
+  it('ignores links that are not join links', () => {
+    expect(parseJoinLink('https://example.com/join/ABC123')).toBeNull();
+    expect(parseJoinLink('murdermystery://join/ABC12')).toBeNull();
+    expect(parseJoinLink('murdermystery://game/ABC123')).toBeNull();
+    expect(parseJoinLink('murdermystery://join/ABC123?character=%E0%A4%A')).toBeNull();
+    expect(parseJoinLink(null)).toBeNull();
+  });
+
+  it('checks game codes', () => {
+    expect(isValidGameCode('ABC123')).toBe(true);
+    expect(isValidGameCode('abc123')).toBe(false);
+    expect(isValidGameCode('ABC12!')).toBe(false);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * @format
+ */
+
+import {beforeEach, describe, expect, it, jest} from '@jest/globals';
+import service from '../firebase';
+import {GameRepository} from '../storage/gameRepository';
+import {createMemoryAdapter} from '../storage/memoryAdapter';
+import {migrateLegacyUsers} from '../storage/legacyMigration';
+import gameScriptService from '../gameScriptService';
+
+// Games keep a copy of their script version on the device
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  __esModule: true,
+  default: require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+}));
+
+const SCRIPT_ID = '1';
+
+describe('legacy user migration', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new GameRepository(createMemoryAdapter());
+    service.setStore(store);
+  });
+
+  it("moves a user's games, seats and accusations to their stable ID once", async () => {
+    const [first] = gameScriptService.getCharacters(SCRIPT_ID);
+    const gameId = await service.createGame('alice', 'alice', SCRIPT_ID);
+    await service.assignCharacter(gameId, 'alice', first.characterName);
+    // Older games kept the character data on the player document
+    await store.updatePlayer(gameId, 'alice', {characterData: {isMurderer: first.isMurderer, secretInformation: 'old copy'}});
+    await store.updateGame(gameId, {'accusations.accusations': [{accuserId: 'alice', accusedCharacter: first.characterName}]});
+
+    expect(await service.migrateLegacyUser('alice', 'uid-alice')).toBe(1);
+    const game = await service.getGameData(gameId);
+    expect(game.hostUserId).toBe('uid-alice');
+    expect(game.accusations.accusations[0].accuserId).toBe('uid-alice');
+    expect(game.players.map(player => player.userId)).toEqual(['uid-alice']);
+    expect(game.players[0]).not.toHaveProperty('characterData');
+    expect(await service.getCharacterSecret(gameId, 'uid-alice')).toMatchObject({characterName: first.characterName});
+    expect(await store.getUserGame('uid-alice', gameId)).toMatchObject({gameId, role: 'host'});
+    expect(await store.listUserGames('alice')).toEqual([]);
+
+    // Running it again, or for a user with nothing to move, changes nothing
+    expect(await service.migrateLegacyUser('alice', 'uid-alice')).toBe(0);
+    expect(await service.migrateLegacyUser('nobody', 'uid-nobody')).toBe(0);
+    expect(await service.migrateLegacyUser('uid-alice', 'uid-alice')).toBe(0);
+    expect((await service.getGameData(gameId)).players.map(player => player.userId)).toEqual(['uid-alice']);
+  });
+
+  it('matches usernames to profiles and leaves shared usernames to be named', async () => {
+    // Before stable IDs the username was the user ID
+    const aliceGame = await service.createGame('alice', 'alice', SCRIPT_ID);
+    const bobGame = await service.createGame('bob', 'bob', SCRIPT_ID);
+    await service.saveUserProfile('uid-alice', 'alice');
+    await service.saveUserProfile('uid-bob', 'bob');
+    await service.saveUserProfile('uid-other-bob', 'bob');
+    await service.saveUserProfile('uid-carol', 'carol');
+
+    expect(await migrateLegacyUsers(store, {dryRun: true})).toEqual({
+      migrated: [{legacyUserId: 'alice', userId: 'uid-alice', games: 1}],
+      ambiguous: ['bob'],
+    });
+    expect((await store.getGame(aliceGame)).hostUserId).toBe('alice');
+
+    await migrateLegacyUsers(store);
+    expect((await store.getGame(aliceGame)).hostUserId).toBe('uid-alice');
+    expect(await store.listUserGames('alice')).toEqual([]);
+
+    const {migrated} = await migrateLegacyUsers(store, {pairs: [{legacyUserId: 'bob', userId: 'uid-bob'}]});
+    expect(migrated).toEqual([{legacyUserId: 'bob', userId: 'uid-bob', games: 1}]);
+    expect((await store.getGame(bobGame)).hostUserId).toBe('uid-bob');
+    expect(await migrateLegacyUsers(store)).toEqual({migrated: [], ambiguous: []});
+  });
+});
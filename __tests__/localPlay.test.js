@@ -0,0 +1,151 @@
+/**
+ * @format
+ */
+
+import net from 'net';
+import {describe, expect, it} from '@jest/globals';
+import {createInProcessNetwork, createTcpServerTransport, createTcpTransport} from '../localPlay/transports';
+import {LocalGameHost, LocalGameGuest} from '../localPlay/localGameSession';
+import {ACTIONS} from '../localPlay/hostStateMachine';
+import {CharacterTakenError} from '../errors';
+
+const lobbyGame = () => ({
+  gameId: 'LOCAL1',
+  gameScriptId: '1',
+  status: 'LOBBY',
+  gameState: 'LOBBY',
+  currentRound: 0,
+  hostUserId: 'host',
+  minPlayers: 2,
+  maxPlayers: 4,
+  roundData: {},
+  accusations: {round: 5.5, accusations: [], completed: false},
+  players: [
+    {userId: 'host', username: 'Host', characterName: null, isHost: true, roundStates: {}, accusations: {made: [], received: []}},
+  ],
+});
+
+const startSession = async () => {
+  const network = createInProcessNetwork();
+  const host = new LocalGameHost({gameData: lobbyGame(), userId: 'host', transport: network.hostTransport}).start();
+  const guest = await new LocalGameGuest({gameId: 'LOCAL1', userId: 'guest', transport: network.createGuestTransport()}).connect();
+  await guest.dispatch({type: ACTIONS.JOIN_GAME, username: 'Guest'});
+  return {network, host, guest};
+};
+
+describe('local-network play', () => {
+  it('keeps guests in step with the host through a whole game', async () => {
+    const {host, guest} = await startSession();
+
+    await host.dispatch({type: ACTIONS.ASSIGN_CHARACTER, characterName: 'Ivana Killioux'});
+    await guest.dispatch({type: ACTIONS.ASSIGN_CHARACTER, characterName: 'Ego Cadenza'});
+    await host.dispatch({type: ACTIONS.START_GAME});
+    expect(guest.getState().currentRound).toBe(1);
+
+    await guest.dispatch({type: ACTIONS.UPDATE_PLAYER_READY, readyStatus: true, round: 1});
+    expect(host.getState().players.find(player => player.userId === 'guest').roundStates[1].ready).toBe(true);
+
+    while (host.getState().currentRound !== 5.5) {
+      await host.dispatch({type: ACTIONS.ADVANCE_ROUND});
+    }
+    await guest.dispatch({type: ACTIONS.SUBMIT_ACCUSATION, accusedCharacter: 'Penny Prattle'});
+    while (host.getState().status !== 'COMPLETED') {
+      await host.dispatch({type: ACTIONS.ADVANCE_ROUND});
+    }
+
+    const results = guest.getState().results;
+    expect(guest.getState().version).toBe(host.getState().version);
+    expect(results.solvedBy).toEqual(['guest']);
+    expect(host.hasUnsyncedChanges()).toBe(true);
+    host.stop();
+  });
+
+  it('only lets the host run the game and rebuilds typed errors for guests', async () => {
+    const {host, guest} = await startSession();
+
+    await expect(guest.dispatch({type: ACTIONS.START_GAME})).rejects.toThrow('Only the host can start the game');
+    await host.dispatch({type: ACTIONS.ASSIGN_CHARACTER, characterName: 'Ivana Killioux'});
+    await expect(
+      guest.dispatch({type: ACTIONS.ASSIGN_CHARACTER, characterName: 'Ivana Killioux'}),
+    ).rejects.toBeInstanceOf(CharacterTakenError);
+    // Guests act as the user they connected as, whatever the action says
+    await guest.dispatch({type: ACTIONS.UPDATE_PLAYER_READY, userId: 'host', readyStatus: true, round: 0});
+    expect(host.getState().players.find(player => player.userId === 'host').roundStates[0]).toBeUndefined();
+    host.stop();
+  });
+
+  it('turns away guests claiming to be the host or an already connected guest', async () => {
+    const {network, host, guest} = await startSession();
+
+    const connectAs = (userId, token) =>
+      new LocalGameGuest({gameId: 'LOCAL1', userId, token, transport: network.createGuestTransport()}).connect();
+    await expect(connectAs('host')).rejects.toMatchObject({code: 'LOCAL_REJECTED'});
+    await expect(connectAs('guest')).rejects.toMatchObject({code: 'LOCAL_REJECTED'});
+    await expect(connectAs('guest', 'made-up')).rejects.toMatchObject({code: 'LOCAL_REJECTED'});
+    await expect(connectAs()).rejects.toMatchObject({code: 'LOCAL_REJECTED'});
+
+    // The real guest is still connected and acting as themselves
+    await guest.dispatch({type: ACTIONS.UPDATE_PLAYER_READY, readyStatus: true, round: 0});
+    expect(host.getState().players.find(player => player.userId === 'guest').roundStates[0].ready).toBe(true);
+    host.stop();
+  });
+
+  it('lets a guest reconnect with the token the host gave them', async () => {
+    const {network, host, guest} = await startSession();
+
+    network.disconnectAll();
+    const rejoined = await new LocalGameGuest({
+      gameId: 'LOCAL1',
+      userId: 'guest',
+      token: guest.token,
+      transport: network.createGuestTransport(),
+    }).connect();
+    await rejoined.dispatch({type: ACTIONS.UPDATE_PLAYER_READY, readyStatus: true, round: 0});
+    expect(host.getState().players.find(player => player.userId === 'guest').roundStates[0].ready).toBe(true);
+    host.stop();
+  });
+
+  it('advances a round once when the host asks twice for the same round', async () => {
+    const {host, guest} = await startSession();
+
+    await host.dispatch({type: ACTIONS.ASSIGN_CHARACTER, characterName: 'Ivana Killioux'});
+    await guest.dispatch({type: ACTIONS.ASSIGN_CHARACTER, characterName: 'Ego Cadenza'});
+    await host.dispatch({type: ACTIONS.START_GAME});
+    await host.dispatch({type: ACTIONS.ADVANCE_ROUND, expectedRound: 1});
+    await host.dispatch({type: ACTIONS.ADVANCE_ROUND, expectedRound: 1});
+    expect(guest.getState().currentRound).toBe(2);
+    host.stop();
+  });
+
+  it('fails pending actions when the connection drops', async () => {
+    const {network, host, guest} = await startSession();
+
+    const pending = guest.dispatch({type: ACTIONS.UPDATE_PLAYER_READY, readyStatus: true});
+    network.disconnectAll();
+    await expect(pending).rejects.toThrow('Lost connection to the host');
+    await expect(guest.dispatch({type: ACTIONS.START_GAME})).rejects.toThrow('Not connected to the host');
+    host.stop();
+  });
+
+  it('plays over TCP sockets the way devices on the same Wi-Fi do', async () => {
+    const address = {host: '127.0.0.1', port: 47491};
+    const host = new LocalGameHost({
+      gameData: lobbyGame(),
+      userId: 'host',
+      transport: createTcpServerTransport(net, address),
+    }).start();
+    await new Promise(resolve => setTimeout(resolve, 50)); // Let the server start listening
+
+    const guest = await new LocalGameGuest({gameId: 'LOCAL1', userId: 'guest', transport: createTcpTransport(net, address)}).connect();
+    await guest.dispatch({type: ACTIONS.JOIN_GAME, username: 'Guest'});
+    await guest.dispatch({type: ACTIONS.ASSIGN_CHARACTER, characterName: 'Ego Cadenza'});
+    expect(host.getState().players.find(player => player.userId === 'guest').characterName).toBe('Ego Cadenza');
+    expect(guest.getState().version).toBe(host.getState().version);
+
+    host.stop();
+    await expect(
+      new LocalGameGuest({gameId: 'LOCAL1', userId: 'other', transport: createTcpTransport(net, address)}).connect(),
+    ).rejects.toThrow('Could not reach the host at 127.0.0.1:47491');
+    guest.stop();
+  });
+});
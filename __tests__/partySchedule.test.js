@@ -0,0 +1,81 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {
+  buildPartyReminders,
+  formatCountdown,
+  formatPartyDate,
+  formatPartyTime,
+  parsePartyDateTime,
+} from '../utils/partySchedule';
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date(2025, 5, 1, 12, 0); // June 1, 2025 at noon
+
+describe('party schedule', () => {
+  it('reads the date and time formats hosts type', () => {
+    const christmas = new Date(2025, 11, 25, 19, 0).getTime();
+    expect(parsePartyDateTime('December 25, 2025', '7:00 PM', now)).toBe(christmas);
+    expect(parsePartyDateTime('Thursday, Dec 25 2025', '7pm', now)).toBe(christmas);
+    expect(parsePartyDateTime('25th December 2025', '19:00', now)).toBe(christmas);
+    expect(parsePartyDateTime('12/25/2025', '7 p.m.', now)).toBe(christmas);
+    expect(parsePartyDateTime('2025-12-25', '7:00pm', now)).toBe(christmas);
+    expect(parsePartyDateTime('December 25', '7:00 PM', now)).toBe(christmas);
+    expect(parsePartyDateTime('June 1', '12:30 AM', now)).toBe(new Date(2025, 5, 1, 0, 30).getTime());
+  });
+
+  it('treats dates without a year as the next one', () => {
+    expect(parsePartyDateTime('March 3', 'noon', now)).toBe(new Date(2026, 2, 3, 12, 0).getTime());
+  });
+
+  it('rejects dates and times it cannot read', () => {
+    expect(parsePartyDateTime('next Friday', '7:00 PM', now)).toBeNull();
+    expect(parsePartyDateTime('February 30, 2025', '7:00 PM', now)).toBeNull();
+    expect(parsePartyDateTime('December 25, 2025', '13:00 PM', now)).toBeNull();
+    expect(parsePartyDateTime('', '7:00 PM', now)).toBeNull();
+  });
+
+  it('formats dates the parser reads back', () => {
+    const timestamp = new Date(2025, 11, 25, 19, 5).getTime();
+    expect(formatPartyDate(timestamp)).toBe('December 25, 2025');
+    expect(formatPartyTime(timestamp)).toBe('7:05 PM');
+    expect(parsePartyDateTime(formatPartyDate(timestamp), formatPartyTime(timestamp), now)).toBe(timestamp);
+  });
+
+  it('counts down to the party', () => {
+    const start = now.getTime();
+    expect(formatCountdown(start + 12 * 24 * HOUR, start)).toBe('in 12 days');
+    expect(formatCountdown(start + 28 * HOUR, start)).toBe('in 1 day 4 h');
+    expect(formatCountdown(start + 3 * HOUR + 20 * 60 * 1000, start)).toBe('in 3 h 20 min');
+    expect(formatCountdown(start + 5 * 60 * 1000, start)).toBe('in 5 min');
+    expect(formatCountdown(start - HOUR, start)).toBe('now');
+  });
+
+  it('builds day-before and hour-before reminders with costume suggestions', () => {
+    const scheduledAt = now.getTime() + 3 * 24 * HOUR;
+    const reminders = buildPartyReminders({
+      gameId: 'ABC123',
+      scheduledAt,
+      title: 'Murder at the Opera',
+      character: {characterName: 'Clef Hangar', suggestedCostume: 'none', suggestedProps: "conductor's baton"},
+      now: now.getTime(),
+    });
+
+    expect(reminders.map(reminder => [reminder.id, reminder.timestamp, reminder.title])).toEqual([
+      ['ABC123-day', scheduledAt - 24 * HOUR, 'Murder at the Opera is tomorrow'],
+      ['ABC123-hour', scheduledAt - HOUR, 'Murder at the Opera is in an hour'],
+    ]);
+    expect(reminders[0].body).toContain("You're playing Clef Hangar.");
+    expect(reminders[0].body).toContain("Props: conductor's baton");
+    expect(reminders[0].body).not.toContain('Costume');
+  });
+
+  it('skips reminders that are already past', () => {
+    const reminders = buildPartyReminders({gameId: 'ABC123', scheduledAt: now.getTime() + 2 * HOUR, title: 'Party', isHost: true, now: now.getTime()});
+    expect(reminders.map(reminder => reminder.id)).toEqual(['ABC123-hour']);
+    expect(reminders[0].body).toContain('Some characters still need players.');
+    expect(buildPartyReminders({gameId: 'ABC123', scheduledAt: null, title: 'Party'})).toEqual([]);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {scoreAccusations, WINNERS} from '../utils/scoring';
+
+const player = (userId, characterName, accused, round = 5.5) => ({
+  userId,
+  username: userId,
+  characterName,
+  accusations: {
+    made: accused.map(accusedCharacter => ({round, accusedCharacter})),
+  },
+});
+
+describe('scoreAccusations', () => {
+  it('credits players who named every murderer and nobody else', () => {
+    const results = scoreAccusations({
+      players: [
+        player('alice', 'Butler', ['Cook', 'Gardener']),
+        player('bob', 'Maid', ['Cook']),
+        player('carol', 'Cook', ['Butler']),
+        player('dave', 'Nanny', ['Cook', 'Maid']),
+      ],
+      murdererNames: ['Cook', 'Gardener'],
+      accusationRound: 5.5,
+    });
+
+    expect(results.solvedBy).toEqual(['alice']);
+    expect(results.partialCreditBy).toEqual(['bob', 'dave']);
+    expect(results.winner).toBe(WINNERS.DETECTIVES);
+    expect(results.playerResults.find(result => result.userId === 'bob').credit).toBe(0.5);
+    // The murderer's own accusation doesn't count towards solving it
+    expect(results.playerResults.find(result => result.userId === 'carol').isMurderer).toBe(true);
+    expect(results.correctAccusations).toBe(4);
+    expect(results.totalAccusations).toBe(6);
+  });
+
+  it('flags players fooled by the humorous option and ignores other rounds', () => {
+    const results = scoreAccusations({
+      players: [
+        player('alice', 'Butler', ['The Raccoon Monster']),
+        player('bob', 'Maid', ['Cook'], 3),
+      ],
+      murdererNames: ['Cook'],
+      humorousOptionName: 'The Raccoon Monster',
+      accusationRound: 5.5,
+    });
+
+    expect(results.fooledBy).toEqual(['alice']);
+    expect(results.solvedBy).toEqual([]);
+    expect(results.winner).toBe(WINNERS.MURDERER);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * @format
+ */
+
+import {beforeEach, describe, expect, it, jest} from '@jest/globals';
+import gameScriptService from '../gameScriptService';
+import {MAX_BUNDLE_SIZE, createScriptBundle, parseScriptBundle} from '../utils/scriptBundle';
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  __esModule: true,
+  default: require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+}));
+
+const operaScript = require('../scripts/GameScript1.json');
+
+// The opera script with a new version number and a changed introduction
+const revisedOpera = version => ({
+  ...operaScript,
+  metadata: {...operaScript.metadata, version, introduction: `Revised introduction v${version}`},
+});
+
+describe('script bundles', () => {
+  beforeEach(async () => {
+    const AsyncStorage = require('@react-native-async-storage/async-storage').default;
+    await AsyncStorage.clear();
+    gameScriptService.loadScripts();
+  });
+
+  it('loads every bundled script under its metadata script ID', () => {
+    const ids = gameScriptService.getAvailableScripts().map(script => script.scriptId);
+    expect(ids.sort()).toEqual(['1', '2', '3', '5', '9']);
+  });
+
+  it('rejects files that are not valid bundles', () => {
+    expect(() => parseScriptBundle('not json')).toThrow(/not valid JSON/);
+    expect(() => parseScriptBundle({script: operaScript})).toThrow(/not a murder mystery script bundle/);
+
+    const broken = {...operaScript, characters: operaScript.characters.map(character => ({...character, isMurderer: false}))};
+    expect(() => parseScriptBundle(createScriptBundle(broken))).toThrow(/No character is the murderer/);
+
+    // Too big for one AsyncStorage entry on Android
+    const huge = createScriptBundle(operaScript, {mimeType: 'image/png', data: 'A'.repeat(MAX_BUNDLE_SIZE)});
+    expect(() => parseScriptBundle(huge)).toThrow(/smaller background image/);
+  });
+
+  it('installs a newer version and keeps the old one loadable', async () => {
+    const bundle = createScriptBundle(revisedOpera(2), {mimeType: 'image/png', data: 'AAAA'});
+    await gameScriptService.installScriptBundle(JSON.stringify(bundle));
+
+    expect(gameScriptService.getGameScript('1').version).toBe(2);
+    expect(gameScriptService.getGameScript('1').background).toEqual({uri: 'data:image/png;base64,AAAA'});
+    expect(gameScriptService.getGameScript('1', 1).metadata.introduction).toBe(operaScript.metadata.introduction);
+    expect(gameScriptService.getScriptVersions('1')).toEqual([1, 2]);
+
+    // Installed bundles survive a restart
+    gameScriptService.loadScripts();
+    expect(gameScriptService.getGameScript('1').version).toBe(1);
+    await gameScriptService.loadInstalledScripts();
+    expect(gameScriptService.getGameScript('1').metadata.introduction).toBe('Revised introduction v2');
+
+    await gameScriptService.removeInstalledScript('1', 2);
+    expect(gameScriptService.getScriptVersions('1')).toEqual([1]);
+  });
+
+  it('keeps games on the script version they were created with', async () => {
+    const original = gameScriptService.getGameScript('1');
+    const game = {gameScriptId: '1', gameScriptVersion: original.version, gameScriptHash: original.hash};
+    expect(gameScriptService.getScriptVersionWarning(game)).toBeNull();
+
+    await gameScriptService.installScriptBundle(createScriptBundle(revisedOpera(2)));
+    expect(gameScriptService.getIntroduction(game)).toBe(operaScript.metadata.introduction);
+    expect(gameScriptService.getIntroduction('1')).toBe('Revised introduction v2');
+    expect(gameScriptService.getScriptVersionStatus(game)).toEqual({gameVersion: 1, currentVersion: 2, hasPinned: true, isCurrent: false});
+    expect(gameScriptService.getScriptVersionWarning(game)).toMatch(/keeps the text it started with/);
+
+    // Same version number, different text
+    const edited = {...game, gameScriptHash: 'not-the-same'};
+    expect(gameScriptService.getScriptVersionStatus(edited).hasPinned).toBe(false);
+    expect(gameScriptService.getScriptVersionWarning(edited)).toMatch(/isn't on this device/);
+  });
+
+  it('keeps a copy of the bundled version a game uses', async () => {
+    const {version, hash} = gameScriptService.getGameScript('1');
+    await gameScriptService.retainGameScript({gameScriptId: '1', gameScriptVersion: version, gameScriptHash: hash});
+
+    const AsyncStorage = require('@react-native-async-storage/async-storage').default;
+    const copy = JSON.parse(await AsyncStorage.getItem(`scriptBundle:1@${version}`));
+    expect(parseScriptBundle(copy).script).toEqual(operaScript);
+
+    // While the app still bundles that version the copy isn't loaded twice
+    await gameScriptService.loadInstalledScripts();
+    expect(gameScriptService.getGameScript('1').isInstalled).toBeUndefined();
+  });
+});
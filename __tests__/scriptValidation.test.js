@@ -0,0 +1,133 @@
+/**
+ * @format
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {describe, expect, it} from '@jest/globals';
+import {normalizeScriptStatus, resolveCharacterReference, validateScript} from '../utils/scriptValidation';
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
+
+const character = (name, overrides = {}) => ({
+  Character: name,
+  isMurderer: false,
+  'Round 3 - Accuses': 'Ada Lovelace',
+  'Round 4 - Accuses': 'Ada Lovelace',
+  'Round 5 - Accuses': 'Ada Lovelace',
+  ...overrides,
+});
+
+const validScript = () => ({
+  metadata: {status: 'available', minPlayers: 2, maxPlayers: 3},
+  characters: [
+    character('Ada Lovelace', {'Round 3 - Accuses': 'Bob', 'Round 4 - Accuses': 'Bob', 'Round 5 - Accuses': 'Colonel Mustard', 'Order of Final Statement': 1}),
+    character('Bob Smith', {'Order of Final Statement': 2}),
+    character('Colonel Mustard', {isMurderer: true, 'Order of Final Statement': 3}),
+  ],
+});
+
+const messages = script => validateScript(script).map(issue => issue.message);
+
+describe('script validation', () => {
+  it('accepts a consistent script', () => {
+    expect(validateScript(validScript())).toEqual([]);
+  });
+
+  it('resolves shorthand, titled and aliased character references', () => {
+    const characters = [
+      {Character: 'Lady Beatrice Sharp-Flatt'},
+      {Character: 'Reginald von Flatt', aliases: ['Duke']},
+    ];
+    expect(resolveCharacterReference('Lady B', characters)).toEqual(['Lady Beatrice Sharp-Flatt']);
+    expect(resolveCharacterReference('Reginald von Flatt, Retired Duke', characters)).toEqual(['Reginald von Flatt']);
+    expect(resolveCharacterReference('duke', characters)).toEqual(['Reginald von Flatt']);
+    expect(resolveCharacterReference('Flatt', characters)).toHaveLength(2);
+    expect(resolveCharacterReference('Nobody', characters)).toEqual([]);
+  });
+
+  it('reports accusations that name nobody, several people or the accuser', () => {
+    const script = validScript();
+    script.characters[1]['Round 3 - Accuses'] = 'Adam';
+    script.characters[1]['Round 4 - Accuses'] = 'Bob';
+    script.characters[2]['Round 5 - Accuses'] = 'Colonel Mustard';
+    script.characters.push(character('Bob Jones', {'Order of Final Statement': 4}));
+    script.metadata.maxPlayers = 4;
+
+    const found = messages(script);
+    expect(found).toContain('Bob Smith accuses "Adam" in round 3, which doesn\'t name a character');
+    expect(found).toContain('Ada Lovelace accuses "Bob" in round 3, which could be any of Bob Smith, Bob Jones');
+    expect(found).toContain('Bob Smith accuses "Bob" in round 4, which could be any of Bob Smith, Bob Jones');
+    expect(found).toContain('Colonel Mustard accuses themselves in round 5');
+  });
+
+  it('requires exactly one murderer unless more are declared', () => {
+    const script = validScript();
+    script.characters[0].isMurderer = true;
+    expect(messages(script)[0]).toMatch(/Expected exactly one murderer but found 2/);
+
+    script.metadata.murdererCount = 2;
+    expect(validateScript(script)).toEqual([]);
+
+    script.characters.forEach(entry => (entry.isMurderer = false));
+    expect(messages(script)[0]).toMatch(/murdererCount is 2 but 0 characters/);
+  });
+
+  it('checks player counts and final statement order', () => {
+    const script = validScript();
+    script.metadata.maxPlayers = 8;
+    script.metadata.minPlayers = 9;
+    script.characters[2]['Order of Final Statement'] = 1;
+
+    expect(messages(script)).toEqual([
+      'minPlayers (9) is more than maxPlayers (8)',
+      'maxPlayers is 8 but the script has 3 characters',
+      'Final statement order 1 is shared by Ada Lovelace, Colonel Mustard',
+    ]);
+  });
+
+  it("reports character names the security rules can't turn into claim IDs", () => {
+    const script = validScript();
+    script.characters[1].Character = 'Bob Smith, Jr.';
+    script.characters[2].Character = 'Colonel Müstard';
+    script.characters[0]['Round 5 - Accuses'] = 'Colonel';
+
+    expect(messages(script)).toEqual([
+      '"Bob Smith, Jr." can only use letters, digits, spaces and - _ . ! ~ * \' ( )',
+      '"Colonel Müstard" can only use letters, digits, spaces and - _ . ! ~ * \' ( )',
+    ]);
+  });
+
+  it('only warns about what a script that is coming soon has still to be written', () => {
+    const script = validScript();
+    script.metadata.status = 'coming_soon';
+    script.metadata.maxPlayers = 8;
+    script.characters[2].isMurderer = false;
+    expect(validateScript(script)).toEqual([
+      {level: 'warning', message: 'maxPlayers is 8 but the script has 3 characters'},
+      {level: 'warning', message: 'No character is the murderer (set isMurderer on one)'},
+    ]);
+
+    script.characters[0]['Round 5 - Accuses'] = 'Engineer Patel';
+    expect(validateScript(script)).toContainEqual({
+      level: 'error',
+      message: 'Ada Lovelace accuses "Engineer Patel" in round 5, which doesn\'t name a character',
+    });
+  });
+
+  it('normalizes legacy status spellings', () => {
+    expect(normalizeScriptStatus('Available')).toBe('available');
+    expect(normalizeScriptStatus('Complete')).toBe('available');
+    expect(normalizeScriptStatus('Coming Soon')).toBe('coming_soon');
+  });
+
+  it('finds no errors in the bundled scripts', () => {
+    fs.readdirSync(SCRIPTS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const script = JSON.parse(fs.readFileSync(path.join(SCRIPTS_DIR, file), 'utf8').replace(/^\uFEFF/, ''));
+        const errors = validateScript(script).filter(issue => issue.level === 'error');
+        expect({file, errors}).toEqual({file, errors: []});
+      });
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * @format
+ */
+
+import {describe, expect, it} from '@jest/globals';
+import {createVirtualPlayerId, isVirtualPlayer} from '../utils/virtualPlayers';
+
+describe('virtual players', () => {
+  it('goes by the isVirtual flag', () => {
+    expect(isVirtualPlayer({userId: createVirtualPlayerId(), isVirtual: true})).toBe(true);
+    expect(isVirtualPlayer({userId: 'abc', isVirtual: false})).toBe(false);
+    // A real player whose ID happens to look like an old virtual seat
+    expect(isVirtualPlayer({userId: 'player_one', isVirtual: false})).toBe(false);
+    expect(isVirtualPlayer({userId: 'player1'})).toBe(false);
+    expect(isVirtualPlayer(null)).toBe(false);
+  });
+
+  it('recognises seats saved before the flag existed', () => {
+    expect(isVirtualPlayer({userId: 'player_1712345678901'})).toBe(true);
+    expect(isVirtualPlayer({userId: 'player_ClefHangar'})).toBe(true);
+  });
+
+  it('makes unique IDs', () => {
+    expect(createVirtualPlayerId()).not.toBe(createVirtualPlayerId());
+  });
+});
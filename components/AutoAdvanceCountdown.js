@@ -0,0 +1,47 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TouchableOpacity, Alert } from 'react-native';
+import styles from '../styles/AppStyles';
+import firebaseService from '../firebase';
+
+// The countdown before a complete round moves on by itself (game.autoAdvance), with a Cancel
+// button for the host and co-hosts. Renders nothing when no countdown is running.
+export default function AutoAdvanceCountdown({ gameId, gameData, userId, canCancel = false, dynamicStyles = {} }) {
+  const countdown = gameData?.autoAdvance;
+  const counting = !!countdown && countdown.status === 'COUNTING' && countdown.round === gameData.currentRound;
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!counting) {
+      return undefined;
+    }
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [counting]);
+
+  if (!counting) {
+    return null;
+  }
+
+  const handleCancel = async () => {
+    try {
+      await firebaseService.cancelAutoAdvance(gameId, userId, countdown.round);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const seconds = Math.max(0, Math.ceil((countdown.advanceAt - now) / 1000));
+  return (
+    <View style={[styles.gameInfo, styles.playerRow]}>
+      <Text style={dynamicStyles.label}>
+        Everyone's ready - next round in {seconds}s
+      </Text>
+      {canCancel && (
+        <TouchableOpacity style={[styles.smallButton, styles.markNotReadyButton]} onPress={handleCancel}>
+          <Text style={dynamicStyles.smallButtonText}>Cancel</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
@@ -35,9 +35,12 @@ const BackgroundWrapper = ({
           // Fallback to null
         }
       }
-      // For game-specific views, use the provided background asset path if available
+      // For game-specific views, use the provided background asset path if available.
+      // Installed script bundles pass their image as a source object instead of a path.
       else if (backgroundAssetPath) {
-        backgroundSource = BACKGROUND_ASSET_MAP[backgroundAssetPath] || null;
+        backgroundSource = typeof backgroundAssetPath === 'object'
+          ? backgroundAssetPath
+          : BACKGROUND_ASSET_MAP[backgroundAssetPath] || null;
       }
       // Fallback to game-specific background based on script ID (legacy support)
       if (!backgroundSource && gameScriptId) {
@@ -0,0 +1,77 @@
+import React from 'react';
+import { TouchableOpacity, Text, Alert } from 'react-native';
+import styles from '../styles/AppStyles';
+import firebaseService from '../firebase';
+
+// The host's buttons for another player: make them a co-host (or stop), hand them hosting, or
+// remove them (and optionally block them from joining again).
+// Renders nothing for anyone but the host, or for the host's own row and virtual players.
+export default function HostRoleButtons({ gameId, player, userId, isHost = false, dynamicStyles = {} }) {
+  if (!isHost || !player || player.userId === userId || player.isVirtual || player.isSimulated) {
+    return null;
+  }
+
+  const handleToggleCoHost = async () => {
+    try {
+      await firebaseService.setCoHost(gameId, userId, player.userId, !player.isCoHost);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const handleMakeHost = () => {
+    Alert.alert(
+      'Hand Over Hosting',
+      `Make ${player.username} the host? You'll become a regular player.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Make Host',
+          onPress: async () => {
+            try {
+              await firebaseService.transferHost(gameId, userId, player.userId);
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const removePlayer = async (block) => {
+    try {
+      await firebaseService.kickPlayer(gameId, userId, player.userId, { block });
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const handleRemove = () => {
+    Alert.alert(
+      'Remove Player',
+      `Remove ${player.username} from the game? Their character is freed in the lobby, or played by a virtual player once the game has started.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => removePlayer(false) },
+        { text: 'Remove and Block', style: 'destructive', onPress: () => removePlayer(true) },
+      ]
+    );
+  };
+
+  return (
+    <>
+      <TouchableOpacity style={[styles.smallButton, styles.viewScriptButton]} onPress={handleToggleCoHost}>
+        <Text style={dynamicStyles.smallButtonText}>
+          {player.isCoHost ? 'Co-host ✓' : 'Make Co-host'}
+        </Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.smallButton, styles.viewScriptButton]} onPress={handleMakeHost}>
+        <Text style={dynamicStyles.smallButtonText}>Make Host</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.smallButton, styles.markNotReadyButton]} onPress={handleRemove}>
+        <Text style={dynamicStyles.smallButtonText}>Remove</Text>
+      </TouchableOpacity>
+    </>
+  );
+}
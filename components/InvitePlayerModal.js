@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Modal, View, Text, TextInput, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import styles from '../styles/AppStyles';
+import firebaseService from '../firebase';
+import { CharacterTakenError } from '../errors';
+
+// Host's invite dialog: search players by username and send them an invitation, optionally
+// for a specific character. The invitation text can still be copied for people without the app.
+export default function InvitePlayerModal({
+  visible = false,
+  gameId,
+  hostUserId,
+  characterName = null,
+  dynamicStyles = {},
+  onCopyInvitation = () => {},
+  onClose = () => {},
+}) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searched, setSearched] = useState(false);
+  const [sendingTo, setSendingTo] = useState(null);
+
+  const handleClose = () => {
+    setQuery('');
+    setResults([]);
+    setSearched(false);
+    onClose();
+  };
+
+  const handleSearch = async () => {
+    if (!query.trim()) return;
+    setSearching(true);
+    try {
+      const users = await firebaseService.searchUsersByUsername(query.trim());
+      setResults(users.filter(user => user.userId !== hostUserId));
+      setSearched(true);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to search for players.');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleSendInvite = async (user) => {
+    setSendingTo(user.userId);
+    try {
+      await firebaseService.inviteToGame(gameId, user.userId, hostUserId, characterName);
+      Alert.alert('Invitation Sent', `${user.username} will see the invitation on their home screen.`);
+      handleClose();
+    } catch (error) {
+      Alert.alert(error instanceof CharacterTakenError ? 'Character Taken' : 'Error', error.message);
+    } finally {
+      setSendingTo(null);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="slide" onRequestClose={handleClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <TouchableOpacity style={styles.modalCloseX} activeOpacity={0.8} onPress={handleClose}>
+            <Text style={styles.modalCloseXText}>✕</Text>
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>
+            {characterName ? `Invite someone to play ${characterName}` : 'Invite a player'}
+          </Text>
+
+          <View style={styles.inputRow}>
+            <TextInput
+              style={styles.textInput}
+              value={query}
+              onChangeText={setQuery}
+              onSubmitEditing={handleSearch}
+              placeholder="Search by username"
+              placeholderTextColor="#999"
+              autoCapitalize="none"
+              returnKeyType="search"
+            />
+          </View>
+          <TouchableOpacity style={[styles.button, styles.primaryButton]} onPress={handleSearch} disabled={searching}>
+            {searching ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={dynamicStyles.buttonText || styles.buttonText}>Search</Text>
+            )}
+          </TouchableOpacity>
+
+          {searched && results.length === 0 && (
+            <Text style={styles.modalDescription}>No players found with that username.</Text>
+          )}
+          {results.map(user => (
+            <View key={user.userId} style={styles.playerRow}>
+              <Text style={dynamicStyles.playerText || styles.playerText}>{user.username}</Text>
+              <TouchableOpacity
+                style={[styles.button, styles.secondaryButton]}
+                onPress={() => handleSendInvite(user)}
+                disabled={sendingTo !== null}
+              >
+                <Text style={dynamicStyles.buttonText || styles.buttonText}>
+                  {sendingTo === user.userId ? 'Sending...' : 'Invite'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={onCopyInvitation}>
+            <Text style={dynamicStyles.buttonText || styles.buttonText}>Copy Invitation Text</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { Modal, View, Text, TextInput, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import styles from '../styles/AppStyles';
+import firebaseService from '../firebase';
+
+// Host's dialog for replacing a player mid-game: hand their character to a virtual player
+// (the host reads the part) or to someone found by username. onReplaced gets the new seat.
+export default function ReplacePlayerModal({
+  visible = false,
+  gameId,
+  hostUserId,
+  player = null,
+  dynamicStyles = {},
+  onReplaced = () => {},
+  onClose = () => {},
+}) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searched, setSearched] = useState(false);
+  const [handingTo, setHandingTo] = useState(null);
+
+  const handleClose = () => {
+    setQuery('');
+    setResults([]);
+    setSearched(false);
+    onClose();
+  };
+
+  const handleSearch = async () => {
+    if (!query.trim()) return;
+    setSearching(true);
+    try {
+      const users = await firebaseService.searchUsersByUsername(query.trim());
+      setResults(users.filter(user => user.userId !== hostUserId && user.userId !== player?.userId));
+      setSearched(true);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to search for players.');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  // Hand the character over; newcomer is { userId, username }, or null for a virtual player
+  const handleHandOver = async (newcomer) => {
+    const characterName = player.characterName;
+    setHandingTo(newcomer ? newcomer.userId : 'virtual');
+    try {
+      const newUserId = await firebaseService.reassignCharacter(gameId, hostUserId, characterName, newcomer);
+      handleClose();
+      onReplaced({
+        userId: newUserId,
+        username: newcomer ? newcomer.username : characterName,
+        characterName,
+        isVirtual: !newcomer,
+      });
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setHandingTo(null);
+    }
+  };
+
+  if (!player) {
+    return null;
+  }
+
+  return (
+    <Modal visible={visible} transparent={true} animationType="slide" onRequestClose={handleClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <TouchableOpacity style={styles.modalCloseX} activeOpacity={0.8} onPress={handleClose}>
+            <Text style={styles.modalCloseXText}>✕</Text>
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>Who plays {player.characterName} now?</Text>
+          <Text style={styles.modalDescription}>
+            {player.isVirtual ? 'A virtual player' : player.username} is playing {player.characterName}. Their ready states and
+            accusations carry over to whoever takes the character.
+          </Text>
+
+          {!player.isVirtual && (
+            <TouchableOpacity
+              style={[styles.button, styles.primaryButton]}
+              onPress={() => handleHandOver(null)}
+              disabled={handingTo !== null}
+            >
+              <Text style={dynamicStyles.buttonText || styles.buttonText}>
+                {handingTo === 'virtual' ? 'Handing over...' : 'Virtual Player (I\'ll read the part)'}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          <View style={styles.inputRow}>
+            <TextInput
+              style={styles.textInput}
+              value={query}
+              onChangeText={setQuery}
+              onSubmitEditing={handleSearch}
+              placeholder="Or search for a player by username"
+              placeholderTextColor="#999"
+              autoCapitalize="none"
+              returnKeyType="search"
+            />
+          </View>
+          <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={handleSearch} disabled={searching}>
+            {searching ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={dynamicStyles.buttonText || styles.buttonText}>Search</Text>
+            )}
+          </TouchableOpacity>
+
+          {searched && results.length === 0 && (
+            <Text style={styles.modalDescription}>No players found with that username.</Text>
+          )}
+          {results.map(user => (
+            <View key={user.userId} style={styles.playerRow}>
+              <Text style={dynamicStyles.playerText || styles.playerText}>{user.username}</Text>
+              <TouchableOpacity
+                style={[styles.button, styles.secondaryButton]}
+                onPress={() => handleHandOver({ userId: user.userId, username: user.username })}
+                disabled={handingTo !== null}
+              >
+                <Text style={dynamicStyles.buttonText || styles.buttonText}>
+                  {handingTo === user.userId ? 'Handing over...' : 'Hand Over'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      </View>
+    </Modal>
+  );
+}
@@ -12,6 +12,7 @@ import BackgroundWrapper from '../BackgroundWrapper';
 import styles from '../../styles/AppStyles';
 import firebaseService from '../../firebase';
 import gameScriptService from '../../gameScriptService';
+import { CharacterTakenError } from '../../errors';
 
 export default function CharacterSelectionView({
   gameId,
@@ -26,7 +27,7 @@ export default function CharacterSelectionView({
   // Helper: get all characters for display
   const getAllCharacters = () => {
     if (!gameData || !gameData.gameScriptId) return [];
-    return gameScriptService.getCharacters(gameData.gameScriptId);
+    return gameScriptService.getCharacters(gameData);
   };
 
   // Helper: get current player
@@ -45,22 +46,17 @@ export default function CharacterSelectionView({
     if (!gameId || !userId) return;
     const charName = character.characterName || character.Character;
     
-    // Remove virtual player if this character is assigned to one
-    const assignedVirtual = gameData.players.find(p =>
-      p.characterName === charName && p.userId.startsWith('player_')
-    );
-    if (assignedVirtual) {
-      await firebaseService.removePlayerFromGame(gameId, assignedVirtual.userId);
-      // Wait for backend update
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
-    
+    // The claim takes over a virtual player's seat atomically
     try {
       await firebaseService.selectCharacter(gameId, userId, charName);
       onSelectCharacter(character);
     } catch (error) {
       console.error('Error selecting character:', error);
-      alert('Failed to select character. Please try again.');
+      if (error instanceof CharacterTakenError) {
+        alert(`${error.message} Please choose another character.`);
+      } else {
+        alert('Failed to select character. Please try again.');
+      }
     }
   };
 
@@ -85,7 +81,7 @@ export default function CharacterSelectionView({
               <View style={styles.currentCharacterContainer}>
                 <Text style={dynamicStyles.label}>Your Current Character:</Text>
                 <Text style={[dynamicStyles.characterNameWhite, styles.centeredText, { fontSize: 20 }]}>
-                  {currentPlayer.characterName}, {gameScriptService.getCharacterByName(gameData?.gameScriptId, currentPlayer.characterName)?.shortDescription}
+                  {currentPlayer.characterName}, {gameScriptService.getCharacterByName(gameData, currentPlayer.characterName)?.shortDescription}
                 </Text>
                 <View style={styles.centeredButtonContainer}>
                   <TouchableOpacity
@@ -104,9 +100,9 @@ export default function CharacterSelectionView({
             {allCharacters.map((character, index) => {
               const charName = character.characterName || character.Character;
               // Check if this character is currently assigned to a virtual player
-              const assignedVirtual = gameData.players.find(p => p.characterName === charName && p.userId.startsWith('player_'));
+              const assignedVirtual = gameData.players.find(p => p.characterName === charName && p.isVirtual);
               // Check if this character is assigned to a real player (host or non-virtual)
-              const assignedReal = gameData.players.find(p => p.characterName === charName && !p.userId.startsWith('player_'));
+              const assignedReal = gameData.players.find(p => p.characterName === charName && !p.isVirtual);
               return (
                 <View key={index} style={[styles.characterCard, { width: '90%', alignSelf: 'center' }]}>
                   <View style={styles.characterInfo}>
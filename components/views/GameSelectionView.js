@@ -1,5 +1,5 @@
 import React, { useState, useRef } from 'react';
-import { View, Text, TouchableOpacity, Modal, ScrollView, ActivityIndicator, PanResponder } from 'react-native';
+import { View, Text, TextInput, TouchableOpacity, Modal, ScrollView, ActivityIndicator, PanResponder } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import BackgroundWrapper from '../BackgroundWrapper';
 import styles from '../../styles/AppStyles';
@@ -10,7 +10,7 @@ function truncateDescription(description, maxLength = 70) {
   return description.substring(0, maxLength) + '...';
 }
 
-export default function GameSelectionView({ availableGameScripts = [], onBack, onLaunchGame, gameLoading = false, dynamicStyles, containerOnLayout, parentOnLayout, scrollViewRef }) {
+export default function GameSelectionView({ availableGameScripts = [], onBack, onLaunchGame, onInstallScript, gameLoading = false, dynamicStyles, containerOnLayout, parentOnLayout, scrollViewRef }) {
   const backgroundProps = {
     view: 'game-selection',
     overlayOpacity: 0.7,
@@ -19,6 +19,12 @@ export default function GameSelectionView({ availableGameScripts = [], onBack, o
   const [showDetails, setShowDetails] = useState(false);
   const [detailsScript, setDetailsScript] = useState(null);
 
+  // Adding a mystery from a script bundle link (https://, or file:// for one on the device)
+  const [showInstall, setShowInstall] = useState(false);
+  const [bundleUrl, setBundleUrl] = useState('');
+  const [installing, setInstalling] = useState(false);
+  const [installError, setInstallError] = useState('');
+
   // PanResponder for swipe left to go back
   const panResponder = useRef(
     PanResponder.create({
@@ -52,6 +58,24 @@ export default function GameSelectionView({ availableGameScripts = [], onBack, o
     setShowDetails(true);
   };
 
+  const handleInstall = async () => {
+    if (!bundleUrl.trim()) {
+      setInstallError('Enter the link to a script bundle');
+      return;
+    }
+    setInstalling(true);
+    setInstallError('');
+    try {
+      await onInstallScript(bundleUrl.trim());
+      setBundleUrl('');
+      setShowInstall(false);
+    } catch (error) {
+      setInstallError(error.message);
+    } finally {
+      setInstalling(false);
+    }
+  };
+
   return (
     <BackgroundWrapper {...backgroundProps} style={{ flex: 1 }}>
       <SafeAreaView edges={['top','left','right']} style={{ flex: 1 }} {...panResponder.panHandlers}>
@@ -121,9 +145,68 @@ export default function GameSelectionView({ availableGameScripts = [], onBack, o
                   </TouchableOpacity>
                 ))
               )}
+              {onInstallScript && (
+                <TouchableOpacity
+                  style={[styles.button, styles.secondaryButton]}
+                  activeOpacity={0.8}
+                  onPress={() => setShowInstall(true)}
+                  disabled={gameLoading}
+                >
+                  <Text style={dynamicStyles && dynamicStyles.buttonText ? dynamicStyles.buttonText : styles.buttonText}>Add a Mystery</Text>
+                </TouchableOpacity>
+              )}
             </View>
           </View>
         </ScrollView>
+        {/* Add a Mystery Modal */}
+        <Modal
+          visible={showInstall}
+          transparent={true}
+          animationType="fade"
+          onRequestClose={() => setShowInstall(false)}
+        >
+          <View style={styles.modalOverlay}>
+            <View style={styles.modalContent}>
+              <TouchableOpacity
+                style={styles.modalCloseX}
+                onPress={() => setShowInstall(false)}
+                disabled={installing}
+              >
+                <Text style={styles.modalCloseXText}>✕</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>Add a Mystery</Text>
+              <Text style={styles.modalDescription}>
+                Paste the link to a script bundle (.json), or a file:// path to one saved on this device.
+              </Text>
+              <TextInput
+                style={(dynamicStyles && dynamicStyles.input) || styles.input}
+                placeholder="https://..."
+                placeholderTextColor="#888"
+                value={bundleUrl}
+                onChangeText={setBundleUrl}
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="url"
+                returnKeyType="done"
+                onSubmitEditing={handleInstall}
+                editable={!installing}
+              />
+              {installError ? <Text style={(dynamicStyles && dynamicStyles.error) || styles.error}>{installError}</Text> : null}
+              <TouchableOpacity
+                style={[styles.button, installing && styles.buttonDisabled]}
+                activeOpacity={0.8}
+                onPress={handleInstall}
+                disabled={installing}
+              >
+                {installing ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={dynamicStyles && dynamicStyles.buttonText ? dynamicStyles.buttonText : styles.buttonText}>Install</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </Modal>
         {/* Game Details Modal */}
         <Modal
           visible={showDetails}
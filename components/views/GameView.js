@@ -11,11 +11,16 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import BackgroundWrapper from '../BackgroundWrapper';
+import HostRoleButtons from '../HostRoleButtons';
+import ReplacePlayerModal from '../ReplacePlayerModal';
+import AutoAdvanceCountdown from '../AutoAdvanceCountdown';
 import styles from '../../styles/AppStyles';
 import firebaseService from '../../firebase';
 import gameScriptService from '../../gameScriptService';
 import { parseFormattedText } from '../../utils/textFormatting';
 import { getFontSize } from '../../utils/styles';
+import { scoreAccusations, WINNERS } from '../../utils/scoring';
+import { loadAccusationDraft, saveAccusationDraft } from '../../storage/accusationDrafts';
 
 export default function GameView({
   gameId,
@@ -32,6 +37,8 @@ export default function GameView({
   const [selectedAccusations, setSelectedAccusations] = useState([]);
   const [accusationSubmitted, setAccusationSubmitted] = useState(false);
   const [showPlayerAccusationStatus, setShowPlayerAccusationStatus] = useState(false);
+  const [replacingPlayer, setReplacingPlayer] = useState(null); // The seat the host is handing over
+  const [characterSecret, setCharacterSecret] = useState(null); // Our own character's private data
 
   useEffect(() => {
     if (scrollViewRef && scrollViewRef.current) {
@@ -39,6 +46,44 @@ export default function GameView({
     }
   }, [gameData?.currentRound]);
 
+  // Pick up accusation selections made before the app was closed
+  useEffect(() => {
+    if (!gameId || !userId || !gameData?.currentRound) return;
+    let cancelled = false;
+    loadAccusationDraft(gameId, userId, gameData.currentRound)
+      .then(draft => {
+        if (!cancelled) {
+          setSelectedAccusations(draft);
+        }
+      })
+      .catch(error => console.error('Error loading accusation draft:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [gameId, userId, gameData?.currentRound]);
+
+  // Our secret information comes from our character secret, which only we and the host can read
+  const ownCharacterName = Array.isArray(gameData?.players)
+    ? gameData.players.find(p => p.userId === userId)?.characterName || null
+    : null;
+  useEffect(() => {
+    if (!gameId || !userId || !ownCharacterName) {
+      setCharacterSecret(null);
+      return;
+    }
+    let cancelled = false;
+    firebaseService.getCharacterSecret(gameId, userId)
+      .then(secret => {
+        if (!cancelled) {
+          setCharacterSecret(secret);
+        }
+      })
+      .catch(error => console.error('Error loading character secret:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [gameId, userId, ownCharacterName]);
+
   // Helper: get current player
   const getCurrentPlayer = () => {
     if (!gameData?.players || !userId) return null;
@@ -54,26 +99,35 @@ export default function GameView({
     return player && player.isHost;
   };
 
-  // Helper: get background asset path
+  // Helper: is co-host
+  const isCoHost = () => {
+    const player = getCurrentPlayer();
+    return player && player.isCoHost;
+  };
+
+  // The host and co-hosts run the rounds: ready states and advancing
+  const canRunRounds = isHost() || isCoHost();
+
+  // Helper: get background asset path (or the image an installed script bundle brought)
   const getBackgroundAssetPath = () => {
     if (!gameData?.gameScriptId) return null;
-    const gameScript = gameScriptService.getGameScript(gameData.gameScriptId);
-    return gameScript?.metadata?.backgroundAsset || null;
+    const gameScript = gameScriptService.getGameScript(gameData);
+    return gameScript?.background || gameScript?.metadata?.backgroundAsset || null;
   };
 
-  // Helper: get character script
+  // Helper: get character script for the current phase
   const getCharacterScript = (characterName, round) => {
     if (!characterName || !round || !gameData) return null;
-    return gameScriptService.getCharacterScript(gameData.gameScriptId, characterName, round);
+    return gameScriptService.getPhaseScript(gameData, characterName, round);
   };
 
   // Helper: get accusable characters
   const getAccusableCharacters = () => {
     if (!gameData) return [];
-    const gameCharacters = gameScriptService.getCharacters(gameData.gameScriptId);
+    const gameCharacters = gameScriptService.getCharacters(gameData);
     
     // Add humorous accusation option from game script if it exists
-    const humorousOption = gameScriptService.getHumorousAccusationOption(gameData.gameScriptId);
+    const humorousOption = gameScriptService.getHumorousAccusationOption(gameData);
     if (humorousOption) {
       return [...gameCharacters, humorousOption];
     }
@@ -84,7 +138,28 @@ export default function GameView({
   // Helper: get murderer characters
   const getMurdererCharacters = () => {
     if (!gameData) return [];
-    return gameScriptService.getMurdererCharacters(gameData.gameScriptId);
+    return gameScriptService.getMurdererCharacters(gameData);
+  };
+
+  // Helper: get scored results (games that ended before scoring existed are scored here)
+  const getResults = () => {
+    if (!gameData) return null;
+    if (gameData.results?.playerResults) return gameData.results;
+    if (!Array.isArray(gameData.players)) return null;
+    
+    const humorousOption = gameScriptService.getHumorousAccusationOption(gameData);
+    const accusationRounds = gameScriptService.getAccusationRounds(gameData);
+    return scoreAccusations({
+      players: gameData.players,
+      murdererNames: getMurdererCharacters().map(murderer => murderer.characterName),
+      humorousOptionName: humorousOption?.characterName || null,
+      accusationRound: accusationRounds[accusationRounds.length - 1],
+    });
+  };
+
+  // Helper: display name for a scored player
+  const getResultName = (result) => {
+    return result.userId === userId ? 'You' : `${result.username} (${result.characterName})`;
   };
 
   // Helper: get accusation vote totals
@@ -98,22 +173,24 @@ export default function GameView({
     const voteTotals = {};
     
     // Initialize vote counts for all characters
-    const allCharacters = gameScriptService.getCharacters(gameData.gameScriptId);
+    const allCharacters = gameScriptService.getCharacters(gameData);
     allCharacters.forEach(char => {
       voteTotals[char.characterName] = [];
     });
     
     // Add humorous accusation option to vote totals if it exists
-    const humorousOption = gameScriptService.getHumorousAccusationOption(gameData.gameScriptId);
+    const humorousOption = gameScriptService.getHumorousAccusationOption(gameData);
     if (humorousOption) {
       voteTotals[humorousOption.characterName] = [];
     }
     
-    // Count accusations from each player
+    // Count accusations from each player in the final accusation round
+    const accusationRounds = gameScriptService.getAccusationRounds(gameData);
+    const finalAccusationRound = accusationRounds[accusationRounds.length - 1];
     gameData.players.forEach(player => {
       const accusations = player.accusations?.made || [];
       accusations.forEach(accusation => {
-        if (accusation.round === 5.5 && accusation.accusedCharacter) {
+        if (accusation.round === finalAccusationRound && accusation.accusedCharacter) {
           if (!voteTotals[accusation.accusedCharacter]) {
             voteTotals[accusation.accusedCharacter] = [];
           }
@@ -138,10 +215,10 @@ export default function GameView({
     );
   };
 
-  // Helper: check if a specific player has made an accusation in round 5.5
+  // Helper: check if a specific player has made an accusation in the current round
   const hasPlayerAccused = (player) => {
     if (!player || !player.accusations?.made) return false;
-    return player.accusations.made.some(acc => acc.round === 5.5);
+    return player.accusations.made.some(acc => acc.round === gameData?.currentRound);
   };
 
   // Helper: get accusation status for all players
@@ -165,32 +242,29 @@ export default function GameView({
   // Helper: get character object
   const getCharacterObject = (characterName) => {
     if (!characterName || !gameData?.gameScriptId) return null;
-    return gameScriptService.getCharacterByName(gameData.gameScriptId, characterName);
+    return gameScriptService.getCharacterByName(gameData, characterName);
   };
 
+  const { PHASE_TYPES } = gameScriptService;
   const currentPlayer = getCurrentPlayer();
   const currentRound = gameData?.currentRound || 1;
+  const currentPhase = gameScriptService.getPhase(gameData, currentRound);
+  const phaseType = currentPhase?.type || PHASE_TYPES.SCRIPT;
+  const isEndPhase = phaseType === PHASE_TYPES.END;
+  const isReadyGated = currentPhase ? currentPhase.readyGated : true;
   let gameViewType = 'game';
-  if (currentRound === 5.5) gameViewType = 'accusations';
-  else if (currentRound === 6) gameViewType = 'final-statements';
-  else if (currentRound === 7) gameViewType = 'game-end';
+  if (phaseType === PHASE_TYPES.ACCUSATION) gameViewType = 'accusations';
+  else if (phaseType === PHASE_TYPES.FINAL_STATEMENT) gameViewType = 'final-statements';
+  else if (isEndPhase) gameViewType = 'game-end';
 
   const characterScript = getCharacterScript(currentPlayer?.characterName, currentRound);
+  const secretInformation = currentPhase?.fields?.includes('secretInformation') ? characterSecret?.secretInformation : null;
   const isReady = currentPlayer?.roundStates?.[currentRound]?.ready || false;
-  const roundInstructions = gameScriptService.getRoundInstructions(gameData?.gameScriptId, currentRound);
-  
-  // Transform backend round instructions to player-friendly labels
-  const getPlayerFriendlyRoundInstructions = () => {
-    switch (currentRound) {
-      case 2: return 'Introduce yourself to the group and share your character\'s background';
-      case 3: return 'Tell your story and react to others\' stories';
-      case 4: return 'Make your observation about the events';
-      case 5: return 'Make your observation about the events';
-      case 5.5: return 'Deliberate with your party and make accusations';
-      case 6: return 'Read your final statements in order';
-      default: return roundInstructions;
-    }
-  };
+  const roundTitle = currentPhase?.title || `Round ${currentRound}`;
+  const roundInstructions = currentPhase?.instructions || gameScriptService.getRoundInstructions(gameData, currentRound);
+  // Phases without ready-gating can be advanced at any time
+  const canAdvanceRound = !isReadyGated || allPlayersReadyForRound();
+  const scriptVersionWarning = isHost() ? gameScriptService.getScriptVersionWarning(gameData) : null;
 
   const handleSetPlayerReady = async (readyStatus) => {
     if (!gameId || !userId) return;
@@ -219,17 +293,24 @@ export default function GameView({
     }
   };
 
+  // Change the selections and keep the draft, so they survive the app closing
+  const updateSelectedAccusations = (characterNames) => {
+    setSelectedAccusations(characterNames);
+    saveAccusationDraft(gameId, userId, currentRound, characterNames)
+      .catch(error => console.error('Error saving accusation draft:', error));
+  };
+
   const handleSubmitAccusation = async () => {
     if (!gameId || !userId || selectedAccusations.length === 0) return;
     
     try {
       // Submit each selected accusation
       for (const accusedCharacter of selectedAccusations) {
-        await firebaseService.submitAccusation(gameId, userId, accusedCharacter);
+        await firebaseService.submitAccusation(gameId, userId, accusedCharacter, currentRound);
       }
       
       setAccusationSubmitted(true);
-      setSelectedAccusations([]);
+      updateSelectedAccusations([]);
     } catch (error) {
       console.error('Error submitting accusation:', error);
       alert('Failed to submit accusation. Please try again.');
@@ -247,10 +328,12 @@ export default function GameView({
     }
   };
 
-  // Accusation round (round 5.5)
-  if (currentRound === 5.5) {
-    const allAccusationsSubmitted = gameData?.players?.every(player => 
-      player.accusations?.made?.some(acc => acc.round === 5.5)
+  // Accusation round
+  if (phaseType === PHASE_TYPES.ACCUSATION) {
+    const allAccusationsSubmitted = !currentPhase?.collectsAccusations || gameData?.players?.every(hasPlayerAccused);
+    const nextPhase = gameScriptService.getPhase(
+      gameData,
+      gameScriptService.getNextRound(gameData, currentRound)
     );
 
     return (
@@ -275,14 +358,14 @@ export default function GameView({
                 }
               ]}
             >
-              <Text style={styles.header}>Round 5 - Make Accusations</Text>
-              <Text style={[dynamicStyles.label, {paddingHorizontal: 16}]}> {getPlayerFriendlyRoundInstructions()} </Text>
+              <Text style={styles.header}>{roundTitle}</Text>
+              <Text style={[dynamicStyles.label, {paddingHorizontal: 16}]}> {roundInstructions} </Text>
               
-              {accusationSubmitted ? (
+              {accusationSubmitted || hasPlayerAccused(currentPlayer) ? (
                 <View style={[styles.gameInfo, {alignItems: 'center'}]}>
                   <Text style={dynamicStyles.label}>Waiting for other players to make accusations...</Text>
                   <Text style={dynamicStyles.subtitle}>
-                    {gameData?.players?.filter(p => p.accusations?.made?.some(acc => acc.round === 5.5)).length || 0} of {gameData?.players?.length || 0} players have submitted accusations
+                    {gameData?.players?.filter(hasPlayerAccused).length || 0} of {gameData?.players?.length || 0} players have submitted accusations
                   </Text>
                 </View>
               ) : (
@@ -298,9 +381,9 @@ export default function GameView({
                       ]}
                       onPress={() => {
                         if (selectedAccusations.includes(character.characterName)) {
-                          setSelectedAccusations(selectedAccusations.filter(name => name !== character.characterName));
+                          updateSelectedAccusations(selectedAccusations.filter(name => name !== character.characterName));
                         } else {
-                          setSelectedAccusations([...selectedAccusations, character.characterName]);
+                          updateSelectedAccusations([...selectedAccusations, character.characterName]);
                         }
                       }}
                     >
@@ -345,14 +428,13 @@ export default function GameView({
                   {showPlayerAccusationStatus && (
                     <View style={styles.playerStatusContainer}>
                       {getAccusationStatus().players.map((player) => {
-                        const isVirtualPlayer = player.userId.startsWith('player');
                         
                         return (
                           <View key={player.userId} style={styles.playerRow}>
                             <View style={styles.playerInfo}>
                               <Text style={dynamicStyles.playerText}>
                                 {player.userId === userId ? 'You' : player.username} ({player.characterName})
-                                {isVirtualPlayer && ' [Virtual]'}
+                                {player.isVirtual && ' [Virtual]'}
                               </Text>
                               <Text style={[dynamicStyles.playerText, { fontSize: 14, opacity: 0.8 }]}>
                                 {player.hasAccused ? '✓ Accusation Made' : '✗ Not Accused'}
@@ -380,8 +462,16 @@ export default function GameView({
                 </View>
               )}
 
-              {/* Host Controls - Advance to Final Statements */}
-              {isHost() && (
+              <AutoAdvanceCountdown
+                gameId={gameId}
+                gameData={gameData}
+                userId={userId}
+                canCancel={canRunRounds}
+                dynamicStyles={dynamicStyles}
+              />
+
+              {/* Host Controls - Advance to the next phase */}
+              {canRunRounds && (
                 <View style={styles.gameInfo}>
                   <TouchableOpacity
                     style={[
@@ -394,7 +484,9 @@ export default function GameView({
                     disabled={!allAccusationsSubmitted}
                   >
                     <Text style={dynamicStyles.buttonText}>
-                      {allAccusationsSubmitted ? 'Advance to Final Statements' : 'Waiting for all accusations...'}
+                      {allAccusationsSubmitted
+                        ? `Advance to ${nextPhase?.title || 'Next Round'}`
+                        : 'Waiting for all accusations...'}
                     </Text>
                   </TouchableOpacity>
                 </View>
@@ -406,8 +498,8 @@ export default function GameView({
     );
   }
 
-  // Final statements round (round 6)
-  if (currentRound === 6) {
+  // Final statements round
+  if (phaseType === PHASE_TYPES.FINAL_STATEMENT) {
     const characterObj = getCharacterObject(currentPlayer?.characterName);
     return (
       <BackgroundWrapper 
@@ -427,8 +519,8 @@ export default function GameView({
                 { paddingTop: Platform.OS === 'android' ? StatusBar.currentHeight : 20, backgroundColor: 'transparent' }
               ]}
             >
-              <Text style={styles.header}>Round 6 - Final Statements</Text>
-              <Text style={[dynamicStyles.label, {paddingHorizontal: 16}]}>Read your final statements in order</Text>
+              <Text style={styles.header}>{roundTitle}</Text>
+              <Text style={[dynamicStyles.label, {paddingHorizontal: 16}]}>{roundInstructions}</Text>
               <Text style={[dynamicStyles.label, {paddingHorizontal: 16, marginBottom: 8}]}>(your statement order: {characterObj?.finalStatementOrder || 'No order specified'})</Text>
               <View style={styles.gameInfo}>
                 <Text style={dynamicStyles.label}>Your Final Statement:</Text>
@@ -449,8 +541,15 @@ export default function GameView({
                   </Text>
                 </TouchableOpacity>
               </View>
-              {/* Host Controls - Only for Host */}
-              {isHost() && (
+              <AutoAdvanceCountdown
+                gameId={gameId}
+                gameData={gameData}
+                userId={userId}
+                canCancel={canRunRounds}
+                dynamicStyles={dynamicStyles}
+              />
+              {/* Host Controls - For the host and co-hosts */}
+              {canRunRounds && (
                 <View style={styles.gameInfo}>
                   <TouchableOpacity
                     style={styles.collapsibleHeader}
@@ -467,19 +566,18 @@ export default function GameView({
                     <View style={styles.playerStatusContainer}>
                       {gameData?.players.map((player) => {
                         const playerReady = player.roundStates?.[currentRound]?.ready || false;
-                        const isVirtualPlayer = player.userId.startsWith('player');
                         return (
                           <View key={player.userId} style={styles.playerRow}>
                             <View style={styles.playerInfo}>
                               <Text style={dynamicStyles.playerText}>
                                 {player.userId === userId ? 'You' : player.username} ({player.characterName})
-                                {isVirtualPlayer && ' [Virtual]'}
+                                {player.isVirtual && ' [Virtual]'}
                               </Text>
                             </View>
                             {/* Host Controls for each player */}
-                            {isHost() && (
+                            {canRunRounds && (
                               <View style={styles.playerControls}>
-                                {player.userId !== userId && (
+                                {isHost() && player.userId !== userId && (
                                   <TouchableOpacity
                                     style={[styles.smallButton, styles.viewScriptButton]}
                                     onPress={() => onShowPlayerScript(player)}
@@ -504,13 +602,13 @@ export default function GameView({
                   )}
                   <View style={styles.centeredButtonContainer}>
                     <TouchableOpacity
-                      style={[styles.button, allPlayersReadyForRound() ? styles.buttonActive : styles.buttonDisabled]}
+                      style={[styles.button, canAdvanceRound ? styles.buttonActive : styles.buttonDisabled]}
                       activeOpacity={0.8}
                       onPress={onAdvanceToNextRound}
-                      disabled={!allPlayersReadyForRound()}
+                      disabled={!canAdvanceRound}
                     >
                       <Text style={dynamicStyles.buttonText}>
-                        {allPlayersReadyForRound() ? 'Advance to Next Round' : 'Waiting for all players...'}
+                        {canAdvanceRound ? 'Advance to Next Round' : 'Waiting for all players...'}
                       </Text>
                     </TouchableOpacity>
                   </View>
@@ -546,21 +644,14 @@ export default function GameView({
                 }
               ]}
             >
-            <Text style={currentRound === 7 ? {color: '#fff', fontSize: 40, fontWeight: 'bold', textAlign: 'center', marginVertical: 16} : styles.header}>
-              {currentRound === 7 ? 'The END' : 
-               currentRound === 2 ? 'Round 1 - Introduce Yourself' :
-               currentRound === 3 ? 'Round 2 - Tell Your Story' :
-               currentRound === 4 ? 'Round 3 - Make Your Observation' :
-               currentRound === 5 ? 'Round 4 - Make Your Observation' :
-               currentRound === 5.5 ? 'Round 5 - Make Accusations' :
-               currentRound === 6 ? 'Round 6 - Final Statements' :
-               `Round ${currentRound}`
-              }
+            <Text style={isEndPhase ? {color: '#fff', fontSize: 40, fontWeight: 'bold', textAlign: 'center', marginVertical: 16} : styles.header}>
+              {roundTitle}
             </Text>
-            {currentRound !== 7 && <Text style={dynamicStyles.label}>{getPlayerFriendlyRoundInstructions()}</Text>}
+            {!isEndPhase && <Text style={dynamicStyles.label}>{roundInstructions}</Text>}
+            {scriptVersionWarning && <Text style={styles.scriptVersionWarning}>{scriptVersionWarning}</Text>}
             
-            {/* Murderer and Vote Totals for Round 7 */}
-            {currentRound === 7 && (
+            {/* Murderer and Vote Totals for the end phase */}
+            {isEndPhase && (
               <>
                 <View style={styles.gameInfo}>
                   <Text style={dynamicStyles.label}>
@@ -571,6 +662,60 @@ export default function GameView({
                   </Text>
                 </View>
 
+                {/* Scored results */}
+                {(() => {
+                  const results = getResults();
+                  if (!results) return null;
+                  
+                  const solved = results.playerResults.filter(result => results.solvedBy.includes(result.userId));
+                  const partial = results.playerResults.filter(result => results.partialCreditBy.includes(result.userId));
+                  const fooled = results.playerResults.filter(result => results.fooledBy.includes(result.userId));
+                  const humorousOption = gameScriptService.getHumorousAccusationOption(gameData);
+                  const murdererCount = results.murdererCharacters.length;
+                  
+                  return (
+                    <View style={styles.gameInfo}>
+                      <Text style={dynamicStyles.label}>
+                        {results.winner === WINNERS.DETECTIVES ? 'The mystery was solved!' : 'The murderer got away with it!'}
+                      </Text>
+                      
+                      <View style={styles.scriptContainer}>
+                        <Text style={{color: '#fff', fontSize: 18, fontWeight: 'bold', textAlign: 'center'}}>
+                          Solved it
+                        </Text>
+                        <Text style={dynamicStyles.scriptText}>
+                          {solved.length > 0 ? solved.map(getResultName).join(', ') : 'Nobody'}
+                        </Text>
+                      </View>
+                      
+                      {murdererCount > 1 && partial.length > 0 && (
+                        <View style={styles.scriptContainer}>
+                          <Text style={{color: '#fff', fontSize: 18, fontWeight: 'bold', textAlign: 'center'}}>
+                            Partial credit
+                          </Text>
+                          {partial.map(result => (
+                            <Text key={result.userId} style={dynamicStyles.scriptText}>
+                              {getResultName(result)}: {result.correct.length} of {murdererCount} murderers
+                              {result.incorrect.length > 0 ? ` (also accused ${result.incorrect.join(', ')})` : ''}
+                            </Text>
+                          ))}
+                        </View>
+                      )}
+                      
+                      {humorousOption && fooled.length > 0 && (
+                        <View style={styles.scriptContainer}>
+                          <Text style={{color: '#fff', fontSize: 18, fontWeight: 'bold', textAlign: 'center'}}>
+                            Fooled by {humorousOption.characterName}
+                          </Text>
+                          <Text style={dynamicStyles.scriptText}>
+                            {fooled.map(getResultName).join(', ')}
+                          </Text>
+                        </View>
+                      )}
+                    </View>
+                  );
+                })()}
+
                 <View style={styles.gameInfo}>
                   <Text style={dynamicStyles.label}>Accusation Totals:</Text>
                   {Object.entries(getAccusationVoteTotals()).map(([characterName, accusers]) => (
@@ -590,7 +735,7 @@ export default function GameView({
                   ))}
                 </View>
                 
-                                 {/* Coffee link for Round 7 */}
+                                 {/* Coffee link for the end phase */}
                  <View style={[styles.gameInfo, {alignItems: 'center'}]}>
                    <TouchableOpacity
                      style={[styles.button, { backgroundColor: '#FF9800', alignSelf: 'center', marginBottom: 16 }]}
@@ -617,8 +762,8 @@ export default function GameView({
             
             {/* Player Scripts - Same for Host and Players */}
             <View style={styles.gameInfo}>
-              {/* Only show character name on Round 1 */}
-              {currentRound === 1 && (
+              {/* Only show character name on the first round */}
+              {currentRound === gameScriptService.getFirstRound(gameData) && (
                 <>
                   <Text style={dynamicStyles.label}>Your Character:</Text>
                   <Text style={[dynamicStyles.characterNameWhite, styles.centeredText]}>{currentPlayer?.characterName}</Text>
@@ -636,11 +781,11 @@ export default function GameView({
                     </>
                   )}
                   
-                  {characterScript.secretInformation && (
+                  {secretInformation && (
                     <>
                       <Text style={dynamicStyles.label}>Secret Information:</Text>
                       <View style={styles.scriptContainer}>
-                        {parseFormattedText(characterScript.secretInformation, dynamicStyles.scriptText)}
+                        {parseFormattedText(secretInformation, dynamicStyles.scriptText)}
                       </View>
                     </>
                   )}
@@ -684,8 +829,8 @@ export default function GameView({
                 </>
               )}
               
-              {/* Only show ready button if not Round 7 */}
-              {currentRound !== 7 && (
+              {/* Only show ready button if the phase is ready-gated */}
+              {isReadyGated && (
                 <View style={styles.centeredButtonContainer}>
                   <TouchableOpacity
                     style={[styles.button, isReady && styles.buttonActive]}
@@ -700,8 +845,16 @@ export default function GameView({
               )}
             </View>
 
-            {/* Host Controls - Only for Host and not Round 7 */}
-            {isHost() && currentRound !== 7 && (
+            <AutoAdvanceCountdown
+              gameId={gameId}
+              gameData={gameData}
+              userId={userId}
+              canCancel={canRunRounds}
+              dynamicStyles={dynamicStyles}
+            />
+
+            {/* Host Controls - For the host and co-hosts, and not the end phase */}
+            {canRunRounds && !isEndPhase && (
               <View style={styles.gameInfo}>
                 <TouchableOpacity
                   style={styles.collapsibleHeader}
@@ -719,21 +872,20 @@ export default function GameView({
                   <View style={styles.playerStatusContainer}>
                     {gameData?.players.map((player) => {
                       const playerReady = player.roundStates?.[currentRound]?.ready || false;
-                      const isVirtualPlayer = player.userId.startsWith('player');
                       
                       return (
                         <View key={player.userId} style={styles.playerRow}>
                           <View style={styles.playerInfo}>
                             <Text style={dynamicStyles.playerText}>
                               {player.userId === userId ? 'You' : player.username} ({player.characterName})
-                              {isVirtualPlayer && ' [Virtual]'}
+                              {player.isVirtual && ' [Virtual]'}
                             </Text>
                           </View>
                           
                           {/* Host Controls for each player */}
-                          {isHost() && (
+                          {canRunRounds && (
                             <View style={styles.playerControls}>
-                              {player.userId !== userId && (
+                              {isHost() && player.userId !== userId && (
                                 <TouchableOpacity
                                   style={[styles.smallButton, styles.viewScriptButton]}
                                   onPress={() => onShowPlayerScript(player)}
@@ -750,6 +902,21 @@ export default function GameView({
                                   {playerReady ? 'Ready' : 'Not Ready'}
                                 </Text>
                               </TouchableOpacity>
+                              <HostRoleButtons
+                                gameId={gameId}
+                                player={player}
+                                userId={userId}
+                                isHost={isHost()}
+                                dynamicStyles={dynamicStyles}
+                              />
+                              {isHost() && player.userId !== userId && gameData?.status === 'IN_PROGRESS' && (
+                                <TouchableOpacity
+                                  style={[styles.smallButton, styles.viewScriptButton]}
+                                  onPress={() => setReplacingPlayer(player)}
+                                >
+                                  <Text style={dynamicStyles.smallButtonText}>Replace</Text>
+                                </TouchableOpacity>
+                              )}
                             </View>
                           )}
                         </View>
@@ -760,21 +927,21 @@ export default function GameView({
                 
                 <View style={styles.centeredButtonContainer}>
                   <TouchableOpacity
-                    style={[styles.button, allPlayersReadyForRound() ? styles.buttonActive : styles.buttonDisabled]}
+                    style={[styles.button, canAdvanceRound ? styles.buttonActive : styles.buttonDisabled]}
                     activeOpacity={0.8}
                     onPress={onAdvanceToNextRound}
-                    disabled={!allPlayersReadyForRound()}
+                    disabled={!canAdvanceRound}
                   >
                     <Text style={dynamicStyles.buttonText}>
-                      {allPlayersReadyForRound() ? 'Advance to Next Round' : 'Waiting for all players...'}
+                      {canAdvanceRound ? 'Advance to Next Round' : 'Waiting for all players...'}
                     </Text>
                   </TouchableOpacity>
                 </View>
               </View>
             )}
 
-            {/* Exit Game button for Round 7 */}
-            {false && currentRound === 7 && (
+            {/* Exit Game button for the end phase */}
+            {false && isEndPhase && (
               <View style={styles.gameInfo}>
                 <TouchableOpacity
                   style={[styles.button, { backgroundColor: '#6b2d35' }]}
@@ -788,6 +955,21 @@ export default function GameView({
           </ScrollView>
         </View>
       </SafeAreaView>
+
+      {/* Replace a player who has left: a virtual seat opens straight into its script */}
+      <ReplacePlayerModal
+        visible={!!replacingPlayer}
+        gameId={gameId}
+        hostUserId={userId}
+        player={replacingPlayer}
+        dynamicStyles={dynamicStyles}
+        onReplaced={(seat) => {
+          if (seat.isVirtual) {
+            onShowPlayerScript(seat);
+          }
+        }}
+        onClose={() => setReplacingPlayer(null)}
+      />
     </BackgroundWrapper>
   );
 } 
\ No newline at end of file
@@ -3,8 +3,9 @@ import { View, Text, TouchableOpacity, ActivityIndicator, PanResponder } from 'r
 import { SafeAreaView } from 'react-native-safe-area-context';
 import BackgroundWrapper from '../BackgroundWrapper';
 import styles from '../../styles/AppStyles';
+import { formatPartyDate } from '../../utils/partySchedule';
 
-export default function HomeView({ username = '', createGame, joinGame, myGames, gameLoading = false, dynamicStyles, onBackToOnboarding }) {
+export default function HomeView({ username = '', createGame, joinGame, myGames, gameLoading = false, dynamicStyles, onBackToOnboarding, pendingInvites = [], onAcceptInvite, onDeclineInvite }) {
   const backgroundProps = {
     view: 'home',
     overlayOpacity: 0.6,
@@ -69,6 +70,45 @@ export default function HomeView({ username = '', createGame, joinGame, myGames,
           >
             <Text style={dynamicStyles && dynamicStyles.buttonText ? dynamicStyles.buttonText : styles.buttonText}>My Games</Text>
           </TouchableOpacity>
+
+          {/* Invitations waiting for an answer */}
+          {pendingInvites.map(invite => (
+            <View key={invite.inviteId} style={[styles.gameCard, { alignSelf: 'stretch', marginHorizontal: 20 }]}>
+              <Text style={(dynamicStyles && dynamicStyles.gameTitle) || styles.gameTitle}>
+                {invite.inviterUsername || 'A host'} invited you to {invite.gameTitle || 'a murder mystery party'}
+              </Text>
+              {invite.characterName && (
+                <View style={styles.gameDetailRow}>
+                  <Text style={(dynamicStyles && dynamicStyles.gameDetailLabel) || styles.gameDetailLabel}>Character: </Text>
+                  <Text style={(dynamicStyles && dynamicStyles.gameDetailValue) || styles.gameDetailValue}>{invite.characterName}</Text>
+                </View>
+              )}
+              {invite.scheduledAt && (
+                <View style={styles.gameDetailRow}>
+                  <Text style={(dynamicStyles && dynamicStyles.gameDetailLabel) || styles.gameDetailLabel}>Party: </Text>
+                  <Text style={(dynamicStyles && dynamicStyles.gameDetailValue) || styles.gameDetailValue}>{formatPartyDate(invite.scheduledAt)}</Text>
+                </View>
+              )}
+              <View style={styles.gameCardActions}>
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.actionButtonPrimary]}
+                  activeOpacity={0.8}
+                  onPress={() => onAcceptInvite && onAcceptInvite(invite)}
+                  disabled={gameLoading}
+                >
+                  <Text style={(dynamicStyles && dynamicStyles.actionButtonText) || styles.actionButtonText}>Accept</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.actionButtonDanger]}
+                  activeOpacity={0.8}
+                  onPress={() => onDeclineInvite && onDeclineInvite(invite)}
+                  disabled={gameLoading}
+                >
+                  <Text style={(dynamicStyles && dynamicStyles.actionButtonText) || styles.actionButtonText}>Decline</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ))}
         </View>
         
         {/* Branding text at bottom */}
@@ -9,6 +9,7 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import BackgroundWrapper from '../BackgroundWrapper';
+import AutoAdvanceCountdown from '../AutoAdvanceCountdown';
 import styles from '../../styles/AppStyles';
 import firebaseService from '../../firebase';
 import gameScriptService from '../../gameScriptService';
@@ -28,9 +29,10 @@ export default function IntroductionView({
   const [showPlayerStatus, setShowPlayerStatus] = useState(false);
   const hasNavigated = useRef(false);
 
-  // Auto-navigate when round changes (e.g., from general introduction round 1 to character introductions round 2)
+  // Auto-navigate once the game moves past the introduction phase
+  const phaseType = gameScriptService.getPhase(gameData, gameData?.currentRound)?.type;
   useEffect(() => {
-    if (gameData?.currentRound && gameData.currentRound > 1 && !hasNavigated.current) {
+    if (phaseType && phaseType !== gameScriptService.PHASE_TYPES.INTRODUCTION && !hasNavigated.current) {
   
       hasNavigated.current = true; // Prevent multiple navigation attempts
       // Navigate to the next view since the round has already advanced
@@ -38,7 +40,7 @@ export default function IntroductionView({
         onNavigateToNextView();
       }
     }
-  }, [gameData?.currentRound, onNavigateToNextView]);
+  }, [phaseType, onNavigateToNextView]);
 
   // Reset navigation guard when game changes
   useEffect(() => {
@@ -54,23 +56,27 @@ export default function IntroductionView({
     return gameData.players.find(p => p.userId === userId);
   };
 
-  // Helper: is host
-  const isHost = () => {
+  // Helper: is host or co-host (either can run the introduction)
+  const canRunRounds = () => {
     const player = getCurrentPlayer();
-    return player && player.isHost;
+    return player && (player.isHost || player.isCoHost);
   };
 
-  // Helper: get background asset path
+  // Helper: get background asset path (or the image an installed script bundle brought)
   const getBackgroundAssetPath = () => {
     if (!gameData?.gameScriptId) return null;
-    const gameScript = gameScriptService.getGameScript(gameData.gameScriptId);
-    return gameScript?.metadata?.backgroundAsset || null;
+    const gameScript = gameScriptService.getGameScript(gameData);
+    return gameScript?.background || gameScript?.metadata?.backgroundAsset || null;
   };
 
   const currentPlayer = getCurrentPlayer();
-  const introductionText = gameScriptService.getIntroduction(gameData?.gameScriptId);
-  const isReady = currentPlayer?.roundStates?.[1]?.ready || false;
-  const allPlayersReady = gameData?.players?.every(p => p.roundStates?.[1]?.ready || false);
+  const introductionText = gameScriptService.getIntroduction(gameData);
+  // The introduction phase is whatever round the game is currently on
+  const introductionRound = gameData?.currentRound || gameScriptService.getFirstRound(gameData);
+  const introductionPhase = gameScriptService.getPhase(gameData, introductionRound);
+  const isReadyGated = introductionPhase ? introductionPhase.readyGated : true;
+  const isReady = currentPlayer?.roundStates?.[introductionRound]?.ready || false;
+  const allPlayersReady = !isReadyGated || gameData?.players?.every(p => p.roundStates?.[introductionRound]?.ready || false);
 
 
   
@@ -82,10 +88,7 @@ export default function IntroductionView({
     }
     
     try {
-      // Use round 1 for the general introduction
-      const roundToUpdate = 1;
-      
-      await firebaseService.updatePlayerReady(gameId, userId, readyStatus, roundToUpdate);
+      await firebaseService.updatePlayerReady(gameId, userId, readyStatus, introductionRound);
     } catch (error) {
       console.error('🔧 Error setting ready status:', error);
       alert('Failed to update ready status. Please try again.');
@@ -101,13 +104,7 @@ export default function IntroductionView({
     }
     
     try {
-      // Use round 1 for the general introduction
-      const roundToUpdate = 1;
-      // console.log('🔧 roundToUpdate:', roundToUpdate);
-      
-      // console.log('🔧 Calling firebaseService.updatePlayerReady with:', { gameId, playerId, readyStatus, roundToUpdate });
-      await firebaseService.updatePlayerReady(gameId, playerId, readyStatus, roundToUpdate);
-      // console.log(`🔧 Successfully set player ${playerId} ready status to: ${readyStatus} for round: ${roundToUpdate}`);
+      await firebaseService.updatePlayerReady(gameId, playerId, readyStatus, introductionRound);
     } catch (error) {
       console.error('🔧 Error setting player ready status manually:', error);
     }
@@ -134,7 +131,7 @@ export default function IntroductionView({
             }
           ]}
         >
-            <Text style={styles.header}>The Murder</Text>
+            <Text style={styles.header}>{introductionPhase?.title || 'The Murder'}</Text>
             
             <View style={styles.gameInfo}>
               <View style={styles.scriptContainer}>
@@ -142,27 +139,37 @@ export default function IntroductionView({
               </View>
             </View>
 
-            <View style={styles.centeredButtonContainer}>
-              <TouchableOpacity
-                style={[styles.button, isReady && styles.buttonActive]}
-                activeOpacity={0.8}
-                onPress={() => handleSetPlayerReady(!isReady)}
-              >
-                <Text style={dynamicStyles.buttonText}>
-                  {isReady ? 'Ready ✓' : 'I\'m Ready'}
-                </Text>
-              </TouchableOpacity>
-            </View>
+            {isReadyGated && (
+              <View style={styles.centeredButtonContainer}>
+                <TouchableOpacity
+                  style={[styles.button, isReady && styles.buttonActive]}
+                  activeOpacity={0.8}
+                  onPress={() => handleSetPlayerReady(!isReady)}
+                >
+                  <Text style={dynamicStyles.buttonText}>
+                    {isReady ? 'Ready ✓' : 'I\'m Ready'}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            <AutoAdvanceCountdown
+              gameId={gameId}
+              gameData={gameData}
+              userId={userId}
+              canCancel={canRunRounds()}
+              dynamicStyles={dynamicStyles}
+            />
 
-            {/* Host Controls - Only for Host */}
-            {isHost() && (
+            {/* Host Controls - For the host and co-hosts */}
+            {canRunRounds() && (
               <View style={styles.gameInfo}>
                 <TouchableOpacity
                   style={styles.collapsibleHeader}
                   onPress={() => setShowPlayerStatus(!showPlayerStatus)}
                 >
                   <Text style={dynamicStyles.collapsibleHeaderText}>
-                    Players Ready: {gameData?.players?.filter(p => p.roundStates?.[1]?.ready).length || 0}/{gameData?.players?.length || 0}
+                    Players Ready: {gameData?.players?.filter(p => p.roundStates?.[introductionRound]?.ready).length || 0}/{gameData?.players?.length || 0}
                   </Text>
                   <Text style={dynamicStyles.collapsibleArrow}>
                     {showPlayerStatus ? '▼' : '▶'}
@@ -172,15 +179,14 @@ export default function IntroductionView({
                 {showPlayerStatus && (
                   <View style={styles.playerStatusContainer}>
                     {gameData?.players.map((player) => {
-                      const playerReady = player.roundStates?.[1]?.ready || false;
-                      const isVirtualPlayer = player.userId.startsWith('player'); // Virtual players
+                      const playerReady = player.roundStates?.[introductionRound]?.ready || false;
                       
                       // console.log('🔧 Player debug:', {
                       //   playerId: player.userId,
                       //   playerName: player.username,
                       //   playerRoundStates: player.roundStates,
                       //   playerReady,
-                      //   isVirtualPlayer
+                      //   isVirtual: player.isVirtual
                       // });
                       
                       return (
@@ -188,12 +194,12 @@ export default function IntroductionView({
                           <View style={styles.playerInfo}>
                             <Text style={dynamicStyles.playerText}>
                               {player.userId === userId ? 'You' : player.username} ({player.characterName})
-                              {isVirtualPlayer && ' [Virtual]'}
+                              {player.isVirtual && ' [Virtual]'}
                             </Text>
                           </View>
                           
                           {/* Host Controls for each player */}
-                          {isHost() && (
+                          {canRunRounds() && (
                             <View style={styles.playerControls}>
                               <TouchableOpacity
                                 style={[styles.smallButton, playerReady ? styles.markReadyButton : styles.markNotReadyButton]}
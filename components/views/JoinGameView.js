@@ -7,6 +7,8 @@ import styles from '../../styles/AppStyles';
 export default function JoinGameView({
   gameCode,
   setGameCode,
+  localHost = '',
+  setLocalHost,
   onJoin,
   onBack,
   gameLoading = false,
@@ -80,6 +82,20 @@ export default function JoinGameView({
               onSubmitEditing={onJoin}
               editable={!gameLoading}
             />
+            <Text style={dynamicStyles.label || styles.label}>Host playing over Wi-Fi? Enter the address in their lobby:</Text>
+            <TextInput
+              style={dynamicStyles.input || styles.input}
+              placeholder="Host address (optional)"
+              placeholderTextColor="#888"
+              value={localHost}
+              onChangeText={text => setLocalHost && setLocalHost(text.replace(/\s/g, ''))}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="numbers-and-punctuation"
+              returnKeyType="done"
+              onSubmitEditing={onJoin}
+              editable={!gameLoading}
+            />
             {inputError ? <Text style={dynamicStyles.error || styles.error}>{inputError}</Text> : null}
             <TouchableOpacity
               style={[styles.button, gameLoading && styles.buttonDisabled]}
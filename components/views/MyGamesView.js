@@ -1,4 +1,4 @@
-import React, { useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import {
   View,
   Text,
@@ -12,13 +12,16 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import BackgroundWrapper from '../BackgroundWrapper';
 import styles from '../../styles/AppStyles';
-import gameScriptService from '../../gameScriptService';
+import { formatCountdown, formatPartyDate, formatPartyTime } from '../../utils/partySchedule';
 
 export default function MyGamesView({
   myGames = [],
   myGamesLoading = false,
   myGamesFilter = 'all',
   setMyGamesFilter = (filter) => {},
+  hasMoreGames = false,
+  loadingMoreGames = false,
+  onLoadMore = () => {},
   onGo = (game) => {},
   onInvite = (game) => {},
   onDelete = (game) => {},
@@ -41,21 +44,13 @@ export default function MyGamesView({
       },
     })
   ).current;
-  // Filter games based on current filter
-  const filteredGames = myGames.filter(game => {
-    switch (myGamesFilter) {
-      case 'active':
-        return game.gameData?.status === 'LOBBY' || game.gameData?.status === 'IN_PROGRESS';
-      case 'completed':
-        return game.gameData?.status === 'COMPLETED';
-      case 'hosted':
-        return game.role === 'host';
-      case 'joined':
-        return game.role === 'player';
-      default:
-        return true; // 'all'
-    }
-  });
+
+  // Tick once a minute so party countdowns stay current
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
 
   return (
     <BackgroundWrapper view="home" overlayOpacity={0.7}>
@@ -98,15 +93,14 @@ export default function MyGamesView({
               </View>
             ) : (
               <>
-                {/* Games List */}
-                {filteredGames.length > 0 ? (
+                {/* Games List - already filtered by the query that loaded it */}
+                {myGames.length > 0 ? (
                   <View style={styles.gamesList}>
-                    {filteredGames.map((game, index) => {
-                      const scriptId = game.gameData?.gameScriptId;
-                      const script = scriptId && game.gameData?.gameScript ? game.gameData.gameScript : null;
-                      const gameStatus = game.gameData?.status || 'Unknown';
-                      const playerCount = game.gameData?.players?.length || 0;
+                    {myGames.map((game, index) => {
+                      const summary = game.summary || {};
+                      const gameStatus = summary.status || 'Unknown';
                       const isHost = game.role === 'host';
+                      const scheduledAt = summary.scheduledAt;
                       const showGo = true;
                       const showInvite = true;
                       const showDelete = isHost;
@@ -115,7 +109,7 @@ export default function MyGamesView({
                           {/* Game Header */}
                           <View style={styles.gameCardHeader}>
                             <Text style={dynamicStyles.gameTitle || styles.gameTitle}>
-                              {gameScriptService.getGameScript(game.gameData?.gameScriptId)?.title || game.gameData?.gameScriptId || 'Unknown Game'}
+                              {summary.title || summary.gameScriptId || 'Unknown Game'}
                             </Text>
                           </View>
                           {/* Game Details */}
@@ -134,6 +128,28 @@ export default function MyGamesView({
                                 {isHost ? 'Host' : 'Player'}
                               </Text>
                             </View>
+                            {summary.characterName ? (
+                              <View style={styles.gameDetailRow}>
+                                <Text style={dynamicStyles.gameDetailLabel || styles.gameDetailLabel}>Character: </Text>
+                                <Text style={dynamicStyles.gameDetailValue || styles.gameDetailValue}>{summary.characterName}</Text>
+                              </View>
+                            ) : null}
+                            <View style={styles.gameDetailRow}>
+                              <Text style={dynamicStyles.gameDetailLabel || styles.gameDetailLabel}>Players: </Text>
+                              <Text style={dynamicStyles.gameDetailValue || styles.gameDetailValue}>
+                                {summary.playerCount || 0}
+                                {gameStatus === 'IN_PROGRESS' ? ` - Round ${summary.currentRound}` : ''}
+                              </Text>
+                            </View>
+                            {scheduledAt ? (
+                              <View style={styles.gameDetailRow}>
+                                <Text style={dynamicStyles.gameDetailLabel || styles.gameDetailLabel}>Party: </Text>
+                                <Text style={dynamicStyles.gameDetailValue || styles.gameDetailValue}>
+                                  {formatPartyDate(scheduledAt)} at {formatPartyTime(scheduledAt)}
+                                  {gameStatus === 'LOBBY' ? ` (${formatCountdown(scheduledAt, now)})` : ''}
+                                </Text>
+                              </View>
+                            ) : null}
                           </View>
                           {/* Game Actions */}
                           <View style={styles.gameCardActions}>
@@ -168,6 +184,20 @@ export default function MyGamesView({
                         </View>
                       );
                     })}
+                    {hasMoreGames && (
+                      <TouchableOpacity
+                        style={[styles.button, styles.secondaryButton]}
+                        activeOpacity={0.8}
+                        onPress={onLoadMore}
+                        disabled={loadingMoreGames}
+                      >
+                        {loadingMoreGames ? (
+                          <ActivityIndicator size="small" color="#fff" />
+                        ) : (
+                          <Text style={dynamicStyles.buttonText || styles.buttonText}>Load More</Text>
+                        )}
+                      </TouchableOpacity>
+                    )}
                   </View>
                 ) : (
                   <View style={styles.centered}>
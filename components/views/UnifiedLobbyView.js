@@ -11,12 +11,37 @@ import {
   Alert,
 } from 'react-native';
 import Clipboard from '@react-native-clipboard/clipboard';
+import QRCode from 'react-native-qrcode-svg';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import BackgroundWrapper from '../BackgroundWrapper';
+import InvitePlayerModal from '../InvitePlayerModal';
+import HostRoleButtons from '../HostRoleButtons';
 import styles from '../../styles/AppStyles';
 import firebaseService from '../../firebase';
 import gameScriptService from '../../gameScriptService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { CharacterTakenError } from '../../errors';
+import { formatCountdown, formatPartyDate, formatPartyTime, parsePartyDateTime } from '../../utils/partySchedule';
+import { buildJoinLink } from '../../utils/inviteLinks';
+
+const INVITE_STATUS_LABELS = {
+  PENDING: 'Pending',
+  ACCEPTED: 'Accepted',
+  DECLINED: 'Declined',
+};
+
+// How long the host can be away mid-game before hosting passes to someone else (0 = never)
+const HOST_FAILOVER_OPTIONS = [
+  { label: 'Off', minutes: 0 },
+  { label: '5 min', minutes: 5 },
+  { label: '15 min', minutes: 15 },
+  { label: '30 min', minutes: 30 },
+];
+
+// Date and time fields for a party the game already has scheduled
+const scheduleFields = (scheduledAt) => (
+  scheduledAt ? { date: formatPartyDate(scheduledAt), time: formatPartyTime(scheduledAt) } : {}
+);
 
 export default function UnifiedLobbyView({
   gameId,
@@ -28,6 +53,9 @@ export default function UnifiedLobbyView({
   onStartGame,
   canStartGame = false,
   onBackToHome,
+  localPlayAddress = null,
+  onStartLocalHost,
+  onStopLocalHost,
   scrollViewRef,
 }) {
   // State for invite settings
@@ -44,22 +72,66 @@ export default function UnifiedLobbyView({
   const [selectedCharacterForDetails, setSelectedCharacterForDetails] = useState(null);
   const [showInviteSettings, setShowInviteSettings] = useState(false);
 
+  // Invitations: the dialog (for one character, or any) and the ones sent so far
+  const [inviteDialog, setInviteDialog] = useState({ visible: false, character: null });
+  const [invites, setInvites] = useState([]);
+  useEffect(() => {
+    if (!isHost || !gameId) return undefined;
+    return firebaseService.subscribeToGameInvites(gameId, setInvites);
+  }, [isHost, gameId]);
+
   // Load invite settings from local storage
   useEffect(() => {
     loadInviteSettings();
   }, []);
 
+  // The party date the game already has (filled in by the effect below, which may get there
+  // first) wins over one saved for an earlier party
   const loadInviteSettings = async () => {
     try {
       const saved = await AsyncStorage.getItem('inviteSettings');
       if (saved) {
-        setInviteSettings(JSON.parse(saved));
+        setInviteSettings(settings => ({
+          ...JSON.parse(saved),
+          ...(settings.date ? { date: settings.date, time: settings.time } : {}),
+        }));
       }
     } catch (error) {
       console.error('Error loading invite settings:', error);
     }
   };
 
+  // Show the party date the game already has
+  useEffect(() => {
+    if (gameData?.scheduledAt) {
+      setInviteSettings(settings => ({ ...settings, ...scheduleFields(gameData.scheduledAt) }));
+    }
+  }, [gameData?.scheduledAt]);
+
+  // Save the party date and time on the game, so everyone sees the countdown and gets reminders.
+  // Runs when a field is done with, when the settings close and when the invitation is copied,
+  // so a date kept from an earlier party reaches the game too. A date that can't be read is
+  // reported (unless quiet) rather than dropped.
+  const saveSchedule = async ({ quiet = false } = {}) => {
+    if (!inviteSettings.date.trim()) return;
+    const scheduledAt = parsePartyDateTime(inviteSettings.date, inviteSettings.time);
+    if (!scheduledAt) {
+      if (!quiet) {
+        Alert.alert(
+          'Party Date Not Saved',
+          `"${inviteSettings.date}" at "${inviteSettings.time}" isn't a date and time the app can read, so there's no countdown or reminders yet. Enter a date like December 25, 2024 and a time like 7:00 PM.`
+        );
+      }
+      return;
+    }
+    if (scheduledAt === gameData?.scheduledAt) return;
+    try {
+      await firebaseService.scheduleGame(gameId, scheduledAt);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
   const saveInviteSettings = async (settings) => {
     try {
       await AsyncStorage.setItem('inviteSettings', JSON.stringify(settings));
@@ -71,7 +143,7 @@ export default function UnifiedLobbyView({
   // Helper: get all characters for display
   const getAllCharacters = () => {
     if (!gameData || !gameData.gameScriptId) return [];
-    return gameScriptService.getCharacters(gameData.gameScriptId);
+    return gameScriptService.getCharacters(gameData);
   };
 
   // Helper: get current player
@@ -92,9 +164,7 @@ export default function UnifiedLobbyView({
   // Helper: check if character is assigned to virtual player
   const isCharacterAssignedToVirtual = (character) => {
     const charName = character.characterName || character.Character;
-    return gameData.players.some(p => 
-      p.characterName === charName && p.userId.startsWith('player_')
-    );
+    return gameData.players.some(p => p.characterName === charName && p.isVirtual);
   };
 
   // Handle character selection
@@ -102,21 +172,17 @@ export default function UnifiedLobbyView({
     if (!gameId || !userId) return;
     const charName = character.characterName || character.Character;
     
-    // Remove virtual player if this character is assigned to one
-    const assignedVirtual = gameData.players.find(p =>
-      p.characterName === charName && p.userId.startsWith('player_')
-    );
-    if (assignedVirtual) {
-      await firebaseService.removePlayerFromGame(gameId, assignedVirtual.userId);
-      // Wait for backend update
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
-    
+    // The claim is atomic: it takes over a virtual player's seat, releases our previous
+    // character, and fails with CharacterTakenError if another player got there first
     try {
       await firebaseService.selectCharacter(gameId, userId, charName);
     } catch (error) {
       console.error('Error selecting character:', error);
-      Alert.alert('Error', 'Failed to select character. Please try again.');
+      if (error instanceof CharacterTakenError) {
+        Alert.alert('Character Taken', `${error.message} Please choose another character.`);
+      } else {
+        Alert.alert('Error', 'Failed to select character. Please try again.');
+      }
     }
   };
 
@@ -127,31 +193,34 @@ export default function UnifiedLobbyView({
     
     if (isCharacterAssignedToVirtual(character)) {
       // Remove virtual player
-      const virtualPlayer = gameData.players.find(p => 
-        p.characterName === charName && p.userId.startsWith('player_')
-      );
+      const virtualPlayer = gameData.players.find(p => p.characterName === charName && p.isVirtual);
       if (virtualPlayer) {
-        await firebaseService.removePlayerFromGame(gameId, virtualPlayer.userId);
+        await firebaseService.removeVirtualPlayer(gameId, virtualPlayer.userId);
       }
     } else {
       // Add virtual player
-      const virtualPlayerId = `player_${Date.now()}`;
-      await firebaseService.addPlayerToGame(gameId, virtualPlayerId, charName, false);
-      await firebaseService.selectCharacter(gameId, virtualPlayerId, charName);
+      try {
+        await firebaseService.addVirtualPlayer(gameId, charName);
+      } catch (error) {
+        Alert.alert(
+          error instanceof CharacterTakenError ? 'Character Taken' : 'Error',
+          error instanceof CharacterTakenError ? error.message : 'Failed to add virtual player.'
+        );
+      }
     }
   };
 
   // Generate invitation text
   const generateInvitation = (character = null) => {
-    const gameScript = gameScriptService.getGameScript(gameData?.gameScriptId);
+    const gameScript = gameScriptService.getGameScript(gameData);
     const gameTitle = gameScript?.metadata?.title || 'Murder Mystery Game';
     const gameDescription = gameScript?.metadata?.description || 'Join us for an exciting murder mystery!';
     
     let invitation = `Join my murder mystery party! \n– ${gameTitle}\n`;
     invitation += `– ${gameDescription}\n`;
     
+    const charName = character ? character.characterName || character.Character : null;
     if (character) {
-      const charName = character.characterName || character.Character;
       const charDesc = character.shortDescription || character.description || '';
       invitation += `– Your Character: ${charName} - ${charDesc}\n`;
     }
@@ -179,13 +248,53 @@ export default function UnifiedLobbyView({
     invitation += `– To play, you must download the free App\n`;
     invitation += `– Android: https://play.google.com/store/apps/details?id=com.mobilemystery.murdermysteryparty\n`;
     invitation += `– Apple: https://apps.apple.com/app/id6751867663\n`;
-    invitation += `– Game Code: ${gameId}`;
+    invitation += `– Game Code: ${gameId}\n`;
+    invitation += `– Already have the App? Tap to join: ${buildJoinLink(gameId, charName)}`;
     
     return invitation;
   };
 
+  // Withdraw an invitation that hasn't been answered
+  const handleCancelInvite = async (invite) => {
+    try {
+      await firebaseService.cancelInvite(invite.inviteId);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  // Turn moving complete rounds on automatically on or off
+  const handleSetAutoAdvance = async (enabled) => {
+    try {
+      await firebaseService.setAutoAdvanceRounds(gameId, userId, enabled);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  // Change how long the host can be away before hosting passes on
+  const handleSetHostFailover = async (minutes) => {
+    try {
+      await firebaseService.setHostFailoverMinutes(gameId, userId, minutes);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  // Let everyone the host blocked join again
+  const handleUnblockAll = async () => {
+    try {
+      for (const blockedUserId of gameData.blockedUserIds) {
+        await firebaseService.unblockPlayer(gameId, userId, blockedUserId);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
   // Handle copy invitation
   const handleCopyInvitation = (character = null) => {
+    saveSchedule({ quiet: true });
     const invitation = generateInvitation(character);
     Clipboard.setString(invitation);
     Alert.alert(
@@ -198,6 +307,8 @@ export default function UnifiedLobbyView({
   const currentPlayer = getCurrentPlayer();
   const minPlayers = gameData?.minPlayers || 8;
   const maxPlayers = gameData?.maxPlayers || 8;
+  const scriptVersionWarning = gameScriptService.getScriptVersionWarning(gameData);
+  const partyTime = parsePartyDateTime(inviteSettings.date, inviteSettings.time);
 
   return (
     <BackgroundWrapper view="lobby" overlayOpacity={0.7}>
@@ -223,15 +334,32 @@ export default function UnifiedLobbyView({
               <Text style={dynamicStyles.gameCodeLabel || styles.gameCodeLabel}>Game Code:</Text>
               <Text style={dynamicStyles.gameCode || styles.gameCode}>{gameId}</Text>
               <Text style={dynamicStyles.copyHint || styles.copyHint}>Tap to copy</Text>
+              {gameData?.status === 'LOBBY' && (
+                <>
+                  <View style={styles.gameCodeQr}>
+                    <QRCode value={buildJoinLink(gameId, null, localPlayAddress)} size={140} />
+                  </View>
+                  <Text style={dynamicStyles.copyHint || styles.copyHint}>Scan with a phone camera to join</Text>
+                </>
+              )}
             </TouchableOpacity>
 
+            {isHost && scriptVersionWarning && (
+              <Text style={styles.scriptVersionWarning}>{scriptVersionWarning}</Text>
+            )}
+
             {/* Host Invite Settings Section */}
             {isHost && (
               <View style={styles.gameInfo}>
                 <TouchableOpacity
                   style={styles.collapsibleHeader}
                   activeOpacity={0.8}
-                  onPress={() => setShowInviteSettings(!showInviteSettings)}
+                  onPress={() => {
+                    if (showInviteSettings) {
+                      saveSchedule();
+                    }
+                    setShowInviteSettings(!showInviteSettings);
+                  }}
                 >
                   <Text style={dynamicStyles.collapsibleHeaderText}>Invite Settings</Text>
                   <Text style={styles.collapsibleArrow}>{showInviteSettings ? '▼' : '▶'}</Text>
@@ -254,6 +382,7 @@ export default function UnifiedLobbyView({
                           setInviteSettings(newSettings);
                           saveInviteSettings(newSettings);
                         }}
+                        onEndEditing={() => saveSchedule()}
                         placeholder="e.g., December 25, 2024"
                         placeholderTextColor="#999"
                       />
@@ -270,10 +399,18 @@ export default function UnifiedLobbyView({
                           setInviteSettings(newSettings);
                           saveInviteSettings(newSettings);
                         }}
+                        onEndEditing={() => saveSchedule()}
                         placeholder="e.g., 7:00 PM"
                         placeholderTextColor="#999"
                       />
                     </View>
+                    {inviteSettings.date ? (
+                      <Text style={[dynamicStyles.label, { fontSize: 14, opacity: 0.8, marginBottom: 16 }]}>
+                        {partyTime
+                          ? `Party: ${formatPartyDate(partyTime)} at ${formatPartyTime(partyTime)} (${formatCountdown(partyTime)})`
+                          : 'Enter a date like December 25, 2024 and a time like 7:00 PM to send reminders'}
+                      </Text>
+                    ) : null}
                     
                     {/* Location Input */}
                     <View style={styles.inputRow}>
@@ -369,7 +506,7 @@ export default function UnifiedLobbyView({
                 <View style={styles.currentCharacterContainer}>
                   <Text style={dynamicStyles.label}>Your Current Character:</Text>
                   <Text style={[dynamicStyles.characterNameWhite, styles.centeredText, { fontSize: 20 }]}>
-                    {currentPlayer.characterName}, {gameScriptService.getCharacterByName(gameData?.gameScriptId, currentPlayer.characterName)?.shortDescription}
+                    {currentPlayer.characterName}, {gameScriptService.getCharacterByName(gameData, currentPlayer.characterName)?.shortDescription}
                   </Text>
                 </View>
               )}
@@ -427,7 +564,7 @@ export default function UnifiedLobbyView({
                           {/* Host Invite Button */}
                           <TouchableOpacity
                             style={[styles.button, styles.secondaryButton, { flex: 1, marginRight: 4 }]}
-                            onPress={() => handleCopyInvitation(character)}
+                            onPress={() => setInviteDialog({ visible: true, character })}
                           >
                             <Text style={dynamicStyles.buttonText}>Invite</Text>
                           </TouchableOpacity>
@@ -464,7 +601,7 @@ export default function UnifiedLobbyView({
                   return (
                     <View key={`${player.userId}-${index}`} style={styles.playerRow}>
                       <Text style={dynamicStyles.playerText || styles.playerText}>
-                        {player.username}{isCurrent ? ' (You)' : ''}{player.isHost ? ' *HOST' : ''}
+                        {player.username}{isCurrent ? ' (You)' : ''}{player.isHost ? ' *HOST' : ''}{player.isCoHost ? ' *CO-HOST' : ''}
                       </Text>
                       <Text style={dynamicStyles.playerStatus || styles.playerStatus}>
                         {player.characterName ? `- ${player.characterName}` : '- No character'}
@@ -472,12 +609,116 @@ export default function UnifiedLobbyView({
                       {player.isSimulated && (
                         <Text style={dynamicStyles.simulatedTag || styles.simulatedTag}>[SIM]</Text>
                       )}
+                      <HostRoleButtons
+                        gameId={gameId}
+                        player={player}
+                        userId={userId}
+                        isHost={isHost}
+                        dynamicStyles={dynamicStyles}
+                      />
                     </View>
                   );
                 })}
               </View>
             )}
 
+            {/* Invitations (host only) */}
+            {isHost && (
+              <View style={styles.gameInfo}>
+                <Text style={dynamicStyles.label}>Invitations</Text>
+                {invites.map(invite => (
+                  <View key={invite.inviteId} style={styles.playerRow}>
+                    <Text style={dynamicStyles.playerText || styles.playerText}>
+                      {invite.inviteeUsername || 'Player'}
+                    </Text>
+                    <Text style={dynamicStyles.playerStatus || styles.playerStatus}>
+                      {`- ${invite.characterName || 'Any character'} - ${INVITE_STATUS_LABELS[invite.status] || invite.status}`}
+                    </Text>
+                    {invite.status === 'PENDING' && (
+                      <TouchableOpacity onPress={() => handleCancelInvite(invite)}>
+                        <Text style={dynamicStyles.simulatedTag || styles.simulatedTag}> Cancel</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                ))}
+                <TouchableOpacity
+                  style={[styles.button, styles.secondaryButton, { alignSelf: 'center' }]}
+                  onPress={() => setInviteDialog({ visible: true, character: null })}
+                >
+                  <Text style={dynamicStyles.buttonText}>Invite a Player</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            {/* Hosting over the party's Wi-Fi (host only) */}
+            {isHost && gameData?.status === 'LOBBY' && (
+              <View style={styles.gameInfo}>
+                <Text style={dynamicStyles.label}>
+                  {localPlayAddress
+                    ? `Hosting on Wi-Fi. Guests scan the code above, or enter ${localPlayAddress} with the game code.`
+                    : 'No signal at the party? Host the game from this phone over Wi-Fi.'}
+                </Text>
+                <TouchableOpacity
+                  style={[styles.button, styles.secondaryButton, { alignSelf: 'center' }]}
+                  onPress={localPlayAddress ? onStopLocalHost : onStartLocalHost}
+                >
+                  <Text style={dynamicStyles.buttonText}>{localPlayAddress ? 'Stop Hosting on Wi-Fi' : 'Host on Wi-Fi'}</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            {/* Blocked players (host only) */}
+            {isHost && gameData?.blockedUserIds?.length > 0 && (
+              <View style={[styles.gameInfo, styles.playerRow]}>
+                <Text style={dynamicStyles.label}>
+                  Blocked players: {gameData.blockedUserIds.length}
+                </Text>
+                <TouchableOpacity style={[styles.smallButton, styles.viewScriptButton]} onPress={handleUnblockAll}>
+                  <Text style={dynamicStyles.smallButtonText}>Unblock All</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            {/* Hosting (host only) */}
+            {isHost && gameData && (
+              <View style={styles.gameInfo}>
+                <Text style={dynamicStyles.label}>If the host goes quiet mid-game, pass hosting on after:</Text>
+                <View style={styles.pickerRow}>
+                  {HOST_FAILOVER_OPTIONS.map(option => {
+                    const selected = (gameData.hostFailoverMinutes ?? 0) === option.minutes;
+                    return (
+                      <TouchableOpacity
+                        key={option.minutes}
+                        style={[styles.pickerOption, selected && styles.pickerOptionSelected]}
+                        onPress={() => handleSetHostFailover(option.minutes)}
+                      >
+                        <Text style={[styles.pickerOptionText, selected && styles.pickerOptionTextSelected]}>
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+                <Text style={dynamicStyles.label}>When everyone's ready, move to the next round:</Text>
+                <View style={styles.pickerRow}>
+                  {[{ label: 'Automatically', enabled: true }, { label: 'When I say', enabled: false }].map(option => {
+                    const selected = !!gameData.autoAdvanceRounds === option.enabled;
+                    return (
+                      <TouchableOpacity
+                        key={option.label}
+                        style={[styles.pickerOption, selected && styles.pickerOptionSelected]}
+                        onPress={() => handleSetAutoAdvance(option.enabled)}
+                      >
+                        <Text style={[styles.pickerOptionText, selected && styles.pickerOptionTextSelected]}>
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            )}
+
             {/* Start Game Button */}
             {isHost && (
               <View style={{ alignItems: 'center', width: '100%' }}>
@@ -507,6 +748,16 @@ export default function UnifiedLobbyView({
         </View>
       </SafeAreaView>
 
+      <InvitePlayerModal
+        visible={inviteDialog.visible}
+        gameId={gameId}
+        hostUserId={userId}
+        characterName={inviteDialog.character ? inviteDialog.character.characterName || inviteDialog.character.Character : null}
+        dynamicStyles={dynamicStyles}
+        onCopyInvitation={() => handleCopyInvitation(inviteDialog.character)}
+        onClose={() => setInviteDialog({ visible: false, character: null })}
+      />
+
       {/* Character Details Modal */}
       <Modal
         visible={showCharacterDetails}
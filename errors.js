@@ -0,0 +1,36 @@
+// Typed errors thrown by the game services so views can show a specific message
+// instead of a generic failure. Check with instanceof or by the error code.
+
+export class GameError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'GameError';
+    this.code = code;
+  }
+}
+
+// Thrown when a player tries to claim a character another player already holds
+export class CharacterTakenError extends GameError {
+  constructor(characterName, holderUsername = null) {
+    super(
+      'CHARACTER_TAKEN',
+      holderUsername
+        ? `${characterName} has already been claimed by ${holderUsername}.`
+        : `${characterName} has already been claimed by another player.`
+    );
+    this.name = 'CharacterTakenError';
+    this.characterName = characterName;
+  }
+}
+
+// Thrown when a character is being held for someone the host has invited to play it
+export class CharacterOfferedError extends CharacterTakenError {
+  constructor(characterName, inviteeUsername = null) {
+    super(characterName);
+    this.name = 'CharacterOfferedError';
+    this.code = 'CHARACTER_OFFERED';
+    this.message = inviteeUsername
+      ? `${characterName} has already been offered to ${inviteeUsername}.`
+      : `${characterName} has already been offered to someone else.`;
+  }
+}
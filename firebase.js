@@ -1,8 +1,44 @@
-import firestore from '@react-native-firebase/firestore';
-import auth from '@react-native-firebase/auth';
 import { Alert } from 'react-native';
 import gameScriptService from './gameScriptService.js';
 import isEqual from 'fast-deep-equal';
+import { CharacterOfferedError, CharacterTakenError, GameError } from './errors.js';
+import { scoreAccusations, isCorrectAccusation } from './utils/scoring.js';
+import { isVirtualPlayer, createVirtualPlayerId } from './utils/virtualPlayers.js';
+import { LocalGameHost, LocalGameGuest } from './localPlay/localGameSession.js';
+import { ACTIONS as LOCAL_ACTIONS } from './localPlay/hostStateMachine.js';
+import { GameRepository, DOCUMENT_ID } from './storage/gameRepository.js';
+import { cleanupGames } from './storage/gameRetention.js';
+import { migrateLegacyUser } from './storage/legacyMigration.js';
+import { characterSecret, toSharedPlayer } from './storage/playerRecords.js';
+
+// How often the host of a local-network game tries to write it back to Firestore
+const LOCAL_SYNC_INTERVAL = 30000;
+
+// How long the host can go without a heartbeat during a game before hosting moves on,
+// unless the host picks another time (or turns it off) in the lobby
+export const DEFAULT_HOST_FAILOVER_MINUTES = 5;
+
+// How long the countdown runs before a complete round advances by itself
+export const AUTO_ADVANCE_SECONDS = 10;
+
+// roundStates and roundData are keyed by round, and a round like 5.5 can't go in a dotted field
+// path (Firestore reads 'roundStates.5.5' as roundStates -> 5 -> 5), so those maps are written
+// whole: the map as read, with one round's entry replaced
+function withRound(map, round, value) {
+  return { ...(map || {}), [round]: value };
+}
+
+// A stored time as milliseconds: this app writes Date.now() numbers, and older documents hold
+// Firestore Timestamps. Null when there's no time.
+function toMillis(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (value && typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  return value instanceof Date ? value.getTime() : null;
+}
 
 // Helper to strip volatile fields from game data for deep equality
 function stripVolatileFields(data) {
@@ -33,31 +69,195 @@ function stripVolatileFields(data) {
   return rest;
 }
 
-// Firebase configuration and service functions
+// Character claims are lock documents in games/{gameId}/characterClaims, one per character,
+// so a transaction can check and take a character without querying the players collection
+function characterClaimId(characterName) {
+  return encodeURIComponent(characterName);
+}
+
+// A new player document
+function createPlayerRecord(userId, username, isHost = false, isVirtual = false) {
+  return {
+    userId,
+    username,
+    characterName: null,
+    isHost,
+    isCoHost: false,
+    isVirtual,
+    isSimulated: false,
+    joinedAt: Date.now(),
+    lastActiveAt: Date.now(),
+
+    // Round-specific states
+    roundStates: {},
+
+    // Accusation tracking
+    accusations: {
+      made: [],
+      received: []
+    }
+  };
+}
+
+// game.playerCount counts the real players (virtual seats don't count), so joinGame can keep
+// a game under maxPlayers inside a transaction and the security rules can check it. This is
+// the update that changes it by change, or nothing for games from before it was kept (joinGame
+// counts their players).
+function playerCountUpdate(gameData, change) {
+  return typeof gameData.playerCount === 'number' && change !== 0
+    ? { playerCount: gameData.playerCount + change }
+    : {};
+}
+
+// How handing a seat to a newcomer, or with null to a virtual player, changes the number of
+// real players
+function seatCountChange(seat, newcomer) {
+  return (newcomer ? 1 : 0) - (isVirtualPlayer(seat) ? 0 : 1);
+}
+
+// What My Games shows for a game, kept on each player's users/{userId}/games/{gameId} record
+// so the list can be paged and filtered with queries and without reading the games themselves.
+// firestore.rules checks the summaries players write on each other's records against the
+// game, so everything here but the title comes from the game document or the player's seat.
+function gameSummary(gameData, player) {
+  return {
+    title: gameScriptService.getGameScript(gameData)?.title || null,
+    gameScriptId: gameData.gameScriptId,
+    gameScriptVersion: gameData.gameScriptVersion || null,
+    status: gameData.gameState === 'DELETED' ? 'DELETED' : gameData.status,
+    currentRound: gameData.currentRound,
+    playerCount: gameData.players.filter(seat => !isVirtualPlayer(seat)).length,
+    scheduledAt: gameData.scheduledAt || null,
+    characterName: player?.characterName || null
+  };
+}
+
+// The game fields that record its results: every accusation scored against the script's
+// murderers, with the last accusation phase as the final verdict. players are the game's
+// player documents.
+function scoredGameFields(gameData, players) {
+  const murdererNames = gameScriptService.getMurdererCharacters(gameData).map(character => character.characterName);
+  const humorousOption = gameScriptService.getHumorousAccusationOption(gameData);
+  const accusationRounds = gameScriptService.getAccusationRounds(gameData);
+
+  const results = scoreAccusations({
+    players,
+    murdererNames,
+    humorousOptionName: humorousOption?.characterName || null,
+    accusationRound: accusationRounds[accusationRounds.length - 1]
+  });
+
+  const scoredAccusations = (gameData.accusations?.accusations || []).map(accusation => ({
+    ...accusation,
+    isCorrect: isCorrectAccusation(accusation.accusedCharacter, murdererNames)
+  }));
+
+  return {
+    results: {
+      ...results,
+      scoredAt: Date.now()
+    },
+    accusations: {
+      ...(gameData.accusations || {}),
+      accusations: scoredAccusations,
+      completed: true
+    }
+  };
+}
+
+// The My Games filters, as conditions on the user-game records (summary.status, role)
+const MY_GAMES_FILTERS = {
+  all: [],
+  active: [['summary.status', 'in', ['LOBBY', 'IN_PROGRESS']]],
+  completed: [['summary.status', '==', 'COMPLETED']],
+  hosted: [['role', '==', 'host']],
+  joined: [['role', '==', 'player']]
+};
+
+// How many games a page of My Games holds
+export const MY_GAMES_PAGE_SIZE = 20;
+
+// One invitation per user per game, so re-inviting someone replaces their earlier invite
+function invitationId(gameId, inviteeUserId) {
+  return `${gameId}_${inviteeUserId}`;
+}
+
+// A claim holding a character for the invitee of a pending invitation (see inviteToGame)
+function isInviteClaim(claim) {
+  return Boolean(claim && claim.inviteId);
+}
+
+// Players can come back to a game in progress unless the host turned off allowRejoin;
+// the host can always come back
+function canRejoin(gameData, player) {
+  return gameData.status !== 'IN_PROGRESS' || gameData.allowRejoin !== false || !!player.isHost;
+}
+
+// Who takes over from a host whose device has gone quiet for longer than the game's
+// failover time: an active co-host if there is one, otherwise the active player who joined
+// first. Returns null while the host is still active or nobody else is.
+function chooseFailoverHost(gameData, players, now) {
+  if (gameData.status !== 'IN_PROGRESS' || !gameData.hostFailoverMinutes) {
+    return null;
+  }
+  const timeout = gameData.hostFailoverMinutes * 60 * 1000;
+  const isActive = player => now - (player.lastActiveAt || 0) < timeout;
+
+  const host = players.find(player => player.userId === gameData.hostUserId);
+  if (host && now - (host.lastActiveAt || gameData.startedAt || 0) < timeout) {
+    return null;
+  }
+
+  const candidates = players
+    .filter(player => player.userId !== gameData.hostUserId && !isVirtualPlayer(player) && isActive(player))
+    .sort((a, b) => (
+      Number(!!b.isCoHost) - Number(!!a.isCoHost) ||
+      (a.joinedAt || 0) - (b.joinedAt || 0) ||
+      a.userId.localeCompare(b.userId)
+    ));
+  return candidates[0] || null;
+}
+
+// Firebase configuration and service functions.
+// All storage goes through a GameRepository - Firestore by default, or whatever setStore()
+// switches to (e.g. the in-memory adapter in tests and the simulator).
 class FirebaseService {
   constructor() {
     this.simulationMode = true; // Enable simulation mode for single device testing
     this.simulatedPlayers = [];
     this.currentGameId = null;
-    this.db = null;
+    this.store = null;
+    this.localSession = null; // Active local-network game, if any
+    this.localSyncTimer = null;
+    this.localGuestTokens = {}; // gameId -> token the local host gave us, for reconnecting
     
     // Initialize Firebase with a longer delay to ensure native modules are ready
-    setTimeout(() => {
+    this.initializationTimer = setTimeout(() => {
       this.initializeFirebaseWithRetry();
     }, 2000);
   }
 
+  // Switch storage backends. Cancels the pending Firestore initialization so it can't
+  // replace the new store later.
+  setStore(store) {
+    clearTimeout(this.initializationTimer);
+    this.store = store;
+  }
+
   async initializeFirebaseWithRetry(maxRetries = 3) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-  
+        // Loaded here rather than imported so the service can also run without the native
+        // Firebase modules, e.g. against the in-memory store in tests
+        const firestore = require('@react-native-firebase/firestore').default;
+        const { createFirestoreAdapter } = require('./storage/firestoreAdapter.js');
         
         // Try to get the Firestore instance directly
         const firestoreInstance = firestore();
         
         // Test if we can actually use it
         if (firestoreInstance && typeof firestoreInstance.collection === 'function') {
-          this.db = firestoreInstance;
+          this.store = new GameRepository(createFirestoreAdapter(firestoreInstance, firestore.FieldValue));
     
           
           // Skip the test read to prevent hanging
@@ -72,7 +272,7 @@ class FirebaseService {
         
         if (attempt === maxRetries) {
     
-          this.db = null;
+          this.store = null;
           return false; // Return false on failure
         } else {
           // Wait before retrying
@@ -85,16 +285,12 @@ class FirebaseService {
   // Test Firebase connectivity
   async testFirebaseConnection() {
     try {
-      if (!this.db) {
+      if (!this.store) {
         throw new Error('Firebase not initialized');
       }
       
-  
-      
       // Try a simple read operation
-      const testDoc = await this.db.collection('games').limit(1).get();
-
-      
+      await this.store.ping();
       return true;
     } catch (error) {
       console.error('🔧 Firebase connection test failed:', error);
@@ -104,7 +300,7 @@ class FirebaseService {
 
   // Check if Firebase is ready
   isReady() {
-    return this.db !== null;
+    return this.store !== null;
   }
 
   // Wait for Firebase to be ready
@@ -145,9 +341,9 @@ class FirebaseService {
       
       try {
         // Check if this game ID already exists
-        const gameDoc = await this.db.collection('games').doc(gameId).get();
+        const existingGame = await this.store.getGame(gameId);
         
-        if (!gameDoc._exists) {
+        if (!existingGame) {
           // Game ID is unique, return it
     
           return gameId;
@@ -181,7 +377,7 @@ class FirebaseService {
 
       
       // Ensure Firebase is ready
-      if (!this.db) {
+      if (!this.store) {
         throw new Error('Firebase is not ready yet. Please wait a moment and try again.');
       }
       
@@ -201,9 +397,13 @@ class FirebaseService {
       const gameData = {
         gameId,
         gameScriptId: scriptId,
+        // The exact script version this game plays, so installing a newer one doesn't change it
+        gameScriptVersion: gameScript.version,
+        gameScriptHash: gameScript.hash,
         status: 'LOBBY',
         currentRound: 0,
         roundState: 'WAITING_FOR_PLAYERS',
+        createdAt: Date.now(),
         
         // Host management
         hostUserId,
@@ -215,8 +415,12 @@ class FirebaseService {
         // Game configuration
         maxPlayers: gameScript.gameFlow.maxPlayers,
         minPlayers: gameScript.gameFlow.minPlayers,
+        playerCount: 1, // Real players, starting with the host (see playerCountUpdate)
         allowRejoin: true,
-        autoAdvanceRounds: false,
+        hostFailoverMinutes: DEFAULT_HOST_FAILOVER_MINUTES, // 0 turns automatic host failover off
+        autoAdvanceRounds: false, // Move complete rounds on after a countdown (see startAutoAdvance)
+        autoAdvance: null,
+        scheduledAt: null, // When the party is (ms timestamp), once the host sets it
         
         // Players array - ALWAYS initialize this
         players: [],
@@ -226,7 +430,7 @@ class FirebaseService {
         
         // Accusation tracking
         accusations: {
-          round: 5.5,
+          round: gameScript.gameFlow.accusationRound,
           accusations: [],
           completed: false
         },
@@ -240,21 +444,21 @@ class FirebaseService {
         }
       };
 
-      await this.db.collection('games').doc(gameId).set(gameData);
+      await this.store.setGame(gameId, gameData);
       this.currentGameId = gameId;
+      this.retainGameScript(gameData);
       
       // Create initial host player
       await this.addPlayerToGame(gameId, hostUserId, hostUsername, true);
       
       // Add game to host's games collection
-      const hostGameRef = this.db.collection('users').doc(hostUserId).collection('games').doc(gameId);
-      await hostGameRef.set({
+      await this.store.setUserGame(hostUserId, gameId, {
         gameId,
         role: 'host',
         joinedAt: Date.now(),
         lastActiveAt: Date.now()
       });
-      
+      await this.refreshGameSummaries(gameId);
 
       return gameId;
     } catch (error) {
@@ -263,114 +467,187 @@ class FirebaseService {
     }
   }
 
-  // Add player to game with new data structure
-  async addPlayerToGame(gameId, userId, username, isHost = false) {
-    const playerData = {
-      userId,
-      username,
-      characterName: null,
-      isHost,
-      isSimulated: false,
-      
-      // Round-specific states
-      roundStates: {},
-      
-      // Accusation tracking
-      accusations: {
-        made: [],
-        received: []
-      },
-      
-      // Character-specific data
-      characterData: {
-        isMurderer: false,
-        secretInformation: null
-      }
-    };
+  // Keep the game's script version on this device, in case an app update replaces it
+  retainGameScript(gameData) {
+    gameScriptService.retainGameScript(gameData).catch(error => {
+      console.error('Error keeping game script version:', error);
+    });
+  }
 
-    // Real Firebase implementation
-    const gameRef = this.db.collection('games').doc(gameId);
-    const playerRef = gameRef.collection('players').doc(userId);
-    
-    
-    
-    await playerRef.set(playerData);
-    
-    
+  // Add player to game with new data structure (virtual seats come through addVirtualPlayer)
+  async addPlayerToGame(gameId, userId, username, isHost = false, isVirtual = false) {
+    await this.store.setPlayer(gameId, userId, createPlayerRecord(userId, username, isHost, isVirtual));
     
     return this.getGameData(gameId);
   }
 
-  // Remove a player from a game (hard delete)
+  // Remove a player from a game (hard delete), releasing their character claim
   async removePlayerFromGame(gameId, userId) {
-    // Real Firebase implementation: hard delete the player document
-    const gameRef = this.db.collection('games').doc(gameId);
-    const playerRef = gameRef.collection('players').doc(userId);
-    await playerRef.delete();
+    await this.store.runTransaction(async transaction => {
+      const gameData = await transaction.getGame(gameId);
+      const playerData = await transaction.getPlayer(gameId, userId);
+      if (!playerData) {
+        return;
+      }
+
+      const { characterName } = playerData;
+      const claimId = characterName ? characterClaimId(characterName) : null;
+      const claim = claimId ? await transaction.getClaim(gameId, claimId) : null;
+
+      // All reads are done - now write
+      if (claim && claim.userId === userId) {
+        transaction.deleteClaim(gameId, claimId);
+      }
+      const countUpdate = gameData && !isVirtualPlayer(playerData) ? playerCountUpdate(gameData, -1) : {};
+      if (Object.keys(countUpdate).length > 0) {
+        transaction.updateGame(gameId, countUpdate);
+      }
+      transaction.deletePlayer(gameId, userId);
+      transaction.deleteCharacterSecret(gameId, userId);
+    });
+    await this.refreshGameSummaries(gameId);
     return true;
   }
 
-  // Join an existing game
+  // Join an existing game. Every way into a game (codes, links, invitations) comes through
+  // here, so this is where players the host blocked, games that have started and full games
+  // are turned away, with a GameError whose message can be shown as it is. The checks and
+  // the seat happen in one transaction, against game.playerCount, so two players can't both
+  // take the last place; firestore.rules holds clients to the same checks.
   async joinGame(gameId, userId, username) {
+    const localSession = this.getLocalSession(gameId);
+    if (localSession) {
+      this.currentGameId = gameId;
+      return localSession.dispatch({ type: LOCAL_ACTIONS.JOIN_GAME, username });
+    }
+
     try {
-      // Real Firebase implementation
-      const gameRef = this.db.collection('games').doc(gameId);
-      const gameDoc = await gameRef.get();
+      // Games from before playerCount was kept get it from their players (a query, so it
+      // can't run in the transaction); virtual seats don't count, since a newcomer can take
+      // one of their characters over
+      const storedGame = await this.store.getGame(gameId);
+      const countedPlayers = storedGame && typeof storedGame.playerCount !== 'number'
+        ? (await this.store.listPlayers(gameId)).filter(player => !isVirtualPlayer(player)).length
+        : 0;
+
+      const { gameData, alreadyIn } = await this.store.runTransaction(async transaction => {
+        const game = await transaction.getGame(gameId);
+        if (!game) {
+          throw new GameError('GAME_NOT_FOUND', 'Game not found. Please check the code.');
+        }
+        // Someone already in the game comes back through rejoinGame, which holds them to the
+        // host's allowRejoin setting
+        if (await transaction.getPlayer(gameId, userId)) {
+          return { gameData: game, alreadyIn: true };
+        }
 
-      if (!gameDoc._exists) {
-        throw new Error('Game not found');
-      }
+        if ((game.blockedUserIds || []).includes(userId)) {
+          throw new GameError('BLOCKED', "The host has removed you from this game, so you can't join it again.");
+        }
+        if (game.status !== 'LOBBY') {
+          throw new GameError('GAME_STARTED', 'This game has already started. You cannot join now.');
+        }
+        const playerCount = typeof game.playerCount === 'number' ? game.playerCount : countedPlayers;
+        if (playerCount >= game.maxPlayers) {
+          throw new GameError('GAME_FULL', 'This game is full. Cannot join.');
+        }
 
-      const gameData = gameDoc._data;
-      
-      // Check if player is already in the game
-      const playerDoc = await gameRef.collection('players').doc(userId).get();
-      if (playerDoc._exists) {
-        this.currentGameId = gameId;
-        return gameData;
+        transaction.setPlayer(gameId, userId, createPlayerRecord(userId, username));
+        transaction.updateGame(gameId, { playerCount: playerCount + 1 });
+        transaction.setUserGame(userId, gameId, {
+          gameId,
+          role: 'player',
+          joinedAt: Date.now(),
+          lastActiveAt: Date.now()
+        });
+        return { gameData: game, alreadyIn: false };
+      });
+      this.retainGameScript(gameData);
+
+      if (alreadyIn) {
+        return await this.rejoinGame(gameId, userId);
       }
+      await this.refreshGameSummaries(gameId);
 
-      // Add new player to the game
-      await this.addPlayerToGame(gameId, userId, username, false);
-      
-      // Add game to user's games collection
-      const userGameRef = this.db.collection('users').doc(userId).collection('games').doc(gameId);
-      await userGameRef.set({
-        gameId,
-        role: 'player',
-        joinedAt: Date.now(),
-        lastActiveAt: Date.now()
-      });
-      
       return this.getGameData(gameId);
     } catch (error) {
       console.error('Error joining game:', error);
+      if (error instanceof GameError) {
+        throw error;
+      }
       throw new Error('Failed to join game');
     }
   }
 
+  // Come back to a game you're already in, e.g. after the app was closed or the phone died.
+  // Returns the full game data to pick up from; ready states and accusations are part of it.
+  async rejoinGame(gameId, userId) {
+    const localSession = this.getLocalSession(gameId);
+    if (localSession) {
+      this.currentGameId = gameId;
+      return localSession.getState();
+    }
+
+    const gameData = await this.getGameData(gameId);
+    if (!gameData) {
+      throw new GameError('GAME_NOT_FOUND', 'This game no longer exists.');
+    }
+    const player = gameData.players.find(p => p.userId === userId);
+    if (!player) {
+      throw new GameError('NOT_IN_GAME', "You aren't a player in this game.");
+    }
+    if (!canRejoin(gameData, player)) {
+      throw new GameError('REJOIN_NOT_ALLOWED', "The host isn't allowing players back into this game once it has started.");
+    }
+
+    this.currentGameId = gameId;
+    this.retainGameScript(gameData);
+    try {
+      await this.store.setUserGame(userId, gameId, { lastActiveAt: Date.now() }, { merge: true });
+    } catch (error) {
+      console.error('Error updating last active time:', error);
+    }
+    return gameData;
+  }
+
+  // The in-progress game a user can go back to (the most recently active one), or null.
+  // The summaries find the candidates; only those games are read in full.
+  async findActiveGame(userId) {
+    const records = await this.store.listUserGames(userId, {
+      where: [['summary.status', '==', 'IN_PROGRESS']],
+      orderBy: ['lastActiveAt', 'desc'],
+      limit: 5
+    });
+    for (const { id, data } of records) {
+      const gameData = await this.getGameData(data.gameId || id);
+      const player = gameData?.players.find(p => p.userId === userId);
+      if (gameData?.status === 'IN_PROGRESS' && gameData.gameState !== 'DELETED' && player && canRejoin(gameData, player)) {
+        return { ...data, gameData };
+      }
+    }
+    return null;
+  }
+
   // Get complete game data including players
   async getGameData(gameId) {
+    const localSession = this.getLocalSession(gameId);
+    if (localSession) {
+      return localSession.getState();
+    }
+
     try {
-      const gameRef = this.db.collection('games').doc(gameId);
-      const gameDoc = await gameRef.get();
+      const gameData = await this.store.getGame(gameId);
       
-      if (!gameDoc._exists) {
+      if (!gameData) {
         return null;
       }
       
-      const gameData = gameDoc._data;
-      
-      // Get all players
-      const playersSnapshot = await gameRef.collection('players').get();
-      const players = [];
-      playersSnapshot.docs.forEach(doc => {
-        players.push(doc._data);
-      });
+      // Get all players, as every device may see them
+      const players = await this.store.listPlayers(gameId);
       
       return {
         ...gameData,
-        players
+        players: players.map(toSharedPlayer)
       };
     } catch (error) {
       console.error('Error getting game data:', error);
@@ -378,7 +655,40 @@ class FirebaseService {
     }
   }
 
-  // Get real-time updates for a game
+  // Bring the game's summary up to date on every real player's user-game record. Called after
+  // each change My Games shows (status, round, players, characters, the party date); a failure
+  // is logged rather than failing the change itself, and the next refresh catches up.
+  async refreshGameSummaries(gameId) {
+    if (this.getLocalSession(gameId)) {
+      return; // Written when the local game syncs back (see syncLocalGame)
+    }
+    try {
+      const gameData = await this.getGameData(gameId);
+      if (!gameData) {
+        return;
+      }
+      const batch = this.store.batch();
+      gameData.players
+        .filter(player => !isVirtualPlayer(player) && !player.isSimulated)
+        .forEach(player => {
+          batch.setUserGame(player.userId, gameId, { summary: gameSummary(gameData, player) }, { merge: true });
+        });
+      await batch.commit();
+    } catch (error) {
+      console.error('Error updating game summaries:', error);
+    }
+  }
+
+  // Get real-time updates for a game. The state is built from the snapshots themselves - the
+  // game document, plus each player change merged into what's already known - so following a
+  // game costs no reads beyond the listeners'. Guarantees:
+  //   - the first update comes once both the game and its players have arrived
+  //   - snapshots that arrive in the same tick (one transaction touching the game and several
+  //     players) are coalesced into a single update, delivered on the next tick
+  //   - every update is a complete, fresh game object with all changes received so far, in
+  //     the order they arrived; players are listed in the order they were first seen
+  //   - an update that matches the last one apart from timestamps is skipped
+  //   - a game that's deleted delivers null; nothing more is delivered after unsubscribing
   subscribeToGame(gameId, callback) {
     let lastData = null;
     const handleUpdate = (data) => {
@@ -389,21 +699,51 @@ class FirebaseService {
       }
     };
 
+    const localSession = this.getLocalSession(gameId);
+    if (localSession) {
+      return localSession.subscribe(handleUpdate);
+    }
+
     try {
-      const gameRef = this.db.collection('games').doc(gameId);
-      
-      // Listen to the main game document
-      const unsubGame = gameRef.onSnapshot(() => {
-        this.getGameData(gameId).then(handleUpdate);
+      let game;
+      let players = null; // Map of user ID -> player document
+      let pending = null;
+      let active = true;
+
+      const emit = () => {
+        pending = null;
+        if (!active || game === undefined || players === null) {
+          return;
+        }
+        handleUpdate(game && { ...game, players: [...players.values()].map(toSharedPlayer) });
+      };
+      const scheduleEmit = () => {
+        if (!pending) {
+          pending = setTimeout(emit, 0);
+        }
+      };
+
+      const unsubGame = this.store.watchGame(gameId, data => {
+        game = data;
+        scheduleEmit();
       });
-      
-      // Listen to the players subcollection
-      const unsubPlayers = gameRef.collection('players').onSnapshot(() => {
-        this.getGameData(gameId).then(handleUpdate);
+
+      const unsubPlayers = this.store.watchPlayerChanges(gameId, changes => {
+        players = players || new Map();
+        changes.forEach(({ type, userId, data }) => {
+          if (type === 'removed') {
+            players.delete(userId);
+          } else {
+            players.set(userId, data);
+          }
+        });
+        scheduleEmit();
       });
-      
+
       // Return a function to unsubscribe both
       return () => {
+        active = false;
+        clearTimeout(pending);
         unsubGame();
         unsubPlayers();
       };
@@ -416,119 +756,252 @@ class FirebaseService {
 
   // Update player ready status for specific round
   async updatePlayerReady(gameId, userId, readyStatus, round = null) {
+    const localSession = this.getLocalSession(gameId);
+    if (localSession) {
+      return localSession.dispatch({ type: LOCAL_ACTIONS.UPDATE_PLAYER_READY, targetUserId: userId, readyStatus, round });
+    }
+
     try {
-      const gameRef = this.db.collection('games').doc(gameId);
-      const playerRef = gameRef.collection('players').doc(userId);
-      
-      const updateData = {};
-      
-      if (round) {
-        // Update specific round state
-        updateData[`roundStates.${round}`] = {
-          ready: readyStatus
-        };
-      } else {
+      if (!round) {
         // Legacy support
-        updateData.readyStatus = readyStatus;
+        await this.store.updatePlayer(gameId, userId, { readyStatus });
+        return;
       }
-      
-      await playerRef.update(updateData);
+
+      // Update specific round state
+      await this.store.runTransaction(async transaction => {
+        const playerData = await transaction.getPlayer(gameId, userId);
+        if (!playerData) {
+          throw new Error('Player not found');
+        }
+        transaction.updatePlayer(gameId, userId, {
+          roundStates: withRound(playerData.roundStates, round, { ready: readyStatus })
+        });
+      });
     } catch (error) {
       console.error('Error updating player ready status:', error);
       throw new Error('Failed to update ready status');
     }
   }
 
-  // Assign character to player
+  // Assign character to player.
+  // The claim runs in a transaction against the character's lock document, so two players
+  // tapping the same character at once can't both get it - the loser gets a CharacterTakenError.
+  // Switching characters releases the previous claim in the same transaction.
+  // A character held by a virtual player is taken over and the virtual player removed.
   async assignCharacter(gameId, userId, characterName) {
-    try {
+    const localSession = this.getLocalSession(gameId);
+    if (localSession) {
+      return localSession.dispatch({ type: LOCAL_ACTIONS.ASSIGN_CHARACTER, characterName });
+    }
 
-      
-      const gameRef = this.db.collection('games').doc(gameId);
-      const playerRef = gameRef.collection('players').doc(userId);
-      
-      // Check if player document exists before trying to update it
-      const playerDoc = await playerRef.get();
-      if (!playerDoc._exists) {
-        console.error('🔧 Player document does not exist for userId:', userId);
-        throw new Error(`Player document not found for user: ${userId}`);
-      }
-      
-      
+    try {
+      const claimId = characterClaimId(characterName);
       
       // Get character data from game script
-      const gameData = await this.getGameData(gameId);
-      const character = gameScriptService.getCharacterByName(gameData.gameScriptId, characterName);
-      
-      const updateData = {
-        characterName
-      };
-      
-      if (character) {
-        updateData.characterData = {
-          isMurderer: character.isMurderer,
-          secretInformation: character.scripts[1]?.secretInformation || null
-        };
+      const gameData = await this.store.getGame(gameId);
+      if (!gameData) {
+        throw new Error('Game not found');
       }
       
+      // Games created before claim documents existed have no locks for characters already
+      // taken, so fall back to checking the players collection for those
+      const legacyHolders = await this.store.listPlayers(gameId, {
+        where: [['characterName', '==', characterName]]
+      });
       
-      await playerRef.update(updateData);
-      
-      
+      await this.store.runTransaction(async transaction => {
+        // Check if player document exists before trying to update it
+        const playerData = await transaction.getPlayer(gameId, userId);
+        if (!playerData) {
+          console.error('🔧 Player document does not exist for userId:', userId);
+          throw new Error(`Player document not found for user: ${userId}`);
+        }
+        
+        const previousCharacter = playerData.characterName;
+        if (previousCharacter === characterName) {
+          return;
+        }
+        
+        // Find who currently holds the character, if anyone
+        const claim = await transaction.getClaim(gameId, claimId);
+        let holderId = claim ? claim.userId : null;
+        if (!holderId) {
+          const legacyHolder = legacyHolders.find(holder => holder.userId !== userId);
+          holderId = legacyHolder ? legacyHolder.userId : null;
+        }
+        
+        let holderToRemove = null;
+        if (holderId && holderId !== userId) {
+          const holderData = await transaction.getPlayer(gameId, holderId);
+          
+          if (holderData && !isVirtualPlayer(holderData)) {
+            throw new CharacterTakenError(characterName, holderData.username);
+          }
+          if (!holderData && isInviteClaim(claim)) {
+            throw new CharacterOfferedError(characterName, claim.inviteeUsername);
+          }
+          holderToRemove = holderId;
+        }
+        
+        const previousClaimId = previousCharacter ? characterClaimId(previousCharacter) : null;
+        const previousClaim = previousClaimId ? await transaction.getClaim(gameId, previousClaimId) : null;
+        
+        // All reads are done - now write
+        if (holderToRemove) {
+          // The holder is a virtual player (or a stale claim); the real player takes the seat
+          transaction.deletePlayer(gameId, holderToRemove);
+          transaction.deleteCharacterSecret(gameId, holderToRemove);
+        }
+        
+        if (previousClaim && previousClaim.userId === userId) {
+          transaction.deleteClaim(gameId, previousClaimId);
+        }
+        
+        transaction.setClaim(gameId, claimId, {
+          characterName,
+          userId,
+          claimedAt: Date.now()
+        });
+        
+        transaction.updatePlayer(gameId, userId, { characterName });
+        transaction.setCharacterSecret(gameId, userId, characterSecret(gameData, userId, characterName));
+      });
+      await this.refreshGameSummaries(gameId);
     } catch (error) {
       console.error('Error assigning character:', error);
+      if (error instanceof CharacterTakenError) {
+        throw error;
+      }
       throw new Error('Failed to assign character');
     }
   }
 
+  // Release the player's character so someone else can claim it
+  async releaseCharacter(gameId, userId) {
+    try {
+      await this.store.runTransaction(async transaction => {
+        const playerData = await transaction.getPlayer(gameId, userId);
+        if (!playerData || !playerData.characterName) {
+          return;
+        }
+        
+        const claimId = characterClaimId(playerData.characterName);
+        const claim = await transaction.getClaim(gameId, claimId);
+        if (claim && claim.userId === userId) {
+          transaction.deleteClaim(gameId, claimId);
+        }
+        
+        transaction.updatePlayer(gameId, userId, { characterName: null });
+        transaction.deleteCharacterSecret(gameId, userId);
+      });
+      await this.refreshGameSummaries(gameId);
+    } catch (error) {
+      console.error('Error releasing character:', error);
+      throw new Error('Failed to release character');
+    }
+  }
+
   // Select character (alias for assignCharacter)
   async selectCharacter(gameId, userId, characterName) {
     return this.assignCharacter(gameId, userId, characterName);
   }
 
+  // The player's own private character data - { characterName, isMurderer, secretInformation } -
+  // or null while they have no character
+  async getCharacterSecret(gameId, userId) {
+    const localSession = this.getLocalSession(gameId);
+    if (localSession) {
+      const state = localSession.getState();
+      const player = state.players.find(p => p.userId === userId);
+      return player?.characterName ? characterSecret(state, userId, player.characterName) : null;
+    }
+
+    try {
+      return await this.store.getCharacterSecret(gameId, userId);
+    } catch (error) {
+      console.error('Error getting character secret:', error);
+      throw new Error('Failed to load your character');
+    }
+  }
+
+  // Every player's private character data, for the host's View Script (host only)
+  async listCharacterSecrets(gameId, hostUserId) {
+    const localSession = this.getLocalSession(gameId);
+    const gameData = localSession ? localSession.getState() : await this.store.getGame(gameId);
+    if (!gameData) {
+      throw new GameError('GAME_NOT_FOUND', 'This game no longer exists.');
+    }
+    if (gameData.hostUserId !== hostUserId) {
+      throw new GameError('NOT_HOST', "Only the host can see everyone's characters.");
+    }
+    if (localSession) {
+      return gameData.players
+        .filter(player => player.characterName)
+        .map(player => characterSecret(gameData, player.userId, player.characterName));
+    }
+    return this.store.listCharacterSecrets(gameId);
+  }
+
+  // Set when the party is (a ms timestamp), or clear it with null
+  async scheduleGame(gameId, scheduledAt) {
+    try {
+      await this.store.updateGame(gameId, { scheduledAt });
+      await this.refreshGameSummaries(gameId);
+    } catch (error) {
+      console.error('Error scheduling game:', error);
+      throw new Error('Failed to save the party date');
+    }
+  }
+
   // Start the game (host only)
   async startGame(gameId) {
+    const localSession = this.getLocalSession(gameId);
+    if (localSession) {
+      await localSession.dispatch({ type: LOCAL_ACTIONS.START_GAME });
+      return true;
+    }
+
     try {
-      // Real Firebase implementation
-      const gameRef = this.db.collection('games').doc(gameId);
-      const gameDoc = await gameRef.get();
+      const gameData = await this.store.getGame(gameId);
       
-      if (!gameDoc._exists) {
+      if (!gameData) {
         throw new Error('Game not found');
       }
       
-      const gameData = gameDoc._data;
-      
       // Check if all required players have joined
-      const playersSnapshot = await gameRef.collection('players').get();
-      if (playersSnapshot.docs.length < gameData.minPlayers) {
-        throw new Error(`Cannot start game: Not all players have joined. Need ${gameData.minPlayers} players, have ${playersSnapshot.docs.length}`);
+      const players = await this.store.listPlayers(gameId);
+      if (players.length < gameData.minPlayers) {
+        throw new Error(`Cannot start game: Not all players have joined. Need ${gameData.minPlayers} players, have ${players.length}`);
+      }
+      
+      // The script's first phase (usually the general introduction)
+      const firstRound = gameScriptService.getFirstRound(gameData);
+      if (firstRound === null) {
+        throw new Error('Game script has no rounds defined');
       }
       
-      await gameRef.update({
+      await this.store.updateGame(gameId, {
         status: 'IN_PROGRESS',
-        currentRound: 1, // Start with round 1 for general introduction
+        currentRound: firstRound,
         roundState: 'ROUND_ACTIVE',
-        [`roundData.1`]: {
-          readyPlayers: []
-        }
+        startedAt: Date.now(),
+        roundData: withRound(gameData.roundData, firstRound, { readyPlayers: [] })
       });
       
-      // Initialize all players' roundStates[1] for the general introduction round
-      const initialPlayersSnapshot = await gameRef.collection('players').get();
-      const initialBatch = this.db.batch();
+      // Initialize all players' roundStates for the first round
+      const initialPlayers = await this.store.listPlayers(gameId);
+      const initialBatch = this.store.batch();
       
-      initialPlayersSnapshot.forEach(doc => {
-        const playerRef = gameRef.collection('players').doc(doc.id);
-        initialBatch.update(playerRef, {
-          [`roundStates.1`]: {
-            ready: false,
-            readyAt: null
-          }
+      initialPlayers.forEach(player => {
+        initialBatch.updatePlayer(gameId, player.userId, {
+          roundStates: withRound(player.roundStates, firstRound, { ready: false, readyAt: null })
         });
       });
       
       await initialBatch.commit();
+      await this.automateVirtualPlayers(gameId);
+      await this.refreshGameSummaries(gameId);
       
       return true;
     } catch (error) {
@@ -537,86 +1010,79 @@ class FirebaseService {
     }
   }
 
-  // Advance to next round
-  async advanceRound(gameId) {
+  // Advance to the next round. Pass the round the caller is looking at as expectedRound: the
+  // move is a compare-and-set on it, in one transaction with the new round's roundData and
+  // every player's roundStates, so a double tap or two co-hosts at once can't skip a round.
+  // Resolves to { advanced: true, round } with the new round, or - when the game had already
+  // moved on from expectedRound - { advanced: false, alreadyAdvanced: true, round } with the
+  // round it's on, which callers treat as success. Moving into the end phase scores the game
+  // and completes it in the same transaction; a game left on its end phase without being
+  // completed is finished where it is.
+  async advanceRound(gameId, expectedRound = null) {
+    const localSession = this.getLocalSession(gameId);
+    if (localSession) {
+      const previousRound = localSession.getState().currentRound;
+      const { currentRound } = await localSession.dispatch({ type: LOCAL_ACTIONS.ADVANCE_ROUND, expectedRound });
+      return currentRound === previousRound
+        ? { advanced: false, alreadyAdvanced: true, round: currentRound }
+        : { advanced: true, round: currentRound };
+    }
 
     try {
-      // Real Firebase implementation
-      const gameRef = this.db.collection('games').doc(gameId);
-      const gameDoc = await gameRef.get();
-      
-      if (!gameDoc._exists) {
-        throw new Error('Game not found');
-      }
-      
-      const gameData = gameDoc._data;
-      const currentRound = gameData.currentRound;
-      let nextRound;
-      
-      // Special case: advance from general introduction (round 1) to character introductions (round 2)
-      if (currentRound === 1) {
-        await gameRef.update({
-          currentRound: 2,
-          'roundData.2': {
-            readyPlayers: []
-          }
-        });
-        return;
-      }
-      
-      // Special case: advance from character introductions (round 2) to stories (round 3)
-      if (currentRound === 2) {
-        await gameRef.update({
-          currentRound: 3,
-          'roundData.3': {
-            readyPlayers: []
-          }
-        });
-        return;
-      }
-      
-      // Special case: after round 5, go to accusation round 5.5
-      if (currentRound === 5) {
-        nextRound = 5.5;
-      } else if (currentRound === 5.5) {
-        nextRound = 6;
-      } else {
-        nextRound = currentRound + 1;
-      }
-      
-      // Mark current round as completed
-      await gameRef.update({
-        currentRound: nextRound,
-        [`roundData.${nextRound}`]: {
-          readyPlayers: []
+      // Transactions can't run queries, so find the players first and read each one inside
+      const players = await this.store.listPlayers(gameId);
+
+      const result = await this.store.runTransaction(async transaction => {
+        const gameData = await transaction.getGame(gameId);
+        if (!gameData) {
+          throw new GameError('GAME_NOT_FOUND', 'This game no longer exists.');
         }
-      });
-      
-      // Reset all players' ready status for the new round
-      const playersSnapshot = await gameRef.collection('players').get();
-      const batch = this.db.batch();
-      
-      playersSnapshot.forEach(doc => {
-        const playerRef = gameRef.collection('players').doc(doc.id);
-        batch.update(playerRef, {
-          [`roundStates.${nextRound}`]: {
-            ready: false,
-            readyAt: null
-          }
+        const currentRound = gameData.currentRound;
+        if (gameData.status === 'COMPLETED' || (expectedRound !== null && currentRound !== expectedRound)) {
+          return { advanced: false, alreadyAdvanced: true, round: currentRound };
+        }
+        if (gameData.status !== 'IN_PROGRESS') {
+          throw new GameError('NOT_IN_PROGRESS', "The game hasn't started yet.");
+        }
+
+        // The script's phase list decides what comes next
+        const isEndPhase = round => gameScriptService.getPhase(gameData, round)?.type === gameScriptService.PHASE_TYPES.END;
+        const nextRound = isEndPhase(currentRound) ? currentRound : gameScriptService.getNextRound(gameData, currentRound);
+        if (nextRound === null) {
+          throw new Error(`No round follows round ${currentRound}`);
+        }
+        const isEnd = isEndPhase(nextRound);
+        const playerDocs = (await Promise.all(players.map(player => transaction.getPlayer(gameId, player.userId)))).filter(Boolean);
+
+        // All reads are done - now write
+        transaction.updateGame(gameId, {
+          currentRound: nextRound,
+          roundData: withRound(gameData.roundData, nextRound, { readyPlayers: [] }),
+          ...(isEnd ? { ...scoredGameFields(gameData, playerDocs), status: 'COMPLETED', gameState: 'COMPLETED' } : {})
         });
-      });
-      
-      await batch.commit();
-      
-      // After advancing to round 7 (game end), mark game as completed
-      if (nextRound === 7) {
-        await gameRef.update({
-          status: 'COMPLETED',
-          gameState: 'COMPLETED'
+        playerDocs.forEach(player => {
+          transaction.updatePlayer(gameId, player.userId, {
+            roundStates: withRound(player.roundStates, nextRound, { ready: false, readyAt: null })
+          });
         });
+        return { advanced: true, round: nextRound, isEnd };
+      });
+
+      if (!result.advanced) {
+        return result;
+      }
+      const { isEnd, ...advanced } = result;
+
+      if (!isEnd) {
+        await this.automateVirtualPlayers(gameId);
       }
+      await this.refreshGameSummaries(gameId);
+      return advanced;
     } catch (error) {
       console.error('Error advancing round:', error);
+      if (error instanceof GameError) {
+        throw error;
+      }
       throw new Error('Failed to advance round');
     }
   }
@@ -624,52 +1090,51 @@ class FirebaseService {
   // Mark introduction as shown
   async markIntroductionShown(gameId) {
     try {
-      // Real Firebase implementation
-      const gameRef = this.db.collection('games').doc(gameId);
-      await gameRef.update({
+      await this.store.updateGame(gameId, {
         introductionShown: true
       });
-      
-
     } catch (error) {
       console.error('Error marking introduction as shown:', error);
       throw new Error('Failed to mark introduction as shown');
     }
   }
 
-  // Submit accusation
-  async submitAccusation(gameId, userId, accusedCharacter) {
-    try {
-      // Real Firebase implementation
-      const gameRef = this.db.collection('games').doc(gameId);
-      const playerRef = gameRef.collection('players').doc(userId);
-      
-      const playerDoc = await playerRef.get();
-      if (!playerDoc.exists) {
+  // Submit accusation (defaults to the game's current round)
+  async submitAccusation(gameId, userId, accusedCharacter, round = null) {
+    const localSession = this.getLocalSession(gameId);
+    if (localSession) {
+      return localSession.dispatch({ type: LOCAL_ACTIONS.SUBMIT_ACCUSATION, accusedCharacter, round });
+    }
+
+    try {
+      const playerData = await this.store.getPlayer(gameId, userId);
+      if (!playerData) {
         throw new Error('Player not found');
       }
       
-      const playerData = playerDoc.data();
+      const gameData = await this.store.getGame(gameId);
+      const accusationRound = round === null ? gameData.currentRound : round;
       const currentTimestamp = Date.now();
       
       // Add accusation to player's made accusations
-      await playerRef.update({
-        'accusations.made': firestore.FieldValue.arrayUnion({
-          round: 5.5,
+      await this.store.updatePlayer(gameId, userId, {
+        'accusations.made': this.store.arrayUnion({
+          round: accusationRound,
           accusedCharacter,
           timestamp: currentTimestamp
         })
       });
       
-      // Add accusation to game accusations
-      await gameRef.update({
-        'accusations.accusations': firestore.FieldValue.arrayUnion({
+      // Add accusation to game accusations; advanceRound marks it right or wrong when the game
+      // ends, so the shared game gives nothing away before then
+      await this.store.updateGame(gameId, {
+        'accusations.accusations': this.store.arrayUnion({
           id: `accusation_${currentTimestamp}`,
+          round: accusationRound,
           accuserId: userId,
           accuserCharacter: playerData.characterName,
           accusedCharacter,
-          timestamp: currentTimestamp,
-          isCorrect: false
+          timestamp: currentTimestamp
         })
       });
     } catch (error) {
@@ -678,6 +1143,29 @@ class FirebaseService {
     }
   }
 
+  // Score every accusation against the script's murderers and store the results on the game.
+  // advanceRound does this when the game reaches its end phase; this re-scores a game.
+  async scoreGame(gameId) {
+    try {
+      const gameData = await this.getGameData(gameId);
+      if (!gameData) {
+        throw new Error('Game not found');
+      }
+
+      const scored = scoredGameFields(gameData, gameData.players);
+      await this.store.updateGame(gameId, {
+        results: scored.results,
+        'accusations.accusations': scored.accusations.accusations,
+        'accusations.completed': true
+      });
+
+      return scored.results;
+    } catch (error) {
+      console.error('Error scoring game:', error);
+      throw new Error('Failed to score game');
+    }
+  }
+
   // Make a specific player accuse randomly
   async makePlayerAccuseRandomly(gameId, playerId) {
     try {
@@ -687,10 +1175,10 @@ class FirebaseService {
       }
 
       // Get available characters for accusation
-      const availableCharacters = gameScriptService.getCharacters(gameData.gameScriptId);
+      const availableCharacters = gameScriptService.getCharacters(gameData);
       
       // Add humorous accusation option if it exists
-      const humorousOption = gameScriptService.getHumorousAccusationOption(gameData.gameScriptId);
+      const humorousOption = gameScriptService.getHumorousAccusationOption(gameData);
       if (humorousOption) {
         availableCharacters.push(humorousOption);
       }
@@ -703,7 +1191,7 @@ class FirebaseService {
       const randomCharacter = availableCharacters[Math.floor(Math.random() * availableCharacters.length)];
       
       // Submit the random accusation
-      await this.submitAccusation(gameId, playerId, randomCharacter.characterName);
+      await this.submitAccusation(gameId, playerId, randomCharacter.characterName, gameData.currentRound);
       
       console.log(`🔧 Made player ${playerId} accuse ${randomCharacter.characterName} randomly`);
     } catch (error) {
@@ -740,7 +1228,7 @@ class FirebaseService {
         .map(p => p.characterName);
       
       const availableCharacters = gameScriptService.getAvailableCharacters(
-        gameData.gameScriptId, 
+        gameData, 
         assignedCharacters
       );
       
@@ -749,6 +1237,10 @@ class FirebaseService {
         await this.assignCharacter(gameId, player.userId, character.characterName);
       }
     }
+
+    // They're seated directly rather than joining, so bring the count up to date
+    const players = await this.store.listPlayers(gameId);
+    await this.store.updateGame(gameId, { playerCount: players.filter(player => !isVirtualPlayer(player)).length });
   }
 
   // Simulate player action
@@ -766,9 +1258,9 @@ class FirebaseService {
         break;
       case 'accuse':
         // Simulate random accusation
-        const availableCharacters = gameScriptService.getCharacters(gameData.gameScriptId);
+        const availableCharacters = gameScriptService.getCharacters(gameData);
         const randomCharacter = availableCharacters[Math.floor(Math.random() * availableCharacters.length)];
-        await this.submitAccusation(gameId, player.userId, randomCharacter.characterName);
+        await this.submitAccusation(gameId, player.userId, randomCharacter.characterName, gameData.currentRound);
         break;
     }
   }
@@ -790,7 +1282,7 @@ class FirebaseService {
 
   // Check if Firebase is working
   isFirebaseWorking() {
-    return this.db !== null;
+    return this.store !== null;
   }
 
   // Force Firebase initialization (for testing)
@@ -806,17 +1298,202 @@ class FirebaseService {
     return Promise.resolve();
   }
 
+  // ============================================================================
+  // LOCAL-NETWORK PLAY
+  // ============================================================================
+  // For parties without reliable internet, the host's device runs the game and guests
+  // connect to it over the local network. While a local session is active, the game
+  // methods above (joinGame, assignCharacter, startGame, updatePlayerReady, advanceRound,
+  // submitAccusation, getGameData, subscribeToGame) run against it instead of Firestore.
+  //
+  // The host starts it from the lobby, and guests join with the host's address from the lobby
+  // or its QR code; on a device the transports are TCP sockets (localPlay/localNetwork.js).
+
+  // Get the local session for a game, if that game is being played locally
+  getLocalSession(gameId) {
+    if (this.localSession && this.localSession.gameId === gameId) {
+      return this.localSession;
+    }
+    return null;
+  }
+
+  // Host an existing game from this device. The game is read from Firestore (or its
+  // offline cache) once, then written back periodically whenever we're online.
+  async startLocalHost(gameId, userId, transport) {
+    const gameData = await this.getGameData(gameId);
+    if (!gameData) {
+      throw new Error('Game not found');
+    }
+    if (gameData.hostUserId !== userId) {
+      throw new Error('Only the host can run a local game');
+    }
+
+    await this.stopLocalSession();
+    this.localSession = new LocalGameHost({ gameData, userId, transport }).start();
+    this.currentGameId = gameId;
+    this.localSyncTimer = setInterval(() => {
+      this.syncLocalGame().catch(error => {
+        console.error('Error syncing local game:', error);
+      });
+    }, LOCAL_SYNC_INTERVAL);
+    return this.localSession.getState();
+  }
+
+  // Join a game hosted on another device on the local network
+  async joinLocalGame(gameId, userId, username, transport) {
+    await this.stopLocalSession();
+    const guest = new LocalGameGuest({ gameId, userId, transport, token: this.localGuestTokens[gameId] || null });
+    await guest.connect();
+    this.localGuestTokens[gameId] = guest.token;
+    this.localSession = guest;
+    try {
+      return await this.joinGame(gameId, userId, username);
+    } catch (error) {
+      await this.stopLocalSession();
+      throw error;
+    }
+  }
+
+  // Leave local play, writing the game back to Firestore first if we're the host
+  async stopLocalSession() {
+    if (!this.localSession) {
+      return;
+    }
+
+    if (this.localSyncTimer) {
+      clearInterval(this.localSyncTimer);
+      this.localSyncTimer = null;
+    }
+    try {
+      await this.syncLocalGame();
+    } catch (error) {
+      console.error('Error syncing local game:', error);
+    }
+    this.localSession.stop();
+    this.localSession = null;
+  }
+
+  // Write the host's local game back to Firestore. Does nothing when offline or when
+  // nothing changed; returns whether a sync happened.
+  async syncLocalGame() {
+    const session = this.localSession;
+    if (!session || !session.isHost || !session.hasUnsyncedChanges() || !this.store) {
+      return false;
+    }
+    if (!(await this.testFirebaseConnection())) {
+      return false;
+    }
+
+    const state = session.getState();
+    const { players, version, ...gameFields } = state;
+    const { gameId } = state;
+    const [storedPlayers, storedClaims] = await Promise.all([
+      this.store.listPlayers(gameId),
+      this.store.listClaims(gameId)
+    ]);
+
+    const batch = this.store.batch();
+    batch.setGame(gameId, {
+      ...gameFields,
+      playerCount: players.filter(player => !isVirtualPlayer(player)).length,
+      updatedAt: Date.now()
+    }, { merge: true });
+
+    // The local state is authoritative: replace every player and drop anyone who left
+    const playerIds = new Set(players.map(player => player.userId));
+    players.forEach(player => {
+      batch.setPlayer(gameId, player.userId, player);
+      if (player.characterName) {
+        batch.setCharacterSecret(gameId, player.userId, characterSecret(state, player.userId, player.characterName));
+      } else {
+        batch.deleteCharacterSecret(gameId, player.userId);
+      }
+      if (!isVirtualPlayer(player)) {
+        batch.setUserGame(player.userId, gameId, {
+          gameId,
+          role: player.isHost ? 'host' : 'player',
+          lastActiveAt: Date.now(),
+          summary: gameSummary(state, player)
+        }, { merge: true });
+      }
+    });
+    storedPlayers.forEach(player => {
+      if (!playerIds.has(player.userId)) {
+        batch.deletePlayer(gameId, player.userId);
+        batch.deleteCharacterSecret(gameId, player.userId);
+      }
+    });
+
+    // Rebuild the character claims to match
+    const claimIds = new Set();
+    players.filter(player => player.characterName).forEach(player => {
+      const claimId = characterClaimId(player.characterName);
+      claimIds.add(claimId);
+      batch.setClaim(gameId, claimId, {
+        characterName: player.characterName,
+        userId: player.userId,
+        claimedAt: Date.now()
+      });
+    });
+    storedClaims.forEach(claim => {
+      if (!claimIds.has(claim.id)) {
+        batch.deleteClaim(gameId, claim.id);
+      }
+    });
+
+    await batch.commit();
+    session.markSynced(version);
+    return true;
+  }
+
   // ============================================================================
   // USER PROFILE MANAGEMENT
   // ============================================================================
 
+  // Create or update the profile for a user ID (the display name can change, the ID never does)
+  async saveUserProfile(userId, username) {
+    try {
+      const existingUser = await this.store.getUser(userId);
+      const now = Date.now();
+
+      if (existingUser) {
+        await this.store.updateUser(userId, {
+          username,
+          updatedAt: now
+        });
+      } else {
+        await this.store.setUser(userId, {
+          userId,
+          username,
+          createdAt: now,
+          updatedAt: now
+        });
+      }
 
+      return true;
+    } catch (error) {
+      console.error('Error saving user profile:', error);
+      throw error;
+    }
+  }
+
+  // Move records created when the username doubled as the user ID over to the stable user ID
+  // (see storage/legacyMigration.js). Once the security rules are deployed only the migration
+  // script (tools/migrateLegacyUsers.js) can do this, so on a device it's for stores without
+  // them: the simulator's, or Firestore before those rules went out.
+  async migrateLegacyUser(legacyUserId, userId) {
+    try {
+      return await migrateLegacyUser(this.store, legacyUserId, userId);
+    } catch (error) {
+      console.error('Error migrating legacy user:', error);
+      throw error;
+    }
+  }
 
   // Delete user profile (GDPR compliance)
   async deleteUserProfile(userId) {
     try {
-      const userRef = this.db.collection('users').doc(userId);
-      await userRef.delete();
+      await this.store.deleteUser(userId);
 
       return true;
     } catch (error) {
@@ -828,17 +1505,10 @@ class FirebaseService {
   // Get all users (admin function)
   async getAllUsers(limit = 100) {
     try {
-      const usersSnapshot = await this.db.collection('users')
-        .orderBy('createdAt', 'desc')
-        .limit(limit)
-        .get();
-
-      const users = [];
-      usersSnapshot.forEach(doc => {
-        users.push(doc.data());
+      return await this.store.listUsers({
+        orderBy: ['createdAt', 'desc'],
+        limit
       });
-
-      return users;
     } catch (error) {
       console.error('Error getting all users:', error);
       throw error;
@@ -848,24 +1518,671 @@ class FirebaseService {
   // Search users by username
   async searchUsersByUsername(username, limit = 10) {
     try {
-      const usersSnapshot = await this.db.collection('users')
-        .where('username', '>=', username)
-        .where('username', '<=', username + '\uf8ff')
-        .limit(limit)
-        .get();
-
-      const users = [];
-      usersSnapshot.forEach(doc => {
-        users.push(doc.data());
+      return await this.store.listUsers({
+        where: [
+          ['username', '>=', username],
+          ['username', '<=', username + '\uf8ff']
+        ],
+        limit
       });
-
-      return users;
     } catch (error) {
       console.error('Error searching users by username:', error);
       throw error;
     }
   }
 
+  // ============================================================================
+  // VIRTUAL PLAYERS
+  // ============================================================================
+  // A virtual seat (isVirtual: true) holds a character for someone who isn't at the party.
+  // The host reads its part; it's marked ready and, in accusation phases, accuses at random
+  // as each round starts, so it never holds the game up. A real player can take its
+  // character over in the lobby, or the host can hand it to a newcomer mid-game.
+
+  // Put a virtual player in the seat for a character (lobby only); returns its user ID
+  async addVirtualPlayer(gameId, characterName) {
+    if (this.getLocalSession(gameId)) {
+      throw new GameError('LOCAL_GAME', "Virtual players can't be added to a local game.");
+    }
+    const gameData = await this.store.getGame(gameId);
+    if (!gameData) {
+      throw new GameError('GAME_NOT_FOUND', 'This game no longer exists.');
+    }
+    if (gameData.status !== 'LOBBY') {
+      throw new GameError('NOT_IN_LOBBY', 'Once the game has started, use Replace to hand a character to a virtual player.');
+    }
+
+    const virtualPlayerId = createVirtualPlayerId();
+    await this.addPlayerToGame(gameId, virtualPlayerId, characterName, false, true);
+    try {
+      await this.assignCharacter(gameId, virtualPlayerId, characterName);
+    } catch (error) {
+      // Someone claimed the character first - don't leave a virtual player without one
+      await this.removePlayerFromGame(gameId, virtualPlayerId);
+      throw error;
+    }
+    return virtualPlayerId;
+  }
+
+  // The game's virtual seats
+  async listVirtualPlayers(gameId) {
+    const players = await this.store.listPlayers(gameId);
+    return players.filter(isVirtualPlayer);
+  }
+
+  // Take a virtual player out of the game, freeing its character
+  async removeVirtualPlayer(gameId, userId) {
+    const playerData = await this.store.getPlayer(gameId, userId);
+    if (!playerData) {
+      return;
+    }
+    if (!isVirtualPlayer(playerData)) {
+      throw new GameError('NOT_VIRTUAL', 'Only virtual players can be removed this way.');
+    }
+    await this.removePlayerFromGame(gameId, userId);
+  }
+
+  // Mark every virtual player ready for the current round and, if the round collects
+  // accusations, have the ones that haven't accused yet accuse at random
+  async automateVirtualPlayers(gameId) {
+    const gameData = await this.store.getGame(gameId);
+    if (!gameData || gameData.status !== 'IN_PROGRESS') {
+      return;
+    }
+    const round = gameData.currentRound;
+    const phase = gameScriptService.getPhase(gameData, round);
+    const virtualPlayers = await this.listVirtualPlayers(gameId);
+
+    for (const player of virtualPlayers) {
+      if (phase?.collectsAccusations && !(player.accusations?.made || []).some(accusation => accusation.round === round)) {
+        await this.makePlayerAccuseRandomly(gameId, player.userId);
+      }
+      if (!player.roundStates?.[round]?.ready) {
+        await this.store.updatePlayer(gameId, player.userId, {
+          roundStates: withRound(player.roundStates, round, { ready: true, readyAt: Date.now() })
+        });
+      }
+    }
+  }
+
+  // ============================================================================
+  // AUTO-ADVANCE
+  // ============================================================================
+  // With game.autoAdvanceRounds on, a complete round (see isRoundComplete in utils/gameSession)
+  // moves on by itself after a countdown everyone can see. The countdown lives on the game as
+  // autoAdvance: { round, status, advanceAt }, where status is COUNTING, CANCELLED (the host
+  // stopped it for that round) or ADVANCING. The host's and co-hosts' devices drive it from
+  // useGameSession; each step re-checks in a transaction, so only one device starts the
+  // countdown and only one advances the round.
+
+  // Turn auto-advance on or off (host only)
+  async setAutoAdvanceRounds(gameId, hostUserId, enabled) {
+    const gameData = await this.store.getGame(gameId);
+    if (!gameData || gameData.hostUserId !== hostUserId) {
+      throw new GameError('NOT_HOST', 'Only the host can change this setting.');
+    }
+    await this.store.updateGame(gameId, { autoAdvanceRounds: enabled, autoAdvance: null });
+  }
+
+  // Start the countdown for a complete round, unless it has already started or been cancelled.
+  // Returns whether this call started it.
+  async startAutoAdvance(gameId, round) {
+    if (this.getLocalSession(gameId)) {
+      return false;
+    }
+    return this.store.runTransaction(async transaction => {
+      const gameData = await transaction.getGame(gameId);
+      if (!gameData?.autoAdvanceRounds || gameData.status !== 'IN_PROGRESS' ||
+        gameData.currentRound !== round || gameData.autoAdvance?.round === round) {
+        return false;
+      }
+      transaction.updateGame(gameId, {
+        autoAdvance: { round, status: 'COUNTING', advanceAt: Date.now() + AUTO_ADVANCE_SECONDS * 1000 }
+      });
+      return true;
+    });
+  }
+
+  // Drop the countdown because the round is no longer complete; it starts again once it is
+  async stopAutoAdvance(gameId, round) {
+    await this.store.runTransaction(async transaction => {
+      const gameData = await transaction.getGame(gameId);
+      const countdown = gameData?.autoAdvance;
+      if (countdown?.round === round && countdown.status === 'COUNTING') {
+        transaction.updateGame(gameId, { autoAdvance: null });
+      }
+    });
+  }
+
+  // Keep this round from moving on by itself (host or co-host); it's then advanced by hand
+  async cancelAutoAdvance(gameId, userId, round) {
+    await this.store.runTransaction(async transaction => {
+      const gameData = await transaction.getGame(gameId);
+      const player = await transaction.getPlayer(gameId, userId);
+      if (!gameData || !(player?.isHost || player?.isCoHost)) {
+        throw new GameError('NOT_HOST', 'Only the host or a co-host can cancel the countdown.');
+      }
+      const countdown = gameData.autoAdvance;
+      if (countdown?.round === round && countdown.status === 'COUNTING') {
+        transaction.updateGame(gameId, { autoAdvance: { ...countdown, status: 'CANCELLED' } });
+      }
+    });
+  }
+
+  // Once the countdown has run out, claim the advance and move the round on. Only the device
+  // whose claim goes through advances, so the round can't be advanced twice. If advancing
+  // fails the claim is dropped, so the countdown can start again.
+  // Returns whether this call advanced the round.
+  async completeAutoAdvance(gameId, round) {
+    if (this.getLocalSession(gameId)) {
+      return false;
+    }
+    const claimed = await this.store.runTransaction(async transaction => {
+      const gameData = await transaction.getGame(gameId);
+      const countdown = gameData?.autoAdvance;
+      if (!gameData || gameData.currentRound !== round || countdown?.round !== round || countdown.status !== 'COUNTING') {
+        return false;
+      }
+      transaction.updateGame(gameId, { autoAdvance: { ...countdown, status: 'ADVANCING' } });
+      return true;
+    });
+    if (!claimed) {
+      return false;
+    }
+    try {
+      await this.advanceRound(gameId, round);
+    } catch (error) {
+      await this.store.runTransaction(async transaction => {
+        const gameData = await transaction.getGame(gameId);
+        const countdown = gameData?.autoAdvance;
+        if (countdown?.round === round && countdown.status === 'ADVANCING') {
+          transaction.updateGame(gameId, { autoAdvance: null });
+        }
+      });
+      throw error;
+    }
+    return true;
+  }
+
+  // ============================================================================
+  // HOSTING
+  // ============================================================================
+  // The host is game.hostUserId, mirrored as player.isHost. Co-hosts (player.isCoHost) can
+  // also advance rounds and set ready states. During a game every device sends a heartbeat
+  // (player.lastActiveAt); when the host's stops for game.hostFailoverMinutes, the first
+  // device to notice hands hosting on (see chooseFailoverHost).
+
+  // Write a change of host: game, both players' flags and both players' game records
+  handOverHost(transaction, gameId, previousHost, newHost) {
+    transaction.updateGame(gameId, {
+      hostUserId: newHost.userId,
+      hostUsername: newHost.username,
+      hostChangedAt: Date.now()
+    });
+    if (previousHost) {
+      transaction.updatePlayer(gameId, previousHost.userId, { isHost: false });
+      transaction.setUserGame(previousHost.userId, gameId, { role: 'player' }, { merge: true });
+    }
+    transaction.updatePlayer(gameId, newHost.userId, { isHost: true, isCoHost: false });
+    transaction.setUserGame(newHost.userId, gameId, { gameId, role: 'host' }, { merge: true });
+  }
+
+  // Hand hosting to another player (host only)
+  async transferHost(gameId, fromUserId, toUserId) {
+    if (this.getLocalSession(gameId)) {
+      throw new GameError('LOCAL_GAME', "Hosting can't be handed over in a local game.");
+    }
+
+    await this.store.runTransaction(async transaction => {
+      const gameData = await transaction.getGame(gameId);
+      if (!gameData) {
+        throw new GameError('GAME_NOT_FOUND', 'This game no longer exists.');
+      }
+      if (gameData.hostUserId !== fromUserId) {
+        throw new GameError('NOT_HOST', 'Only the host can hand over hosting.');
+      }
+      const newHost = await transaction.getPlayer(gameId, toUserId);
+      if (!newHost || isVirtualPlayer(newHost) || toUserId === fromUserId) {
+        throw new GameError('INVALID_HOST', 'Hosting can only go to another player in the game.');
+      }
+      const previousHost = await transaction.getPlayer(gameId, fromUserId);
+      this.handOverHost(transaction, gameId, previousHost, newHost);
+    });
+  }
+
+  // Make a player a co-host, or stop them being one (host only)
+  async setCoHost(gameId, hostUserId, userId, isCoHost) {
+    const gameData = await this.store.getGame(gameId);
+    if (!gameData) {
+      throw new GameError('GAME_NOT_FOUND', 'This game no longer exists.');
+    }
+    if (gameData.hostUserId !== hostUserId) {
+      throw new GameError('NOT_HOST', 'Only the host can choose co-hosts.');
+    }
+    const player = await this.store.getPlayer(gameId, userId);
+    if (!player || isVirtualPlayer(player) || player.isHost) {
+      throw new GameError('INVALID_CO_HOST', 'Only other players in the game can be co-hosts.');
+    }
+
+    try {
+      await this.store.updatePlayer(gameId, userId, { isCoHost });
+    } catch (error) {
+      console.error('Error updating co-host:', error);
+      throw new Error('Failed to update co-host');
+    }
+  }
+
+  // How long the host can be away before hosting moves on; 0 turns failover off (host only)
+  async setHostFailoverMinutes(gameId, hostUserId, minutes) {
+    const gameData = await this.store.getGame(gameId);
+    if (!gameData || gameData.hostUserId !== hostUserId) {
+      throw new GameError('NOT_HOST', 'Only the host can change this setting.');
+    }
+    await this.store.updateGame(gameId, { hostFailoverMinutes: minutes });
+  }
+
+  // Record that this player's device is still in the game
+  async sendHeartbeat(gameId, userId) {
+    if (this.getLocalSession(gameId)) {
+      return;
+    }
+    await this.store.updatePlayer(gameId, userId, { lastActiveAt: Date.now() });
+  }
+
+  // Hand hosting on if the host has gone quiet for too long. Safe for every device to call:
+  // the check is repeated in a transaction, so only one of them makes the change.
+  // Returns the new host's user ID, or null if nothing changed.
+  async checkHostFailover(gameId, now = Date.now()) {
+    if (this.getLocalSession(gameId)) {
+      return null;
+    }
+
+    const gameData = await this.store.getGame(gameId);
+    if (!gameData) {
+      return null;
+    }
+    const successor = chooseFailoverHost(gameData, await this.store.listPlayers(gameId), now);
+    if (!successor) {
+      return null;
+    }
+
+    return this.store.runTransaction(async transaction => {
+      const currentGame = await transaction.getGame(gameId);
+      const previousHost = currentGame ? await transaction.getPlayer(gameId, currentGame.hostUserId) : null;
+      const newHost = await transaction.getPlayer(gameId, successor.userId);
+      const players = [previousHost, newHost].filter(Boolean);
+      if (!currentGame || !newHost || chooseFailoverHost(currentGame, players, now)?.userId !== newHost.userId) {
+        return null; // Someone else already handed over, or the host came back
+      }
+      this.handOverHost(transaction, gameId, previousHost, newHost);
+      return newHost.userId;
+    });
+  }
+
+  // Remove a player from the game (host only) and, with block, stop them joining again by
+  // adding them to game.blockedUserIds. In the lobby their character is freed for someone
+  // else; once the game has started a virtual player takes over their seat (character, ready
+  // states and accusations) so the host can read their part and the game can go on.
+  async kickPlayer(gameId, hostUserId, userId, { block = false } = {}) {
+    if (this.getLocalSession(gameId)) {
+      throw new GameError('LOCAL_GAME', "Players can't be removed from a local game.");
+    }
+
+    await this.store.runTransaction(async transaction => {
+      const gameData = await transaction.getGame(gameId);
+      if (!gameData) {
+        throw new GameError('GAME_NOT_FOUND', 'This game no longer exists.');
+      }
+      if (gameData.hostUserId !== hostUserId) {
+        throw new GameError('NOT_HOST', 'Only the host can remove players.');
+      }
+      if (userId === hostUserId) {
+        throw new GameError('INVALID_PLAYER', "The host can't be removed from their own game.");
+      }
+
+      const playerData = await transaction.getPlayer(gameId, userId);
+      const claimId = playerData?.characterName ? characterClaimId(playerData.characterName) : null;
+      const claim = claimId ? await transaction.getClaim(gameId, claimId) : null;
+
+      // All reads are done - now write
+      let gameUpdate = {};
+      if (playerData && claimId && gameData.status !== 'LOBBY') {
+        this.handOverSeat(transaction, gameId, gameData, playerData, null);
+        gameUpdate = playerCountUpdate(gameData, seatCountChange(playerData, null));
+      } else if (playerData) {
+        transaction.deletePlayer(gameId, userId);
+        transaction.deleteCharacterSecret(gameId, userId);
+        transaction.deleteUserGame(userId, gameId);
+        if (claim && claim.userId === userId) {
+          transaction.deleteClaim(gameId, claimId);
+        }
+        gameUpdate = playerCountUpdate(gameData, isVirtualPlayer(playerData) ? 0 : -1);
+      }
+
+      if (block && !(gameData.blockedUserIds || []).includes(userId)) {
+        gameUpdate.blockedUserIds = [...(gameData.blockedUserIds || []), userId];
+      }
+      if (Object.keys(gameUpdate).length > 0) {
+        transaction.updateGame(gameId, gameUpdate);
+      }
+    });
+    await this.automateVirtualPlayers(gameId);
+    await this.refreshGameSummaries(gameId);
+  }
+
+  // Move a player's seat - character, ready states, accusations - to someone else, who
+  // replaces them in the game: a newcomer ({ userId, username }) or, with null, a new virtual
+  // player. Writes only, and not game.playerCount (see seatCountChange); returns the new
+  // seat's user ID.
+  handOverSeat(transaction, gameId, gameData, seat, newcomer) {
+    const newUserId = newcomer ? newcomer.userId : createVirtualPlayerId();
+    transaction.deletePlayer(gameId, seat.userId);
+    transaction.deleteCharacterSecret(gameId, seat.userId);
+    if (!isVirtualPlayer(seat)) {
+      transaction.deleteUserGame(seat.userId, gameId);
+    }
+
+    transaction.setPlayer(gameId, newUserId, {
+      ...toSharedPlayer(seat),
+      userId: newUserId,
+      username: newcomer ? newcomer.username : seat.characterName,
+      isHost: false,
+      isCoHost: false,
+      isVirtual: !newcomer,
+      isSimulated: false,
+      joinedAt: Date.now(),
+      lastActiveAt: Date.now()
+    });
+    transaction.setClaim(gameId, characterClaimId(seat.characterName), {
+      characterName: seat.characterName,
+      userId: newUserId,
+      claimedAt: Date.now()
+    });
+    transaction.setCharacterSecret(gameId, newUserId, characterSecret(gameData, newUserId, seat.characterName));
+    if (newcomer) {
+      transaction.setUserGame(newcomer.userId, gameId, {
+        gameId,
+        role: 'player',
+        joinedAt: Date.now(),
+        lastActiveAt: Date.now()
+      });
+    }
+    return newUserId;
+  }
+
+  // Give a character to someone else once the game has started (host only), for when a
+  // player has to leave: to a newcomer ({ userId, username }), who finds the game in My Games,
+  // or with no newcomer to a virtual player the host reads for. Their ready states and
+  // accusations go with the character. Returns the user ID now playing it.
+  async reassignCharacter(gameId, hostUserId, characterName, newcomer = null) {
+    if (this.getLocalSession(gameId)) {
+      throw new GameError('LOCAL_GAME', "Characters can't be handed over in a local game.");
+    }
+
+    // Games created before claim documents existed may have no lock for the character
+    const legacyHolders = await this.store.listPlayers(gameId, {
+      where: [['characterName', '==', characterName]]
+    });
+
+    const newUserId = await this.store.runTransaction(async transaction => {
+      const gameData = await transaction.getGame(gameId);
+      if (!gameData) {
+        throw new GameError('GAME_NOT_FOUND', 'This game no longer exists.');
+      }
+      if (gameData.hostUserId !== hostUserId) {
+        throw new GameError('NOT_HOST', 'Only the host can hand characters over.');
+      }
+      if (gameData.status !== 'IN_PROGRESS') {
+        throw new GameError('NOT_IN_PROGRESS', 'Characters can only be handed over while the game is being played.');
+      }
+
+      const claim = await transaction.getClaim(gameId, characterClaimId(characterName));
+      const holderId = claim ? claim.userId : legacyHolders[0]?.userId;
+      const seat = holderId ? await transaction.getPlayer(gameId, holderId) : null;
+      if (!seat || seat.characterName !== characterName) {
+        throw new GameError('CHARACTER_NOT_IN_PLAY', `Nobody is playing ${characterName}.`);
+      }
+      if (seat.userId === hostUserId) {
+        throw new GameError('INVALID_PLAYER', 'Hand hosting to someone else before giving away your own character.');
+      }
+      if (!newcomer && isVirtualPlayer(seat)) {
+        return seat.userId;
+      }
+      if (newcomer) {
+        if ((gameData.blockedUserIds || []).includes(newcomer.userId)) {
+          throw new GameError('BLOCKED', `${newcomer.username} is blocked from this game.`);
+        }
+        if (await transaction.getPlayer(gameId, newcomer.userId)) {
+          throw new GameError('ALREADY_IN_GAME', `${newcomer.username} is already playing in this game.`);
+        }
+      }
+
+      const countUpdate = playerCountUpdate(gameData, seatCountChange(seat, newcomer));
+      if (Object.keys(countUpdate).length > 0) {
+        transaction.updateGame(gameId, countUpdate);
+      }
+      return this.handOverSeat(transaction, gameId, gameData, seat, newcomer);
+    });
+
+    // A new virtual seat catches up with the round straight away
+    await this.automateVirtualPlayers(gameId);
+    await this.refreshGameSummaries(gameId);
+    return newUserId;
+  }
+
+  // Let a blocked player join again (host only)
+  async unblockPlayer(gameId, hostUserId, userId) {
+    await this.store.runTransaction(async transaction => {
+      const gameData = await transaction.getGame(gameId);
+      if (!gameData || gameData.hostUserId !== hostUserId) {
+        throw new GameError('NOT_HOST', 'Only the host can unblock players.');
+      }
+      transaction.updateGame(gameId, {
+        blockedUserIds: (gameData.blockedUserIds || []).filter(blockedId => blockedId !== userId)
+      });
+    });
+  }
+
+  // ============================================================================
+  // INVITATIONS
+  // ============================================================================
+  // Invites live in invites/{gameId}_{inviteeUserId} with a status of PENDING, ACCEPTED or
+  // DECLINED. A pending invite holds the character it offers: the character's claim goes to
+  // the invitee, marked with the inviteId, so nobody else can pick it until they answer.
+  // Accepting turns it into their own claim; declining or withdrawing the invite frees it.
+
+  // Invite a user to a game (host only), optionally offering them a specific character.
+  // Offering a virtual player's character takes it from the virtual player, as a player
+  // picking it in the lobby would.
+  async inviteToGame(gameId, inviteeUserId, inviterUserId, characterName = null) {
+    const inviteId = invitationId(gameId, inviteeUserId);
+    const claimId = characterName ? characterClaimId(characterName) : null;
+
+    try {
+      const [inviter, invitee] = await Promise.all([
+        this.store.getUser(inviterUserId),
+        this.store.getUser(inviteeUserId)
+      ]);
+
+      return await this.store.runTransaction(async transaction => {
+        const gameData = await transaction.getGame(gameId);
+        if (!gameData) {
+          throw new GameError('GAME_NOT_FOUND', 'This game no longer exists.');
+        }
+        if (gameData.hostUserId !== inviterUserId) {
+          throw new GameError('NOT_HOST', 'Only the host can send invitations.');
+        }
+        if (gameData.status !== 'LOBBY') {
+          throw new GameError('NOT_IN_LOBBY', 'Invitations can only be sent before the game starts.');
+        }
+        if ((gameData.blockedUserIds || []).includes(inviteeUserId)) {
+          throw new GameError('BLOCKED', 'That player is blocked from this game - unblock them first.');
+        }
+        if (await transaction.getPlayer(gameId, inviteeUserId)) {
+          throw new GameError('ALREADY_IN_GAME', 'That player is already in the game.');
+        }
+        if (characterName && !gameScriptService.getCharacterByName(gameData, characterName)) {
+          throw new GameError('UNKNOWN_CHARACTER', `${characterName} is not a character in this game.`);
+        }
+
+        const claim = claimId ? await transaction.getClaim(gameId, claimId) : null;
+        const holder = claim && claim.userId !== inviteeUserId ? await transaction.getPlayer(gameId, claim.userId) : null;
+        if (holder && !isVirtualPlayer(holder)) {
+          throw new CharacterTakenError(characterName, holder.username);
+        }
+        if (!holder && isInviteClaim(claim) && claim.userId !== inviteeUserId) {
+          throw new CharacterOfferedError(characterName, claim.inviteeUsername);
+        }
+
+        // Re-inviting someone to a different character frees the one they were offered
+        const previousInvite = await transaction.getInvite(inviteId);
+        const previousClaimId = previousInvite?.status === 'PENDING' && previousInvite.characterName
+          ? characterClaimId(previousInvite.characterName)
+          : null;
+        const previousClaim = previousClaimId && previousClaimId !== claimId
+          ? await transaction.getClaim(gameId, previousClaimId)
+          : null;
+
+        // All reads are done - now write
+        if (previousClaim && previousClaim.inviteId === inviteId) {
+          transaction.deleteClaim(gameId, previousClaimId);
+        }
+        if (holder) {
+          transaction.deletePlayer(gameId, holder.userId);
+          transaction.deleteCharacterSecret(gameId, holder.userId);
+        }
+        if (claimId) {
+          transaction.setClaim(gameId, claimId, {
+            characterName,
+            userId: inviteeUserId,
+            inviteId,
+            inviteeUsername: invitee?.username || null,
+            claimedAt: Date.now()
+          });
+        }
+
+        const invite = {
+          inviteId,
+          gameId,
+          gameScriptId: gameData.gameScriptId,
+          gameTitle: gameScriptService.getGameScript(gameData)?.title || null,
+          scheduledAt: gameData.scheduledAt || null,
+          inviterUserId,
+          inviterUsername: inviter?.username || gameData.hostUsername || null,
+          inviteeUserId,
+          inviteeUsername: invitee?.username || null,
+          characterName,
+          status: 'PENDING',
+          createdAt: Date.now(),
+          respondedAt: null
+        };
+        transaction.setInvite(inviteId, invite);
+        return invite;
+      });
+    } catch (error) {
+      console.error('Error sending invitation:', error);
+      if (error instanceof GameError) {
+        throw error;
+      }
+      throw new Error('Failed to send invitation');
+    }
+  }
+
+  // Free the character a pending invitation was holding, if it still is. Writes only.
+  releaseInviteClaim(transaction, invite, claim) {
+    if (isInviteClaim(claim) && claim.inviteId === invite.inviteId) {
+      transaction.deleteClaim(invite.gameId, characterClaimId(invite.characterName));
+    }
+  }
+
+  // The claim a pending invitation may be holding, read in a transaction
+  async getInviteClaim(transaction, invite) {
+    return invite.status === 'PENDING' && invite.characterName
+      ? transaction.getClaim(invite.gameId, characterClaimId(invite.characterName))
+      : null;
+  }
+
+  // Accept an invitation: join the game and claim the offered character, which was held
+  // for them. If the host withdrew the offer and someone else claimed the character since,
+  // the player still joins, and the CharacterTakenError is passed on so they can pick
+  // another one.
+  async acceptInvite(inviteId, userId, username) {
+    const invite = await this.store.getInvite(inviteId);
+    if (!invite || invite.inviteeUserId !== userId) {
+      throw new GameError('INVITE_NOT_FOUND', 'This invitation no longer exists.');
+    }
+    if (invite.status !== 'PENDING') {
+      throw new GameError('INVITE_ANSWERED', 'This invitation has already been answered.');
+    }
+
+    await this.joinGame(invite.gameId, userId, username);
+    await this.store.updateInvite(inviteId, { status: 'ACCEPTED', respondedAt: Date.now() });
+
+    if (invite.characterName) {
+      await this.assignCharacter(invite.gameId, userId, invite.characterName);
+    }
+    return this.getGameData(invite.gameId);
+  }
+
+  // Decline an invitation, freeing the character it offered
+  async declineInvite(inviteId, userId) {
+    try {
+      await this.store.runTransaction(async transaction => {
+        const invite = await transaction.getInvite(inviteId);
+        if (!invite || invite.inviteeUserId !== userId) {
+          throw new GameError('INVITE_NOT_FOUND', 'This invitation no longer exists.');
+        }
+        const claim = await this.getInviteClaim(transaction, invite);
+
+        // All reads are done - now write
+        this.releaseInviteClaim(transaction, invite, claim);
+        transaction.updateInvite(inviteId, { status: 'DECLINED', respondedAt: Date.now() });
+      });
+    } catch (error) {
+      console.error('Error declining invitation:', error);
+      if (error instanceof GameError) {
+        throw error;
+      }
+      throw new Error('Failed to decline invitation');
+    }
+  }
+
+  // Withdraw an invitation (host), freeing the character it offered
+  async cancelInvite(inviteId) {
+    try {
+      await this.store.runTransaction(async transaction => {
+        const invite = await transaction.getInvite(inviteId);
+        if (!invite) {
+          return;
+        }
+        const claim = await this.getInviteClaim(transaction, invite);
+
+        // All reads are done - now write
+        this.releaseInviteClaim(transaction, invite, claim);
+        transaction.deleteInvite(inviteId);
+      });
+    } catch (error) {
+      console.error('Error cancelling invitation:', error);
+      throw new Error('Failed to cancel invitation');
+    }
+  }
+
+  // Watch the invitations sent for a game, newest first, for the host's lobby
+  subscribeToGameInvites(gameId, callback) {
+    return this.store.watchInvites(
+      { where: [['gameId', '==', gameId]], orderBy: ['createdAt', 'desc'] },
+      callback
+    );
+  }
+
+  // Watch a user's unanswered invitations, for the home screen
+  subscribeToPendingInvites(userId, callback) {
+    return this.store.watchInvites(
+      { where: [['inviteeUserId', '==', userId], ['status', '==', 'PENDING']], orderBy: ['createdAt', 'desc'] },
+      callback
+    );
+  }
+
   // ============================================================================
   // ANALYTICS FUNCTIONS REMOVED - Not needed for core game functionality
   // ============================================================================
@@ -885,42 +2202,35 @@ class FirebaseService {
 
 
 
-  // Soft delete a game (mark as deleted but keep data)
+  // Soft delete a game (host only): the game and every player's record of it are marked
+  // deleted, with the same deletedAt, in one batch. The players come from the game's own
+  // player list. The data stays until the retention job removes it (see cleanupOldGames).
   async softDeleteGame(gameId, userId) {
     try {
-      const gameRef = this.db.collection('games').doc(gameId);
-      const gameDoc = await gameRef.get();
+      const gameData = await this.store.getGame(gameId);
 
-      if (!gameDoc.exists) {
+      if (!gameData) {
         throw new Error('Game not found');
       }
-
-      const gameData = gameDoc.data();
       
       // Only allow host to delete the game
       if (gameData.hostUserId !== userId) {
         throw new Error('Only the host can delete this game');
       }
 
-      // Mark game as deleted
-      await gameRef.update({
-        gameState: 'DELETED'
+      const deletedAt = Date.now();
+      const players = await this.store.listPlayers(gameId);
+      const batch = this.store.batch();
+      batch.updateGame(gameId, {
+        gameState: 'DELETED',
+        deletedAt
       });
-
-      // Mark all participants' user game records as deleted
-      // Get all users who have a users/{userId}/games/{gameId} record
-      const usersSnapshot = await this.db.collection('users').get();
-      for (const userDoc of usersSnapshot.docs) {
-        const userId = userDoc.id;
-        const userGameRef = this.db.collection('users').doc(userId).collection('games').doc(gameId);
-        const userGameDoc = await userGameRef.get();
-        if (userGameDoc.exists) {
-          await userGameRef.update({
-            status: 'deleted'
-          });
-        }
-      }
-
+      players
+        .filter(player => !isVirtualPlayer(player) && !player.isSimulated)
+        .forEach(player => {
+          batch.setUserGame(player.userId, gameId, { gameId, status: 'deleted', deletedAt, summary: { status: 'DELETED' } }, { merge: true });
+        });
+      await batch.commit();
 
       return true;
     } catch (error) {
@@ -944,13 +2254,13 @@ class FirebaseService {
       };
 
       // Calculate average game duration for completed games
-      const completedGames = userGames.filter(g => g.gameData.gameState === 'COMPLETED' && g.gameData.completedAt);
-      if (completedGames.length > 0) {
-        const totalDuration = completedGames.reduce((sum, game) => {
-          const duration = game.gameData.completedAt.toDate() - game.gameData.createdAt.toDate();
-          return sum + duration;
-        }, 0);
-        stats.averageGameDuration = totalDuration / completedGames.length;
+      const durations = userGames
+        .filter(g => g.gameData.gameState === 'COMPLETED')
+        .map(g => [toMillis(g.gameData.createdAt), toMillis(g.gameData.completedAt)])
+        .filter(([createdAt, completedAt]) => createdAt !== null && completedAt !== null)
+        .map(([createdAt, completedAt]) => completedAt - createdAt);
+      if (durations.length > 0) {
+        stats.averageGameDuration = durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
       }
 
       return stats;
@@ -960,36 +2270,90 @@ class FirebaseService {
     }
   }
 
-  // Invite a user to a game (stub)
-  async inviteToGame(gameId, inviteeUserId, inviterUserId) {
-    // TODO: Implement invitation logic (send notification, update invites collection, etc.)
-    
-    return true;
+  // One page of My Games: the summaries on the user's game records, most recently active
+  // first, for a filter in MY_GAMES_FILTERS. Pass the nextCursor a page came back with to get
+  // the one after it; it's null on the last page. Full game data is left for when a game is
+  // opened. Records written before summaries existed get theirs filled in as they're paged
+  // through, so until then the filters other than 'all' and 'hosted'/'joined' can miss them.
+  // Deleted games (summary.status 'DELETED') are skipped, reading on until the page is full.
+  async getUserGameSummaries(userId, { filter = 'all', limit = MY_GAMES_PAGE_SIZE, cursor = null } = {}) {
+    if (!MY_GAMES_FILTERS[filter]) {
+      throw new Error(`Unknown games filter: ${filter}`);
+    }
+    try {
+      const games = [];
+      // The cursor is [lastActiveAt, record ID] of the last record read: games last active at
+      // the same moment are told apart by ID, so none are skipped between pages
+      let after = cursor;
+      let exhausted = false;
+      while (games.length < limit && !exhausted) {
+        const wanted = limit - games.length;
+        const records = await this.store.listUserGames(userId, {
+          where: MY_GAMES_FILTERS[filter],
+          orderBy: [['lastActiveAt', 'desc'], [DOCUMENT_ID, 'desc']],
+          limit: wanted,
+          startAfter: after
+        });
+        exhausted = records.length < wanted;
+        if (records.length > 0) {
+          const last = records[records.length - 1];
+          after = [last.data.lastActiveAt, last.id];
+        }
+
+        const page = await Promise.all(records
+          .map(({ id, data }) => ({ ...data, gameId: data.gameId || id }))
+          .filter(record => record.status !== 'deleted' && record.summary?.status !== 'DELETED')
+          .map(async record => (record.summary ? record : { ...record, summary: await this.backfillGameSummary(userId, record.gameId) })));
+        games.push(...page.filter(game => game.summary && game.summary.status !== 'DELETED'));
+      }
+
+      return {
+        games,
+        nextCursor: exhausted ? null : after
+      };
+    } catch (error) {
+      console.error('Error getting user games:', error);
+      throw new Error('Failed to load your games');
+    }
   }
 
-  // Get all games a user has participated in
+  // Work out and save the summary for a game record that doesn't have one yet; null if the
+  // game is gone
+  async backfillGameSummary(userId, gameId) {
+    const gameData = await this.getGameData(gameId);
+    if (!gameData) {
+      return null;
+    }
+    const summary = gameSummary(gameData, gameData.players.find(player => player.userId === userId));
+    try {
+      await this.store.setUserGame(userId, gameId, { summary }, { merge: true });
+    } catch (error) {
+      console.error('Error saving game summary:', error);
+    }
+    return summary;
+  }
+
+  // Get all games a user has participated in, with each game's full data
   async getUserGames(userId, includeDeleted = false) {
-    if (!this.db) {
+    if (!this.store) {
       throw new Error('Firestore database is not initialized. Make sure Firebase is initialized before calling getUserGames.');
     }
     try {
       // Get user's game list
-      const userGamesSnapshot = await this.db.collection('users').doc(userId)
-        .collection('games')
-        .get();
+      const userGameRecords = await this.store.listUserGames(userId);
+
+      // Load the games side by side rather than one after another
+      const gamesData = await Promise.all(userGameRecords.map(({ data }) => this.getGameData(data.gameId)));
 
       const userGames = [];
       
-      for (const doc of userGamesSnapshot.docs) {
-        const userGameData = doc.data();
-        
-        // Get the actual game data including players
-        const gameData = await this.getGameData(userGameData.gameId);
+      userGameRecords.forEach(({ data: userGameData }, index) => {
+        const gameData = gamesData[index];
         
         if (gameData) {
           // Skip deleted games unless specifically requested
           if (!includeDeleted && gameData.deletedAt) {
-            continue;
+            return;
           }
           
           userGames.push({
@@ -1001,10 +2365,10 @@ class FirebaseService {
             }
           });
         }
-      }
+      });
 
       // Sort by last active (most recent first)
-      userGames.sort((a, b) => (b.lastActiveAt || 0) - (a.lastActiveAt || 0));
+      userGames.sort((a, b) => (toMillis(b.lastActiveAt) || 0) - (toMillis(a.lastActiveAt) || 0));
 
       return userGames;
     } catch (error) {
@@ -1013,11 +2377,17 @@ class FirebaseService {
     }
   }
 
-  // Cleanup old/deleted games (stub)
+  // Archive or purge abandoned lobbies and games deleted long enough ago, under the policy in
+  // options (see storage/gameRetention.js). The security rules only let the retention script
+  // (tools/cleanupGames.js, with admin credentials) do this for every game, so on a device it's
+  // for the simulator's in-memory store.
   async cleanupOldGames(options = {}) {
-    // TODO: Implement cleanup logic for old or deleted games
-    
-    return true;
+    try {
+      return await cleanupGames(this.store, options);
+    } catch (error) {
+      console.error('Error cleaning up old games:', error);
+      throw new Error('Failed to clean up old games');
+    }
   }
 }
 
@@ -1,74 +1,274 @@
-// Dynamic script discovery - no more hardcoded requires!
-// Scripts are now loaded from the scripts/ folder dynamically
-// Using static mapping for React Native compatibility
-
-// Static mapping of script files to require statements
-// React Native requires static string literals for require() calls
-const SCRIPT_FILE_MAP = {
-  './scripts/GameScript1.json': require('./scripts/GameScript1.json'),
-  './scripts/GameScript2.json': require('./scripts/GameScript2.json'),
-  './scripts/GameScript3.json': require('./scripts/GameScript3.json'),
-  // './scripts/GameScript4.json': require('./scripts/GameScript4.json'),
-  './scripts/GameScript5.json': require('./scripts/GameScript5.json'),
-  './scripts/GameScript6.json': require('./scripts/GameScript6.json'),
-  // Add more mappings as needed for new scripts
+// Scripts that ship with the app. React Native requires static string literals for
+// require() calls, so each one is listed here once; further scripts (and fixes to these)
+// are installed at runtime as script bundles - see utils/scriptBundle.js.
+// GameScript4 is still a draft and stays out of the build until it is finished.
+const BUNDLED_SCRIPTS = [
+  require('./scripts/GameScript1.json'),
+  require('./scripts/GameScript2.json'),
+  require('./scripts/GameScript6.json'),
+  require('./scripts/GameScript3.json'),
+  require('./scripts/GameScript5.json'),
+];
+
+const { SCRIPT_STATUSES, normalizeScriptStatus } = require('./utils/scriptValidation.js');
+const { compareScriptVersions, createScriptBundle, hashScript, parseScriptBundle } = require('./utils/scriptBundle.js');
+const scriptBundleStore = require('./storage/scriptBundleStore.js');
+
+// Phase types understood by the round engine
+const PHASE_TYPES = {
+  INTRODUCTION: 'introduction', // General introduction read to the whole party
+  SCRIPT: 'script', // Each player reads their character script for the round
+  ACCUSATION: 'accusation', // Players record who they think the murderer is
+  FINAL_STATEMENT: 'final_statement', // Final statements read in order
+  END: 'end', // Reveal and wrap-up
 };
 
+// Character script fields that a phase can show
+const SCRIPT_FIELDS = ['introduction', 'secretInformation', 'story', 'accusation', 'rebuttal', 'finalStatement'];
+
+// Default phase list used when a script does not declare its own "phases".
+// Round numbers match the original 1 -> 2 -> 3 -> 4 -> 5 -> 5.5 -> 6 -> 7 ladder so
+// games created before the round engine keep working; 5.25 shows the characters' Round 5
+// observations, which the original ladder skipped.
+const DEFAULT_PHASES = [
+  {
+    round: 1,
+    type: PHASE_TYPES.INTRODUCTION,
+    title: 'The Murder',
+    instructions: 'Listen to the story of the murder',
+  },
+  {
+    round: 2,
+    type: PHASE_TYPES.SCRIPT,
+    title: 'Round 1 - Introduce Yourself',
+    instructions: 'Introduce yourself to the group and share your character\'s background',
+    scriptRound: 1,
+    fields: ['introduction', 'secretInformation'],
+  },
+  {
+    round: 3,
+    type: PHASE_TYPES.SCRIPT,
+    title: 'Round 2 - Tell Your Story',
+    instructions: 'Tell your story and react to others\' stories',
+    scriptRound: 2,
+    fields: ['story'],
+  },
+  {
+    round: 4,
+    type: PHASE_TYPES.SCRIPT,
+    title: 'Round 3 - Make Your Observation',
+    instructions: 'Make your observation about the events',
+    scriptRound: 3,
+    fields: ['accusation', 'rebuttal'],
+  },
+  {
+    round: 5,
+    type: PHASE_TYPES.SCRIPT,
+    title: 'Round 4 - Make Your Observation',
+    instructions: 'Make your observation about the events',
+    scriptRound: 4,
+    fields: ['accusation', 'rebuttal'],
+  },
+  {
+    round: 5.25,
+    type: PHASE_TYPES.SCRIPT,
+    title: 'Round 5 - Make Your Observation',
+    instructions: 'Make your observation about the events',
+    scriptRound: 5,
+    fields: ['accusation', 'rebuttal'],
+  },
+  {
+    round: 5.5,
+    type: PHASE_TYPES.ACCUSATION,
+    title: 'Round 5 - Make Accusations',
+    instructions: 'Deliberate with your party and make accusations',
+    readyGated: false,
+    collectsAccusations: true,
+  },
+  {
+    round: 6,
+    type: PHASE_TYPES.FINAL_STATEMENT,
+    title: 'Round 6 - Final Statements',
+    instructions: 'Read your final statements in order',
+    scriptRound: 6,
+    fields: ['finalStatement'],
+  },
+  {
+    round: 7,
+    type: PHASE_TYPES.END,
+    title: 'The END',
+    instructions: 'The END',
+    readyGated: false,
+  },
+];
+
+// Lookups take a script ID, or a game's data to get the exact script version the game was
+// created with (falling back to the current version if this device doesn't have it)
 class GameScriptService {
   constructor() {
-    this.gameScripts = {};
+    this.gameScripts = {}; // Newest version of each script, by script ID
+    this.scriptVersions = {}; // Every loaded version, by script ID then version
     this.loadScripts();
   }
 
-  // Dynamically load all scripts from the scripts folder
-  loadScripts() {
+  // Load the bundled scripts merged with installed bundles (parsed with parseScriptBundle).
+  // Every version stays loadable; the newest one is offered for new games, and an installed
+  // bundle replaces a bundled script of the same version.
+  loadScripts(installedBundles = []) {
+    this.gameScripts = {};
+    this.scriptVersions = {};
+
+    BUNDLED_SCRIPTS.forEach(scriptData => {
+      try {
+        this.registerScript(this.createGameScript(scriptData));
+      } catch (error) {
+        console.error('[GameScriptService] Failed to load bundled script:', error.message);
+      }
+    });
+
+    installedBundles.forEach(bundle => {
+      try {
+        // Copies kept by retainGameScript() of a version that is still bundled
+        const loaded = this.scriptVersions[bundle.scriptId]?.[String(bundle.version)];
+        if (loaded && loaded.hash === hashScript(bundle.script)) {
+          return;
+        }
+        this.registerScript({ ...this.createGameScript(bundle.script), background: bundle.background, isInstalled: true });
+      } catch (error) {
+        console.error(`[GameScriptService] Failed to load installed script ${bundle.scriptId}:`, error.message);
+      }
+    });
+  }
+
+  // Add a parsed script, keeping it as the current version if it is the newest
+  registerScript(script) {
+    const { scriptId, version } = script;
+    this.scriptVersions[scriptId] = { ...this.scriptVersions[scriptId], [String(version)]: script };
+
+    const current = this.gameScripts[scriptId];
+    if (!current || compareScriptVersions(version, current.version) >= 0) {
+      this.gameScripts[scriptId] = script;
+    }
+  }
+
+  // Merge the bundles installed on this device into the loaded scripts
+  async loadInstalledScripts() {
     try {
-      // Load each script dynamically - the scriptId will be taken from the metadata
-      const scriptFiles = [
-        { path: './scripts/GameScript1.json', id: '1' },
-        { path: './scripts/GameScript2.json', id: '2' },
-        { path: './scripts/GameScript6.json', id: '6' },
-        { path: './scripts/GameScript3.json', id: '3' },
-       // { path: './scripts/GameScript4.json', id: '4' },
-        { path: './scripts/GameScript5.json', id: '5' }
-      ];
-
-      scriptFiles.forEach(({ path, id }) => {
+      const bundles = await scriptBundleStore.loadInstalledBundles();
+      const parsed = [];
+      bundles.forEach(bundle => {
         try {
-          // Look up the script in our static mapping
-          const scriptData = SCRIPT_FILE_MAP[path];
-          
-          if (scriptData) {
-            // Use the provided id (which matches what the app expects)
-            this.gameScripts[id] = this.createGameScript(scriptData, id);
-            // console.log(`[GameScriptService] Successfully loaded script: ${id} from ${path}`);
-          } else {
-            // console.log(`[GameScriptService] Script not found in mapping: ${path}`);
-          }
+          parsed.push(parseScriptBundle(bundle));
         } catch (error) {
-                      // console.log(`[GameScriptService] Failed to load script ${id} from ${path}:`, error.message);
-          // Continue loading other scripts - don't crash the app
+          console.error('[GameScriptService] Skipping unreadable script bundle:', error.message);
         }
       });
+      this.loadScripts(parsed);
+    } catch (error) {
+      console.error('[GameScriptService] Failed to load installed scripts:', error);
+    }
+    return this.getAvailableScripts();
+  }
+
+  // Install a script bundle from file contents (JSON text or a parsed object)
+  async installScriptBundle(input) {
+    const parsed = parseScriptBundle(input);
+
+    try {
+      await scriptBundleStore.saveBundle(parsed.scriptId, parsed.version, parsed.bundle);
+    } catch (error) {
+      console.error('Error installing script bundle:', error);
+      throw new Error('Failed to install script');
+    }
+    this.registerScript({ ...this.createGameScript(parsed.script), background: parsed.background, isInstalled: true });
+    return this.getGameScript(parsed.scriptId, parsed.version);
+  }
 
-          // console.log(`[GameScriptService] Loaded ${Object.keys(this.gameScripts).length} scripts successfully`);
-    // console.log(`[GameScriptService] Available script IDs:`, Object.keys(this.gameScripts));
+  // Download a script bundle and install it
+  async downloadScriptBundle(url) {
+    let contents;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      contents = await response.text();
     } catch (error) {
-      console.error('[GameScriptService] Critical error loading scripts:', error.message);
-      // Initialize with empty scripts object to prevent crashes
-      this.gameScripts = {};
+      console.error('Error downloading script bundle:', error);
+      throw new Error('Failed to download script');
+    }
+    return this.installScriptBundle(contents);
+  }
+
+  // Remove an installed script version; bundled scripts can't be removed
+  async removeInstalledScript(scriptId, version) {
+    await scriptBundleStore.removeBundle(String(scriptId), version);
+    return this.loadInstalledScripts();
+  }
+
+  // Keep a copy of the script version a game plays, so the game still renders the text it
+  // started with after an app update replaces the bundled script
+  async retainGameScript(gameData) {
+    const script = this.getGameScript(gameData);
+    if (!script || script.isInstalled || String(script.version) !== String(gameData.gameScriptVersion)) {
+      return;
+    }
+
+    const installed = await scriptBundleStore.listInstalledBundles();
+    if (installed.some(entry => entry.scriptId === script.scriptId && String(entry.version) === String(script.version))) {
+      return;
     }
+    await scriptBundleStore.saveBundle(script.scriptId, script.version, createScriptBundle(script.source));
   }
 
-  createGameScript(scriptData, scriptId) {
+  // Compare the script a game was created with to the scripts on this device.
+  // Returns null for games created before versions were pinned.
+  getScriptVersionStatus(gameData) {
+    if (!gameData || gameData.gameScriptVersion === undefined || gameData.gameScriptVersion === null) {
+      return null;
+    }
+
+    const current = this.gameScripts[gameData.gameScriptId];
+    const pinned = this.scriptVersions[gameData.gameScriptId]?.[String(gameData.gameScriptVersion)];
+    // Same version number but different text means the script was edited without a version bump
+    const hasPinned = !!pinned && (!gameData.gameScriptHash || pinned.hash === gameData.gameScriptHash);
+
+    return {
+      gameVersion: gameData.gameScriptVersion,
+      currentVersion: current ? current.version : null,
+      hasPinned,
+      isCurrent: hasPinned && pinned === current,
+    };
+  }
+
+  // Get the warning to show the host when this device's script differs from the game's, or null
+  getScriptVersionWarning(gameData) {
+    const status = this.getScriptVersionStatus(gameData);
+    if (!status || status.isCurrent) {
+      return null;
+    }
+    if (status.hasPinned) {
+      return `This game uses version ${status.gameVersion} of the script. This device also has version ${status.currentVersion}, but the game keeps the text it started with.`;
+    }
+    return `This game was created with version ${status.gameVersion} of the script, which isn't on this device (it has version ${status.currentVersion}). Players may see different text - ask everyone to update the app or install the same script.`;
+  }
+
+  // List every loaded version of a script, oldest first
+  getScriptVersions(scriptId) {
+    return Object.values(this.scriptVersions[scriptId] || {})
+      .map(script => script.version)
+      .sort(compareScriptVersions);
+  }
+
+  createGameScript(scriptData) {
     const metadata = scriptData.metadata || {};
-    
-    // Use the scriptId from metadata, but convert it to a string if it's a number
-    // If metadata doesn't have scriptId, use the provided scriptId parameter
-    const finalScriptId = metadata.scriptId ? String(metadata.scriptId) : scriptId;
+    const status = normalizeScriptStatus(metadata.status);
     
     return {
-      scriptId: finalScriptId,
+      // Script IDs are stored on games as strings
+      scriptId: String(metadata.scriptId),
+      hash: hashScript(scriptData),
+      source: scriptData, // The script JSON as loaded, for retainGameScript()
       title: metadata.title || 'Untitled Mystery',
       version: metadata.version || '1.0',
       description: metadata.description || 'A murder mystery game',
@@ -76,9 +276,10 @@ class GameScriptService {
       gameFlow: this.parseGameFlow(scriptData),
       metadata: {
         ...metadata,
+        status,
         createdAt: new Date(),
         updatedAt: new Date(),
-        isActive: metadata.status !== 'coming_soon'
+        isActive: status !== SCRIPT_STATUSES.COMING_SOON
       }
     };
   }
@@ -90,12 +291,13 @@ class GameScriptService {
     
     return charactersArray.map(character => ({
       characterName: character.Character,
+      aliases: character.aliases || [],
       shortDescription: character['Short Description'],
       sex: character.Sex,
       inviteDescription: character['Invite Description'],
       introduction: character.Introduction,
       characterDetails: character['Character Details'],
-      isMurderer: character.isMurderer || character.Character === 'Penny Prattle', // Use new field or fallback
+      isMurderer: character.isMurderer === true,
       
       // Character metadata
       characterId: character.characterId,
@@ -107,7 +309,7 @@ class GameScriptService {
       motive: character.Motive,
       means: character.Means,
       opportunity: character.Opportunity,
-      redHerrings: character.RedHerrings ? character.RedHerrings.split('\n') : [],
+      redHerrings: character['Red Herrings'] ? character['Red Herrings'].split('\n') : [],
       
       // Round-specific scripts
       scripts: this.parseCharacterScripts(character),
@@ -159,36 +361,62 @@ class GameScriptService {
     return scripts;
   }
 
+  // Parse the ordered phase list for a script.
+  // Scripts may declare their own top-level "phases" array; otherwise DEFAULT_PHASES is used.
+  parsePhases(rawScript) {
+    const declaredPhases = Array.isArray(rawScript.phases) && rawScript.phases.length > 0
+      ? rawScript.phases
+      : DEFAULT_PHASES;
+
+    return declaredPhases.map((phase, index) => {
+      const type = phase.type || PHASE_TYPES.SCRIPT;
+      const usesScript = type === PHASE_TYPES.SCRIPT || type === PHASE_TYPES.FINAL_STATEMENT;
+
+      return {
+        round: typeof phase.round === 'number' ? phase.round : index + 1,
+        type,
+        title: phase.title || `Round ${index + 1}`,
+        instructions: phase.instructions || 'Continue with the game',
+        scriptRound: usesScript ? (phase.scriptRound ?? null) : null,
+        fields: usesScript
+          ? (Array.isArray(phase.fields) ? phase.fields.filter(field => SCRIPT_FIELDS.includes(field)) : SCRIPT_FIELDS)
+          : [],
+        // Ready-gating defaults on for every phase except accusations and the end screen
+        readyGated: phase.readyGated ?? (type !== PHASE_TYPES.ACCUSATION && type !== PHASE_TYPES.END),
+        collectsAccusations: phase.collectsAccusations ?? type === PHASE_TYPES.ACCUSATION,
+      };
+    });
+  }
+
   // Parse game flow configuration
   parseGameFlow(rawScript) {
     // Handle new structure with metadata and characters
     const charactersArray = rawScript.characters || rawScript;
     const metadata = rawScript.metadata || {};
-    
+    const phases = this.parsePhases(rawScript);
+
+    const findRound = (type) => phases.find(phase => phase.type === type)?.round ?? null;
+    const roundInstructions = {};
+    phases.forEach(phase => {
+      roundInstructions[phase.round] = phase.instructions;
+    });
+
     return {
-      totalRounds: metadata.numberOfRounds || 7,
-      accusationRound: 5.5,
-      finalStatementRound: 6,
-      endRound: 7,
-      roundOrder: [1, 2, 3, 4, 5, 5.5, 6, 7],
+      totalRounds: metadata.numberOfRounds || phases.length,
+      accusationRound: phases.find(phase => phase.collectsAccusations)?.round ?? null,
+      finalStatementRound: findRound(PHASE_TYPES.FINAL_STATEMENT),
+      endRound: findRound(PHASE_TYPES.END),
+      roundOrder: phases.map(phase => phase.round),
+      phases,
       maxPlayers: metadata.maxPlayers || charactersArray.length,
       minPlayers: metadata.minPlayers || Math.min(2, charactersArray.length), // Allow as few as 2 players
-      roundInstructions: {
-        1: 'Introduce yourself to the group',
-        2: 'Tell your story (and react to others\' stories)',
-        3: 'Make your observation',
-        4: 'Make your observation',
-        5: 'Make your observation',
-        5.5: 'Deliberate with your party. Make your accusations (out loud) and record who you think is the Murderer(s)!',
-        6: 'Read your final statements (your statement order: [Order of Final Statement])',
-        7: 'The END'
-      }
+      roundInstructions
     };
   }
 
   // Get humorous accusation option for a game script
   getHumorousAccusationOption(scriptId) {
-    const script = this.gameScripts[scriptId];
+    const script = this.getGameScript(scriptId);
     if (!script || !script.metadata || !script.metadata.humorousAccusationOption) {
       return null;
     }
@@ -212,19 +440,26 @@ class GameScriptService {
         timePeriod: script.metadata.timePeriod,
         tags: script.metadata.tags || [],
         status: script.metadata.status || 'available',
-        isActive: script.metadata.isActive
+        isActive: script.metadata.isActive,
+        isInstalled: !!script.isInstalled
       };
     });
   }
 
-  // Get specific game script
-  getGameScript(scriptId) {
+  // Get specific game script, optionally the exact version a game was created with
+  getGameScript(scriptId, version = null) {
+    if (scriptId && typeof scriptId === 'object') {
+      return this.getGameScript(scriptId.gameScriptId, scriptId.gameScriptVersion);
+    }
+    if (version !== null && version !== undefined) {
+      return this.scriptVersions[scriptId]?.[String(version)] || this.gameScripts[scriptId];
+    }
     return this.gameScripts[scriptId];
   }
 
   // Get characters for a specific game script
   getCharacters(scriptId) {
-    const script = this.gameScripts[scriptId];
+    const script = this.getGameScript(scriptId);
     return script ? script.characters : [];
   }
 
@@ -263,20 +498,20 @@ class GameScriptService {
 
   // Get game flow configuration
   getGameFlow(scriptId) {
-    const script = this.gameScripts[scriptId];
+    const script = this.getGameScript(scriptId);
     return script ? script.gameFlow : null;
   }
 
   // Validate game state against script requirements
   validateGameState(scriptId, gameState) {
-    const script = this.gameScripts[scriptId];
+    const script = this.getGameScript(scriptId);
     if (!script) return { valid: false, error: 'Invalid script ID' };
 
     const { gameFlow } = script;
     const { currentRound, players } = gameState;
 
-    // Validate round number
-    if (currentRound < 0 || currentRound > gameFlow.roundOrder.length) {
+    // Validate round number (0 means the game is still in the lobby)
+    if (currentRound !== 0 && !gameFlow.roundOrder.includes(currentRound)) {
       return { valid: false, error: 'Invalid round number' };
     }
 
@@ -298,6 +533,65 @@ class GameScriptService {
     return gameFlow?.roundInstructions[round] || 'Continue with the game';
   }
 
+  // Get the ordered phase list for a script
+  getPhases(scriptId) {
+    const gameFlow = this.getGameFlow(scriptId);
+    return gameFlow ? gameFlow.phases : DEFAULT_PHASES;
+  }
+
+  // Get the phase definition for a round
+  getPhase(scriptId, round) {
+    return this.getPhases(scriptId).find(phase => phase.round === round) || null;
+  }
+
+  // Get the round the game starts on once the host leaves the lobby
+  getFirstRound(scriptId) {
+    const phases = this.getPhases(scriptId);
+    return phases.length > 0 ? phases[0].round : null;
+  }
+
+  // Get the round that follows the given round, or null if it is the last one
+  getNextRound(scriptId, round) {
+    const phases = this.getPhases(scriptId);
+    const index = phases.findIndex(phase => phase.round === round);
+    if (index === -1 || index === phases.length - 1) {
+      return null;
+    }
+    return phases[index + 1].round;
+  }
+
+  // Get every round that collects accusations, in play order
+  getAccusationRounds(scriptId) {
+    return this.getPhases(scriptId)
+      .filter(phase => phase.collectsAccusations)
+      .map(phase => phase.round);
+  }
+
+  // Get the character script shown during a round, limited to the fields the phase shows
+  getPhaseScript(scriptId, characterName, round) {
+    const phase = this.getPhase(scriptId, round);
+    if (!phase || phase.scriptRound === null) {
+      return null;
+    }
+
+    const script = this.getCharacterScript(scriptId, characterName, phase.scriptRound);
+    if (!script) {
+      return null;
+    }
+
+    const phaseScript = { instructions: script.instructions };
+    phase.fields.forEach(field => {
+      if (script[field]) {
+        phaseScript[field] = script[field];
+      }
+    });
+    // Rebuttals are prompted by the "accused of" line
+    if (phaseScript.rebuttal) {
+      phaseScript.accusedOf = script.accusedOf;
+    }
+    return phaseScript;
+  }
+
   // Get accusation targets for a character in a specific round
   getAccusationTargets(scriptId, characterName, round) {
     const character = this.getCharacterByName(scriptId, characterName);
@@ -317,22 +611,23 @@ class GameScriptService {
 
   // Check if a script is available for play
   isScriptAvailable(scriptId) {
-    const script = this.gameScripts[scriptId];
+    const script = this.getGameScript(scriptId);
     return script && script.metadata.isActive && script.metadata.status !== 'coming_soon';
   }
 
   // Get script status
   getScriptStatus(scriptId) {
-    const script = this.gameScripts[scriptId];
+    const script = this.getGameScript(scriptId);
     return script ? script.metadata.status || 'available' : 'not_found';
   }
 
   // Get the introduction text for a game script
   getIntroduction(scriptId) {
-    const script = this.gameScripts[scriptId];
+    const script = this.getGameScript(scriptId);
     return script ? script.metadata.introduction : null;
   }
 }
 
 // Export an instance of the service
-module.exports = new GameScriptService(); 
\ No newline at end of file
+module.exports = new GameScriptService();
+module.exports.PHASE_TYPES = PHASE_TYPES;
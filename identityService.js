@@ -0,0 +1,93 @@
+import auth from '@react-native-firebase/auth';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Storage key for the user ID this install has settled on.
+// Installs that have a saved username but no stored user ID predate stable IDs and used
+// the username as their user ID, so their records still need migrating.
+const USER_ID_KEY = 'userId';
+
+// Identity layer - every device gets a stable user ID from Firebase anonymous sign-in.
+// The ID is independent of the display name, so renaming yourself keeps your games.
+// Anonymous accounts can be upgraded later with upgradeAccount() without changing the ID.
+class IdentityService {
+  constructor() {
+    this.userId = null;
+    this.signInPromise = null;
+  }
+
+  // Get the stable user ID, signing in anonymously the first time
+  async getUserId() {
+    if (this.userId) {
+      return this.userId;
+    }
+
+    // Share a single sign-in between concurrent callers
+    if (!this.signInPromise) {
+      this.signInPromise = this.signIn().finally(() => {
+        this.signInPromise = null;
+      });
+    }
+    return this.signInPromise;
+  }
+
+  // Sign in, reusing the persisted Firebase session when there is one
+  async signIn(maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        const currentUser = auth().currentUser;
+        if (currentUser) {
+          this.userId = currentUser.uid;
+          return this.userId;
+        }
+
+        const credential = await auth().signInAnonymously();
+        this.userId = credential.user.uid;
+        return this.userId;
+      } catch (error) {
+        console.error(`🔧 Sign-in attempt ${attempt} failed:`, error);
+
+        if (attempt === maxRetries) {
+          throw new Error('Unable to sign in. Please check your internet connection and try again.');
+        }
+        // Wait before retrying
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  // Check whether the current account is still anonymous
+  isAnonymous() {
+    const currentUser = auth().currentUser;
+    return currentUser ? currentUser.isAnonymous : true;
+  }
+
+  // Upgrade the anonymous account to a permanent one (email, Apple, Google, ...).
+  // Linking keeps the same user ID, so games and player records stay attached.
+  async upgradeAccount(credential) {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('Not signed in');
+    }
+
+    const result = await currentUser.linkWithCredential(credential);
+    this.userId = result.user.uid;
+    return this.userId;
+  }
+
+  // Get the legacy user ID (the old username) whose records still need migrating, if any
+  async getPendingLegacyUserId() {
+    const storedUserId = await AsyncStorage.getItem(USER_ID_KEY);
+    if (storedUserId) {
+      return null;
+    }
+    return AsyncStorage.getItem('username');
+  }
+
+  // Record the stable user ID so legacy migration only ever runs once per install
+  async markUserIdStored() {
+    const userId = await this.getUserId();
+    await AsyncStorage.setItem(USER_ID_KEY, userId);
+  }
+}
+
+export default new IdentityService();
@@ -1,3 +1,5 @@
 module.exports = {
   preset: 'react-native',
+  // The security rules suite needs the Firestore emulator; it runs with npm run test:rules
+  testPathIgnorePatterns: ['/node_modules/', '<rootDir>/rules-tests/'],
 };
@@ -0,0 +1,6 @@
+// The Firestore security rules suite (rules-tests/), run against the local emulator by
+// npm run test:rules, which starts the emulator and points the tests at it
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/rules-tests/**/*.test.js'],
+};
@@ -0,0 +1,256 @@
+import gameScriptService from '../gameScriptService.js';
+import { scoreAccusations, isCorrectAccusation } from '../utils/scoring.js';
+import { CharacterTakenError } from '../errors.js';
+import { isVirtualPlayer } from '../utils/virtualPlayers.js';
+
+// Host-authoritative game state for offline local-network play.
+// The host device holds the only copy of the game and applies every action here;
+// guests send actions and receive the resulting state. The state has the same shape
+// as FirebaseService.getGameData() (game fields plus a players array) so views don't change.
+
+// Actions guests and the host can send
+export const ACTIONS = {
+  JOIN_GAME: 'joinGame',
+  ASSIGN_CHARACTER: 'assignCharacter',
+  START_GAME: 'startGame',
+  UPDATE_PLAYER_READY: 'updatePlayerReady',
+  ADVANCE_ROUND: 'advanceRound',
+  SUBMIT_ACCUSATION: 'submitAccusation',
+};
+
+// Build a fresh player record (mirrors FirebaseService.addPlayerToGame)
+const createPlayer = (userId, username, isHost = false) => ({
+  userId,
+  username,
+  characterName: null,
+  isHost,
+  isVirtual: false,
+  isSimulated: false,
+  roundStates: {},
+  accusations: {
+    made: [],
+    received: []
+  }
+});
+
+// Create the initial local state from a game snapshot
+export const createHostState = (gameData) => ({
+  ...gameData,
+  players: Array.isArray(gameData.players) ? gameData.players : [],
+  version: gameData.version || 0,
+});
+
+const findPlayer = (state, userId) => state.players.find(player => player.userId === userId);
+
+const isHostUser = (state, userId) => {
+  const player = findPlayer(state, userId);
+  return state.hostUserId === userId || !!(player && player.isHost);
+};
+
+const updatePlayer = (state, userId, update) => ({
+  ...state,
+  players: state.players.map(player => (player.userId === userId ? { ...player, ...update(player) } : player)),
+});
+
+// Move the game to a round and reset every player's ready state for it
+const enterRound = (state, round) => ({
+  ...state,
+  currentRound: round,
+  roundData: {
+    ...state.roundData,
+    [round]: { readyPlayers: [] }
+  },
+  players: state.players.map(player => ({
+    ...player,
+    roundStates: {
+      ...player.roundStates,
+      [round]: { ready: false, readyAt: null }
+    }
+  }))
+});
+
+const reducers = {
+  [ACTIONS.JOIN_GAME]: (state, { userId, username }) => {
+    if (findPlayer(state, userId)) {
+      return state;
+    }
+    if (state.status !== 'LOBBY') {
+      throw new Error('This game has already started. You cannot join now.');
+    }
+    if (state.players.length >= state.maxPlayers) {
+      throw new Error('This game is full. Cannot join.');
+    }
+    return {
+      ...state,
+      players: [...state.players, createPlayer(userId, username, false)]
+    };
+  },
+
+  [ACTIONS.ASSIGN_CHARACTER]: (state, { userId, characterName }) => {
+    if (!findPlayer(state, userId)) {
+      throw new Error(`Player not found: ${userId}`);
+    }
+    const holder = state.players.find(player => player.characterName === characterName);
+    if (holder && holder.userId !== userId && !isVirtualPlayer(holder)) {
+      throw new CharacterTakenError(characterName, holder.username);
+    }
+
+    // A virtual holder gives up the seat to the real player
+    const remaining = holder && holder.userId !== userId
+      ? { ...state, players: state.players.filter(player => player.userId !== holder.userId) }
+      : state;
+    // Whether they're the murderer stays out of the state every guest is sent
+    return updatePlayer(remaining, userId, () => ({ characterName }));
+  },
+
+  [ACTIONS.START_GAME]: (state, { userId }) => {
+    if (!isHostUser(state, userId)) {
+      throw new Error('Only the host can start the game');
+    }
+    if (state.status !== 'LOBBY') {
+      return state;
+    }
+    if (state.players.length < state.minPlayers) {
+      throw new Error(`Cannot start game: Not all players have joined. Need ${state.minPlayers} players, have ${state.players.length}`);
+    }
+
+    // The script's first phase (usually the general introduction)
+    const firstRound = gameScriptService.getFirstRound(state);
+    if (firstRound === null) {
+      throw new Error('Game script has no rounds defined');
+    }
+    return enterRound({
+      ...state,
+      status: 'IN_PROGRESS',
+      roundState: 'ROUND_ACTIVE'
+    }, firstRound);
+  },
+
+  [ACTIONS.UPDATE_PLAYER_READY]: (state, { userId, targetUserId, readyStatus, round }) => {
+    const playerId = targetUserId || userId;
+    // Players mark themselves ready; only the host can mark someone else
+    if (playerId !== userId && !isHostUser(state, userId)) {
+      throw new Error('Only the host can change another player\'s ready state');
+    }
+    if (!findPlayer(state, playerId)) {
+      throw new Error(`Player not found: ${playerId}`);
+    }
+    const readyRound = round ?? state.currentRound;
+    return updatePlayer(state, playerId, player => ({
+      roundStates: {
+        ...player.roundStates,
+        [readyRound]: { ready: readyStatus, readyAt: readyStatus ? Date.now() : null }
+      }
+    }));
+  },
+
+  // expectedRound (when given) is the round the host was looking at; if the game has already
+  // moved on from it - a double tap - nothing changes
+  [ACTIONS.ADVANCE_ROUND]: (state, { userId, expectedRound = null }) => {
+    if (!isHostUser(state, userId)) {
+      throw new Error('Only the host can advance the round');
+    }
+
+    if (state.status === 'COMPLETED' || (expectedRound !== null && expectedRound !== state.currentRound)) {
+      return state;
+    }
+    if (state.status !== 'IN_PROGRESS') {
+      throw new Error('The game is not in progress');
+    }
+
+    // The script's phase list decides what comes next
+    const nextRound = gameScriptService.getNextRound(state, state.currentRound);
+    if (nextRound === null) {
+      throw new Error(`No round follows round ${state.currentRound}`);
+    }
+
+    const nextPhase = gameScriptService.getPhase(state, nextRound);
+    let nextState = enterRound(state, nextRound);
+
+    if (nextPhase.type === gameScriptService.PHASE_TYPES.END) {
+      const accusationRounds = gameScriptService.getAccusationRounds(state);
+      const humorousOption = gameScriptService.getHumorousAccusationOption(state);
+      const murdererNames = gameScriptService.getMurdererCharacters(state).map(character => character.characterName);
+      nextState = {
+        ...nextState,
+        status: 'COMPLETED',
+        gameState: 'COMPLETED',
+        accusations: {
+          ...state.accusations,
+          // Accusations are only marked right or wrong now, so they give nothing away before
+          accusations: (state.accusations?.accusations || []).map(accusation => ({
+            ...accusation,
+            isCorrect: isCorrectAccusation(accusation.accusedCharacter, murdererNames)
+          })),
+          completed: true
+        },
+        results: {
+          ...scoreAccusations({
+            players: nextState.players,
+            murdererNames,
+            humorousOptionName: humorousOption?.characterName || null,
+            accusationRound: accusationRounds[accusationRounds.length - 1]
+          }),
+          scoredAt: Date.now()
+        }
+      };
+    }
+    return nextState;
+  },
+
+  [ACTIONS.SUBMIT_ACCUSATION]: (state, { userId, accusedCharacter, round }) => {
+    const accusationRound = round ?? state.currentRound;
+    const phase = gameScriptService.getPhase(state, accusationRound);
+    if (!phase || !phase.collectsAccusations) {
+      throw new Error('Accusations are not being collected this round');
+    }
+    const player = findPlayer(state, userId);
+    if (!player) {
+      throw new Error('Player not found');
+    }
+
+    const timestamp = Date.now();
+    const nextState = updatePlayer(state, userId, current => ({
+      accusations: {
+        ...current.accusations,
+        made: [...(current.accusations?.made || []), { round: accusationRound, accusedCharacter, timestamp }]
+      }
+    }));
+    return {
+      ...nextState,
+      accusations: {
+        ...state.accusations,
+        accusations: [
+          ...(state.accusations?.accusations || []),
+          {
+            id: `accusation_${timestamp}`,
+            round: accusationRound,
+            accuserId: userId,
+            accuserCharacter: player.characterName,
+            accusedCharacter,
+            timestamp
+          }
+        ]
+      }
+    };
+  },
+};
+
+// Apply one action. Returns the next state (with a bumped version) or throws if the
+// action is not allowed; a rejected action leaves the state untouched.
+export const applyAction = (state, action) => {
+  const reducer = reducers[action.type];
+  if (!reducer) {
+    throw new Error(`Unknown action: ${action.type}`);
+  }
+
+  const nextState = reducer(state, action);
+  if (nextState === state) {
+    return state;
+  }
+  return {
+    ...nextState,
+    version: state.version + 1,
+    updatedAt: Date.now()
+  };
+};
@@ -0,0 +1,307 @@
+import { applyAction, createHostState } from './hostStateMachine.js';
+import { MESSAGE_TYPES } from './transports.js';
+import { GameError, CharacterTakenError } from '../errors.js';
+
+// How long a guest waits for the host to answer an action
+const ACTION_TIMEOUT = 10000;
+
+const createGuestToken = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+
+// Rebuild the typed error the host threw so guest views can handle it the same way
+const toError = ({ code, message, characterName }) => {
+  if (code === 'CHARACTER_TAKEN') {
+    const error = new CharacterTakenError(characterName);
+    error.message = message;
+    return error;
+  }
+  return code ? new GameError(code, message) : new Error(message);
+};
+
+// Host side of a local-network game. The host device owns the game state: it applies its
+// own actions and those sent by guests, then broadcasts the new state to every guest.
+// Guests identify themselves once per connection and can only act as that user. The first
+// connection for a user gets a token, and any later connection claiming that user has to
+// present it, so a guest can't pass itself off as the host or as another guest.
+export class LocalGameHost {
+  constructor({ gameData, userId, transport }) {
+    this.gameId = gameData.gameId;
+    this.userId = userId;
+    this.isHost = true;
+    this.transport = transport;
+    this.state = createHostState(gameData);
+    this.syncedVersion = this.state.version;
+    this.connections = new Set();
+    this.guestTokens = new Map(); // userId -> token issued on their first connection
+    this.guestConnections = new Map(); // userId -> their current connection
+    this.listeners = new Set();
+    this.stopListening = null;
+  }
+
+  // Start accepting guest connections
+  start() {
+    this.stopListening = this.transport.listen(connection => this.handleConnection(connection));
+    return this;
+  }
+
+  handleConnection(connection) {
+    let connectionUserId = null;
+
+    connection.onMessage(message => {
+      if (message.type === MESSAGE_TYPES.HELLO) {
+        const rejection = this.checkHello(message, connectionUserId);
+        if (rejection) {
+          connection.send({ type: MESSAGE_TYPES.REJECTED, message: rejection });
+          connection.close();
+          return;
+        }
+
+        connectionUserId = message.userId;
+        if (!this.guestTokens.has(connectionUserId)) {
+          this.guestTokens.set(connectionUserId, createGuestToken());
+        }
+        // A reconnecting guest replaces a connection the host may not have seen drop yet
+        const previous = this.guestConnections.get(connectionUserId);
+        if (previous && previous !== connection) {
+          this.connections.delete(previous);
+          previous.close();
+        }
+        this.guestConnections.set(connectionUserId, connection);
+        this.connections.add(connection);
+        connection.send({ type: MESSAGE_TYPES.WELCOME, token: this.guestTokens.get(connectionUserId) });
+        connection.send({ type: MESSAGE_TYPES.STATE, state: this.state });
+        return;
+      }
+
+      if (message.type === MESSAGE_TYPES.ACTION) {
+        if (!connectionUserId) {
+          connection.send({
+            type: MESSAGE_TYPES.RESULT,
+            requestId: message.requestId,
+            ok: false,
+            error: { message: 'Identify yourself before sending actions' }
+          });
+          return;
+        }
+
+        try {
+          this.apply({ ...message.action, userId: connectionUserId });
+          connection.send({ type: MESSAGE_TYPES.RESULT, requestId: message.requestId, ok: true });
+        } catch (error) {
+          connection.send({
+            type: MESSAGE_TYPES.RESULT,
+            requestId: message.requestId,
+            ok: false,
+            error: { code: error.code || null, message: error.message, characterName: error.characterName || null }
+          });
+        }
+      }
+    });
+
+    connection.onClose(() => {
+      this.connections.delete(connection);
+      if (this.guestConnections.get(connectionUserId) === connection) {
+        this.guestConnections.delete(connectionUserId);
+      }
+    });
+  }
+
+  // Why a HELLO can't be accepted, or null if it can
+  checkHello({ userId, token }, connectionUserId) {
+    if (!userId) {
+      return 'Identify yourself with a user ID';
+    }
+    if (userId === this.userId) {
+      return 'That user is hosting this game';
+    }
+    if (connectionUserId && connectionUserId !== userId) {
+      return 'This connection already belongs to another user';
+    }
+    if (this.guestTokens.has(userId) && this.guestTokens.get(userId) !== token) {
+      return 'That user is already connected from another device';
+    }
+    return null;
+  }
+
+  // Apply an action and share the new state; throws if the action is rejected
+  apply(action) {
+    const nextState = applyAction(this.state, action);
+    if (nextState !== this.state) {
+      this.state = nextState;
+      this.connections.forEach(connection => connection.send({ type: MESSAGE_TYPES.STATE, state: nextState }));
+      this.listeners.forEach(listener => listener(nextState));
+    }
+    return nextState;
+  }
+
+  // Apply an action as the host's own user
+  async dispatch(action) {
+    return this.apply({ ...action, userId: this.userId });
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // Get the state now and after every change
+  subscribe(callback) {
+    this.listeners.add(callback);
+    callback(this.state);
+    return () => {
+      this.listeners.delete(callback);
+    };
+  }
+
+  // Check whether there are changes that haven't been written back to Firestore
+  hasUnsyncedChanges() {
+    return this.state.version !== this.syncedVersion;
+  }
+
+  // Record that the given version has been written back to Firestore
+  markSynced(version) {
+    this.syncedVersion = version;
+  }
+
+  stop() {
+    if (this.stopListening) {
+      this.stopListening();
+      this.stopListening = null;
+    }
+    this.connections.clear();
+    this.guestConnections.clear();
+    this.listeners.clear();
+  }
+}
+
+// Guest side of a local-network game. Actions are sent to the host, which answers with
+// the result; the guest's state only ever changes when the host broadcasts a new one.
+// token is the one the host issued on an earlier connection, when reconnecting.
+export class LocalGameGuest {
+  constructor({ gameId, userId, transport, token = null }) {
+    this.gameId = gameId;
+    this.userId = userId;
+    this.isHost = false;
+    this.transport = transport;
+    this.token = token;
+    this.state = null;
+    this.connection = null;
+    this.listeners = new Set();
+    this.pendingActions = new Map();
+    this.nextRequestId = 1;
+  }
+
+  // Connect to the host and wait for the current game state. Rejects with a GameError
+  // (LOCAL_REJECTED) if the host won't accept this user.
+  async connect() {
+    this.connection = await this.transport.connect();
+
+    const firstState = new Promise((resolve, reject) => {
+      this.resolveFirstState = resolve;
+      this.rejectFirstState = reject;
+    });
+
+    this.connection.onMessage(message => this.handleMessage(message));
+    this.connection.onClose(() => {
+      this.pendingActions.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(new Error('Lost connection to the host'));
+      });
+      this.pendingActions.clear();
+      this.connection = null;
+      if (this.rejectFirstState) {
+        this.rejectFirstState(new Error('Lost connection to the host'));
+        this.resolveFirstState = null;
+        this.rejectFirstState = null;
+      }
+    });
+
+    this.connection.send({ type: MESSAGE_TYPES.HELLO, userId: this.userId, token: this.token });
+    await firstState;
+    return this;
+  }
+
+  handleMessage(message) {
+    if (message.type === MESSAGE_TYPES.WELCOME) {
+      this.token = message.token;
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPES.REJECTED) {
+      if (this.rejectFirstState) {
+        this.rejectFirstState(new GameError('LOCAL_REJECTED', message.message));
+        this.resolveFirstState = null;
+        this.rejectFirstState = null;
+      }
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPES.STATE) {
+      // Ignore anything older than what we already have
+      if (this.state && message.state.version < this.state.version) {
+        return;
+      }
+      this.state = message.state;
+      if (this.resolveFirstState) {
+        this.resolveFirstState();
+        this.resolveFirstState = null;
+        this.rejectFirstState = null;
+      }
+      this.listeners.forEach(listener => listener(this.state));
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPES.RESULT) {
+      const pending = this.pendingActions.get(message.requestId);
+      if (!pending) {
+        return;
+      }
+      this.pendingActions.delete(message.requestId);
+      clearTimeout(pending.timer);
+
+      if (message.ok) {
+        pending.resolve(this.state);
+      } else {
+        pending.reject(toError(message.error));
+      }
+    }
+  }
+
+  // Send an action to the host; resolves once the host has applied it
+  dispatch(action) {
+    if (!this.connection) {
+      return Promise.reject(new Error('Not connected to the host'));
+    }
+
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingActions.delete(requestId);
+        reject(new Error('The host did not respond'));
+      }, ACTION_TIMEOUT);
+
+      this.pendingActions.set(requestId, { resolve, reject, timer });
+      this.connection.send({ type: MESSAGE_TYPES.ACTION, requestId, action });
+    });
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // Get the state now and after every change
+  subscribe(callback) {
+    this.listeners.add(callback);
+    if (this.state) {
+      callback(this.state);
+    }
+    return () => {
+      this.listeners.delete(callback);
+    };
+  }
+
+  stop() {
+    if (this.connection) {
+      this.connection.close();
+    }
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,27 @@
+import TcpSocket from 'react-native-tcp-socket';
+import NetInfo from '@react-native-community/netinfo';
+import { createTcpServerTransport, createTcpTransport } from './transports.js';
+
+// Local-network play on a device: the host's phone runs a TCP server on the party's Wi-Fi and
+// guests connect to its address (shown in the lobby and in its QR code) with a TCP socket.
+
+// The port the host's device listens on
+export const LOCAL_PLAY_PORT = 47469;
+
+// Transport for hosting from this device; onError hears if the server can't keep running
+export const createLocalHostTransport = (onError) => (
+  createTcpServerTransport(TcpSocket, { port: LOCAL_PLAY_PORT, onError })
+);
+
+// Transport to a host's address, host[:port]
+export const createLocalGuestTransport = (address) => {
+  const [host, port] = address.split(':');
+  return createTcpTransport(TcpSocket, { host, port: port ? Number(port) : LOCAL_PLAY_PORT });
+};
+
+// The address guests reach this device on (host:port), or null when it isn't on Wi-Fi
+export const getLocalHostAddress = async () => {
+  const state = await NetInfo.fetch('wifi');
+  const ipAddress = state.isConnected ? state.details?.ipAddress : null;
+  return ipAddress ? `${ipAddress}:${LOCAL_PLAY_PORT}` : null;
+};
@@ -0,0 +1,198 @@
+// Transports carry JSON messages between the host device and its guests.
+//
+// A host transport has listen(onConnection), which returns a function that stops listening.
+// A guest transport has connect(), which resolves to a connection.
+// A connection has send(message), onMessage(handler), onClose(handler) and close().
+//
+// Messages are plain objects; every transport serializes them, so nothing is shared by reference.
+
+// Message types exchanged over a connection
+export const MESSAGE_TYPES = {
+  HELLO: 'hello', // guest -> host: identify the user behind this connection
+  WELCOME: 'welcome', // host -> guest: accepted, with the token to present when reconnecting
+  REJECTED: 'rejected', // host -> guest: refused, just before the host closes the connection
+  ACTION: 'action', // guest -> host: apply a game action
+  RESULT: 'result', // host -> guest: outcome of an action
+  STATE: 'state', // host -> guest: the full game state after a change
+};
+
+// Wrap a socket-like object in the connection interface
+const createConnection = (sendRaw, closeRaw) => {
+  const messageHandlers = new Set();
+  const closeHandlers = new Set();
+  let closed = false;
+
+  return {
+    send(message) {
+      if (!closed) {
+        sendRaw(JSON.stringify(message));
+      }
+    },
+    onMessage(handler) {
+      messageHandlers.add(handler);
+      return () => messageHandlers.delete(handler);
+    },
+    onClose(handler) {
+      closeHandlers.add(handler);
+      return () => closeHandlers.delete(handler);
+    },
+    close() {
+      if (!closed) {
+        closeRaw();
+      }
+    },
+    // Called by the transport when raw data arrives or the socket goes away
+    receive(raw) {
+      if (closed) {
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        console.error('🔧 Ignoring malformed local play message:', error);
+        return;
+      }
+      messageHandlers.forEach(handler => handler(message));
+    },
+    closed() {
+      if (!closed) {
+        closed = true;
+        closeHandlers.forEach(handler => handler());
+      }
+    },
+  };
+};
+
+// In-process network for tests and single-device development.
+// Delivery is asynchronous and in order, like a real socket.
+export const createInProcessNetwork = () => {
+  let onConnection = null;
+  const links = new Set();
+
+  const deliver = (connection, raw) => {
+    Promise.resolve().then(() => connection.receive(raw));
+  };
+
+  const hostTransport = {
+    listen(handler) {
+      onConnection = handler;
+      return () => {
+        onConnection = null;
+        links.forEach(link => link.close());
+      };
+    },
+  };
+
+  const createGuestTransport = () => ({
+    async connect() {
+      if (!onConnection) {
+        throw new Error('No local game host is listening');
+      }
+
+      let hostSide = null;
+      let guestSide = null;
+      const close = () => {
+        links.delete(link);
+        Promise.resolve().then(() => {
+          hostSide.closed();
+          guestSide.closed();
+        });
+      };
+      const link = { close };
+
+      hostSide = createConnection(raw => deliver(guestSide, raw), close);
+      guestSide = createConnection(raw => deliver(hostSide, raw), close);
+      links.add(link);
+      onConnection(hostSide);
+      return guestSide;
+    },
+  });
+
+  return {
+    hostTransport,
+    createGuestTransport,
+    // Drop every open connection, as if the local network went away
+    disconnectAll() {
+      links.forEach(link => link.close());
+    },
+  };
+};
+
+// How long a guest waits for the host's device to accept the connection
+const CONNECT_TIMEOUT = 10000;
+
+// Carry messages over a stream socket with the Node `net` API (data, close and error events,
+// write and destroy), one per line: serialized messages never contain a raw newline.
+const createSocketConnection = (socket) => {
+  const connection = createConnection(raw => socket.write(`${raw}\n`), () => socket.destroy());
+  let buffered = '';
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffered += chunk;
+    let end = buffered.indexOf('\n');
+    while (end >= 0) {
+      connection.receive(buffered.slice(0, end));
+      buffered = buffered.slice(end + 1);
+      end = buffered.indexOf('\n');
+    }
+  });
+  socket.on('error', error => console.error('🔧 Local play socket error:', error));
+  socket.on('close', () => connection.closed());
+  return connection;
+};
+
+// Host transport over a TCP server. net is a module with the Node `net` API: react-native-tcp-socket
+// on a device (see localPlay/localNetwork.js), Node's own in tests. onError hears about a server
+// that couldn't start or stopped, e.g. because the port is taken.
+export const createTcpServerTransport = (net, { port, host = '0.0.0.0', onError = null }) => ({
+  listen(handler) {
+    const sockets = new Set();
+    const server = net.createServer((socket) => {
+      sockets.add(socket);
+      socket.on('close', () => sockets.delete(socket));
+      handler(createSocketConnection(socket));
+    });
+    server.on('error', (error) => {
+      console.error('🔧 Local play server error:', error);
+      if (onError) {
+        onError(error);
+      }
+    });
+    server.listen({ port, host });
+
+    return () => {
+      server.close();
+      sockets.forEach(socket => socket.destroy());
+    };
+  },
+});
+
+// Guest transport over TCP to a host's createTcpServerTransport
+export const createTcpTransport = (net, { host, port }) => ({
+  connect() {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const fail = () => {
+        if (!settled) {
+          settled = true;
+          clearTimeout(timer);
+          socket.destroy();
+          reject(new Error(`Could not reach the host at ${host}:${port}`));
+        }
+      };
+
+      const socket = net.createConnection({ host, port }, () => {
+        if (!settled) {
+          settled = true;
+          clearTimeout(timer);
+          resolve(connection);
+        }
+      });
+      const connection = createSocketConnection(socket);
+      const timer = setTimeout(fail, CONNECT_TIMEOUT);
+      socket.on('error', fail);
+    });
+  },
+});
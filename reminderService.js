@@ -0,0 +1,95 @@
+import notifee, { AndroidImportance, TriggerType } from '@notifee/react-native';
+import gameScriptService from './gameScriptService.js';
+import { buildPartyReminders, PARTY_REMINDERS } from './utils/partySchedule.js';
+
+const CHANNEL_ID = 'party-reminders';
+
+// Local notifications reminding the host and players about scheduled parties.
+// Reminders are rebuilt whenever a game's data is seen, so rescheduling, picking a character
+// or the game starting all update them; nothing needs a server.
+class ReminderService {
+  constructor() {
+    this.scheduled = {}; // What each game's reminders were last built from, by game ID
+    this.channelPromise = null;
+  }
+
+  // Create the Android channel and ask for permission once
+  async prepare() {
+    if (!this.channelPromise) {
+      this.channelPromise = notifee.requestPermission()
+        .then(() => notifee.createChannel({ id: CHANNEL_ID, name: 'Party reminders', importance: AndroidImportance.HIGH }))
+        .catch(error => {
+          this.channelPromise = null;
+          throw error;
+        });
+    }
+    return this.channelPromise;
+  }
+
+  // Schedule (or clear) this user's reminders for a game
+  async syncGameReminders(gameData, userId) {
+    const gameId = gameData?.gameId;
+    if (!gameId || !userId) {
+      return;
+    }
+
+    const player = (gameData.players || []).find(p => p.userId === userId);
+    const character = player?.characterName ? gameScriptService.getCharacterByName(gameData, player.characterName) : null;
+    const scheduledAt = gameData.status === 'LOBBY' ? gameData.scheduledAt : null;
+    const signature = JSON.stringify([scheduledAt, character?.characterName, player?.isHost]);
+    if (this.scheduled[gameId] === signature) {
+      return;
+    }
+
+    try {
+      await this.cancelGameReminders(gameId);
+      const reminders = buildPartyReminders({
+        gameId,
+        scheduledAt,
+        title: gameScriptService.getGameScript(gameData)?.title || 'Your murder mystery party',
+        character,
+        isHost: !!player?.isHost,
+      });
+      if (reminders.length > 0) {
+        await this.prepare();
+      }
+
+      for (const reminder of reminders) {
+        await notifee.createTriggerNotification(
+          {
+            id: reminder.id,
+            title: reminder.title,
+            body: reminder.body,
+            data: { gameId },
+            android: { channelId: CHANNEL_ID, pressAction: { id: 'default' } },
+          },
+          { type: TriggerType.TIMESTAMP, timestamp: reminder.timestamp }
+        );
+      }
+      this.scheduled[gameId] = signature;
+    } catch (error) {
+      console.error('Error scheduling party reminders:', error);
+    }
+  }
+
+  // The same from a My Games entry ({ gameId, role, summary }), without loading the game
+  syncSummaryReminders(game, userId) {
+    const { summary } = game;
+    return this.syncGameReminders({
+      gameId: game.gameId,
+      gameScriptId: summary.gameScriptId,
+      gameScriptVersion: summary.gameScriptVersion,
+      status: summary.status,
+      scheduledAt: summary.scheduledAt,
+      players: [{ userId, characterName: summary.characterName, isHost: game.role === 'host' }],
+    }, userId);
+  }
+
+  // Cancel a game's reminders (when it's deleted, or before rescheduling)
+  async cancelGameReminders(gameId) {
+    delete this.scheduled[gameId];
+    await notifee.cancelTriggerNotifications(PARTY_REMINDERS.map(reminder => `${gameId}-${reminder.key}`));
+  }
+}
+
+export default new ReminderService();
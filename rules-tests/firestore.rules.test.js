@@ -0,0 +1,366 @@
+/**
+ * @format
+ */
+
+import {afterAll, beforeAll, beforeEach, describe, it} from '@jest/globals';
+import {readFileSync} from 'fs';
+import {resolve} from 'path';
+import {assertFails, assertSucceeds, initializeTestEnvironment} from '@firebase/rules-unit-testing';
+import {arrayUnion, deleteDoc, doc, getDoc, setDoc, updateDoc, writeBatch} from 'firebase/firestore';
+
+// Runs against the Firestore emulator: npm run test:rules
+const GAME_ID = 'RULES1';
+const HOUR = 60 * 60 * 1000;
+
+let testEnv;
+
+const seat = (userId, fields = {}) => ({
+  userId,
+  username: userId,
+  characterName: null,
+  isHost: false,
+  isCoHost: false,
+  isVirtual: false,
+  isSimulated: false,
+  lastActiveAt: Date.now(),
+  roundStates: {},
+  accusations: {made: [], received: []},
+  ...fields,
+});
+
+// A game with a host, a co-host, a player and a virtual player, each holding a character
+const seedGame = (gameFields = {}) =>
+  testEnv.withSecurityRulesDisabled(async context => {
+    const db = context.firestore();
+    await setDoc(doc(db, 'games', GAME_ID), {
+      gameId: GAME_ID,
+      gameScriptId: '1',
+      status: 'IN_PROGRESS',
+      gameState: 'LOBBY',
+      currentRound: 1,
+      hostUserId: 'host',
+      hostUsername: 'host',
+      hostFailoverMinutes: 15,
+      startedAt: Date.now(),
+      maxPlayers: 4,
+      playerCount: 3,
+      blockedUserIds: ['blocked'],
+      roundData: {},
+      accusations: {round: 5.5, accusations: [], completed: false},
+      ...gameFields,
+    });
+    const seats = [
+      seat('host', {isHost: true, characterName: 'Ivana Killioux'}),
+      seat('cohost', {isCoHost: true, characterName: 'Ego Cadenza'}),
+      seat('player', {characterName: 'Penny Prattle'}),
+      seat('virtual_1', {isVirtual: true, characterName: 'Phantom Phil'}),
+    ];
+    for (const player of seats) {
+      await setDoc(doc(db, 'games', GAME_ID, 'players', player.userId), player);
+      await setDoc(doc(db, 'games', GAME_ID, 'characterClaims', encodeURIComponent(player.characterName)), {
+        characterName: player.characterName,
+        userId: player.userId,
+        claimedAt: Date.now(),
+      });
+      await setDoc(doc(db, 'games', GAME_ID, 'characterSecrets', player.userId), {
+        userId: player.userId,
+        characterName: player.characterName,
+        isMurderer: player.userId === 'player',
+        secretInformation: null,
+      });
+    }
+  });
+
+const dbAs = userId => testEnv.authenticatedContext(userId).firestore();
+const gameRef = db => doc(db, 'games', GAME_ID);
+const playerRef = (db, userId) => doc(db, 'games', GAME_ID, 'players', userId);
+const claimRef = (db, characterName) => doc(db, 'games', GAME_ID, 'characterClaims', encodeURIComponent(characterName));
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-murder-mystery',
+    firestore: {rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8')},
+  });
+});
+
+afterAll(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+describe('advancing rounds', () => {
+  it('lets the host and co-hosts advance, and nobody else', async () => {
+    await seedGame();
+
+    await assertFails(updateDoc(gameRef(dbAs('player')), {currentRound: 2}));
+    await assertFails(updateDoc(gameRef(testEnv.unauthenticatedContext().firestore()), {currentRound: 2}));
+    await assertSucceeds(updateDoc(gameRef(dbAs('cohost')), {currentRound: 2}));
+    await assertSucceeds(updateDoc(gameRef(dbAs('host')), {currentRound: 3}));
+  });
+
+  it('keeps co-hosts to running rounds', async () => {
+    await seedGame();
+
+    await assertFails(updateDoc(gameRef(dbAs('cohost')), {currentRound: 0}));
+    await assertFails(updateDoc(gameRef(dbAs('cohost')), {blockedUserIds: []}));
+    await assertFails(updateDoc(gameRef(dbAs('cohost')), {gameState: 'DELETED'}));
+    await assertSucceeds(updateDoc(gameRef(dbAs('host')), {gameState: 'DELETED'}));
+  });
+
+  it('resets everyone\'s ready state in the same write as the round', async () => {
+    await seedGame();
+    const db = dbAs('cohost');
+    const batch = writeBatch(db);
+    batch.update(gameRef(db), {currentRound: 2, roundData: {2: {readyPlayers: []}}});
+    for (const userId of ['host', 'cohost', 'player', 'virtual_1']) {
+      batch.update(playerRef(db, userId), {roundStates: {2: {ready: false, readyAt: null}}});
+    }
+
+    await assertSucceeds(batch.commit());
+  });
+});
+
+describe('ready states and accusations', () => {
+  it('lets players set only their own ready state', async () => {
+    await seedGame();
+    const db = dbAs('player');
+
+    await assertSucceeds(updateDoc(playerRef(db, 'player'), {roundStates: {1: {ready: true}}}));
+    await assertFails(updateDoc(playerRef(db, 'cohost'), {roundStates: {1: {ready: true}}}));
+    await assertFails(updateDoc(playerRef(db, 'player'), {isCoHost: true}));
+    await assertSucceeds(updateDoc(playerRef(dbAs('cohost'), 'player'), {roundStates: {1: {ready: false}}}));
+  });
+
+  it('lets players add their own accusations and no one else\'s', async () => {
+    await seedGame({currentRound: 5.5});
+    const db = dbAs('player');
+    const accusation = accuserId => ({
+      id: `accusation_${accuserId}`,
+      round: 5.5,
+      accuserId,
+      accusedCharacter: 'Ego Cadenza',
+      timestamp: Date.now(),
+      isCorrect: false,
+    });
+
+    await assertSucceeds(
+      updateDoc(playerRef(db, 'player'), {'accusations.made': arrayUnion({round: 5.5, accusedCharacter: 'Ego Cadenza'})}),
+    );
+    await assertFails(updateDoc(playerRef(db, 'player'), {'accusations.received': arrayUnion({round: 5.5})}));
+    await assertSucceeds(updateDoc(gameRef(db), {'accusations.accusations': arrayUnion(accusation('player'))}));
+    await assertFails(updateDoc(gameRef(db), {'accusations.accusations': arrayUnion(accusation('cohost'))}));
+    await assertFails(updateDoc(gameRef(db), {'accusations.completed': true}));
+  });
+});
+
+describe('characters', () => {
+  it('gives each character to one player, through its claim', async () => {
+    await seedGame({status: 'LOBBY', currentRound: 0});
+    const db = dbAs('player');
+
+    // Naming a character without claiming it
+    await assertFails(updateDoc(playerRef(db, 'player'), {characterName: 'Rex Regal'}));
+
+    // Claiming a new one while keeping the old claim
+    const keepsOld = writeBatch(db);
+    keepsOld.set(claimRef(db, 'Rex Regal'), {characterName: 'Rex Regal', userId: 'player', claimedAt: Date.now()});
+    keepsOld.update(playerRef(db, 'player'), {characterName: 'Rex Regal'});
+    await assertFails(keepsOld.commit());
+
+    // Switching properly
+    const switches = writeBatch(db);
+    switches.delete(claimRef(db, 'Penny Prattle'));
+    switches.set(claimRef(db, 'Rex Regal'), {characterName: 'Rex Regal', userId: 'player', claimedAt: Date.now()});
+    switches.update(playerRef(db, 'player'), {characterName: 'Rex Regal'});
+    await assertSucceeds(switches.commit());
+  });
+
+  it('only lets a player take a character from a virtual player', async () => {
+    await seedGame({status: 'LOBBY', currentRound: 0});
+    const db = dbAs('player');
+
+    const fromPlayer = writeBatch(db);
+    fromPlayer.delete(claimRef(db, 'Penny Prattle'));
+    fromPlayer.set(claimRef(db, 'Ego Cadenza'), {characterName: 'Ego Cadenza', userId: 'player', claimedAt: Date.now()});
+    fromPlayer.update(playerRef(db, 'player'), {characterName: 'Ego Cadenza'});
+    await assertFails(fromPlayer.commit());
+
+    const fromVirtual = writeBatch(db);
+    fromVirtual.delete(playerRef(db, 'virtual_1'));
+    fromVirtual.delete(claimRef(db, 'Penny Prattle'));
+    fromVirtual.set(claimRef(db, 'Phantom Phil'), {characterName: 'Phantom Phil', userId: 'player', claimedAt: Date.now()});
+    fromVirtual.update(playerRef(db, 'player'), {characterName: 'Phantom Phil'});
+    await assertSucceeds(fromVirtual.commit());
+  });
+
+  it('holds a character offered in an invitation for the invitee', async () => {
+    await seedGame({status: 'LOBBY', currentRound: 0});
+    const offer = {characterName: 'Lady Lark', userId: 'friend', inviteId: `${GAME_ID}_friend`, claimedAt: Date.now()};
+    await assertFails(setDoc(claimRef(dbAs('player'), 'Lady Lark'), offer));
+    await assertSucceeds(setDoc(claimRef(dbAs('host'), 'Lady Lark'), offer));
+
+    const db = dbAs('player');
+    const takes = writeBatch(db);
+    takes.delete(claimRef(db, 'Penny Prattle'));
+    takes.set(claimRef(db, 'Lady Lark'), {characterName: 'Lady Lark', userId: 'player', claimedAt: Date.now()});
+    takes.update(playerRef(db, 'player'), {characterName: 'Lady Lark'});
+    await assertFails(takes.commit());
+    await assertFails(deleteDoc(claimRef(db, 'Lady Lark')));
+    await assertSucceeds(deleteDoc(claimRef(dbAs('friend'), 'Lady Lark')));
+  });
+
+  it('keeps characters fixed once the game has started', async () => {
+    await seedGame();
+    const db = dbAs('player');
+    const batch = writeBatch(db);
+    batch.delete(claimRef(db, 'Penny Prattle'));
+    batch.set(claimRef(db, 'Rex Regal'), {characterName: 'Rex Regal', userId: 'player', claimedAt: Date.now()});
+    batch.update(playerRef(db, 'player'), {characterName: 'Rex Regal'});
+
+    await assertFails(batch.commit());
+  });
+});
+
+describe('character secrets', () => {
+  it('lets players read only their own, and the host everyone\'s', async () => {
+    await seedGame();
+    const secretRef = (db, userId) => doc(db, 'games', GAME_ID, 'characterSecrets', userId);
+
+    await assertSucceeds(getDoc(secretRef(dbAs('cohost'), 'cohost')));
+    await assertFails(getDoc(secretRef(dbAs('cohost'), 'player')));
+    await assertSucceeds(getDoc(secretRef(dbAs('host'), 'player')));
+    await assertFails(
+      setDoc(secretRef(dbAs('cohost'), 'cohost'), {userId: 'cohost', characterName: 'Penny Prattle', isMurderer: true}),
+    );
+  });
+});
+
+describe('joining', () => {
+  // A player's seat and the game's count going up by one, as joinGame writes them
+  const join = (userId, seatUserId = userId, fields = {}, playerCount = 4) => {
+    const db = dbAs(userId);
+    const batch = writeBatch(db);
+    batch.set(playerRef(db, seatUserId), seat(seatUserId, fields));
+    batch.update(gameRef(db), {playerCount});
+    return batch.commit();
+  };
+
+  it('lets players join the lobby as themselves, unless blocked', async () => {
+    await seedGame({status: 'LOBBY', currentRound: 0});
+
+    await assertFails(join('other', 'someone'));
+    await assertFails(join('sneaky', 'sneaky', {isHost: true}));
+    await assertFails(join('blocked'));
+    await assertFails(setDoc(playerRef(dbAs('newcomer'), 'newcomer'), seat('newcomer')));
+    await assertSucceeds(join('newcomer'));
+  });
+
+  it('counts players in and out, and keeps full games closed', async () => {
+    await seedGame({status: 'LOBBY', currentRound: 0});
+
+    await assertFails(join('newcomer', 'newcomer', {}, 5));
+    await assertFails(updateDoc(gameRef(dbAs('newcomer')), {playerCount: 2}));
+    await assertSucceeds(join('newcomer'));
+    await assertFails(join('latecomer', 'latecomer', {}, 5));
+
+    const leave = db => {
+      const batch = writeBatch(db);
+      batch.delete(playerRef(db, 'newcomer'));
+      batch.update(gameRef(db), {playerCount: 3});
+      return batch.commit();
+    };
+    await assertFails(updateDoc(gameRef(dbAs('newcomer')), {playerCount: 3}));
+    await assertSucceeds(leave(dbAs('newcomer')));
+    await assertSucceeds(join('latecomer'));
+  });
+
+  it('turns players away once the game has started', async () => {
+    await seedGame();
+
+    await assertFails(setDoc(playerRef(dbAs('late'), 'late'), seat('late')));
+    await assertSucceeds(setDoc(playerRef(dbAs('host'), 'late'), seat('late', {characterName: 'Penny Prattle'})));
+    await assertFails(setDoc(playerRef(dbAs('host'), 'blocked'), seat('blocked')));
+  });
+
+  it('lets only the host invite, in the lobby, and not blocked players', async () => {
+    await seedGame({status: 'LOBBY', currentRound: 0});
+    const invite = (inviterUserId, inviteeUserId) => ({
+      inviteId: `${GAME_ID}_${inviteeUserId}`,
+      gameId: GAME_ID,
+      inviterUserId,
+      inviteeUserId,
+      characterName: null,
+      status: 'PENDING',
+      createdAt: Date.now(),
+      respondedAt: null,
+    });
+    const inviteRef = (db, inviteeUserId) => doc(db, 'invites', `${GAME_ID}_${inviteeUserId}`);
+
+    await assertFails(setDoc(inviteRef(dbAs('player'), 'friend'), invite('player', 'friend')));
+    await assertFails(setDoc(inviteRef(dbAs('host'), 'blocked'), invite('host', 'blocked')));
+    await assertSucceeds(setDoc(inviteRef(dbAs('host'), 'friend'), invite('host', 'friend')));
+    await assertFails(updateDoc(inviteRef(dbAs('player'), 'friend'), {status: 'ACCEPTED'}));
+    await assertSucceeds(updateDoc(inviteRef(dbAs('friend'), 'friend'), {status: 'DECLINED', respondedAt: Date.now()}));
+  });
+});
+
+describe('hosting', () => {
+  const failOver = db => {
+    const batch = writeBatch(db);
+    batch.update(gameRef(db), {hostUserId: 'cohost', hostUsername: 'cohost', hostChangedAt: Date.now()});
+    batch.update(playerRef(db, 'host'), {isHost: false});
+    batch.update(playerRef(db, 'cohost'), {isHost: true, isCoHost: false});
+    batch.set(doc(db, 'users', 'host', 'games', GAME_ID), {role: 'player'}, {merge: true});
+    batch.set(doc(db, 'users', 'cohost', 'games', GAME_ID), {gameId: GAME_ID, role: 'host'}, {merge: true});
+    return batch.commit();
+  };
+
+  it('lets any player hand hosting on only once the host has gone quiet', async () => {
+    await seedGame();
+    await assertFails(failOver(dbAs('player')));
+
+    await testEnv.withSecurityRulesDisabled(context =>
+      updateDoc(playerRef(context.firestore(), 'host'), {lastActiveAt: Date.now() - HOUR}),
+    );
+    await assertSucceeds(failOver(dbAs('player')));
+  });
+
+  it('lets only the host remove players and read their records', async () => {
+    await seedGame();
+
+    await assertFails(deleteDoc(playerRef(dbAs('cohost'), 'player')));
+    await assertSucceeds(deleteDoc(playerRef(dbAs('host'), 'player')));
+    await assertFails(getDoc(doc(dbAs('player'), 'users', 'cohost', 'games', GAME_ID)));
+  });
+});
+
+describe('game records', () => {
+  it("lets players refresh only the game's summary on each other's records, as the game has it", async () => {
+    await seedGame();
+    await testEnv.withSecurityRulesDisabled(context =>
+      setDoc(doc(context.firestore(), 'users', 'cohost', 'games', GAME_ID), {gameId: GAME_ID, role: 'player'}),
+    );
+    const record = db => doc(db, 'users', 'cohost', 'games', GAME_ID);
+    const summary = {
+      title: 'Murder at the Masquerade',
+      gameScriptId: '1',
+      gameScriptVersion: null,
+      status: 'IN_PROGRESS',
+      currentRound: 1,
+      playerCount: 3,
+      scheduledAt: null,
+      characterName: 'Ego Cadenza',
+    };
+
+    await assertSucceeds(setDoc(record(dbAs('player')), {summary}, {merge: true}));
+    await assertFails(setDoc(record(dbAs('player')), {summary: {...summary, status: 'COMPLETED'}}, {merge: true}));
+    await assertFails(setDoc(record(dbAs('player')), {summary: {...summary, characterName: 'Penny Prattle'}}, {merge: true}));
+    await assertFails(setDoc(record(dbAs('player')), {summary: {...summary, title: 'Something Else'}}, {merge: true}));
+    await assertFails(setDoc(record(dbAs('player')), {role: 'host'}, {merge: true}));
+    await assertFails(setDoc(record(dbAs('outsider')), {summary}, {merge: true}));
+    await assertSucceeds(setDoc(record(dbAs('cohost')), {summary: {...summary, title: 'Something Else'}}, {merge: true}));
+  });
+});
@@ -0,0 +1,22 @@
+// Accusation selections a player has made but not yet submitted, kept in AsyncStorage so
+// they survive the app closing mid-round. One draft per game, player and round.
+
+const draftKey = (gameId, userId, round) => `accusationDraft:${gameId}:${userId}:${round}`;
+
+// AsyncStorage is required lazily so this loads without the native module in tests
+const getStorage = () => require('@react-native-async-storage/async-storage').default;
+
+// The character names selected for a round, or [] if there's no draft
+export const loadAccusationDraft = async (gameId, userId, round) => {
+  const draft = await getStorage().getItem(draftKey(gameId, userId, round));
+  return draft ? JSON.parse(draft) : [];
+};
+
+// Save the current selections; an empty selection clears the draft
+export const saveAccusationDraft = async (gameId, userId, round, characterNames) => {
+  if (characterNames.length === 0) {
+    await getStorage().removeItem(draftKey(gameId, userId, round));
+    return;
+  }
+  await getStorage().setItem(draftKey(gameId, userId, round), JSON.stringify(characterNames));
+};
@@ -0,0 +1,117 @@
+// Storage adapter backed by a Firestore instance with the namespaced API: React Native
+// Firebase's in the app, or the web SDK's compat build in Node tools (tools/cleanupGames.js).
+// fieldValue is that SDK's FieldValue. Snapshots are unwrapped here (exists() is a method in
+// React Native Firebase and a property in the web SDK) so nothing above this layer touches
+// snapshot objects.
+
+const unwrap = snapshot => {
+  const exists = typeof snapshot.exists === 'function' ? snapshot.exists() : snapshot.exists;
+  return exists ? snapshot.data() : null;
+};
+
+const toQuery = (db, collectionPath, { where = [], orderBy = null, limit = null, startAfter } = {}) => {
+  let query = db.collection(collectionPath);
+  where.forEach(([field, op, value]) => {
+    query = query.where(field, op, value);
+  });
+  if (orderBy) {
+    const orders = Array.isArray(orderBy[0]) ? orderBy : [orderBy];
+    orders.forEach(([field, direction]) => {
+      query = query.orderBy(field, direction || 'asc');
+    });
+  }
+  if (startAfter !== undefined && startAfter !== null) {
+    query = Array.isArray(orderBy?.[0]) ? query.startAfter(...startAfter) : query.startAfter(startAfter);
+  }
+  if (limit) {
+    query = query.limit(limit);
+  }
+  return query;
+};
+
+const toDocs = snapshot => snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+
+const toChanges = snapshot => snapshot.docChanges().map(change => ({
+  type: change.type,
+  id: change.doc.id,
+  data: change.doc.data(),
+}));
+
+export const createFirestoreAdapter = (db, fieldValue) => ({
+  async getDoc(path) {
+    return unwrap(await db.doc(path).get());
+  },
+
+  async queryDocs(collectionPath, query) {
+    return toDocs(await toQuery(db, collectionPath, query).get());
+  },
+
+  setDoc(path, data, options = {}) {
+    return db.doc(path).set(data, options);
+  },
+
+  updateDoc(path, update) {
+    return db.doc(path).update(update);
+  },
+
+  deleteDoc(path) {
+    return db.doc(path).delete();
+  },
+
+  watchDoc(path, onChange) {
+    return db.doc(path).onSnapshot(
+      snapshot => onChange(unwrap(snapshot)),
+      error => console.error(`🔧 Error watching ${path}:`, error)
+    );
+  },
+
+  watchQuery(collectionPath, query, onChange) {
+    return toQuery(db, collectionPath, query).onSnapshot(
+      snapshot => onChange(toDocs(snapshot), toChanges(snapshot)),
+      error => console.error(`🔧 Error watching ${collectionPath}:`, error)
+    );
+  },
+
+  runTransaction(fn) {
+    return db.runTransaction(transaction => fn({
+      async getDoc(path) {
+        return unwrap(await transaction.get(db.doc(path)));
+      },
+      setDoc(path, data, options = {}) {
+        transaction.set(db.doc(path), data, options);
+      },
+      updateDoc(path, update) {
+        transaction.update(db.doc(path), update);
+      },
+      deleteDoc(path) {
+        transaction.delete(db.doc(path));
+      },
+    }));
+  },
+
+  createBatch() {
+    const batch = db.batch();
+    return {
+      setDoc(path, data, options = {}) {
+        batch.set(db.doc(path), data, options);
+      },
+      updateDoc(path, update) {
+        batch.update(db.doc(path), update);
+      },
+      deleteDoc(path) {
+        batch.delete(db.doc(path));
+      },
+      commit() {
+        return batch.commit();
+      },
+    };
+  },
+
+  arrayUnion(...values) {
+    return fieldValue.arrayUnion(...values);
+  },
+
+  async ping() {
+    await db.collection('games').limit(1).get();
+  },
+});
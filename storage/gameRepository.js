@@ -0,0 +1,239 @@
+// Repository for games, players, character claims, character secrets, users, user-game records,
+// invitations and archived games.
+// FirebaseService talks to storage only through this, so the same game logic runs against
+// Firestore in the app and against the in-memory adapter in tests and the simulator.
+//
+// Reads return plain data (or null when a document doesn't exist); list methods return
+// arrays of plain data. Updates take Firestore-style field paths ('roundStates.2') and
+// values from arrayUnion(). Watchers fire once with the current value, then after every change.
+//
+// An adapter implements:
+//   getDoc(path), queryDocs(collectionPath, query), setDoc(path, data, options),
+//   updateDoc(path, update), deleteDoc(path), watchDoc(path, onChange),
+//   watchQuery(collectionPath, query, onChange), runTransaction(fn), createBatch(),
+//   arrayUnion(...values), ping()
+// where a query is { where: [[field, op, value]], orderBy: [field, direction], limit, startAfter }
+// - or, to order by several fields, orderBy: [[field, direction], ...] with startAfter an array
+// of one value per field. DOCUMENT_ID orders by document ID, to break ties.
+// queryDocs/watchQuery deliver [{ id, data }]. watchQuery also passes onChange what changed
+// since its last call, like Firestore's docChanges(): [{ type, id, data }] with a type of
+// 'added' (everything, the first time), 'modified' or 'removed'.
+
+// Order a query by document ID, like Firestore's FieldPath.documentId()
+export const DOCUMENT_ID = '__name__';
+
+const gamePath = gameId => `games/${gameId}`;
+const playersPath = gameId => `games/${gameId}/players`;
+const playerPath = (gameId, userId) => `games/${gameId}/players/${userId}`;
+const claimsPath = gameId => `games/${gameId}/characterClaims`;
+const claimPath = (gameId, claimId) => `games/${gameId}/characterClaims/${claimId}`;
+const secretsPath = gameId => `games/${gameId}/characterSecrets`;
+const secretPath = (gameId, userId) => `games/${gameId}/characterSecrets/${userId}`;
+const userPath = userId => `users/${userId}`;
+const userGamesPath = userId => `users/${userId}/games`;
+const userGamePath = (userId, gameId) => `users/${userId}/games/${gameId}`;
+const invitePath = inviteId => `invites/${inviteId}`;
+const archivedGamePath = gameId => `archivedGames/${gameId}`;
+
+const dataOnly = docs => docs.map(doc => doc.data);
+
+export class GameRepository {
+  // `ops` is the adapter, or a transaction/batch from it; transactions and batches get
+  // their own repository so the same methods work inside them
+  constructor(adapter, ops = adapter) {
+    this.adapter = adapter;
+    this.ops = ops;
+  }
+
+  // Games
+  getGame(gameId) {
+    return this.ops.getDoc(gamePath(gameId));
+  }
+
+  async listGames(query = {}) {
+    return dataOnly(await this.ops.queryDocs('games', query));
+  }
+
+  setGame(gameId, data, options = {}) {
+    return this.ops.setDoc(gamePath(gameId), data, options);
+  }
+
+  updateGame(gameId, update) {
+    return this.ops.updateDoc(gamePath(gameId), update);
+  }
+
+  deleteGame(gameId) {
+    return this.ops.deleteDoc(gamePath(gameId));
+  }
+
+  watchGame(gameId, onChange) {
+    return this.ops.watchDoc(gamePath(gameId), onChange);
+  }
+
+  // Players
+  getPlayer(gameId, userId) {
+    return this.ops.getDoc(playerPath(gameId, userId));
+  }
+
+  async listPlayers(gameId, query = {}) {
+    return dataOnly(await this.ops.queryDocs(playersPath(gameId), query));
+  }
+
+  setPlayer(gameId, userId, data, options = {}) {
+    return this.ops.setDoc(playerPath(gameId, userId), data, options);
+  }
+
+  updatePlayer(gameId, userId, update) {
+    return this.ops.updateDoc(playerPath(gameId, userId), update);
+  }
+
+  deletePlayer(gameId, userId) {
+    return this.ops.deleteDoc(playerPath(gameId, userId));
+  }
+
+  // onChange gets [{ type, userId, data }]: every player 'added' at first, then each change
+  watchPlayerChanges(gameId, onChange) {
+    return this.ops.watchQuery(playersPath(gameId), {}, (docs, changes) =>
+      onChange(changes.map(({ type, id, data }) => ({ type, userId: id, data })))
+    );
+  }
+
+  // Character claims (one lock document per character, keyed by claim ID)
+  getClaim(gameId, claimId) {
+    return this.ops.getDoc(claimPath(gameId, claimId));
+  }
+
+  listClaims(gameId) {
+    return this.ops.queryDocs(claimsPath(gameId), {});
+  }
+
+  setClaim(gameId, claimId, data) {
+    return this.ops.setDoc(claimPath(gameId, claimId), data, {});
+  }
+
+  deleteClaim(gameId, claimId) {
+    return this.ops.deleteDoc(claimPath(gameId, claimId));
+  }
+
+  // Character secrets (one per seated player, keyed by user ID): kept off the player
+  // documents so only that player and the host can read them
+  getCharacterSecret(gameId, userId) {
+    return this.ops.getDoc(secretPath(gameId, userId));
+  }
+
+  async listCharacterSecrets(gameId) {
+    return dataOnly(await this.ops.queryDocs(secretsPath(gameId), {}));
+  }
+
+  setCharacterSecret(gameId, userId, data) {
+    return this.ops.setDoc(secretPath(gameId, userId), data, {});
+  }
+
+  deleteCharacterSecret(gameId, userId) {
+    return this.ops.deleteDoc(secretPath(gameId, userId));
+  }
+
+  // Users
+  getUser(userId) {
+    return this.ops.getDoc(userPath(userId));
+  }
+
+  async listUsers(query = {}) {
+    return dataOnly(await this.ops.queryDocs('users', query));
+  }
+
+  setUser(userId, data, options = {}) {
+    return this.ops.setDoc(userPath(userId), data, options);
+  }
+
+  updateUser(userId, update) {
+    return this.ops.updateDoc(userPath(userId), update);
+  }
+
+  deleteUser(userId) {
+    return this.ops.deleteDoc(userPath(userId));
+  }
+
+  // User-game records (users/{userId}/games/{gameId}): the user's role, when they were last in
+  // the game, and the game's summary for My Games
+  getUserGame(userId, gameId) {
+    return this.ops.getDoc(userGamePath(userId, gameId));
+  }
+
+  // Returns [{ id, data }] so records without a gameId field can still be resolved
+  listUserGames(userId, query = {}) {
+    return this.ops.queryDocs(userGamesPath(userId), query);
+  }
+
+  setUserGame(userId, gameId, data, options = {}) {
+    return this.ops.setDoc(userGamePath(userId, gameId), data, options);
+  }
+
+  updateUserGame(userId, gameId, update) {
+    return this.ops.updateDoc(userGamePath(userId, gameId), update);
+  }
+
+  deleteUserGame(userId, gameId) {
+    return this.ops.deleteDoc(userGamePath(userId, gameId));
+  }
+
+  // Invitations (invites/{inviteId}), queried by game for the host and by invitee for players
+  getInvite(inviteId) {
+    return this.ops.getDoc(invitePath(inviteId));
+  }
+
+  async listInvites(query = {}) {
+    return dataOnly(await this.ops.queryDocs('invites', query));
+  }
+
+  setInvite(inviteId, data, options = {}) {
+    return this.ops.setDoc(invitePath(inviteId), data, options);
+  }
+
+  updateInvite(inviteId, update) {
+    return this.ops.updateDoc(invitePath(inviteId), update);
+  }
+
+  deleteInvite(inviteId) {
+    return this.ops.deleteDoc(invitePath(inviteId));
+  }
+
+  watchInvites(query, onChange) {
+    return this.ops.watchQuery('invites', query, docs => onChange(dataOnly(docs)));
+  }
+
+  // Archived games (archivedGames/{gameId}): a game the retention job took out of play, kept
+  // as one document with its players. Only the retention job writes these (see
+  // storage/gameRetention.js); the app never reads them.
+  getArchivedGame(gameId) {
+    return this.ops.getDoc(archivedGamePath(gameId));
+  }
+
+  setArchivedGame(gameId, data) {
+    return this.ops.setDoc(archivedGamePath(gameId), data, {});
+  }
+
+  // Run reads and writes atomically; `fn` gets a repository bound to the transaction.
+  // Transactions can read single documents but not run queries.
+  runTransaction(fn) {
+    return this.adapter.runTransaction(transaction => fn(new GameRepository(this.adapter, transaction)));
+  }
+
+  // Group writes into one atomic commit; call commit() on the result when done
+  batch() {
+    const batch = this.adapter.createBatch();
+    const repository = new GameRepository(this.adapter, batch);
+    repository.commit = () => batch.commit();
+    return repository;
+  }
+
+  // Value for updates that adds items to an array field without duplicating them
+  arrayUnion(...values) {
+    return this.adapter.arrayUnion(...values);
+  }
+
+  // Check that storage is reachable; throws if it isn't
+  ping() {
+    return this.adapter.ping();
+  }
+}
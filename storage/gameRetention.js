@@ -0,0 +1,125 @@
+import { isVirtualPlayer } from '../utils/virtualPlayers.js';
+
+// The retention job: takes games out of storage once nobody is coming back to them.
+//   - abandoned lobbies: still in the lobby, with nobody creating, joining or being active in
+//     them for abandonedLobbyDays
+//   - deleted games: soft deleted (FirebaseService.softDeleteGame) more than deletedGameDays ago
+// With action 'archive' each one is first copied, players included, to archivedGames/{gameId};
+// with 'purge' it's just removed. Either way the game, its players, character claims and
+// secrets, invitations and the players' user-game records go, in one batch per game.
+// It runs through a GameRepository: tools/cleanupGames.js runs it against Firestore with admin
+// credentials, and tests against the in-memory store.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const RETENTION_REASONS = {
+  ABANDONED_LOBBY: 'ABANDONED_LOBBY',
+  DELETED: 'DELETED',
+};
+
+export const RETENTION_ACTIONS = ['archive', 'purge'];
+
+export const DEFAULT_RETENTION_POLICY = {
+  abandonedLobbyDays: 30,
+  deletedGameDays: 30,
+  action: 'archive',
+  dryRun: false, // Report what would go without changing anything
+};
+
+// The policy with the defaults filled in; throws on settings that make no sense
+export const resolveRetentionPolicy = (options = {}) => {
+  const policy = { ...DEFAULT_RETENTION_POLICY, ...options };
+  ['abandonedLobbyDays', 'deletedGameDays'].forEach(key => {
+    if (typeof policy[key] !== 'number' || !(policy[key] >= 0)) {
+      throw new Error(`${key} must be a number of days, 0 or more`);
+    }
+  });
+  if (!RETENTION_ACTIONS.includes(policy.action)) {
+    throw new Error(`action must be one of: ${RETENTION_ACTIONS.join(', ')}`);
+  }
+  return policy;
+};
+
+// When anything last happened in a game: it was created or written back, or a player joined
+// or was active. Games from before createdAt was saved go by their players alone.
+const lastActivity = (gameData, players) => Math.max(
+  gameData.createdAt || 0,
+  gameData.updatedAt || 0,
+  ...players.map(player => Math.max(player.joinedAt || 0, player.lastActiveAt || 0)),
+);
+
+// Copy (when archiving) and remove one game and everything kept for it
+const removeGame = async (store, gameData, players, reason, policy, now) => {
+  const { gameId } = gameData;
+  const [claims, secrets, invites] = await Promise.all([
+    store.listClaims(gameId),
+    store.listCharacterSecrets(gameId),
+    store.listInvites({ where: [['gameId', '==', gameId]] }),
+  ]);
+
+  const batch = store.batch();
+  if (policy.action === 'archive') {
+    batch.setArchivedGame(gameId, { ...gameData, players, archivedAt: now, archiveReason: reason });
+  }
+  players.forEach(player => {
+    batch.deletePlayer(gameId, player.userId);
+    if (!isVirtualPlayer(player)) {
+      batch.deleteUserGame(player.userId, gameId);
+    }
+  });
+  claims.forEach(({ id }) => batch.deleteClaim(gameId, id));
+  secrets.forEach(secret => batch.deleteCharacterSecret(gameId, secret.userId));
+  invites.forEach(invite => batch.deleteInvite(invite.inviteId));
+  batch.deleteGame(gameId);
+  await batch.commit();
+};
+
+// Run the job. Resolves to { removed, undated }: removed is the games it took out (or, on a
+// dry run, would have) as [{ gameId, reason }]; undated is the IDs of deleted games with no
+// deletedAt - deleted before it was saved - which get one now, so they go a retention period
+// later.
+export const cleanupGames = async (store, options = {}) => {
+  const policy = resolveRetentionPolicy(options);
+  const now = options.now || Date.now();
+  const lobbyCutoff = now - policy.abandonedLobbyDays * DAY;
+  const deletedCutoff = now - policy.deletedGameDays * DAY;
+
+  const [deletedGames, lobbies] = await Promise.all([
+    store.listGames({ where: [['gameState', '==', 'DELETED']] }),
+    store.listGames({ where: [['status', '==', 'LOBBY']] }),
+  ]);
+
+  const expired = [];
+  const undated = [];
+  deletedGames.forEach(gameData => {
+    if (!gameData.deletedAt) {
+      undated.push(gameData.gameId);
+    } else if (gameData.deletedAt < deletedCutoff) {
+      expired.push({ gameData, reason: RETENTION_REASONS.DELETED });
+    }
+  });
+  // A lobby created since the cutoff is still fresh without looking at its players
+  lobbies
+    .filter(gameData => gameData.gameState !== 'DELETED' && !(gameData.createdAt >= lobbyCutoff))
+    .forEach(gameData => expired.push({ gameData, reason: RETENTION_REASONS.ABANDONED_LOBBY }));
+
+  const removed = [];
+  for (const { gameData, reason } of expired) {
+    const players = await store.listPlayers(gameData.gameId);
+    if (reason === RETENTION_REASONS.ABANDONED_LOBBY && lastActivity(gameData, players) >= lobbyCutoff) {
+      continue;
+    }
+    if (!policy.dryRun) {
+      await removeGame(store, gameData, players, reason, policy, now);
+    }
+    removed.push({ gameId: gameData.gameId, reason });
+  }
+
+  if (!policy.dryRun) {
+    for (const gameId of undated) {
+      await store.updateGame(gameId, { deletedAt: now });
+    }
+  }
+
+  return { removed, undated };
+};
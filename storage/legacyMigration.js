@@ -0,0 +1,112 @@
+import { characterSecret, toSharedPlayer } from './playerRecords.js';
+
+// Legacy migration: before stable user IDs, the username doubled as the user ID, so a user's
+// records were kept under it. This moves them over to the user's stable ID. The security
+// rules don't let a device touch records under another ID, so it runs through a
+// GameRepository from tools/migrateLegacyUsers.js with admin credentials, and in tests against
+// the in-memory store.
+
+// Move one user's records from legacyUserId to userId: users/{id}/games records, player
+// documents (their character data moving into a character secret), host ownership and
+// accusations. Resolves to how many games were moved; running it again moves nothing.
+export const migrateLegacyUser = async (store, legacyUserId, userId) => {
+  if (!legacyUserId || legacyUserId === userId) {
+    return 0;
+  }
+
+  const legacyUserGames = await store.listUserGames(legacyUserId);
+
+  let migratedGames = 0;
+
+  for (const userGame of legacyUserGames) {
+    const userGameData = userGame.data;
+    const gameId = userGameData.gameId || userGame.id;
+    const batch = store.batch();
+
+    // Re-key the player document, moving its character data into a character secret
+    const legacyPlayer = await store.getPlayer(gameId, legacyUserId);
+    const gameData = await store.getGame(gameId);
+    if (legacyPlayer) {
+      batch.setPlayer(gameId, userId, {
+        ...toSharedPlayer(legacyPlayer),
+        userId
+      });
+      batch.deletePlayer(gameId, legacyUserId);
+      if (gameData && legacyPlayer.characterName) {
+        batch.setCharacterSecret(gameId, userId, characterSecret(gameData, userId, legacyPlayer.characterName));
+      }
+    }
+
+    // Re-key host ownership and accusations on the game itself
+    if (gameData) {
+      const gameUpdate = {};
+
+      if (gameData.hostUserId === legacyUserId) {
+        gameUpdate.hostUserId = userId;
+      }
+
+      const accusations = gameData.accusations?.accusations || [];
+      if (accusations.some(accusation => accusation.accuserId === legacyUserId)) {
+        gameUpdate['accusations.accusations'] = accusations.map(accusation =>
+          accusation.accuserId === legacyUserId ? { ...accusation, accuserId: userId } : accusation
+        );
+      }
+
+      if (Object.keys(gameUpdate).length > 0) {
+        batch.updateGame(gameId, gameUpdate);
+      }
+    }
+
+    // Move the user-game record
+    batch.setUserGame(userId, gameId, userGameData);
+    batch.deleteUserGame(legacyUserId, userGame.id);
+
+    await batch.commit();
+    migratedGames++;
+  }
+
+  return migratedGames;
+};
+
+// Work out whose records to move: every profile whose username has legacy records under it.
+// A username that several profiles share is left out as ambiguous - pass those as explicit
+// { legacyUserId, userId } pairs. Resolves to { pairs, ambiguous }, ambiguous being the
+// usernames left out.
+export const findLegacyUsers = async (store) => {
+  const profilesByUsername = new Map();
+  (await store.listUsers()).forEach(profile => {
+    if (profile.username && profile.username !== profile.userId) {
+      profilesByUsername.set(profile.username, [...(profilesByUsername.get(profile.username) || []), profile.userId]);
+    }
+  });
+
+  const pairs = [];
+  const ambiguous = [];
+  for (const [username, userIds] of profilesByUsername) {
+    if ((await store.listUserGames(username, { limit: 1 })).length === 0) {
+      continue;
+    }
+    if (userIds.length > 1) {
+      ambiguous.push(username);
+    } else {
+      pairs.push({ legacyUserId: username, userId: userIds[0] });
+    }
+  }
+  return { pairs, ambiguous };
+};
+
+// Migrate every user in pairs ([{ legacyUserId, userId }], or found by findLegacyUsers).
+// Resolves to { migrated: [{ legacyUserId, userId, games }], ambiguous }; with dryRun the
+// games are counted and nothing is moved.
+export const migrateLegacyUsers = async (store, { pairs = null, dryRun = false } = {}) => {
+  const found = pairs ? { pairs, ambiguous: [] } : await findLegacyUsers(store);
+
+  const migrated = [];
+  for (const { legacyUserId, userId } of found.pairs) {
+    const games = dryRun
+      ? (await store.listUserGames(legacyUserId)).length
+      : await migrateLegacyUser(store, legacyUserId, userId);
+    migrated.push({ legacyUserId, userId, games });
+  }
+  return { migrated, ambiguous: found.ambiguous };
+};
@@ -0,0 +1,291 @@
+// In-memory storage adapter with the same semantics the app relies on from Firestore:
+// documents live at slash-separated paths, updates take dotted field paths, merges are deep,
+// transactions are atomic, and watchers fire asynchronously with the current value and
+// then after every committed change. Used by tests and the simulator.
+
+class ArrayUnion {
+  constructor(values) {
+    this.values = values;
+  }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof ArrayUnion);
+
+// Deep copy so callers never share objects with the store
+const clone = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const resolveValue = (current, value) => {
+  if (value instanceof ArrayUnion) {
+    const existing = Array.isArray(current) ? current : [];
+    const added = value.values.filter(item => !existing.some(entry => JSON.stringify(entry) === JSON.stringify(item)));
+    return [...existing, ...clone(added)];
+  }
+  return clone(value);
+};
+
+const deepMerge = (target, source) => {
+  const result = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : resolveValue(result[key], value);
+  });
+  return result;
+};
+
+const getField = (data, fieldPath) => fieldPath.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  data
+);
+
+const setField = (data, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const result = { ...data };
+  let node = result;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = isPlainObject(node[key]) ? { ...node[key] } : {};
+    node = node[key];
+  });
+  const lastKey = keys[keys.length - 1];
+  node[lastKey] = resolveValue(node[lastKey], value);
+  return result;
+};
+
+const compare = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return -1;
+  }
+  if (b === undefined || b === null) {
+    return 1;
+  }
+  return a < b ? -1 : 1;
+};
+
+const matches = (data, [field, op, expected]) => {
+  const value = getField(data, field);
+  switch (op) {
+    case '==':
+      return value === expected;
+    case '!=':
+      return value !== undefined && value !== expected;
+    case '<':
+      return value !== undefined && compare(value, expected) < 0;
+    case '<=':
+      return value !== undefined && compare(value, expected) <= 0;
+    case '>':
+      return value !== undefined && compare(value, expected) > 0;
+    case '>=':
+      return value !== undefined && compare(value, expected) >= 0;
+    case 'in':
+      return expected.includes(value);
+    case 'not-in':
+      return value !== undefined && !expected.includes(value);
+    case 'array-contains':
+      return Array.isArray(value) && value.includes(expected);
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+const parentPath = path => path.split('/').slice(0, -1).join('/');
+const docId = path => path.split('/').pop();
+
+export const createMemoryAdapter = (initialDocs = {}) => {
+  const docs = new Map(Object.entries(initialDocs).map(([path, data]) => [path, clone(data)]));
+  const docWatchers = new Map();
+  const queryWatchers = new Set();
+  // Transactions and batches commit one at a time
+  let commitQueue = Promise.resolve();
+
+  const runQuery = (collectionPath, { where = [], orderBy = null, limit = null, startAfter } = {}) => {
+    let results = [...docs.entries()]
+      .filter(([path]) => parentPath(path) === collectionPath)
+      .map(([path, data]) => ({ id: docId(path), data }))
+      .filter(({ data }) => where.every(condition => matches(data, condition)));
+
+    if (orderBy) {
+      const orders = Array.isArray(orderBy[0]) ? orderBy : [orderBy];
+      // '__name__' is the document ID (DOCUMENT_ID in gameRepository.js)
+      const valueOf = (doc, field) => (field === '__name__' ? doc.id : getField(doc.data, field));
+      // Compare two documents (or a document and the startAfter values) field by field
+      const compareOrdered = (valuesA, valuesB) => orders.reduce((result, [, direction = 'asc'], index) => (
+        result || (direction === 'desc' ? -1 : 1) * compare(valuesA[index], valuesB[index])
+      ), 0);
+      const orderedValues = doc => orders.map(([field]) => valueOf(doc, field));
+
+      // Like Firestore, ordering on a field leaves out documents that don't have it
+      results = results
+        .filter(doc => orderedValues(doc).every(value => value !== undefined))
+        .sort((a, b) => compareOrdered(orderedValues(a), orderedValues(b)));
+      if (startAfter !== undefined && startAfter !== null) {
+        const after = Array.isArray(orderBy[0]) ? startAfter : [startAfter];
+        results = results.filter(doc => compareOrdered(orderedValues(doc), after) > 0);
+      }
+    }
+    if (limit) {
+      results = results.slice(0, limit);
+    }
+    return results.map(({ id, data }) => ({ id, data: clone(data) }));
+  };
+
+  // Let every watcher affected by the changed paths know, after the current call returns
+  const notify = (changedPaths) => {
+    Promise.resolve().then(() => {
+      changedPaths.forEach(path => {
+        (docWatchers.get(path) || new Set()).forEach(onChange => onChange(clone(docs.get(path) ?? null)));
+      });
+      const changedCollections = new Set(changedPaths.map(parentPath));
+      queryWatchers.forEach(watcher => {
+        if (changedCollections.has(watcher.collectionPath)) {
+          watcher.onChange(runQuery(watcher.collectionPath, watcher.query));
+        }
+      });
+    });
+  };
+
+  // Apply a list of writes; updates to missing documents fail the whole list
+  const applyWrites = (writes) => {
+    writes.forEach(({ kind, path }) => {
+      if (kind === 'update' && !docs.has(path) && !writes.some(write => write.path === path && write.kind === 'set')) {
+        throw new Error(`No document to update: ${path}`);
+      }
+    });
+    writes.forEach(({ kind, path, data, options }) => {
+      if (kind === 'set') {
+        docs.set(path, options && options.merge && docs.has(path) ? deepMerge(docs.get(path), data) : deepMerge({}, data));
+      } else if (kind === 'update') {
+        docs.set(path, Object.entries(data).reduce((current, [field, value]) => setField(current, field, value), docs.get(path)));
+      } else {
+        docs.delete(path);
+      }
+    });
+    notify([...new Set(writes.map(write => write.path))]);
+  };
+
+  const enqueue = (work) => {
+    const result = commitQueue.then(work);
+    commitQueue = result.catch(() => {});
+    return result;
+  };
+
+  const writer = (writes) => ({
+    setDoc(path, data, options = {}) {
+      writes.push({ kind: 'set', path, data, options });
+    },
+    updateDoc(path, update) {
+      writes.push({ kind: 'update', path, data: update });
+    },
+    deleteDoc(path) {
+      writes.push({ kind: 'delete', path });
+    },
+  });
+
+  return {
+    async getDoc(path) {
+      return clone(docs.get(path) ?? null);
+    },
+
+    async queryDocs(collectionPath, query) {
+      return runQuery(collectionPath, query);
+    },
+
+    setDoc(path, data, options = {}) {
+      return enqueue(() => applyWrites([{ kind: 'set', path, data, options }]));
+    },
+
+    updateDoc(path, update) {
+      return enqueue(() => applyWrites([{ kind: 'update', path, data: update }]));
+    },
+
+    deleteDoc(path) {
+      return enqueue(() => applyWrites([{ kind: 'delete', path }]));
+    },
+
+    watchDoc(path, onChange) {
+      if (!docWatchers.has(path)) {
+        docWatchers.set(path, new Set());
+      }
+      let active = true;
+      const watcher = data => active && onChange(data);
+      docWatchers.get(path).add(watcher);
+      Promise.resolve().then(() => watcher(clone(docs.get(path) ?? null)));
+      return () => {
+        active = false;
+        docWatchers.get(path).delete(watcher);
+      };
+    },
+
+    // Changes are worked out against the results last delivered, compared as JSON
+    watchQuery(collectionPath, query, onChange) {
+      let active = true;
+      let delivered = new Map();
+      const deliver = (results) => {
+        const current = new Map(results.map(({ id, data }) => [id, JSON.stringify(data)]));
+        const changes = [
+          ...results
+            .filter(({ id }) => delivered.get(id) !== current.get(id))
+            .map(({ id, data }) => ({ type: delivered.has(id) ? 'modified' : 'added', id, data: clone(data) })),
+          ...[...delivered.keys()]
+            .filter(id => !current.has(id))
+            .map(id => ({ type: 'removed', id, data: JSON.parse(delivered.get(id)) })),
+        ];
+        delivered = current;
+        onChange(results, changes);
+      };
+      const watcher = { collectionPath, query, onChange: results => active && deliver(results) };
+      queryWatchers.add(watcher);
+      Promise.resolve().then(() => watcher.onChange(runQuery(collectionPath, query)));
+      return () => {
+        active = false;
+        queryWatchers.delete(watcher);
+      };
+    },
+
+    // Transactions run one at a time, so their reads can't go stale before they commit
+    runTransaction(fn) {
+      return enqueue(async () => {
+        const writes = [];
+        const result = await fn({
+          async getDoc(path) {
+            return clone(docs.get(path) ?? null);
+          },
+          ...writer(writes),
+        });
+        applyWrites(writes);
+        return result;
+      });
+    },
+
+    createBatch() {
+      const writes = [];
+      return {
+        ...writer(writes),
+        commit() {
+          return enqueue(() => applyWrites(writes));
+        },
+      };
+    },
+
+    arrayUnion(...values) {
+      return new ArrayUnion(values);
+    },
+
+    async ping() {},
+
+    // Everything stored, keyed by path (for tests)
+    dump() {
+      return Object.fromEntries([...docs.entries()].map(([path, data]) => [path, clone(data)]));
+    },
+  };
+};
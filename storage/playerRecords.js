@@ -0,0 +1,22 @@
+import gameScriptService from '../gameScriptService.js';
+import { isVirtualPlayer } from '../utils/virtualPlayers.js';
+
+// The player data FirebaseService and the storage jobs (legacyMigration.js) write.
+
+// A player's private character data, kept in games/{gameId}/characterSecrets/{userId} where
+// only they and the host can read it (see firestore.rules), never on the player document
+export function characterSecret(gameData, userId, characterName) {
+  const character = gameScriptService.getCharacterByName(gameData, characterName);
+  return {
+    userId,
+    characterName,
+    isMurderer: character ? character.isMurderer === true : false,
+    secretInformation: character?.scripts[1]?.secretInformation || null
+  };
+}
+
+// A player document as every device sees it: seats saved before isVirtual existed get it
+// filled in, and the character data older games kept on the document is left out
+export function toSharedPlayer({ characterData, ...player }) {
+  return { ...player, isVirtual: isVirtualPlayer(player) };
+}
@@ -0,0 +1,49 @@
+// Installed script bundles, kept in AsyncStorage. Each bundle is stored whole under its own
+// key (script id and version), and an index lists what's installed so older versions stay
+// loadable for games that were created with them. parseScriptBundle turns away bundles too big
+// for one entry (MAX_BUNDLE_SIZE in utils/scriptBundle.js).
+
+const INDEX_KEY = 'scriptBundles';
+const bundleKey = (scriptId, version) => `scriptBundle:${scriptId}@${version}`;
+
+// AsyncStorage is required lazily so the script service loads without the native module in tests
+const getStorage = () => require('@react-native-async-storage/async-storage').default;
+
+// List installed bundles as [{ scriptId, version, installedAt }]
+export const listInstalledBundles = async () => {
+  const index = await getStorage().getItem(INDEX_KEY);
+  return index ? JSON.parse(index) : [];
+};
+
+// Load every installed bundle as stored
+export const loadInstalledBundles = async () => {
+  const entries = await listInstalledBundles();
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const pairs = await getStorage().multiGet(entries.map(entry => bundleKey(entry.scriptId, entry.version)));
+  return pairs
+    .map(([, value]) => (value ? JSON.parse(value) : null))
+    .filter(Boolean);
+};
+
+// Store a bundle, replacing any installed copy of the same script version
+export const saveBundle = async (scriptId, version, bundle) => {
+  const storage = getStorage();
+  const entries = await listInstalledBundles();
+  const others = entries.filter(entry => !(entry.scriptId === scriptId && String(entry.version) === String(version)));
+
+  await storage.setItem(bundleKey(scriptId, version), JSON.stringify(bundle));
+  await storage.setItem(INDEX_KEY, JSON.stringify([...others, { scriptId, version, installedAt: new Date().toISOString() }]));
+};
+
+// Remove one installed script version
+export const removeBundle = async (scriptId, version) => {
+  const storage = getStorage();
+  const entries = await listInstalledBundles();
+  const remaining = entries.filter(entry => !(entry.scriptId === scriptId && String(entry.version) === String(version)));
+
+  await storage.setItem(INDEX_KEY, JSON.stringify(remaining));
+  await storage.removeItem(bundleKey(scriptId, version));
+};
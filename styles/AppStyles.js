@@ -96,6 +96,13 @@ const styles = StyleSheet.create({
     marginBottom: 8,
     fontSize: 14,
   },
+  scriptVersionWarning: {
+    color: '#FFA500',
+    fontSize: 14,
+    textAlign: 'center',
+    marginHorizontal: 16,
+    marginBottom: 12,
+  },
   gameCodeContainer: {
     backgroundColor: '#23242a',
     padding: 20,
@@ -125,6 +132,13 @@ const styles = StyleSheet.create({
     marginTop: 8,
     fontStyle: 'italic',
   },
+  gameCodeQr: {
+    alignSelf: 'center',
+    backgroundColor: '#fff',
+    padding: 8,
+    borderRadius: 6,
+    marginTop: 12,
+  },
   debugText: {
     color: '#fff',
     fontSize: 16,
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Package a game script and its background image into a script bundle that the app can
+// install without a release (see utils/scriptBundle.js). The script must pass the same checks
+// as npm run validate-scripts.
+//
+//   npm run build-script-bundle -- scripts/GameScript3.json
+//   npm run build-script-bundle -- scripts/GameScript3.json --background art.png --out space.bundle.json
+//
+// Without --background the image named by metadata.backgroundAsset is embedded when it exists.
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const schema = require('../schemas/gameScript.schema.json');
+const { createScriptBundle, parseScriptBundle } = require('../utils/scriptBundle.js');
+
+// backgroundAsset paths are written relative to components/, where BackgroundWrapper requires them
+const ASSET_BASE_DIR = path.join(__dirname, '..', 'components');
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+};
+
+const parseArgs = (args) => {
+  const options = { scriptFile: null, background: null, out: null };
+  for (let index = 0; index < args.length; index++) {
+    if (args[index] === '--background') {
+      options.background = args[++index];
+    } else if (args[index] === '--out') {
+      options.out = args[++index];
+    } else {
+      options.scriptFile = args[index];
+    }
+  }
+  return options;
+};
+
+const readBackground = (file) => {
+  const mimeType = MIME_TYPES[path.extname(file).toLowerCase()];
+  if (!mimeType) {
+    throw new Error(`Unsupported background image type: ${file}`);
+  }
+  return { mimeType, data: fs.readFileSync(file).toString('base64') };
+};
+
+const main = (args) => {
+  const options = parseArgs(args);
+  if (!options.scriptFile) {
+    console.error('Usage: build-script-bundle <script.json> [--background image] [--out bundle.json]');
+    return 1;
+  }
+
+  const script = JSON.parse(fs.readFileSync(options.scriptFile, 'utf8').replace(/^\uFEFF/, ''));
+  const validateSchema = new Ajv({ allErrors: true }).compile(schema);
+  if (!validateSchema(script)) {
+    validateSchema.errors.forEach(error => console.error(`    error: ${error.dataPath || '(root)'} ${error.message}`));
+    return 1;
+  }
+
+  let backgroundFile = options.background;
+  if (!backgroundFile && script.metadata.backgroundAsset) {
+    const assetFile = path.resolve(ASSET_BASE_DIR, script.metadata.backgroundAsset);
+    backgroundFile = fs.existsSync(assetFile) ? assetFile : null;
+  }
+
+  const bundle = createScriptBundle(script, backgroundFile ? readBackground(backgroundFile) : null);
+  let parsed;
+  try {
+    parsed = parseScriptBundle(bundle);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  const out = options.out || `script-${parsed.scriptId}-v${parsed.version}.bundle.json`;
+  fs.writeFileSync(out, JSON.stringify(bundle));
+  console.log(`Wrote ${out} (${script.metadata.title} v${parsed.version}${backgroundFile ? `, background ${path.basename(backgroundFile)}` : ''})`);
+  return 0;
+};
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Run the retention job (storage/gameRetention.js): archive or purge lobbies nobody has touched
+// for a while and games deleted long enough ago. tools/firestoreTarget.js covers credentials
+// and the emulator. Needs Node 20.19 or later, which can load the app's ES modules.
+//
+//   npm run cleanup-games -- --project my-project            # the default policy
+//   npm run cleanup-games -- --project my-project --lobby-days 14 --deleted-days 60 --purge
+//   npm run cleanup-games -- --emulator --dry-run
+
+const { TARGET_USAGE, parseTargetOption, openStore } = require('./firestoreTarget.js');
+const { cleanupGames, resolveRetentionPolicy } = require('../storage/gameRetention.js');
+
+const USAGE = `Usage: cleanup-games ${TARGET_USAGE} [--lobby-days N] [--deleted-days N] [--purge] [--dry-run]`;
+
+const parseArgs = (args) => {
+  const options = { policy: {}, project: null, emulator: false };
+  for (let index = 0; index < args.length; index++) {
+    const targetIndex = parseTargetOption(args, index, options);
+    if (targetIndex >= 0) {
+      index = targetIndex;
+    } else if (args[index] === '--lobby-days') {
+      options.policy.abandonedLobbyDays = Number(args[++index]);
+    } else if (args[index] === '--deleted-days') {
+      options.policy.deletedGameDays = Number(args[++index]);
+    } else if (args[index] === '--purge') {
+      options.policy.action = 'purge';
+    } else if (args[index] === '--dry-run') {
+      options.policy.dryRun = true;
+    } else {
+      throw new Error(`Unknown option: ${args[index]}`);
+    }
+  }
+  return options;
+};
+
+const main = async (args) => {
+  let options;
+  let policy;
+  try {
+    options = parseArgs(args);
+    policy = resolveRetentionPolicy(options.policy);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 1;
+  }
+
+  let target;
+  try {
+    target = await openStore('cleanup-games', options);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  try {
+    console.log(`Cleaning up games in ${target.target}${policy.dryRun ? ' (dry run)' : ''}`);
+    const { removed, undated } = await cleanupGames(target.store, policy);
+    const verb = policy.dryRun ? `Would ${policy.action}` : policy.action === 'archive' ? 'Archived' : 'Purged';
+    removed.forEach(({ gameId, reason }) => console.log(`${verb} ${gameId} (${reason})`));
+    console.log(`${verb} ${removed.length} game(s); ${undated.length} deleted game(s) had no deletedAt${policy.dryRun ? '' : ' and were dated now'}`);
+    return 0;
+  } catch (error) {
+    console.error(`Cleanup failed: ${error.message}`);
+    return 1;
+  } finally {
+    await target.close();
+  }
+};
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
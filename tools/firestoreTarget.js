@@ -0,0 +1,60 @@
+// Open the game repository for the Node tools (cleanupGames.js, migrateLegacyUsers.js) through
+// the Firebase Admin SDK, which the security rules don't apply to. By default it targets the
+// project named with --project using application default credentials: set
+// GOOGLE_APPLICATION_CREDENTIALS to a service account key file, or run
+// `gcloud auth application-default login`. --emulator (or FIRESTORE_EMULATOR_HOST) targets a
+// local Firestore emulator instead.
+
+const { initializeApp, applicationDefault, deleteApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { GameRepository } = require('../storage/gameRepository.js');
+const { createFirestoreAdapter } = require('../storage/firestoreAdapter.js');
+
+// The emulator project and port npm run test:rules and firebase.json use
+const EMULATOR_PROJECT = 'demo-murder-mystery';
+const DEFAULT_EMULATOR_HOST = '127.0.0.1:8080';
+
+const TARGET_USAGE = '--project id | --emulator [--project id]';
+
+// Handles --project and --emulator for a tool's argument loop. Returns the index of the last
+// argument it used, or -1 when args[index] isn't one of them.
+const parseTargetOption = (args, index, options) => {
+  if (args[index] === '--project') {
+    options.project = args[index + 1];
+    return index + 1;
+  }
+  if (args[index] === '--emulator') {
+    options.emulator = true;
+    return index;
+  }
+  return -1;
+};
+
+const openStore = async (name, { project = null, emulator = false }) => {
+  const emulatorHost = emulator || process.env.FIRESTORE_EMULATOR_HOST
+    ? process.env.FIRESTORE_EMULATOR_HOST || DEFAULT_EMULATOR_HOST
+    : null;
+
+  if (emulatorHost) {
+    // The SDK keeps retrying quietly when it can't connect, so make sure the emulator is there
+    try {
+      await fetch(`http://${emulatorHost}/`);
+    } catch (error) {
+      throw new Error(`No Firestore emulator at ${emulatorHost}. Start one with: npx firebase emulators:start --only firestore`);
+    }
+    process.env.FIRESTORE_EMULATOR_HOST = emulatorHost;
+  } else if (!project) {
+    throw new Error('Pass --project with the Firebase project to change, or --emulator to use the local emulator');
+  }
+
+  const app = emulatorHost
+    ? initializeApp({ projectId: project || EMULATOR_PROJECT }, name)
+    : initializeApp({ projectId: project, credential: applicationDefault() }, name);
+  return {
+    store: new GameRepository(createFirestoreAdapter(getFirestore(app), FieldValue)),
+    target: emulatorHost ? `the emulator at ${emulatorHost}` : `project ${project}`,
+    close: () => deleteApp(app),
+  };
+};
+
+module.exports = { TARGET_USAGE, parseTargetOption, openStore };
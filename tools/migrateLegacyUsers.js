@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// Move records kept under a username (from before stable user IDs) over to the user's stable
+// ID (storage/legacyMigration.js). The security rules stop a device doing this for itself, so
+// run it against the project before deploying them; tools/firestoreTarget.js covers
+// credentials and the emulator. Each username is matched to the profile that uses it; pass
+// --user for usernames several profiles share, or to migrate someone explicitly. Needs Node
+// 20.19 or later, which can load the app's ES modules.
+//
+//   npm run migrate-legacy-users -- --project my-project     # every user found from profiles
+//   npm run migrate-legacy-users -- --project my-project --user alice=Xq3k... --user bob=9fTr...
+//   npm run migrate-legacy-users -- --emulator --dry-run
+
+const { TARGET_USAGE, parseTargetOption, openStore } = require('./firestoreTarget.js');
+const { migrateLegacyUsers } = require('../storage/legacyMigration.js');
+
+const USAGE = `Usage: migrate-legacy-users ${TARGET_USAGE} [--user username=userId ...] [--dry-run]`;
+
+const parseArgs = (args) => {
+  const options = { pairs: null, dryRun: false, project: null, emulator: false };
+  for (let index = 0; index < args.length; index++) {
+    const targetIndex = parseTargetOption(args, index, options);
+    if (targetIndex >= 0) {
+      index = targetIndex;
+    } else if (args[index] === '--user') {
+      const [legacyUserId, userId] = String(args[++index]).split('=');
+      if (!legacyUserId || !userId) {
+        throw new Error('--user takes username=userId');
+      }
+      options.pairs = [...(options.pairs || []), { legacyUserId, userId }];
+    } else if (args[index] === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown option: ${args[index]}`);
+    }
+  }
+  return options;
+};
+
+const main = async (args) => {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 1;
+  }
+
+  let target;
+  try {
+    target = await openStore('migrate-legacy-users', options);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  try {
+    console.log(`Migrating legacy users in ${target.target}${options.dryRun ? ' (dry run)' : ''}`);
+    const { migrated, ambiguous } = await migrateLegacyUsers(target.store, { pairs: options.pairs, dryRun: options.dryRun });
+    const verb = options.dryRun ? 'Would move' : 'Moved';
+    migrated.forEach(({ legacyUserId, userId, games }) => console.log(`${verb} ${games} game(s) from ${legacyUserId} to ${userId}`));
+    ambiguous.forEach(username => console.log(`Skipped ${username}: several profiles use that username, so pass --user ${username}=<userId>`));
+    console.log(`${verb} ${migrated.length} user(s); skipped ${ambiguous.length}`);
+    return 0;
+  } catch (error) {
+    console.error(`Migration failed: ${error.message}`);
+    return 1;
+  } finally {
+    await target.close();
+  }
+};
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
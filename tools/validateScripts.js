@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Validate game scripts against schemas/gameScript.schema.json and the cross-field rules in
+// utils/scriptValidation.js (accusation targets, murderer count, player counts, final
+// statement order). Exits with status 1 if any script has errors; warnings don't fail.
+//
+//   npm run validate-scripts                       # every file in scripts/
+//   npm run validate-scripts -- path/to/script.json
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const schema = require('../schemas/gameScript.schema.json');
+const { validateScript } = require('../utils/scriptValidation.js');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+
+const describeSchemaError = (error) => {
+  const location = error.dataPath || '(root)';
+  return error.keyword === 'enum'
+    ? `${location} ${error.message}: ${error.params.allowedValues.join(', ')}`
+    : `${location} ${error.message}`;
+};
+
+// Check one file; returns its issues
+const checkFile = (validateSchema, file) => {
+  let script;
+  try {
+    script = readJson(file);
+  } catch (error) {
+    return [{ level: 'error', message: `Could not read JSON: ${error.message}` }];
+  }
+
+  if (!validateSchema(script)) {
+    return validateSchema.errors.map(error => ({ level: 'error', message: describeSchemaError(error) }));
+  }
+  return validateScript(script);
+};
+
+const main = (args) => {
+  const files = args.length > 0
+    ? args.map(file => path.resolve(file))
+    : fs.readdirSync(SCRIPTS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => path.join(SCRIPTS_DIR, file));
+
+  const validateSchema = new Ajv({ allErrors: true }).compile(schema);
+  let errorCount = 0;
+  let warningCount = 0;
+
+  files.forEach(file => {
+    const issues = checkFile(validateSchema, file);
+    const errors = issues.filter(issue => issue.level === 'error');
+    errorCount += errors.length;
+    warningCount += issues.length - errors.length;
+
+    console.log(`${errors.length > 0 ? '✗' : '✓'} ${path.relative(process.cwd(), file)}`);
+    issues.forEach(issue => console.log(`    ${issue.level}: ${issue.message}`));
+  });
+
+  console.log(`\n${files.length} scripts checked, ${errorCount} errors, ${warningCount} warnings`);
+  return errorCount > 0 ? 1 : 0;
+};
+
+process.exitCode = main(process.argv.slice(2));
@@ -21,6 +21,19 @@ export interface GameScript {
   };
 }
 
+export type PhaseType = 'introduction' | 'script' | 'accusation' | 'final_statement' | 'end';
+
+export interface RoundPhase {
+  round: number; // Value stored in the game's currentRound
+  type: PhaseType;
+  title: string;
+  instructions: string;
+  scriptRound: number | null; // Which character script round to show
+  fields: string[]; // Which character script fields to show
+  readyGated: boolean; // Whether every player must be ready before advancing
+  collectsAccusations: boolean;
+}
+
 export interface Character {
   characterId: string;
   characterName: string;
@@ -0,0 +1,195 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import firebaseService from '../firebase';
+import gameScriptService from '../gameScriptService';
+import { VIEWS } from '../constants/Views';
+import { isVirtualPlayer } from './virtualPlayers';
+
+// The game session: which screen a player belongs on for a game's status and round, and the
+// hook App.tsx uses to follow the open game and move between those screens as it changes.
+
+// How often a device in a game in progress sends its heartbeat and checks the host is still there
+const HEARTBEAT_INTERVAL = 60 * 1000;
+
+// The player's own entry in the game, or null
+export const getCurrentPlayer = (gameData, userId) => {
+  if (!userId || !Array.isArray(gameData?.players)) {
+    return null;
+  }
+  return gameData.players.find(p => p.userId === userId) || null;
+};
+
+// Whether the current round has everything it waits for: every accusation in for a round that
+// collects them, otherwise every real player ready (virtual players are readied for them).
+// Rounds that aren't ready-gated, and the end, are never complete - the host moves those on.
+export const isRoundComplete = (gameData) => {
+  if (gameData?.status !== 'IN_PROGRESS' || !Array.isArray(gameData.players)) {
+    return false;
+  }
+  const round = gameData.currentRound;
+  const phase = gameScriptService.getPhase(gameData, round);
+  if (!phase || phase.type === gameScriptService.PHASE_TYPES.END) {
+    return false;
+  }
+  if (phase.collectsAccusations) {
+    return gameData.players.every(player => (player.accusations?.made || []).some(accusation => accusation.round === round));
+  }
+  if (!phase.readyGated) {
+    return false;
+  }
+  const players = gameData.players.filter(player => !isVirtualPlayer(player));
+  return players.length > 0 && players.every(player => player.roundStates?.[round]?.ready);
+};
+
+// The view a player should be on, or null to stay where they are.
+//   no character yet    -> LOBBY (pick one; the game can't go on without them)
+//   LOBBY               -> LOBBY
+//   IN_PROGRESS         -> INTRODUCTION during the script's introduction phase, otherwise GAME
+//                          (which also shows accusations, final statements and the end screen)
+//   COMPLETED           -> GAME (the end screen)
+export const routeForGame = (gameData, userId) => {
+  if (!gameData) {
+    return null;
+  }
+  if (!getCurrentPlayer(gameData, userId)?.characterName) {
+    return VIEWS.LOBBY;
+  }
+
+  switch (gameData.status) {
+    case 'LOBBY':
+      return VIEWS.LOBBY;
+    case 'IN_PROGRESS': {
+      const phase = gameScriptService.getPhase(gameData, gameData.currentRound);
+      return phase?.type === gameScriptService.PHASE_TYPES.INTRODUCTION ? VIEWS.INTRODUCTION : VIEWS.GAME;
+    }
+    case 'COMPLETED':
+      return VIEWS.GAME;
+    default:
+      return null;
+  }
+};
+
+// Follow one game at a time. openGame subscribes to it (dropping any earlier game) and routes
+// on every change; closeGame stops following. The current view is read through a ref, so
+// routing always compares against the screen actually showing. If the player disappears from
+// a game they were in (the host removed them), the game is closed and onRemoved(gameId) called.
+export function useGameSession({ view, setView, onRemoved }) {
+  const [gameId, setGameId] = useState(null);
+  const [gameData, setGameData] = useState(null);
+  const [userId, setUserId] = useState(null);
+  const session = useRef(null); // { gameId, userId, seated, unsubscribe }
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  const onRemovedRef = useRef(onRemoved);
+  onRemovedRef.current = onRemoved;
+
+  const closeGame = useCallback(() => {
+    if (session.current) {
+      session.current.unsubscribe();
+      session.current = null;
+    }
+    setGameId(null);
+    setGameData(null);
+  }, []);
+
+  const follow = useCallback((data) => {
+    const current = session.current;
+    if (data && current) {
+      if (getCurrentPlayer(data, current.userId)) {
+        current.seated = true;
+      } else if (current.seated) {
+        closeGame();
+        onRemovedRef.current?.(current.gameId);
+        return;
+      }
+    }
+
+    setGameData(data);
+    const nextView = routeForGame(data, session.current?.userId);
+    if (nextView && nextView !== viewRef.current) {
+      viewRef.current = nextView;
+      setView(nextView);
+    }
+  }, [setView, closeGame]);
+
+  // Start following a game; initialData (if already fetched) is shown straight away
+  const openGame = useCallback((id, playerUserId, initialData = null) => {
+    closeGame();
+    const current = { gameId: id, userId: playerUserId, seated: false, unsubscribe: () => {} };
+    session.current = current;
+    setGameId(id);
+    setUserId(playerUserId);
+    if (initialData) {
+      follow(initialData);
+    }
+    current.unsubscribe = firebaseService.subscribeToGame(id, (data) => {
+      // Ignore updates still arriving for a game that's since been closed
+      if (session.current === current) {
+        follow(data);
+      }
+    });
+  }, [closeGame, follow]);
+
+  useEffect(() => closeGame, [closeGame]);
+
+  // While the game is in progress, keep this player's heartbeat going and hand hosting on
+  // if the host's device has gone quiet (see FirebaseService.checkHostFailover)
+  const inProgress = gameData?.status === 'IN_PROGRESS';
+  useEffect(() => {
+    if (!gameId || !userId || !inProgress) {
+      return undefined;
+    }
+    const beat = () => {
+      firebaseService.sendHeartbeat(gameId, userId)
+        .then(() => firebaseService.checkHostFailover(gameId))
+        .catch(error => console.error('Error sending heartbeat:', error));
+    };
+    beat();
+    const timer = setInterval(beat, HEARTBEAT_INTERVAL);
+    return () => clearInterval(timer);
+  }, [gameId, userId, inProgress]);
+
+  // Auto-advance (game.autoAdvanceRounds): once the round is complete a countdown is put on
+  // the game for everyone to see, and when it runs out one device advances the round (see
+  // FirebaseService.startAutoAdvance). If the round stops being complete - someone un-readies -
+  // the countdown is dropped, to start again when it's complete again. Only the host's and
+  // co-hosts' devices drive it, since only they may move the round on (see firestore.rules).
+  useEffect(() => {
+    const player = getCurrentPlayer(gameData, userId);
+    if (!gameId || !(player?.isHost || player?.isCoHost) || !gameData?.autoAdvanceRounds || gameData.status !== 'IN_PROGRESS') {
+      return undefined;
+    }
+    const round = gameData.currentRound;
+    const countdown = gameData.autoAdvance?.round === round ? gameData.autoAdvance : null;
+    const complete = isRoundComplete(gameData);
+    const onError = error => console.error('Error auto-advancing round:', error);
+
+    if (!countdown) {
+      if (complete) {
+        firebaseService.startAutoAdvance(gameId, round).catch(onError);
+      }
+      return undefined;
+    }
+    if (countdown.status !== 'COUNTING') {
+      return undefined;
+    }
+    if (!complete) {
+      firebaseService.stopAutoAdvance(gameId, round).catch(onError);
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      firebaseService.completeAutoAdvance(gameId, round).catch(onError);
+    }, Math.max(0, countdown.advanceAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [gameId, gameData, userId]);
+
+  const currentPlayer = getCurrentPlayer(gameData, userId);
+  return {
+    gameId,
+    gameData,
+    currentPlayer,
+    isHost: !!currentPlayer?.isHost,
+    isCoHost: !!currentPlayer?.isCoHost,
+    openGame,
+    closeGame,
+  };
+}
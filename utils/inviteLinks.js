@@ -0,0 +1,57 @@
+// Join links - murdermystery://join/{code}?character=...&host=... - shared in invitations,
+// shown as a QR code in the lobby, and handled by App.tsx when the app is opened from one.
+// host is the address of a device hosting the game on the local network (localPlay/).
+
+export const JOIN_LINK_PREFIX = 'murdermystery://join/';
+
+const GAME_CODE_PATTERN = /^[A-Z0-9]{6}$/;
+const LOCAL_HOST_PATTERN = /^[A-Za-z0-9.-]+(:\d{1,5})?$/;
+
+// Game codes are 6 letters and digits (see FirebaseService.generateGameId)
+export const isValidGameCode = (code) => typeof code === 'string' && GAME_CODE_PATTERN.test(code);
+
+// Local-network host addresses are a hostname or IP address, with an optional port
+export const isValidLocalHost = (address) => typeof address === 'string' && LOCAL_HOST_PATTERN.test(address);
+
+// Link that joins a game, optionally offering a character or pointing at a local host
+export const buildJoinLink = (gameId, characterName = null, localHost = null) => {
+  const params = [
+    characterName && `character=${encodeURIComponent(characterName)}`,
+    localHost && `host=${encodeURIComponent(localHost)}`,
+  ].filter(Boolean);
+  return `${JOIN_LINK_PREFIX}${gameId}${params.length ? `?${params.join('&')}` : ''}`;
+};
+
+// Read a join link into { gameId, characterName, localHost }, or null if it isn't one.
+// Codes are matched case-insensitively since people retype them.
+export const parseJoinLink = (url) => {
+  if (typeof url !== 'string') {
+    return null;
+  }
+  const match = url.trim().match(/^murdermystery:\/\/join\/([A-Za-z0-9]+)\/?(?:\?(.*))?$/i);
+  if (!match || !isValidGameCode(match[1].toUpperCase())) {
+    return null;
+  }
+
+  let characterName = null;
+  let localHost = null;
+  for (const param of (match[2] || '').split('&')) {
+    const [key, value = ''] = param.split('=');
+    if ((key === 'character' || key === 'host') && value) {
+      let decoded;
+      try {
+        decoded = decodeURIComponent(value.replace(/\+/g, ' '));
+      } catch (error) {
+        return null;
+      }
+      if (key === 'character') {
+        characterName = decoded;
+      } else if (isValidLocalHost(decoded)) {
+        localHost = decoded;
+      } else {
+        return null;
+      }
+    }
+  }
+  return { gameId: match[1].toUpperCase(), characterName, localHost };
+};
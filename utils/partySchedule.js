@@ -0,0 +1,164 @@
+// Party scheduling - reading the date and time the host types into the lobby, the countdown
+// shown in My Games, and the reminders ReminderService schedules for each player
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Reminders sent before a party, by how long before it starts
+export const PARTY_REMINDERS = [
+  { key: 'day', before: DAY, when: 'tomorrow' },
+  { key: 'hour', before: HOUR, when: 'in an hour' },
+];
+
+const monthIndex = (name) => MONTHS.findIndex(month => month.toLowerCase().startsWith(name.toLowerCase().slice(0, 3)));
+
+// Read a date like "December 25, 2024", "Sat, Dec 25", "25 December 2024", "12/25/2024" or
+// "2024-12-25". Dates without a year are the next time that day comes round.
+const parsePartyDate = (text, now) => {
+  const value = text.trim().replace(/^[a-z]+,?\s+(?=[a-z]+\s+\d)/i, ''); // Drop a leading weekday
+  let year = null;
+  let month = null;
+  let day = null;
+  let match;
+
+  if ((match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    [year, month, day] = [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+  } else if ((match = value.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/))) {
+    [month, day] = [Number(match[1]) - 1, Number(match[2])];
+    year = match[3] ? Number(match[3].length === 2 ? `20${match[3]}` : match[3]) : null;
+  } else if ((match = value.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?$/i))) {
+    [month, day] = [monthIndex(match[1]), Number(match[2])];
+    year = match[3] ? Number(match[3]) : null;
+  } else if ((match = value.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\.?(?:,?\s+(\d{4}))?$/i))) {
+    [month, day] = [monthIndex(match[2]), Number(match[1])];
+    year = match[3] ? Number(match[3]) : null;
+  } else {
+    return null;
+  }
+
+  if (month < 0 || month > 11 || day < 1 || day > 31) {
+    return null;
+  }
+  if (year === null) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    year = new Date(now.getFullYear(), month, day) < today ? now.getFullYear() + 1 : now.getFullYear();
+  }
+
+  const date = new Date(year, month, day);
+  // Reject days the month doesn't have (Date would roll "February 30" into March)
+  return date.getMonth() === month ? date : null;
+};
+
+// Read a time like "7:00 PM", "7pm", "19:30" or "noon"; returns [hours, minutes]
+const parsePartyTime = (text) => {
+  const value = text.trim().toLowerCase();
+  if (value === 'noon') {
+    return [12, 0];
+  }
+
+  const match = value.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) {
+    return null;
+  }
+
+  let hours = Number(match[1]);
+  const minutes = match[2] ? Number(match[2]) : 0;
+  const meridiem = match[3] ? match[3][0] : null;
+  if (minutes > 59 || (meridiem ? hours < 1 || hours > 12 : hours > 23)) {
+    return null;
+  }
+  if (meridiem === 'p' && hours !== 12) {
+    hours += 12;
+  } else if (meridiem === 'a' && hours === 12) {
+    hours = 0;
+  }
+  return [hours, minutes];
+};
+
+// Turn the lobby's date and time text into a timestamp, or null if either can't be read
+export const parsePartyDateTime = (dateText, timeText, now = new Date()) => {
+  if (!dateText || !timeText) {
+    return null;
+  }
+  const date = parsePartyDate(dateText, now);
+  const time = parsePartyTime(timeText);
+  if (!date || !time) {
+    return null;
+  }
+  date.setHours(time[0], time[1], 0, 0);
+  return date.getTime();
+};
+
+// "December 25, 2024"
+export const formatPartyDate = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${MONTHS[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+};
+
+// "7:00 PM"
+export const formatPartyTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const hours = date.getHours() % 12 || 12;
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${hours}:${minutes} ${date.getHours() < 12 ? 'AM' : 'PM'}`;
+};
+
+// Time left until the party: "in 12 days", "in 1 day 4 h", "in 3 h 20 min", "now"
+export const formatCountdown = (timestamp, now = Date.now()) => {
+  const remaining = timestamp - now;
+  if (remaining <= 0) {
+    return 'now';
+  }
+
+  const days = Math.floor(remaining / DAY);
+  const hours = Math.floor((remaining % DAY) / HOUR);
+  const minutes = Math.ceil((remaining % HOUR) / MINUTE);
+  if (days >= 2) {
+    return `in ${days} days`;
+  }
+  if (days === 1) {
+    return hours > 0 ? `in 1 day ${hours} h` : 'in 1 day';
+  }
+  if (hours > 0) {
+    return minutes > 0 && minutes < 60 ? `in ${hours} h ${minutes} min` : `in ${hours} h`;
+  }
+  return `in ${minutes} min`;
+};
+
+// Costume and prop suggestions worth mentioning ("none" in the scripts means there aren't any)
+const suggestion = (value) => (value && value.trim().toLowerCase() !== 'none' ? value.trim() : null);
+
+// Build the reminders for one player's copy of a scheduled game. Only reminders still in
+// the future are returned; ids are stable per game so rescheduling replaces them.
+export const buildPartyReminders = ({ gameId, scheduledAt, title, character = null, isHost = false, now = Date.now() }) => {
+  if (!scheduledAt) {
+    return [];
+  }
+
+  const details = [`The party starts at ${formatPartyTime(scheduledAt)} on ${formatPartyDate(scheduledAt)}.`];
+  if (character) {
+    details.push(`You're playing ${character.characterName}.`);
+    const costume = suggestion(character.suggestedCostume);
+    const props = suggestion(character.suggestedProps);
+    if (costume) {
+      details.push(`Costume: ${costume}`);
+    }
+    if (props) {
+      details.push(`Props: ${props}`);
+    }
+  } else {
+    details.push(isHost ? 'Some characters still need players.' : 'Pick your character in the lobby before the party.');
+  }
+
+  return PARTY_REMINDERS
+    .filter(reminder => scheduledAt - reminder.before > now)
+    .map(reminder => ({
+      id: `${gameId}-${reminder.key}`,
+      timestamp: scheduledAt - reminder.before,
+      title: `${title} is ${reminder.when}`,
+      body: details.join('\n'),
+    }));
+};
@@ -0,0 +1,65 @@
+// Accusation scoring - shared by FirebaseService (which stores the results on the game
+// when it reaches the end phase) and GameView (which can score older games on the fly)
+
+// Winner values stored in results.winner
+export const WINNERS = {
+  DETECTIVES: 'DETECTIVES', // At least one player solved the mystery
+  MURDERER: 'MURDERER', // Nobody solved it
+};
+
+// Check whether one accused character is a murderer
+export const isCorrectAccusation = (accusedCharacter, murdererNames) => {
+  return murdererNames.includes(accusedCharacter);
+};
+
+// Score every player's accusations for the given round.
+// Players earn partial credit for each murderer they named when there are several,
+// and are only counted as having solved it if they named every murderer and nobody else.
+export const scoreAccusations = ({
+  players = [],
+  murdererNames = [],
+  humorousOptionName = null,
+  accusationRound,
+}) => {
+  const playerResults = players.map(player => {
+    const accused = [...new Set(
+      (player.accusations?.made || [])
+        .filter(accusation => accusation.round === accusationRound && accusation.accusedCharacter)
+        .map(accusation => accusation.accusedCharacter)
+    )];
+    const correct = accused.filter(name => isCorrectAccusation(name, murdererNames));
+    const incorrect = accused.filter(name => !isCorrectAccusation(name, murdererNames));
+
+    return {
+      userId: player.userId,
+      username: player.username,
+      characterName: player.characterName,
+      isMurderer: murdererNames.includes(player.characterName),
+      accused,
+      correct,
+      incorrect,
+      credit: murdererNames.length > 0 ? correct.length / murdererNames.length : 0,
+      solved: murdererNames.length > 0 && correct.length === murdererNames.length && incorrect.length === 0,
+      fooledByHumorousOption: !!humorousOptionName && accused.includes(humorousOptionName),
+    };
+  });
+
+  // The murderers are playing against everyone else, so they don't count towards solving it
+  const detectives = playerResults.filter(result => !result.isMurderer);
+  const solvedBy = detectives.filter(result => result.solved).map(result => result.userId);
+
+  return {
+    murdererCharacter: murdererNames[0] || null,
+    murdererCharacters: murdererNames,
+    accusationRound,
+    correctAccusations: playerResults.reduce((sum, result) => sum + result.correct.length, 0),
+    totalAccusations: playerResults.reduce((sum, result) => sum + result.accused.length, 0),
+    solvedBy,
+    partialCreditBy: detectives
+      .filter(result => !result.solved && result.correct.length > 0)
+      .map(result => result.userId),
+    fooledBy: playerResults.filter(result => result.fooledByHumorousOption).map(result => result.userId),
+    winner: solvedBy.length > 0 ? WINNERS.DETECTIVES : WINNERS.MURDERER,
+    playerResults,
+  };
+};
@@ -0,0 +1,139 @@
+// Script bundles - a game script packaged with its background image so new mysteries can be
+// installed without an app release. Built by tools/buildScriptBundle.js and installed
+// through GameScriptService.installScriptBundle().
+//
+// {
+//   "format": "murder-mystery-script-bundle",
+//   "formatVersion": 1,
+//   "script": { "metadata": {...}, "characters": [...], "phases": [...] },
+//   "background": { "mimeType": "image/png", "data": "<base64>" }   // or { "uri": "https://..." }
+// }
+
+const { validateScript } = require('./scriptValidation.js');
+
+const BUNDLE_FORMAT = 'murder-mystery-script-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+
+// Installed bundles are stored whole in one AsyncStorage entry (storage/scriptBundleStore.js),
+// and Android reads each entry back through a 2 MB cursor window, so a bigger bundle would
+// install and then fail to load. This leaves room for the key and the row around it.
+const MAX_BUNDLE_SIZE = 1.9 * 1024 * 1024;
+
+// A string's size in bytes once stored as UTF-8
+const utf8Size = (text) => {
+  let size = 0;
+  for (let index = 0; index < text.length; index++) {
+    const code = text.charCodeAt(index);
+    if (code < 0x80) {
+      size += 1;
+    } else if (code < 0x800 || (code >= 0xd800 && code <= 0xdfff)) {
+      size += 2; // Two bytes, or half of a four-byte surrogate pair
+    } else {
+      size += 3;
+    }
+  }
+  return size;
+};
+
+// Compare two script versions (1, '1.2', '2.0.1'); negative if a is older than b
+const compareScriptVersions = (a, b) => {
+  const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  for (let index = 0; index < Math.max(partsA.length, partsB.length); index++) {
+    const difference = (partsA[index] || 0) - (partsB[index] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+};
+
+// Content hash of a script's JSON (32-bit FNV-1a). Games store it to notice a script that was
+// edited without bumping its version.
+const hashScript = (script) => {
+  const text = JSON.stringify(script);
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    // eslint-disable-next-line no-bitwise
+    hash ^= text.charCodeAt(index);
+    // eslint-disable-next-line no-bitwise
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+};
+
+// Turn a bundle's background into an Image source
+const toImageSource = (background) => {
+  if (!background) {
+    return null;
+  }
+  if (background.uri) {
+    return { uri: background.uri };
+  }
+  if (background.data) {
+    return { uri: `data:${background.mimeType || 'image/png'};base64,${background.data}` };
+  }
+  return null;
+};
+
+// Build a bundle from script JSON and an optional background
+const createScriptBundle = (script, background = null) => ({
+  format: BUNDLE_FORMAT,
+  formatVersion: BUNDLE_FORMAT_VERSION,
+  script,
+  ...(background ? { background } : {}),
+});
+
+// Parse and check a bundle (JSON text or an object). Throws if it isn't a bundle this app can
+// read or the script has validation errors; returns { scriptId, version, script, background, bundle }.
+const parseScriptBundle = (input) => {
+  let bundle = input;
+  if (typeof input === 'string') {
+    try {
+      bundle = JSON.parse(input.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error(`Script bundle is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error('This file is not a murder mystery script bundle');
+  }
+  if (bundle.formatVersion > BUNDLE_FORMAT_VERSION) {
+    throw new Error('This script bundle needs a newer version of the app');
+  }
+  const size = utf8Size(JSON.stringify(bundle));
+  if (size > MAX_BUNDLE_SIZE) {
+    const megabytes = bytes => (bytes / (1024 * 1024)).toFixed(1);
+    throw new Error(`This script bundle is ${megabytes(size)} MB and the app can only store ${megabytes(MAX_BUNDLE_SIZE)} MB: use a smaller background image, or link to one with background.uri`);
+  }
+
+  const script = bundle.script || {};
+  const metadata = script.metadata || {};
+  if (metadata.scriptId === undefined || metadata.scriptId === null || metadata.version === undefined) {
+    throw new Error('Script bundle is missing metadata.scriptId or metadata.version');
+  }
+
+  const errors = validateScript(script).filter(issue => issue.level === 'error');
+  if (errors.length > 0) {
+    throw new Error(`Script bundle has errors: ${errors.map(issue => issue.message).join('; ')}`);
+  }
+
+  return {
+    scriptId: String(metadata.scriptId),
+    version: metadata.version,
+    script,
+    background: toImageSource(bundle.background),
+    bundle,
+  };
+};
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_FORMAT_VERSION,
+  MAX_BUNDLE_SIZE,
+  compareScriptVersions,
+  createScriptBundle,
+  hashScript,
+  parseScriptBundle,
+};
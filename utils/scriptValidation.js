@@ -0,0 +1,158 @@
+// Cross-field checks for game script JSON that the JSON Schema in schemas/ can't express.
+// Used by tools/validateScripts.js and by GameScriptService when it parses scripts.
+
+// Script statuses
+const SCRIPT_STATUSES = {
+  AVAILABLE: 'available',
+  COMING_SOON: 'coming_soon',
+};
+
+// Rounds whose characters accuse someone ("Round N - Accuses")
+const ACCUSATION_SCRIPT_ROUNDS = [3, 4, 5];
+
+// What a character name can be made of: letters, digits, spaces and the punctuation
+// encodeURIComponent leaves alone. Character claims are keyed by the encoded name, and
+// firestore.rules (claimIdFor) can only encode spaces. Kept in step with the schema's pattern.
+const CHARACTER_NAME_PATTERN = /^[A-Za-z0-9 \-_.!~*'()]+$/;
+
+// Older scripts spell the status several ways ('Available', 'Complete', 'coming soon').
+// Anything that isn't coming soon is playable.
+const normalizeScriptStatus = (status) => {
+  const value = String(status || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return value === SCRIPT_STATUSES.COMING_SOON ? SCRIPT_STATUSES.COMING_SOON : SCRIPT_STATUSES.AVAILABLE;
+};
+
+const tokenize = name => name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// Check whether every word of the reference starts a word of the name, in order
+// ("Lady B" -> "Lady Beatrice Sharp-Flatt", "Dr. Rodriguez" -> "Dr. Alex Rodriguez")
+const abbreviates = (referenceTokens, nameTokens) => {
+  let position = 0;
+  return referenceTokens.every(token => {
+    while (position < nameTokens.length && !nameTokens[position].startsWith(token)) {
+      position++;
+    }
+    position++;
+    return position <= nameTokens.length;
+  });
+};
+
+// Find the characters a script's shorthand reference could mean. Accusation lines name
+// people informally, sometimes with a title after a comma ("Penny Prattle, Opera Influencer").
+// Exact names and declared aliases win over abbreviations.
+const resolveCharacterReference = (reference, characters) => {
+  const name = String(reference).split(',')[0].trim().toLowerCase();
+  const namesOf = character => [character.Character, ...(character.aliases || [])];
+
+  const exact = characters.filter(character => namesOf(character).some(candidate => candidate.toLowerCase() === name));
+  if (exact.length > 0) {
+    return exact.map(character => character.Character);
+  }
+
+  const referenceTokens = tokenize(name);
+  if (referenceTokens.length === 0) {
+    return [];
+  }
+  return characters
+    .filter(character => namesOf(character).some(candidate => abbreviates(referenceTokens, tokenize(candidate))))
+    .map(character => character.Character);
+};
+
+// Names that appear more than once, mapped to the characters that share them
+const findDuplicates = (characters, valueOf) => {
+  const byValue = new Map();
+  characters.forEach(character => {
+    const value = valueOf(character);
+    if (value === undefined || value === null) {
+      return;
+    }
+    byValue.set(value, [...(byValue.get(value) || []), character.Character]);
+  });
+  return [...byValue.entries()].filter(([, names]) => names.length > 1);
+};
+
+// Check one script. Returns a list of { level, message } issues, all errors except that a
+// script still coming soon may be unfinished: characters it doesn't have yet, or no murderer
+// yet, are warnings there. What it does have must still hold together.
+const validateScript = (script) => {
+  const issues = [];
+  const metadata = script.metadata || {};
+  const characters = Array.isArray(script.characters) ? script.characters : [];
+  const comingSoon = normalizeScriptStatus(metadata.status) === SCRIPT_STATUSES.COMING_SOON;
+  const report = message => issues.push({ level: 'error', message });
+  const reportMissing = message => issues.push({ level: comingSoon ? 'warning' : 'error', message });
+
+  if (characters.length === 0) {
+    if (!comingSoon) {
+      report('The script has no characters');
+    }
+    return issues;
+  }
+
+  // Player counts
+  if (metadata.minPlayers > metadata.maxPlayers) {
+    report(`minPlayers (${metadata.minPlayers}) is more than maxPlayers (${metadata.maxPlayers})`);
+  }
+  if (metadata.maxPlayers > characters.length) {
+    reportMissing(`maxPlayers is ${metadata.maxPlayers} but the script has ${characters.length} characters`);
+  } else if (metadata.maxPlayers !== characters.length) {
+    report(`maxPlayers is ${metadata.maxPlayers} but the script has ${characters.length} characters`);
+  }
+
+  findDuplicates(characters, character => character.Character).forEach(([name]) => {
+    report(`More than one character is called ${name}`);
+  });
+  characters
+    .filter(character => !CHARACTER_NAME_PATTERN.test(character.Character || ''))
+    .forEach(character => {
+      report(`"${character.Character}" can only use letters, digits, spaces and - _ . ! ~ * ' ( )`);
+    });
+
+  // Murderers
+  const murderers = characters.filter(character => character.isMurderer === true).map(character => character.Character);
+  const expectedMurderers = metadata.murdererCount || 1;
+  if (murderers.length !== expectedMurderers) {
+    if (metadata.murdererCount) {
+      report(`metadata.murdererCount is ${expectedMurderers} but ${murderers.length} characters are murderers (${murderers.join(', ') || 'none'})`);
+    } else if (murderers.length === 0) {
+      reportMissing('No character is the murderer (set isMurderer on one)');
+    } else {
+      report(`Expected exactly one murderer but found ${murderers.length} (${murderers.join(', ')}); declare metadata.murdererCount for several`);
+    }
+  }
+
+  // Accusation targets
+  characters.forEach(character => {
+    ACCUSATION_SCRIPT_ROUNDS.forEach(round => {
+      const target = character[`Round ${round} - Accuses`];
+      if (!target) {
+        return;
+      }
+
+      const matches = resolveCharacterReference(target, characters);
+      if (matches.length === 0) {
+        report(`${character.Character} accuses "${target}" in round ${round}, which doesn't name a character`);
+      } else if (matches.length > 1) {
+        report(`${character.Character} accuses "${target}" in round ${round}, which could be any of ${matches.join(', ')}`);
+      } else if (matches[0] === character.Character) {
+        report(`${character.Character} accuses themselves in round ${round}`);
+      }
+    });
+  });
+
+  // Final statements are read in order, so each character needs their own slot
+  findDuplicates(characters, character => character['Order of Final Statement']).forEach(([order, names]) => {
+    report(`Final statement order ${order} is shared by ${names.join(', ')}`);
+  });
+
+  return issues;
+};
+
+module.exports = {
+  SCRIPT_STATUSES,
+  ACCUSATION_SCRIPT_ROUNDS,
+  CHARACTER_NAME_PATTERN,
+  normalizeScriptStatus,
+  resolveCharacterReference,
+  validateScript,
+};
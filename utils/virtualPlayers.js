@@ -0,0 +1,21 @@
+// Virtual players hold a character for someone who isn't at the party. The host reads their
+// part; their ready states and accusations are filled in automatically. They're marked with
+// isVirtual. Seats saved before the flag existed have no isVirtual field and are recognised by
+// the old 'player_' ID prefix - real players are always saved with isVirtual: false, so a real
+// user ID that happens to start with 'player' is never mistaken for one.
+
+const LEGACY_VIRTUAL_PREFIX = 'player_';
+
+// Whether a player record is a virtual seat
+export const isVirtualPlayer = (player) => {
+  if (!player) {
+    return false;
+  }
+  if (typeof player.isVirtual === 'boolean') {
+    return player.isVirtual;
+  }
+  return typeof player.userId === 'string' && player.userId.startsWith(LEGACY_VIRTUAL_PREFIX);
+};
+
+// A new, unique user ID for a virtual seat
+export const createVirtualPlayerId = () => `virtual_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;